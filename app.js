@@ -11,7 +11,15 @@ const app = express();
 
 // Middleware globaux
 app.use(logger('dev'));
-app.use(express.json({ limit: '10mb' })); // Support JSON avec limite
+app.use(express.json({
+    limit: '10mb',
+    // Corps brut conservé pour vérifier la signature des notifications de paiement
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/v1/payments/webhooks')) {
+            req.rawBody = buf;
+        }
+    }
+})); // Support JSON avec limite
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 
@@ -27,6 +27,267 @@ class Consts {
         }
     })();
 
+    // Clé de signature des ordonnances selon l'environnement (obligatoire, distincte du secret JWT)
+    static ORDONNANCE_SIGNATURE_SECRET = (() => {
+        const env = process.env.NODE_ENV || 'development';
+        switch (env) {
+            case 'production':
+                return process.env.ORDONNANCE_SECRET_PROD;
+            case 'test':
+                return process.env.ORDONNANCE_SECRET_TEST;
+            default:
+                return process.env.ORDONNANCE_SECRET_DEV;
+        }
+    })();
+
+    // Clés de chiffrement des données médicales (AES-256-GCM) selon l'environnement
+    // Format "id:secret,id:secret" : la première clé chiffre, toutes permettent de déchiffrer (rotation)
+    static FIELD_ENCRYPTION_KEYS = (() => {
+        const env = process.env.NODE_ENV || 'development';
+        switch (env) {
+            case 'production':
+                return process.env.FIELD_ENCRYPTION_KEYS_PROD;
+            case 'test':
+                return process.env.FIELD_ENCRYPTION_KEYS_TEST;
+            default:
+                return process.env.FIELD_ENCRYPTION_KEYS_DEV;
+        }
+    })();
+
+    // Configuration des ordonnances électroniques
+    static ORDONNANCE_CONFIG = {
+        prefixe: 'ORD',
+        validiteJoursDefaut: 90,
+        validiteJoursMax: 365,
+        maxMedicaments: 20
+    };
+
+    // Consentements : délai avant qu'un médecin puisse redemander l'accès après un refus ou une révocation du patient
+    static CONSENTEMENT_CONFIG = {
+        delaiNouvelleDemandeJours: 7
+    };
+
+    // Configuration du support : délais SLA (en heures) par priorité de ticket
+    static TICKET_CONFIG = {
+        sla: {
+            CRITIQUE: { premiereReponseHeures: 1, resolutionHeures: 8 },
+            HAUTE: { premiereReponseHeures: 4, resolutionHeures: 24 },
+            NORMALE: { premiereReponseHeures: 24, resolutionHeures: 72 },
+            BASSE: { premiereReponseHeures: 48, resolutionHeures: 168 }
+        },
+        maxPiecesJointes: 5
+    };
+
+    // Configuration du worker de notifications (file d'envoi, backoff exponentiel, dead-letter)
+    static NOTIFICATION_WORKER_CONFIG = {
+        intervalleSecondes: parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_SECONDS) || 30,
+        tailleLot: 50,
+        maxTentatives: 5,
+        backoffBaseSecondes: 60,     // 1 min, 2 min, 4 min, 8 min...
+        backoffMaxSecondes: 6 * 3600,
+        dureeReservationSecondes: 300 // Au-delà, un envoi interrompu (crash) redevient disponible
+    };
+
+    // Rappels automatiques de rendez-vous (heures avant le début, par canal)
+    // Sans préférence enregistrée, le canal préféré de l'utilisateur reçoit les délais par défaut de son rôle
+    static RAPPEL_CONFIG = {
+        delaisParDefaut: {
+            PATIENT: [24, 2],
+            MEDECIN: []
+        },
+        canaux: ['EMAIL', 'SMS', 'PUSH', 'IN_APP'],
+        delaiMinHeures: 1,
+        delaiMaxHeures: 168,
+        maxDelaisParCanal: 3
+    };
+
+    // Préférences de notification : seuls les types non critiques peuvent être désactivés,
+    // les canaux des rappels se règlent via RAPPEL_CONFIG (délais par canal)
+    static PREFERENCES_NOTIFICATION_CONFIG = {
+        typesAvecCanal: ['RENDEZ_VOUS', 'VALIDATION_COMPTE', 'PAIEMENT', 'SYSTEME'],
+        typesDesactivables: ['RAPPEL', 'SYSTEME'],
+        canaux: ['EMAIL', 'SMS', 'PUSH']
+    };
+
+    // Notifications push : fournisseur 'fcm' (Firebase Cloud Messaging) ou 'local' (bouchon pour le développement et les tests)
+    static PUSH_CONFIG = {
+        fournisseur: process.env.PUSH_PROVIDER || 'local',
+        fcm: {
+            projectId: process.env.FCM_PROJECT_ID,
+            clientEmail: process.env.FCM_CLIENT_EMAIL,
+            privateKey: (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+        },
+        maxAppareilsParUtilisateur: 10
+    };
+
+    // Flux temps réel (SSE) : scrutation du bus d'événements en base par chaque instance du cluster
+    static TEMPS_REEL_CONFIG = {
+        intervalleScrutationMs: 1000,
+        delaiScrutationMs: 2000,      // Événements lus avec ce retard : les identifiants attribués mais pas encore validés ne sont pas sautés
+        heartbeatSecondes: 25,        // Garde la connexion ouverte derrière les proxys
+        retentionMinutes: 60,         // Rejeu possible après reconnexion (Last-Event-ID)
+        tailleLot: 500,
+        maxConnexionsParUtilisateur: 5
+    };
+
+    // Liste d'attente : offre d'un créneau libéré au premier patient éligible
+    static LISTE_ATTENTE_CONFIG = {
+        dureeOffreMinutes: 120,
+        delaiMinimalAvantRdvMinutes: 120, // Même marge que pour une demande de rendez-vous
+        fenetreMaxJours: 60,
+        horizonDisponibiliteJours: 30,    // Créneaux examinés après l'ajout d'une disponibilité
+        maxInscriptionsActives: 5
+    };
+
+    // Téléconsultation : fournisseur vidéo 'local' (salles auto-hébergées type Jitsi Meet, liens signés par jeton)
+    // Les liens de connexion ne sont valables que dans la fenêtre autour de l'horaire du rendez-vous
+    // Le secret est partagé avec le serveur vidéo : il doit être distinct du secret JWT de l'API
+    static TELECONSULTATION_CONFIG = {
+        fournisseur: process.env.VIDEO_PROVIDER || 'local',
+        local: {
+            urlBase: process.env.VIDEO_BASE_URL || 'https://visio.malaika.ci',
+            appId: process.env.VIDEO_APP_ID || 'malaika',
+            secret: process.env.VIDEO_JWT_SECRET
+        },
+        ouvertureAvantMinutes: 15,   // Salle accessible avant l'heure de début
+        fermetureApresMinutes: 30    // Et encore après l'heure de fin (dépassement)
+    };
+
+    // Messagerie patient-médecin rattachée à un rendez-vous (confirmé, ou terminé depuis moins de delaiApresRdvJours)
+    // masquerContacts : téléphone et email restent masqués même après confirmation, les échanges passant par la messagerie
+    static MESSAGERIE_CONFIG = {
+        statutsEcriture: ['CONFIRME', 'TERMINE'],
+        delaiApresRdvJours: 14,
+        maxPiecesJointes: 5,
+        masquerContacts: process.env.MASQUER_CONTACTS === 'true'
+    };
+
+    // Visites à domicile : zone d'intervention du médecin (rayon autour d'un point de départ ou liste de communes)
+    // et estimation des trajets de la tournée (distance à vol d'oiseau corrigée par coefficientDetour)
+    static VISITE_DOMICILE_CONFIG = {
+        modes: ['RAYON', 'COMMUNES'],
+        rayonMaxKm: 50,
+        maxCommunes: 50,
+        fraisMax: 100000,               // Plafond des frais de déplacement d'une visite (XOF)
+        vitesseMoyenneKmH: 20,          // Circulation urbaine
+        coefficientDetour: 1.3          // Distance routière estimée à partir de la distance à vol d'oiseau
+    };
+
+    // Paiement mobile money des consultations : PAYMENT_PROVIDER obligatoire, 'local' (simulateur, tous opérateurs,
+    // refusé en production) ou 'operateurs' (API de chaque opérateur : Orange Money, MTN MoMo, Moov Money, Wave)
+    // Prépaiement : le rendez-vous accepté reste EN_ATTENTE jusqu'au paiement, au plus tard delaiHeures
+    // après l'acceptation et margeAvantRdvMinutes avant la consultation, puis il est annulé
+    static PAIEMENT_CONFIG = {
+        fournisseur: process.env.PAYMENT_PROVIDER,
+        simulateurAutorise: process.env.NODE_ENV !== 'production', // Simulateur local et POST /payments/:id/simulate
+        devise: 'XOF',
+        operateurs: ['ORANGE_MONEY', 'MTN_MOMO', 'MOOV_MONEY', 'WAVE'],
+        expirationMinutes: 15,         // Délai de validation d'un paiement sur le téléphone du patient
+        prepaiement: {
+            delaiHeures: 24,
+            margeAvantRdvMinutes: 120,
+            delaiMinimalMinutes: 30    // En deçà, le rendez-vous est confirmé sans prépaiement
+        },
+        urlWebhook: `${process.env.BASE_URL || 'http://localhost:3000'}/v1/payments/webhooks`,
+        urlRetour: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/rendez-vous`,
+        local: {
+            secret: process.env.PAYMENT_LOCAL_SECRET // Propre au simulateur, jamais le secret JWT de l'API
+        },
+        orangeMoney: {
+            urlApi: process.env.ORANGE_MONEY_API_URL || 'https://api.orange.com',
+            pays: process.env.ORANGE_MONEY_COUNTRY || 'ci',
+            authorizationHeader: process.env.ORANGE_MONEY_AUTHORIZATION, // "Basic base64(client_id:client_secret)"
+            merchantKey: process.env.ORANGE_MONEY_MERCHANT_KEY,
+            devise: process.env.ORANGE_MONEY_CURRENCY || 'XOF' // "OUV" dans le bac à sable
+        },
+        mtnMomo: {
+            urlApi: process.env.MTN_MOMO_API_URL || 'https://proxy.momoapi.mtn.com',
+            environnement: process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'mtnivorycoast',
+            cleAbonnement: process.env.MTN_MOMO_SUBSCRIPTION_KEY,
+            apiUser: process.env.MTN_MOMO_API_USER,
+            apiKey: process.env.MTN_MOMO_API_KEY,
+            devise: process.env.MTN_MOMO_CURRENCY || 'XOF' // "EUR" dans le bac à sable
+        },
+        moovMoney: {
+            urlApi: process.env.MOOV_MONEY_API_URL,
+            jeton: process.env.MOOV_MONEY_API_TOKEN,
+            secretWebhook: process.env.MOOV_MONEY_WEBHOOK_SECRET
+        },
+        wave: {
+            urlApi: process.env.WAVE_API_URL || 'https://api.wave.com',
+            cleApi: process.env.WAVE_API_KEY,
+            secretWebhook: process.env.WAVE_WEBHOOK_SECRET,
+            toleranceSignatureSecondes: 300  // Rejette les notifications rejouées
+        },
+        remboursement: {
+            tentativesMax: 3,              // Tentatives automatiques avant traitement manuel par un administrateur
+            delaiTraitement: '3-5 jours ouvrés'
+        }
+    };
+
+    // Grand livre des paiements : commission prélevée par la plateforme sur chaque consultation payée,
+    // gains des médecins (reversés par un administrateur) et relevés par période
+    static COMPTABILITE_CONFIG = {
+        commissionPourcentage: Number(process.env.PLATFORM_COMMISSION_PERCENT || 10),
+        releveMaxMois: 12,             // Période maximale d'un relevé de gains
+        operationsMax: 200             // Opérations détaillées dans un relevé
+    };
+
+    // Réservation temporaire d'un créneau pendant que le patient finalise sa demande
+    static RESERVATION_TEMPORAIRE_CONFIG = {
+        dureeMinutes: 10,
+        delaiMinimalAvantRdvMinutes: 30, // Marge des demandes urgentes ; la demande applique ensuite sa propre marge
+        maxActivesParPatient: 3
+    };
+
+    // Créneaux alternatifs proposés par le médecin lors d'un refus, réservables en un clic par le patient
+    static CRENEAUX_ALTERNATIFS_CONFIG = {
+        delaiReponseHeures: 48,
+        delaiMinimalAvantRdvMinutes: 120, // Même marge que pour une demande de rendez-vous
+        maxCreneaux: 5
+    };
+
+    // Reprogrammation : une partie propose des créneaux, l'autre accepte, refuse ou contre-propose
+    static REPROGRAMMATION_CONFIG = {
+        delaiReponseHeures: 48,
+        margeAvantRdvMinutes: 120,      // Un créneau proposé doit commencer au moins 2h après l'acceptation
+        delaiReponseMinimalMinutes: 30, // En deçà (rendez-vous d'origine trop proche), il faut annuler
+        maxCreneaux: 5,
+        maxContrePropositions: 5,
+        delaiFraisHeures: 24,           // Reprogrammation demandée par le patient moins de 24h avant : frais
+        pourcentageFrais: 10
+    };
+
+    // Séries de rendez-vous récurrents (suivi des maladies chroniques)
+    static SERIE_RENDEZ_VOUS_CONFIG = {
+        minOccurrences: 2,
+        maxOccurrences: 24,
+        intervalleMax: { SEMAINE: 26, MOIS: 12 },
+        horizonMaxJours: 730,           // Dernière occurrence au plus tard 2 ans après la première
+        margeAvantRdvMinutes: 120,      // Même marge que pour une demande de rendez-vous
+        delaiModificationMedecinHeures: 2 // Le médecin annule ou modifie les occurrences au plus tard 2h avant
+    };
+
+    // Politique d'annulation : celle du médecin, à défaut celle de sa clinique, à défaut celle-ci
+    static POLITIQUE_ANNULATION_CONFIG = {
+        parDefaut: {
+            delaiMinimumHeures: 24,          // En deçà, l'annulation par le patient est tardive
+            annulationTardive: 'FRAIS',      // AUTORISEE (sans frais), FRAIS (selon paliers), INTERDITE
+            paliersFrais: [                  // Pourcentage du tarif selon le délai restant
+                { heuresAvant: 12, pourcentage: 25 },
+                { heuresAvant: 2, pourcentage: 50 },
+                { heuresAvant: 0, pourcentage: 100 }
+            ],
+            seuilRecidive: 3,                // Incidents (annulations tardives + absences) sur la période
+            confirmationRecidivistes: true   // Les créneaux alternatifs réservés par un récidiviste attendent la confirmation du médecin
+        },
+        actionsAnnulationTardive: ['AUTORISEE', 'FRAIS', 'INTERDITE'],
+        delaiMinimumMaxHeures: 168,
+        maxPaliers: 5,
+        periodeRecidiveJours: 180,
+        delaiSignalementAbsenceHeures: 72    // Une absence se signale au plus tard 72h après le début du RDV
+    };
+
     // Configuration SMS LeTexto (Côte d'Ivoire)
     static SMS_CONFIG = {
         baseUrl: process.env.LETEXTO_API_URL,
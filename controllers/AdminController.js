@@ -8,6 +8,7 @@ const doctorsPending = require('../routes/admin/doctors/pending');
 const doctorsValidate = require('../routes/admin/doctors/validate');
 const doctorsProfile = require('../routes/admin/doctors/profile');
 const doctorsDocuments = require('../routes/admin/doctors/documents');
+const doctorsPayouts = require('../routes/admin/doctors/payouts');
 
 // Import des routes admin - CLINIQUES
 const cliniquesList = require('../routes/admin/cliniques/list');
@@ -15,6 +16,20 @@ const cliniquesCreate = require('../routes/admin/cliniques/create');
 const cliniquesDetails = require('../routes/admin/cliniques/details');
 const cliniquesUpdate = require('../routes/admin/cliniques/update');
 
+// Import des routes admin - AUDIT
+const auditRoute = require('../routes/admin/audit');
+
+// Import des routes admin - SUPPORT
+const ticketsList = require('../routes/admin/tickets/list');
+const ticketsDetails = require('../routes/admin/tickets/details');
+const ticketsAssign = require('../routes/admin/tickets/assign');
+const ticketsStatus = require('../routes/admin/tickets/status');
+const ticketsMessages = require('../routes/admin/tickets/messages');
+const ticketsAppointmentMessages = require('../routes/admin/tickets/appointment-messages');
+
+// Import des routes admin - PAIEMENTS
+const refundsRoute = require('../routes/admin/refunds');
+
 // ============================================================================
 // ROUTES MÉDECINS ADMIN
 // ============================================================================
@@ -25,6 +40,7 @@ router.use('/doctors/pending', doctorsPending); // GET /doctors/pending
 router.use('/doctors', doctorsProfile);  // PUT /doctors/:id/profile
 router.use('/doctors', doctorsDocuments); // GET /doctors/:id/documents
 router.use('/doctors', doctorsValidate); // PUT /doctors/:id/validate
+router.use('/doctors', doctorsPayouts);  // GET/POST /doctors/:id/payouts
 
 // ============================================================================
 // ROUTES CLINIQUES ADMIN
@@ -36,4 +52,24 @@ router.use('/cliniques', cliniquesCreate);  // POST /cliniques
 router.use('/cliniques', cliniquesDetails); // GET /cliniques/:id + GET /cliniques/:id/medecins
 router.use('/cliniques', cliniquesUpdate);  // PUT /cliniques/:id
 
+// ============================================================================
+// ROUTES AUDIT ADMIN
+// ============================================================================
+router.use('/audit', auditRoute); // GET /audit
+
+// ============================================================================
+// ROUTES SUPPORT ADMIN
+// ============================================================================
+router.use('/tickets', ticketsList);     // GET /tickets (file d'attente)
+router.use('/tickets', ticketsAssign);   // PUT /tickets/:id/assign
+router.use('/tickets', ticketsStatus);   // PUT /tickets/:id/status
+router.use('/tickets', ticketsMessages); // POST /tickets/:id/messages
+router.use('/tickets', ticketsAppointmentMessages); // GET /tickets/:id/appointment-messages (litiges)
+router.use('/tickets', ticketsDetails);  // GET /tickets/:id
+
+// ============================================================================
+// ROUTES PAIEMENTS ADMIN
+// ============================================================================
+router.use('/refunds', refundsRoute); // GET /refunds + PUT /refunds/:id/decision + PUT /refunds/:id/execute
+
 module.exports = router;
\ No newline at end of file
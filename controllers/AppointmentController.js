@@ -7,12 +7,32 @@ const respondRoute = require('../routes/appointments/respond');
 const listRoute = require('../routes/appointments/list');
 const cancelRoute = require('../routes/appointments/cancel');
 const rescheduleRoute = require('../routes/appointments/reschedule');
+const consentRequestRoute = require('../routes/appointments/consent-request');
+const waitlistRoute = require('../routes/appointments/waitlist');
+const noShowRoute = require('../routes/appointments/no-show');
+const alternativesRoute = require('../routes/appointments/alternatives');
+const seriesRoute = require('../routes/appointments/series');
+const holdsRoute = require('../routes/appointments/holds');
+const teleconsultationRoute = require('../routes/appointments/teleconsultation');
+const messagesRoute = require('../routes/appointments/messages');
+const paymentRoute = require('../routes/appointments/payment');
+const refundRoute = require('../routes/appointments/refund');
 
 // Organisation modulaire des routes rendez-vous
 router.use('/request', requestRoute);
+router.use('/holds', holdsRoute);
 router.use('/:id/respond', respondRoute);
 router.use('/cancel', cancelRoute);
 router.use('/:id/reschedule', rescheduleRoute);
+router.use('/:id/consent-request', consentRequestRoute);
+router.use('/waitlist', waitlistRoute);
+router.use('/series', seriesRoute);
+router.use('/:id/no-show', noShowRoute);
+router.use('/:id/alternatives', alternativesRoute);
+router.use('/:id/teleconsultation', teleconsultationRoute);
+router.use('/:id/messages', messagesRoute);
+router.use('/:id/payment', paymentRoute);
+router.use('/:id/refund', refundRoute);
 
 // La route list doit être en dernier pour éviter les conflits
 router.use('/', listRoute);
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+
+// Import des routes temps réel
+const streamRoute = require('../routes/events/stream');
+
+// Organisation modulaire des routes événements
+router.use('/', streamRoute); // GET /stream (Server-Sent Events)
+
+module.exports = router;
@@ -8,6 +8,14 @@ const dashboardRoute = require('../routes/medecins/dashboard');
 const availabilityRoute = require('../routes/medecins/availability');
 const patientsRoute = require('../routes/medecins/patients');
 const uploadPhotoRoute = require('../routes/medecins/upload-photo');
+const consultationsRoute = require('../routes/medecins/consultations');
+const ordonnancesRoute = require('../routes/medecins/ordonnances');
+const waitlistRoute = require('../routes/medecins/waitlist');
+const cancellationPolicyRoute = require('../routes/medecins/cancellation-policy');
+const homeVisitZoneRoute = require('../routes/medecins/home-visit-zone');
+const homeVisitsRoute = require('../routes/medecins/home-visits');
+const paymentSettingsRoute = require('../routes/medecins/payment-settings');
+const earningsRoute = require('../routes/medecins/earnings');
 
 // Organisation modulaire des routes
 router.use('/validation-status', validationStatusRoute);
@@ -16,5 +24,13 @@ router.use('/dashboard', dashboardRoute);
 router.use('/availability', availabilityRoute);
 router.use('/patients', patientsRoute);
 router.use('/photo', uploadPhotoRoute);
+router.use('/consultations', consultationsRoute);
+router.use('/ordonnances', ordonnancesRoute);
+router.use('/waitlist', waitlistRoute);
+router.use('/cancellation-policy', cancellationPolicyRoute);
+router.use('/home-visit-zone', homeVisitZoneRoute);
+router.use('/home-visits', homeVisitsRoute);
+router.use('/payment-settings', paymentSettingsRoute);
+router.use('/earnings', earningsRoute);
 
 module.exports = router;
\ No newline at end of file
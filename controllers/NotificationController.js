@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+// Import des routes du centre de notifications
+const listRoute = require('../routes/notifications/list');
+const readRoute = require('../routes/notifications/read');
+const remindersRoute = require('../routes/notifications/reminders');
+const devicesRoute = require('../routes/notifications/devices');
+const preferencesRoute = require('../routes/notifications/preferences');
+const deleteRoute = require('../routes/notifications/delete');
+
+// Organisation modulaire des routes notifications
+router.use('/', listRoute);        // GET / + GET /unread-count
+router.use('/', readRoute);        // PUT /read-all + PUT /:id/read
+router.use('/', remindersRoute);   // GET/PUT/DELETE /reminders (avant DELETE /:id)
+router.use('/', devicesRoute);     // GET/POST /devices + DELETE /devices/:id
+router.use('/', preferencesRoute); // GET/PUT /preferences
+router.use('/', deleteRoute);      // DELETE /:id
+
+module.exports = router;
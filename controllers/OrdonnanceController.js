@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+
+// Import des routes spécialisées pour les ordonnances
+const verifyRoute = require('../routes/ordonnances/verify');
+
+// Organisation modulaire des routes ordonnances (publiques)
+router.use('/verify', verifyRoute);
+
+module.exports = router;
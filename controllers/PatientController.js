@@ -4,9 +4,15 @@ const router = express.Router();
 // Import des routes spécialisées
 const profileRoute = require('../routes/patients/profile');
 const medicalDataRoute = require('../routes/patients/medical-data');
+const ordonnancesRoute = require('../routes/patients/ordonnances');
+const consultationsRoute = require('../routes/patients/consultations');
+const consentementsRoute = require('../routes/patients/consentements');
 
 // Organisation modulaire des routes
 router.use('/profile', profileRoute);
 router.use('/medical-data', medicalDataRoute);
+router.use('/ordonnances', ordonnancesRoute);
+router.use('/consultations', consultationsRoute);
+router.use('/consentements', consentementsRoute);
 
 module.exports = router;
\ No newline at end of file
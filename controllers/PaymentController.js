@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const Consts = require('../config/const');
+
+// Import des routes de paiement
+const webhooksRoute = require('../routes/payments/webhooks');
+const simulateRoute = require('../routes/payments/simulate');
+
+// Organisation modulaire des routes paiements
+router.use('/webhooks', webhooksRoute); // POST /webhooks/:fournisseur (notifications des opérateurs)
+
+// Simulateur local : jamais exposé en production
+if (Consts.PAIEMENT_CONFIG.simulateurAutorise) {
+    router.use('/', simulateRoute);     // POST /:id/simulate (simulateur local)
+}
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+
+// Import des routes du support (tickets patients et médecins)
+const createRoute = require('../routes/support/create');
+const listRoute = require('../routes/support/list');
+const detailsRoute = require('../routes/support/details');
+const messagesRoute = require('../routes/support/messages');
+const satisfactionRoute = require('../routes/support/satisfaction');
+
+// Organisation modulaire des routes support
+router.use('/tickets', createRoute);       // POST /tickets
+router.use('/tickets', listRoute);         // GET /tickets
+router.use('/tickets', messagesRoute);     // POST /tickets/:id/messages
+router.use('/tickets', satisfactionRoute); // PUT /tickets/:id/satisfaction
+router.use('/tickets', detailsRoute);      // GET /tickets/:id
+
+module.exports = router;
@@ -30,6 +30,22 @@ module.exports = {
       out_file: './logs/pm2-out.log',
       log_file: './logs/pm2-combined.log',
       time: true
+    },
+    {
+      // Tâches de fond (file de notifications). Un seul exemplaire suffit ;
+      // plusieurs restent sûrs grâce à la réservation des notifications en base.
+      name: 'malaika-worker',
+      script: './bin/worker',
+      env: {
+        NODE_ENV: 'production'
+      },
+      instances: 1,
+      exec_mode: 'fork',
+      kill_timeout: 30000, // Laisser les envois en cours se terminer
+      max_memory_restart: '512M',
+      error_file: './logs/pm2-worker-error.log',
+      out_file: './logs/pm2-worker-out.log',
+      time: true
     }
   ]
 };
\ No newline at end of file
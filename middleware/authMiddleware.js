@@ -9,20 +9,30 @@ class AuthMiddleware {
 
     /**
      * Middleware d'authentification - vérifie la validité du token JWT
+     * @param {Object} options
+     * @param {boolean} options.queryToken - Accepter aussi le token en paramètre ?access_token=
+     *   (EventSource du navigateur ne permet pas d'envoyer de header Authorization)
      */
-    static authenticate() {
+    static authenticate(options = {}) {
         return async (req, res, next) => {
             try {
                 const authHeader = req.headers.authorization;
                 const clientIp = req.ip || req.connection.remoteAddress;
+                let token = null;
+
+                if (authHeader && authHeader.startsWith('Bearer ')) {
+                    token = authHeader.substring(7);
+                } else if (options.queryToken && typeof req.query.access_token === 'string') {
+                    token = req.query.access_token;
+                    // Ne pas laisser le token apparaître dans les logs d'accès
+                    req.originalUrl = req.originalUrl.replace(/access_token=[^&]*/, 'access_token=***');
+                }
 
                 // Vérification de la présence du token
-                if (!authHeader || !authHeader.startsWith('Bearer ')) {
+                if (!token) {
                     return ApiResponse.unauthorized(res, 'Token d\'authentification requis');
                 }
 
-                const token = authHeader.substring(7);
-
                 // Vérification de la validité du token
                 const tokenCheck = TokenService.checkToken(token);
                 if (!tokenCheck.isValid) {
@@ -0,0 +1,61 @@
+const multer = require('multer');
+const ApiResponse = require('../services/ApiResponse');
+
+/**
+ * Middleware d'upload multipart (stockage en mémoire, écriture via LocalFileService)
+ */
+class UploadMiddleware {
+
+    /**
+     * Accepte jusqu'à maxFiles fichiers (PDF, JPG, PNG, WebP) sur le champ indiqué
+     * Les erreurs de multer sont renvoyées en 400 au lieu de remonter au gestionnaire global
+     * @param {string} fieldName - Nom du champ multipart
+     * @param {number} maxFiles - Nombre maximum de fichiers
+     */
+    static files(fieldName, maxFiles) {
+        const upload = multer({
+            storage: multer.memoryStorage(),
+            limits: {
+                fileSize: 10 * 1024 * 1024, // 10MB max par fichier
+                files: maxFiles
+            },
+            fileFilter: (_req, file, cb) => {
+                const allowedMimeTypes = [
+                    'application/pdf',
+                    'image/jpeg',
+                    'image/jpg',
+                    'image/png',
+                    'image/webp'
+                ];
+
+                if (allowedMimeTypes.includes(file.mimetype)) {
+                    cb(null, true);
+                } else {
+                    cb(new Error('Format de fichier non autorisé. Formats acceptés: PDF, JPG, PNG, WebP'), false);
+                }
+            }
+        }).array(fieldName, maxFiles);
+
+        return (req, res, next) => {
+            upload(req, res, (error) => {
+                if (!error) {
+                    return next();
+                }
+
+                if (error instanceof multer.MulterError) {
+                    if (error.code === 'LIMIT_FILE_SIZE') {
+                        return ApiResponse.badRequest(res, 'Fichier trop volumineux. Taille maximale: 10MB');
+                    }
+                    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+                        return ApiResponse.badRequest(res, `Trop de fichiers. Maximum: ${maxFiles} pièces jointes sur le champ ${fieldName}`);
+                    }
+                    return ApiResponse.badRequest(res, `Erreur de fichier: ${error.message}`);
+                }
+
+                return ApiResponse.badRequest(res, error.message);
+            });
+        };
+    }
+}
+
+module.exports = UploadMiddleware;
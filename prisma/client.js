@@ -1,7 +1,93 @@
 const { PrismaClient } = require('@prisma/client');
+const EncryptionService = require('../services/EncryptionService');
 
-const prisma = new PrismaClient({
+const basePrisma = new PrismaClient({
     log: process.env.NODE_ENV === 'development' ? ['query', 'info', 'warn', 'error'] : ['warn', 'error'],
 });
 
-module.exports = prisma;
\ No newline at end of file
+// Statuts pour lesquels un rendez-vous n'occupe plus son créneau
+const STATUTS_CRENEAU_LIBERE = ['ANNULE', 'REFUSE'];
+
+/**
+ * Maintient heureDebutActive, sur lequel repose l'index unique médecin + date + heure de début :
+ * il reprend heureDebut à la création et au déplacement du rendez-vous, et passe à null à l'annulation ou au refus
+ */
+const garderCreneau = (operation, args) => {
+    const data = args.data;
+
+    if (operation === 'create') {
+        return { ...args, data: { ...data, heureDebutActive: STATUTS_CRENEAU_LIBERE.includes(data.statut) ? null : data.heureDebut } };
+    }
+    if (STATUTS_CRENEAU_LIBERE.includes(data.statut)) {
+        return { ...args, data: { ...data, heureDebutActive: null } };
+    }
+    if (data.heureDebut && data.statut) {
+        return { ...args, data: { ...data, heureDebutActive: data.heureDebut } };
+    }
+    return args;
+};
+
+/**
+ * Déplacement sans changement de statut : seul un rendez-vous qui occupe encore son créneau le reprend
+ * (un rendez-vous annulé ou refusé déplacé ne doit pas bloquer le nouveau créneau)
+ */
+const deplacementSansStatut = (args) => args.data.heureDebut && !args.data.statut;
+
+const avecStatut = (where = {}, statut) => ({ ...where, AND: [{ statut }, ...[].concat(where.AND || [])] });
+
+const surCreneauActif = (args) => ({
+    ...args,
+    where: avecStatut(args.where, { notIn: STATUTS_CRENEAU_LIBERE }),
+    data: { ...args.data, heureDebutActive: args.data.heureDebut }
+});
+
+const surCreneauLibere = (args) => ({
+    ...args,
+    where: avecStatut(args.where, { in: STATUTS_CRENEAU_LIBERE })
+});
+
+// Chiffrement transparent des champs médicaux marqués "Chiffré" dans le schéma
+const prisma = basePrisma.$extends({
+    name: 'chiffrement-donnees-medicales',
+    query: {
+        $allModels: {
+            async $allOperations({ model, operation, args, query }) {
+                const result = await query(EncryptionService.encryptArgs(model, operation, args));
+                return EncryptionService.decryptResult(model, result);
+            }
+        }
+    }
+}).$extends({
+    name: 'garde-creneaux-rendez-vous',
+    query: {
+        rendezVous: {
+            async create({ operation, args, query }) {
+                return query(garderCreneau(operation, args));
+            },
+            async update({ operation, args, query }) {
+                if (!deplacementSansStatut(args)) {
+                    return query(garderCreneau(operation, args));
+                }
+                try {
+                    return await query(surCreneauActif(args));
+                } catch (error) {
+                    // Rendez-vous annulé ou refusé (ou inexistant : l'erreur d'origine est alors renvoyée)
+                    if (error.code !== 'P2025') {
+                        throw error;
+                    }
+                    return query(args);
+                }
+            },
+            async updateMany({ operation, args, query }) {
+                if (!deplacementSansStatut(args)) {
+                    return query(garderCreneau(operation, args));
+                }
+                const actifs = await query(surCreneauActif(args));
+                const liberes = await query(surCreneauLibere(args));
+                return { count: actifs.count + liberes.count };
+            }
+        }
+    }
+});
+
+module.exports = prisma;
@@ -0,0 +1,99 @@
+/**
+ * Renseigne heureDebutActive sur les rendez-vous antérieurs à la garde anti double réservation
+ *
+ * L'index unique médecin + date + heureDebutActive ne couvre que les lignes où la colonne est renseignée :
+ * les rendez-vous existants lors du déploiement (colonne à null) doivent reprendre leur heureDebut tant
+ * qu'ils ne sont ni annulés ni refusés. Les doubles réservations déjà présentes en base sont listées et
+ * laissées à null, à régler manuellement (annuler ou déplacer l'un des rendez-vous) avant de relancer le script.
+ *
+ * Usage : npm run db:backfill-creneaux [-- --dry-run]
+ */
+const { PrismaClient } = require('@prisma/client');
+
+// Client sans extensions : heureDebutActive est écrit tel quel
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 200;
+const dryRun = process.argv.includes('--dry-run');
+
+const STATUTS_CRENEAU_LIBERE = ['ANNULE', 'REFUSE'];
+
+async function main() {
+    console.log(`🗓️ ${dryRun ? '[SIMULATION] ' : ''}Renseignement des créneaux actifs des rendez-vous existants`);
+
+    const stats = { lignes: 0, modifiees: 0, conflits: [] };
+    let cursor = null;
+
+    while (true) {
+        const rendezVous = await prisma.rendezVous.findMany({
+            where: { heureDebutActive: null, statut: { notIn: STATUTS_CRENEAU_LIBERE } },
+            select: { id: true, medecinId: true, dateRendezVous: true, heureDebut: true },
+            orderBy: { id: 'asc' },
+            take: BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        if (rendezVous.length === 0) {
+            break;
+        }
+
+        for (const rdv of rendezVous) {
+            stats.lignes++;
+
+            if (dryRun) {
+                const occupe = await prisma.rendezVous.findFirst({
+                    where: { medecinId: rdv.medecinId, dateRendezVous: rdv.dateRendezVous, heureDebutActive: rdv.heureDebut },
+                    select: { id: true }
+                });
+                if (occupe) {
+                    stats.conflits.push({ ...rdv, occupePar: occupe.id });
+                } else {
+                    stats.modifiees++;
+                }
+                continue;
+            }
+
+            try {
+                // Conditionnel : le rendez-vous a pu être annulé ou déplacé depuis la lecture
+                const { count } = await prisma.rendezVous.updateMany({
+                    where: { id: rdv.id, heureDebutActive: null, statut: { notIn: STATUTS_CRENEAU_LIBERE } },
+                    data: { heureDebutActive: rdv.heureDebut }
+                });
+                stats.modifiees += count;
+            } catch (error) {
+                if (error.code !== 'P2002') {
+                    throw error;
+                }
+                const occupe = await prisma.rendezVous.findFirst({
+                    where: { medecinId: rdv.medecinId, dateRendezVous: rdv.dateRendezVous, heureDebutActive: rdv.heureDebut },
+                    select: { id: true }
+                });
+                stats.conflits.push({ ...rdv, occupePar: occupe ? occupe.id : null });
+            }
+        }
+
+        cursor = rendezVous[rendezVous.length - 1].id;
+    }
+
+    console.log(`   ${stats.lignes} rendez-vous actif(s) sans créneau, ${stats.modifiees} ${dryRun ? 'à renseigner' : 'renseigné(s)'}`);
+
+    if (stats.conflits.length > 0) {
+        console.warn(`⚠️ ${stats.conflits.length} double(s) réservation(s) existante(s), non couverte(s) par la garde :`);
+        stats.conflits.forEach(conflit => {
+            console.warn(`   RDV ${conflit.id} (médecin ${conflit.medecinId}, ${conflit.dateRendezVous.toISOString().split('T')[0]} à ${conflit.heureDebut}) - créneau déjà occupé par ${conflit.occupePar || 'un autre rendez-vous'}`);
+        });
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('✅ Créneaux actifs renseignés');
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Erreur lors du renseignement des créneaux actifs:', error);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+    });
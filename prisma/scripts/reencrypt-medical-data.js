@@ -0,0 +1,100 @@
+/**
+ * Chiffrement / rechiffrement des données médicales existantes
+ *
+ * - Chiffre les valeurs encore en clair (données antérieures au chiffrement)
+ * - Rechiffre avec la clé active les valeurs chiffrées par une ancienne clé (rotation)
+ *
+ * Usage : npm run db:reencrypt [-- --dry-run]
+ * Rotation : ajouter la nouvelle clé en tête de FIELD_ENCRYPTION_KEYS_*, conserver l'ancienne,
+ * lancer ce script, puis retirer l'ancienne clé une fois le script terminé sans erreur.
+ */
+const { PrismaClient } = require('@prisma/client');
+const EncryptionService = require('../../services/EncryptionService');
+
+// Client sans l'extension de chiffrement : lecture et écriture des valeurs brutes
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 200;
+const dryRun = process.argv.includes('--dry-run');
+
+const MODELS = {
+    Patient: 'patient',
+    Consultation: 'consultation',
+    Ordonnance: 'ordonnance',
+    DossierMedicalVersion: 'dossierMedicalVersion',
+    MessageRendezVous: 'messageRendezVous'
+};
+
+async function reencryptModel(modelName) {
+    const delegate = prisma[MODELS[modelName]];
+    const champs = EncryptionService.ENCRYPTED_FIELDS[modelName];
+    const select = Object.fromEntries([['id', true], ...champs.map(champ => [champ, true])]);
+    const stats = { lignes: 0, modifiees: 0, conflits: 0 };
+    let cursor = null;
+
+    while (true) {
+        const lignes = await delegate.findMany({
+            select,
+            orderBy: { id: 'asc' },
+            take: BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        if (lignes.length === 0) {
+            break;
+        }
+
+        for (const ligne of lignes) {
+            stats.lignes++;
+            const champsARechiffrer = champs.filter(champ => EncryptionService.needsReencryption(ligne[champ]));
+
+            if (champsARechiffrer.length === 0) {
+                continue;
+            }
+
+            if (dryRun) {
+                stats.modifiees++;
+                continue;
+            }
+
+            const data = {};
+            const where = { id: ligne.id };
+            champsARechiffrer.forEach(champ => {
+                data[champ] = EncryptionService.encrypt(EncryptionService.decrypt(ligne[champ]));
+                // Ne pas écraser une valeur modifiée entre la lecture et l'écriture
+                where[champ] = { equals: ligne[champ] };
+            });
+
+            const { count } = await delegate.updateMany({ where, data });
+            if (count === 1) {
+                stats.modifiees++;
+            } else {
+                stats.conflits++;
+            }
+        }
+
+        cursor = lignes[lignes.length - 1].id;
+    }
+
+    return stats;
+}
+
+async function main() {
+    console.log(`🔐 ${dryRun ? '[SIMULATION] ' : ''}Rechiffrement des données médicales - clé active: ${EncryptionService.getActiveKeyId()}`);
+
+    for (const modelName of Object.keys(MODELS)) {
+        const stats = await reencryptModel(modelName);
+        console.log(`   ${modelName.padEnd(21)}: ${stats.lignes} ligne(s) analysée(s), ${stats.modifiees} ${dryRun ? 'à rechiffrer' : 'rechiffrée(s)'}${stats.conflits ? `, ${stats.conflits} modifiée(s) pendant la migration (relancer le script)` : ''}`);
+    }
+
+    console.log('✅ Rechiffrement terminé');
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Erreur lors du rechiffrement:', error);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+    });
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const AuditService = require('../../services/AuditService');
+
+const ACTIONS = ['LECTURE', 'CREATION', 'MODIFICATION', 'SUPPRESSION', 'EXPORT'];
+const ROLES = ['PATIENT', 'MEDECIN', 'ADMIN'];
+
+/**
+ * GET /admin/audit - Journal d'audit des accès aux données médicales
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    async (req, res) => {
+        try {
+            const adminUser = req.user;
+            const {
+                userId,
+                patientId,
+                role,
+                action,
+                ressource,
+                ressourceId,
+                adresseIP,
+                dateDebut,
+                dateFin,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 50, 100);
+
+            // Validation des filtres
+            const erreurs = [];
+            if (action && !ACTIONS.includes(action)) {
+                erreurs.push(`action doit être l'une des valeurs suivantes: ${ACTIONS.join(', ')}`);
+            }
+            if (role && !ROLES.includes(role)) {
+                erreurs.push(`role doit être l'une des valeurs suivantes: ${ROLES.join(', ')}`);
+            }
+            const debut = dateDebut ? new Date(dateDebut) : null;
+            const fin = dateFin ? new Date(dateFin) : null;
+            if ((debut && isNaN(debut.getTime())) || (fin && isNaN(fin.getTime()))) {
+                erreurs.push('dateDebut et dateFin doivent être des dates valides');
+            }
+
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Filtres invalides', { validationErrors: erreurs });
+            }
+
+            const where = {};
+            if (userId) where.userId = userId;
+            if (patientId) where.patientId = patientId;
+            if (role) where.role = role;
+            if (action) where.action = action;
+            if (ressource) where.ressource = ressource;
+            if (ressourceId) where.ressourceId = ressourceId;
+            if (adresseIP) where.adresseIP = adresseIP;
+            if (debut || fin) {
+                where.createdAt = {
+                    ...(debut && { gte: debut }),
+                    ...(fin && { lte: fin })
+                };
+            }
+
+            console.log(`🛡️ Admin ${adminUser.prenom} ${adminUser.nom} consulte le journal d'audit - Filtres: ${JSON.stringify(where)}`);
+
+            const [entrees, total] = await Promise.all([
+                prisma.auditLog.findMany({
+                    where,
+                    include: {
+                        user: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true,
+                                role: true
+                            }
+                        },
+                        patient: {
+                            select: {
+                                id: true,
+                                user: {
+                                    select: {
+                                        nom: true,
+                                        prenom: true
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    orderBy: { createdAt: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.auditLog.count({ where })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Journal d\'audit récupéré avec succès', {
+                entrees: entrees.map(entree => ({
+                    ...AuditService.format(entree),
+                    userAgent: entree.userAgent,
+                    details: entree.details,
+                    patient: entree.patient ? {
+                        id: entree.patient.id,
+                        nom: entree.patient.user.nom,
+                        prenom: entree.patient.user.prenom
+                    } : null
+                })),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                },
+                filtres: {
+                    userId: userId || null,
+                    patientId: patientId || null,
+                    role: role || null,
+                    action: action || null,
+                    ressource: ressource || null,
+                    ressourceId: ressourceId || null,
+                    adresseIP: adresseIP || null,
+                    dateDebut: debut,
+                    dateFin: fin
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur consultation journal d\'audit:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération du journal d\'audit');
+        }
+    }
+);
+
+module.exports = router;
@@ -1,10 +1,12 @@
 // routes/admin/cliniques/update.js
 const express = require('express');
 const router = express.Router();
+const { Prisma } = require('@prisma/client');
 const prisma = require('../../../prisma/client');
 const ApiResponse = require('../../../services/ApiResponse');
 const AuthMiddleware = require('../../../middleware/authMiddleware');
 const BodyFilter = require('../../../middleware/bodyFilterMiddleware');
+const PolitiqueAnnulationService = require('../../../services/PolitiqueAnnulationService');
 
 // Schéma de validation pour la modification d'une clinique
 const updateCliniqueSchema = {
@@ -46,6 +48,9 @@ const updateCliniqueSchema = {
         services: {
             type: 'array'
         },
+        politiqueAnnulation: {
+            type: 'object'
+        },
         active: {
             type: 'boolean'
         }
@@ -72,6 +77,7 @@ router.put('/:cliniqueId',
                 longitude,
                 horaires,
                 services,
+                politiqueAnnulation,
                 active
             } = req.body;
             
@@ -254,6 +260,23 @@ router.put('/:cliniqueId',
                 updateData.services = services;
             }
 
+            // Politique d'annulation par défaut des médecins de la clinique ({} pour revenir à celle de la plateforme)
+            if (politiqueAnnulation !== undefined) {
+                if (Object.keys(politiqueAnnulation).length === 0) {
+                    updateData.politiqueAnnulation = Prisma.DbNull;
+                } else {
+                    const { erreurs, politique } = PolitiqueAnnulationService.valider(politiqueAnnulation);
+                    if (erreurs.length > 0) {
+                        return ApiResponse.badRequest(res, 'Politique d\'annulation invalide', {
+                            code: 'INVALID_CANCELLATION_POLICY',
+                            field: 'politiqueAnnulation',
+                            validationErrors: erreurs
+                        });
+                    }
+                    updateData.politiqueAnnulation = { ...(cliniqueExistante.politiqueAnnulation || {}), ...politique };
+                }
+            }
+
             if (active !== undefined) {
                 updateData.active = active;
                 
@@ -319,6 +342,7 @@ router.put('/:cliniqueId',
                     longitude: cliniqueModifiee.longitude,
                     horaires: cliniqueModifiee.horaires,
                     services: cliniqueModifiee.services,
+                    politiqueAnnulation: cliniqueModifiee.politiqueAnnulation,
                     active: cliniqueModifiee.active,
                     createdAt: cliniqueModifiee.createdAt
                 },
@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../../prisma/client');
+const Consts = require('../../../config/const');
+const ApiResponse = require('../../../services/ApiResponse');
+const AuthMiddleware = require('../../../middleware/authMiddleware');
+const BodyFilter = require('../../../middleware/bodyFilterMiddleware');
+const NotificationService = require('../../../services/NotificationService');
+const ComptabiliteService = require('../../../services/ComptabiliteService');
+
+// Schéma de validation d'un versement (transfert effectué hors plateforme : mobile money ou virement)
+const versementSchema = {
+    fields: {
+        montant: {
+            type: 'number',
+            min: 1
+        },
+        operateur: {
+            type: 'string',
+            enum: Consts.PAIEMENT_CONFIG.operateurs
+        },
+        telephone: {
+            type: 'phone'
+        },
+        referenceOperateur: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 100
+        },
+        note: {
+            type: 'string',
+            maxLength: 500
+        }
+    },
+    required: ['montant', 'referenceOperateur'],
+    strict: true
+};
+
+const formatVersement = (versement) => ({
+    id: versement.id,
+    montant: Number(versement.montant),
+    devise: versement.devise,
+    operateur: versement.operateur,
+    telephone: versement.telephone,
+    referenceOperateur: versement.referenceOperateur,
+    note: versement.note,
+    effectueLe: versement.effectueLe,
+    effectuePar: versement.effectuePar || undefined
+});
+
+/**
+ * GET /admin/doctors/:medecinId/payouts - Solde dû au médecin et historique des versements
+ */
+router.get('/:medecinId/payouts',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    async (req, res) => {
+        try {
+            const { medecinId } = req.params;
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { id: medecinId },
+                select: { id: true, user: { select: { nom: true, prenom: true, telephone: true } } }
+            });
+
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Médecin non trouvé');
+            }
+
+            const [solde, versements, contestations] = await Promise.all([
+                ComptabiliteService.solde(prisma, medecin.id),
+                prisma.versementMedecin.findMany({
+                    where: { medecinId: medecin.id },
+                    include: { effectuePar: { select: { id: true, nom: true, prenom: true } } },
+                    orderBy: { effectueLe: 'desc' },
+                    take: 50
+                }),
+                prisma.remboursement.aggregate({
+                    where: { statut: 'EN_ATTENTE_VALIDATION', rendezVous: { medecinId: medecin.id } },
+                    _sum: { montant: true },
+                    _count: true
+                })
+            ]);
+
+            return ApiResponse.success(res, 'Versements du médecin récupérés', {
+                medecin: {
+                    id: medecin.id,
+                    nom: medecin.user.nom,
+                    prenom: medecin.user.prenom,
+                    telephone: medecin.user.telephone
+                },
+                devise: Consts.PAIEMENT_CONFIG.devise,
+                solde,
+                contestationsEnCours: {
+                    nombre: contestations._count,
+                    montant: Number(contestations._sum.montant || 0)
+                },
+                versements: versements.map(formatVersement)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération versements médecin:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des versements');
+        }
+    }
+);
+
+/**
+ * POST /admin/doctors/:medecinId/payouts - Enregistrer un versement des gains au médecin
+ * Le transfert est effectué hors plateforme ; son enregistrement le déduit du solde dû au médecin
+ */
+router.post('/:medecinId/payouts',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    BodyFilter.validate(versementSchema),
+    async (req, res) => {
+        try {
+            const adminUser = req.user;
+            const { medecinId } = req.params;
+            const { montant, operateur, telephone, referenceOperateur, note } = req.body;
+
+            if (telephone && !operateur) {
+                return ApiResponse.badRequest(res, 'operateur est requis pour un versement mobile money');
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { id: medecinId },
+                select: {
+                    id: true,
+                    user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+                }
+            });
+
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Médecin non trouvé');
+            }
+
+            const versement = await prisma.$transaction(async (tx) => {
+                // Versements du même médecin traités l'un après l'autre, sur le solde à jour
+                await ComptabiliteService.verrouillerMedecin(tx, medecin.id);
+                const solde = await ComptabiliteService.solde(tx, medecin.id);
+                if (montant > solde) {
+                    throw new Error('SOLDE_INSUFFISANT');
+                }
+
+                const nouveauVersement = await tx.versementMedecin.create({
+                    data: {
+                        medecinId: medecin.id,
+                        montant,
+                        devise: Consts.PAIEMENT_CONFIG.devise,
+                        operateur: operateur || null,
+                        telephone: telephone || null,
+                        referenceOperateur,
+                        note: note || null,
+                        effectueParUserId: adminUser.id
+                    }
+                });
+
+                await ComptabiliteService.enregistrerVersement(tx, nouveauVersement);
+                return nouveauVersement;
+            });
+
+            try {
+                await NotificationService.createAndSendNotification({
+                    userId: medecin.user.id,
+                    typeNotification: 'PAIEMENT',
+                    titre: 'Versement de vos gains 💰',
+                    message: `Un versement de ${montant} ${versement.devise} vous a été effectué${operateur ? ` via ${operateur}` : ''} (référence ${referenceOperateur}). Retrouvez le détail dans votre relevé de gains.`,
+                    canal: medecin.user.canalCommunicationPrefere || 'EMAIL',
+                    priorite: 'NORMALE',
+                    donneesSupplementaires: { versementId: versement.id }
+                });
+            } catch (notificationError) {
+                console.error('Erreur notification versement:', notificationError);
+            }
+
+            console.log(`💰 Admin ${adminUser.prenom} ${adminUser.nom} - versement de ${montant} ${versement.devise} au Dr ${medecin.user.nom} (réf. ${referenceOperateur})`);
+
+            return ApiResponse.created(res, 'Versement enregistré', {
+                versement: formatVersement(versement),
+                solde: await ComptabiliteService.solde(prisma, medecin.id)
+            });
+
+        } catch (error) {
+            if (error.message === 'SOLDE_INSUFFISANT') {
+                return ApiResponse.badRequest(res, 'Le montant du versement dépasse le solde dû au médecin');
+            }
+            console.error('❌ Erreur enregistrement versement médecin:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'enregistrement du versement');
+        }
+    }
+);
+
+module.exports = router;
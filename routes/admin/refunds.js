@@ -0,0 +1,285 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const RemboursementService = require('../../services/RemboursementService');
+const { getFournisseurParNom } = require('../../services/paiement/fournisseurs');
+
+const ORIGINES = ['ANNULATION', 'RENDEZ_VOUS_INACTIF', 'PAIEMENT_EN_DOUBLE', 'CONTESTATION'];
+
+// Schéma de validation d'une décision sur une contestation
+const decisionSchema = {
+    fields: {
+        decision: {
+            type: 'string',
+            enum: ['APPROUVER', 'REJETER']
+        },
+        montant: {
+            type: 'number',
+            min: 1
+        },
+        commentaire: {
+            type: 'string',
+            minLength: 5,
+            maxLength: 2000
+        }
+    },
+    required: ['decision', 'commentaire'],
+    strict: true
+};
+
+// Schéma de validation de l'exécution d'un remboursement (référence : remboursement effectué depuis le portail de l'opérateur)
+const executionSchema = {
+    fields: {
+        referenceOperateur: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 100
+        },
+        commentaire: {
+            type: 'string',
+            maxLength: 2000
+        }
+    },
+    required: [],
+    strict: true
+};
+
+const INCLUDE_LISTE = {
+    paiement: {
+        select: { id: true, montant: true, operateur: true, fournisseur: true, telephone: true, referenceFournisseur: true, payeLe: true }
+    },
+    rendezVous: {
+        select: {
+            id: true,
+            statut: true,
+            dateRendezVous: true,
+            heureDebut: true,
+            patient: { select: { user: { select: { nom: true, prenom: true } } } },
+            medecin: { select: { id: true, user: { select: { nom: true, prenom: true } } } }
+        }
+    },
+    demandePar: { select: { id: true, nom: true, prenom: true, role: true } },
+    decidePar: { select: { id: true, nom: true, prenom: true } }
+};
+
+const formatAdmin = (remboursement) => {
+    const fournisseur = getFournisseurParNom(remboursement.paiement.fournisseur);
+
+    return {
+        ...RemboursementService.format(remboursement),
+        tentatives: remboursement.tentatives,
+        remboursementAutomatique: !!fournisseur && typeof fournisseur.rembourser === 'function',
+        paiement: {
+            ...remboursement.paiement,
+            montant: Number(remboursement.paiement.montant)
+        },
+        rendezVous: {
+            id: remboursement.rendezVous.id,
+            statut: remboursement.rendezVous.statut,
+            dateRendezVous: remboursement.rendezVous.dateRendezVous,
+            heureDebut: remboursement.rendezVous.heureDebut,
+            patient: `${remboursement.rendezVous.patient.user.prenom} ${remboursement.rendezVous.patient.user.nom}`,
+            medecin: `Dr ${remboursement.rendezVous.medecin.user.prenom} ${remboursement.rendezVous.medecin.user.nom}`,
+            medecinId: remboursement.rendezVous.medecin.id
+        },
+        demandePar: remboursement.demandePar,
+        decidePar: remboursement.decidePar
+    };
+};
+
+/**
+ * GET /admin/refunds - Remboursements à traiter
+ * Par défaut : contestations à examiner et remboursements dus, les plus anciens en premier
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    async (req, res) => {
+        try {
+            const { statut, origine, medecinId, page = 1, limit = 20 } = req.query;
+
+            const erreurs = [];
+            const statuts = statut ? statut.split(',') : ['EN_ATTENTE_VALIDATION', 'A_EFFECTUER'];
+            if (statuts.some(s => !RemboursementService.STATUTS.includes(s))) {
+                erreurs.push(`statut doit contenir des valeurs parmi: ${RemboursementService.STATUTS.join(', ')}`);
+            }
+            if (origine && !ORIGINES.includes(origine)) {
+                erreurs.push(`origine doit être l'une des valeurs suivantes: ${ORIGINES.join(', ')}`);
+            }
+
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Filtres invalides', { validationErrors: erreurs });
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 100);
+
+            const where = { statut: { in: statuts } };
+            if (origine) where.origine = origine;
+            if (medecinId) where.rendezVous = { medecinId };
+
+            const [remboursements, total, parStatut] = await Promise.all([
+                prisma.remboursement.findMany({
+                    where,
+                    include: INCLUDE_LISTE,
+                    orderBy: { createdAt: 'asc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.remboursement.count({ where }),
+                prisma.remboursement.groupBy({
+                    by: ['statut'],
+                    _count: { _all: true },
+                    _sum: { montant: true }
+                })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Remboursements récupérés', {
+                remboursements: remboursements.map(formatAdmin),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                },
+                statistiques: {
+                    parStatut: Object.fromEntries(RemboursementService.STATUTS.map(s => {
+                        const groupe = parStatut.find(item => item.statut === s);
+                        return [s, {
+                            nombre: groupe ? groupe._count._all : 0,
+                            montant: groupe ? Number(groupe._sum.montant || 0) : 0
+                        }];
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste remboursements (admin):', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des remboursements');
+        }
+    }
+);
+
+/**
+ * PUT /admin/refunds/:id/decision - Statuer sur une contestation (montant accordé ajustable)
+ */
+router.put('/:id/decision',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    BodyFilter.validate(decisionSchema),
+    async (req, res) => {
+        try {
+            const { decision, montant, commentaire } = req.body;
+
+            if (decision === 'REJETER' && montant !== undefined) {
+                return ApiResponse.badRequest(res, 'Le montant ne s\'applique qu\'à une contestation approuvée');
+            }
+
+            await RemboursementService.statuer(req.params.id, req.user, {
+                decision,
+                montant: montant !== undefined ? montant : null,
+                commentaire
+            });
+
+            const remboursement = await prisma.remboursement.findUnique({
+                where: { id: req.params.id },
+                include: INCLUDE_LISTE
+            });
+
+            return ApiResponse.success(res, decision === 'APPROUVER' ?
+                (remboursement.statut === 'REMBOURSE' ? 'Contestation acceptée : patient remboursé' : 'Contestation acceptée : remboursement à effectuer') :
+                'Contestation rejetée', {
+                remboursement: formatAdmin(remboursement)
+            });
+
+        } catch (error) {
+            if (error.message === 'REMBOURSEMENT_NON_TROUVE') {
+                return ApiResponse.notFound(res, 'Remboursement non trouvé');
+            }
+            if (error.message === 'DECISION_DEJA_PRISE') {
+                return ApiResponse.conflict(res, 'Cette demande de remboursement n\'est plus en attente de décision');
+            }
+            if (error.message === 'MONTANT_INVALIDE') {
+                return ApiResponse.badRequest(res, 'Le montant accordé dépasse le montant encore remboursable du paiement');
+            }
+            console.error('❌ Erreur décision remboursement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la décision sur le remboursement');
+        }
+    }
+);
+
+/**
+ * PUT /admin/refunds/:id/execute - Effectuer un remboursement dû
+ * Avec referenceOperateur : remboursement fait depuis le portail de l'opérateur, enregistré comme effectué
+ * Sans : nouvelle tentative automatique auprès de l'opérateur (si son API le permet)
+ */
+router.put('/:id/execute',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    BodyFilter.validate(executionSchema),
+    async (req, res) => {
+        try {
+            const adminUser = req.user;
+            const { referenceOperateur, commentaire } = req.body;
+
+            const remboursement = await prisma.remboursement.findUnique({
+                where: { id: req.params.id },
+                include: RemboursementService.INCLUDE
+            });
+
+            if (!remboursement) {
+                return ApiResponse.notFound(res, 'Remboursement non trouvé');
+            }
+
+            if (remboursement.statut !== 'A_EFFECTUER') {
+                return ApiResponse.badRequest(res, remboursement.statut === 'EN_ATTENTE_VALIDATION' ?
+                    'Cette contestation doit d\'abord être approuvée' :
+                    `Ce remboursement n'est pas à effectuer (statut: ${remboursement.statut})`);
+            }
+
+            if (referenceOperateur) {
+                await RemboursementService.marquerRembourse(remboursement, {
+                    referenceFournisseur: referenceOperateur,
+                    decideParUserId: adminUser.id,
+                    commentaireAdmin: commentaire || null
+                });
+            } else {
+                const fournisseur = getFournisseurParNom(remboursement.paiement.fournisseur);
+                if (!fournisseur || typeof fournisseur.rembourser !== 'function') {
+                    return ApiResponse.badRequest(res, 'L\'opérateur ne permet pas le remboursement automatique : effectuez-le depuis son portail puis indiquez referenceOperateur');
+                }
+                await RemboursementService.effectuer(remboursement.id);
+            }
+
+            const remboursementAJour = await prisma.remboursement.findUnique({
+                where: { id: remboursement.id },
+                include: INCLUDE_LISTE
+            });
+
+            if (remboursementAJour.statut !== 'REMBOURSE') {
+                return ApiResponse.badRequest(res, `Le remboursement n'a pas abouti : ${remboursementAJour.motifEchec || 'erreur de l\'opérateur'}`, {
+                    remboursement: formatAdmin(remboursementAJour)
+                });
+            }
+
+            console.log(`💸 Admin ${adminUser.prenom} ${adminUser.nom} - remboursement ${remboursement.id} effectué${referenceOperateur ? ` (réf. ${referenceOperateur})` : ''}`);
+
+            return ApiResponse.success(res, 'Remboursement effectué', {
+                remboursement: formatAdmin(remboursementAJour)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur exécution remboursement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'exécution du remboursement');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../../prisma/client');
+const ApiResponse = require('../../../services/ApiResponse');
+const AuthMiddleware = require('../../../middleware/authMiddleware');
+const AuditService = require('../../../services/AuditService');
+const MessagerieRendezVousService = require('../../../services/MessagerieRendezVousService');
+
+/**
+ * GET /admin/tickets/:id/appointment-messages - Lecture seule de la messagerie du rendez-vous en litige
+ * Accessible uniquement via un ticket de catégorie LITIGE rattaché à un rendez-vous, chaque lecture est auditée
+ */
+router.get('/:id/appointment-messages',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    async (req, res) => {
+        try {
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                select: {
+                    id: true,
+                    categorie: true,
+                    rendezVous: {
+                        select: {
+                            id: true,
+                            dateRendezVous: true,
+                            heureDebut: true,
+                            statut: true,
+                            patientId: true,
+                            medecinId: true
+                        }
+                    }
+                }
+            });
+
+            if (!ticket) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            if (ticket.categorie !== 'LITIGE' || !ticket.rendezVous) {
+                return ApiResponse.forbidden(res, 'La messagerie d\'un rendez-vous n\'est consultable que dans le cadre d\'un litige sur ce rendez-vous');
+            }
+
+            const messages = await prisma.messageRendezVous.findMany({
+                where: { rendezVousId: ticket.rendezVous.id },
+                include: MessagerieRendezVousService.INCLUDE_AUTEUR,
+                orderBy: { createdAt: 'asc' }
+            });
+
+            await AuditService.log(req, {
+                action: 'LECTURE',
+                ressource: 'MESSAGERIE_RENDEZ_VOUS',
+                ressourceId: ticket.rendezVous.id,
+                patientId: ticket.rendezVous.patientId,
+                motif: `Litige - ticket ${ticket.id}`
+            });
+
+            return ApiResponse.success(res, 'Messagerie du rendez-vous récupérée', {
+                ticketId: ticket.id,
+                rendezVous: ticket.rendezVous,
+                messages: messages.map(message => MessagerieRendezVousService.formatMessage(message))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur lecture messagerie rendez-vous (litige):', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la messagerie');
+        }
+    }
+);
+
+module.exports = router;
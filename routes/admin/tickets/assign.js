@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../../prisma/client');
+const ApiResponse = require('../../../services/ApiResponse');
+const AuthMiddleware = require('../../../middleware/authMiddleware');
+const BodyFilter = require('../../../middleware/bodyFilterMiddleware');
+const TicketService = require('../../../services/TicketService');
+
+// Schéma de validation pour l'assignation (sans adminId : auto-assignation)
+const assignSchema = {
+    fields: {
+        adminId: {
+            type: 'string'
+        }
+    },
+    required: [],
+    strict: true
+};
+
+/**
+ * PUT /admin/tickets/:id/assign - Assigner un ticket à un administrateur
+ */
+router.put('/:id/assign',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    BodyFilter.validate(assignSchema),
+    async (req, res) => {
+        try {
+            const adminUser = req.user;
+            const adminId = req.body.adminId || adminUser.id;
+
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, statut: true }
+            });
+
+            if (!ticket) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            if (ticket.statut === 'FERME') {
+                return ApiResponse.badRequest(res, 'Un ticket fermé ne peut pas être réassigné');
+            }
+
+            if (adminId !== adminUser.id) {
+                const assigne = await prisma.user.findUnique({
+                    where: { id: adminId },
+                    select: { role: true, statut: true }
+                });
+
+                if (!assigne || assigne.role !== 'ADMIN' || assigne.statut !== 'ACTIF') {
+                    return ApiResponse.badRequest(res, 'adminId doit désigner un administrateur actif');
+                }
+            }
+
+            const ticketAssigne = await prisma.ticketSupport.update({
+                where: { id: ticket.id },
+                data: {
+                    assigneAAdminId: adminId,
+                    // La prise en charge d'un nouveau ticket le passe en cours de traitement
+                    ...(ticket.statut === 'OUVERT' && { statut: 'EN_COURS' })
+                },
+                include: {
+                    assigneAAdmin: {
+                        select: {
+                            id: true,
+                            nom: true,
+                            prenom: true
+                        }
+                    }
+                }
+            });
+
+            console.log(`🎫 Ticket ${ticket.id} assigné à ${ticketAssigne.assigneAAdmin.prenom} ${ticketAssigne.assigneAAdmin.nom} par ${adminUser.prenom} ${adminUser.nom}`);
+
+            return ApiResponse.success(res, 'Ticket assigné avec succès', TicketService.format(ticketAssigne));
+
+        } catch (error) {
+            console.error('❌ Erreur assignation ticket:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'assignation du ticket');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../../prisma/client');
+const ApiResponse = require('../../../services/ApiResponse');
+const AuthMiddleware = require('../../../middleware/authMiddleware');
+const TicketService = require('../../../services/TicketService');
+
+/**
+ * GET /admin/tickets/:id - Détail complet d'un ticket (notes internes incluses)
+ */
+router.get('/:id',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    async (req, res) => {
+        try {
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            nom: true,
+                            prenom: true,
+                            role: true
+                        }
+                    },
+                    assigneAAdmin: {
+                        select: {
+                            id: true,
+                            nom: true,
+                            prenom: true
+                        }
+                    },
+                    messages: {
+                        include: {
+                            auteur: {
+                                select: {
+                                    id: true,
+                                    nom: true,
+                                    prenom: true,
+                                    role: true
+                                }
+                            }
+                        },
+                        orderBy: { createdAt: 'asc' }
+                    },
+                    rendezVous: {
+                        select: {
+                            id: true,
+                            dateRendezVous: true,
+                            heureDebut: true,
+                            statut: true,
+                            patientId: true,
+                            medecinId: true
+                        }
+                    }
+                }
+            });
+
+            if (!ticket) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            return ApiResponse.success(res, 'Ticket récupéré avec succès', {
+                ...TicketService.format(ticket),
+                rendezVous: ticket.rendezVous
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur détail ticket admin:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération du ticket');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../../prisma/client');
+const ApiResponse = require('../../../services/ApiResponse');
+const AuthMiddleware = require('../../../middleware/authMiddleware');
+const TicketService = require('../../../services/TicketService');
+
+const STATUTS = ['OUVERT', 'EN_COURS', 'EN_ATTENTE', 'RESOLU', 'FERME'];
+const PRIORITES = ['BASSE', 'NORMALE', 'HAUTE', 'CRITIQUE'];
+const CATEGORIES = ['BUG', 'QUESTION', 'LITIGE', 'SUGGESTION', 'AUTRE'];
+
+/**
+ * GET /admin/tickets - File d'attente du support
+ * Par défaut : tickets non clôturés, triés par échéance de résolution
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    async (req, res) => {
+        try {
+            const adminUser = req.user;
+            const {
+                statut,
+                priorite,
+                categorie,
+                assigneA,
+                enRetard,
+                recherche,
+                page = 1,
+                limit = 20
+            } = req.query;
+
+            // Validation des filtres
+            const erreurs = [];
+            const statuts = statut ? statut.split(',') : TicketService.STATUTS_OUVERTS;
+            if (statuts.some(s => !STATUTS.includes(s))) {
+                erreurs.push(`statut doit contenir des valeurs parmi: ${STATUTS.join(', ')}`);
+            }
+            if (priorite && !PRIORITES.includes(priorite)) {
+                erreurs.push(`priorite doit être l'une des valeurs suivantes: ${PRIORITES.join(', ')}`);
+            }
+            if (categorie && !CATEGORIES.includes(categorie)) {
+                erreurs.push(`categorie doit être l'une des valeurs suivantes: ${CATEGORIES.join(', ')}`);
+            }
+
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Filtres invalides', { validationErrors: erreurs });
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 100);
+            const maintenant = new Date();
+
+            const where = { statut: { in: statuts } };
+            if (priorite) where.priorite = priorite;
+            if (categorie) where.categorie = categorie;
+
+            // assigneA : "moi", "aucun" ou identifiant d'un administrateur
+            if (assigneA === 'moi') {
+                where.assigneAAdminId = adminUser.id;
+            } else if (assigneA === 'aucun') {
+                where.assigneAAdminId = null;
+            } else if (assigneA) {
+                where.assigneAAdminId = assigneA;
+            }
+
+            if (enRetard === 'true') {
+                where.OR = [
+                    { datePremiereReponse: null, dateEcheanceReponse: { lt: maintenant } },
+                    { dateEcheanceResolution: { lt: maintenant } }
+                ];
+            }
+
+            if (recherche) {
+                where.AND = [{
+                    OR: [
+                        { sujet: { contains: recherche } },
+                        { description: { contains: recherche } },
+                        { user: { email: { contains: recherche } } },
+                        { user: { nom: { contains: recherche } } }
+                    ]
+                }];
+            }
+
+            console.log(`🎫 Admin ${adminUser.prenom} ${adminUser.nom} consulte la file support - Filtres: ${JSON.stringify(req.query)}`);
+
+            const [tickets, total, parStatut, enRetardCount] = await Promise.all([
+                prisma.ticketSupport.findMany({
+                    where,
+                    include: {
+                        user: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true,
+                                role: true
+                            }
+                        },
+                        assigneAAdmin: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true
+                            }
+                        },
+                        _count: {
+                            select: { messages: true }
+                        }
+                    },
+                    orderBy: [
+                        { dateEcheanceResolution: 'asc' },
+                        { createdAt: 'asc' }
+                    ],
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.ticketSupport.count({ where }),
+                prisma.ticketSupport.groupBy({
+                    by: ['statut'],
+                    _count: { _all: true }
+                }),
+                prisma.ticketSupport.count({
+                    where: {
+                        statut: { in: TicketService.STATUTS_OUVERTS },
+                        OR: [
+                            { datePremiereReponse: null, dateEcheanceReponse: { lt: maintenant } },
+                            { dateEcheanceResolution: { lt: maintenant } }
+                        ]
+                    }
+                })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'File d\'attente du support récupérée avec succès', {
+                tickets: tickets.map(ticket => TicketService.format(ticket)),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                },
+                statistiques: {
+                    parStatut: Object.fromEntries(STATUTS.map(s => [
+                        s,
+                        (parStatut.find(groupe => groupe.statut === s) || { _count: { _all: 0 } })._count._all
+                    ])),
+                    enRetard: enRetardCount
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur file support admin:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la file support');
+        }
+    }
+);
+
+module.exports = router;
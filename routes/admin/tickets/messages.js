@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../../prisma/client');
+const Consts = require('../../../config/const');
+const ApiResponse = require('../../../services/ApiResponse');
+const AuthMiddleware = require('../../../middleware/authMiddleware');
+const BodyFilter = require('../../../middleware/bodyFilterMiddleware');
+const UploadMiddleware = require('../../../middleware/uploadMiddleware');
+const TicketService = require('../../../services/TicketService');
+const NotificationService = require('../../../services/NotificationService');
+
+// Schéma de validation pour une réponse du support (multipart/form-data)
+const messageSchema = {
+    fields: {
+        message: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 5000
+        },
+        interne: {
+            type: 'string',
+            enum: ['true', 'false']
+        }
+    },
+    required: ['message'],
+    strict: true
+};
+
+/**
+ * POST /admin/tickets/:id/messages - Répondre au demandeur ou ajouter une note interne
+ */
+router.post('/:id/messages',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    UploadMiddleware.files('piecesJointes', Consts.TICKET_CONFIG.maxPiecesJointes),
+    BodyFilter.validate(messageSchema),
+    async (req, res) => {
+        let piecesJointes = [];
+
+        try {
+            const adminUser = req.user;
+            const interne = req.body.interne === 'true';
+
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            nom: true,
+                            prenom: true,
+                            canalCommunicationPrefere: true
+                        }
+                    }
+                }
+            });
+
+            if (!ticket) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            if (ticket.statut === 'FERME' && !interne) {
+                return ApiResponse.badRequest(res, 'Ce ticket est fermé, seules les notes internes sont possibles');
+            }
+
+            piecesJointes = await TicketService.enregistrerPiecesJointes(req.files);
+
+            // Une réponse visible lance le minuteur de première réponse et la prise en charge
+            const data = {};
+            if (!interne) {
+                if (!ticket.datePremiereReponse) {
+                    data.datePremiereReponse = new Date();
+                }
+                if (ticket.statut === 'OUVERT') {
+                    data.statut = 'EN_COURS';
+                }
+                if (!ticket.assigneAAdminId) {
+                    data.assigneAAdminId = adminUser.id;
+                }
+            }
+
+            const [message, ticketMisAJour] = await prisma.$transaction([
+                prisma.messageTicket.create({
+                    data: {
+                        ticketId: ticket.id,
+                        auteurId: adminUser.id,
+                        message: req.body.message,
+                        interne,
+                        piecesJointes: piecesJointes.length > 0 ? piecesJointes : undefined
+                    },
+                    include: {
+                        auteur: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true,
+                                role: true
+                            }
+                        }
+                    }
+                }),
+                prisma.ticketSupport.update({
+                    where: { id: ticket.id },
+                    data
+                })
+            ]);
+
+            if (!interne) {
+                try {
+                    await NotificationService.notifyReponseTicket(ticketMisAJour, ticket.user);
+                } catch (notificationError) {
+                    console.error('Erreur notification réponse ticket:', notificationError);
+                }
+            }
+
+            console.log(`💬 ${interne ? 'Note interne' : 'Réponse'} sur le ticket ${ticket.id} par ${adminUser.prenom} ${adminUser.nom}`);
+
+            return ApiResponse.created(res, interne ? 'Note interne ajoutée' : 'Réponse envoyée au demandeur', {
+                ticketId: ticket.id,
+                statut: ticketMisAJour.statut,
+                sla: TicketService.getSla(ticketMisAJour),
+                message: TicketService.formatMessage(message)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur message ticket admin:', error);
+            await TicketService.supprimerPiecesJointes(piecesJointes);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'envoi du message');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../../prisma/client');
+const ApiResponse = require('../../../services/ApiResponse');
+const AuthMiddleware = require('../../../middleware/authMiddleware');
+const BodyFilter = require('../../../middleware/bodyFilterMiddleware');
+const TicketService = require('../../../services/TicketService');
+const NotificationService = require('../../../services/NotificationService');
+
+// Schéma de validation pour le changement de statut / priorité
+const statusSchema = {
+    fields: {
+        statut: {
+            type: 'string',
+            enum: ['OUVERT', 'EN_COURS', 'EN_ATTENTE', 'RESOLU', 'FERME']
+        },
+        resolution: {
+            type: 'string',
+            minLength: 5,
+            maxLength: 5000
+        },
+        priorite: {
+            type: 'string',
+            enum: ['BASSE', 'NORMALE', 'HAUTE', 'CRITIQUE']
+        }
+    },
+    required: [],
+    strict: true
+};
+
+/**
+ * PUT /admin/tickets/:id/status - Faire avancer un ticket dans le workflow
+ */
+router.put('/:id/status',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['ADMIN']),
+    BodyFilter.validate(statusSchema),
+    async (req, res) => {
+        try {
+            const adminUser = req.user;
+            const { statut, resolution, priorite } = req.body;
+
+            if (!statut && !priorite) {
+                return ApiResponse.badRequest(res, 'Au moins un des champs statut ou priorite est requis');
+            }
+
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            nom: true,
+                            prenom: true,
+                            role: true,
+                            canalCommunicationPrefere: true
+                        }
+                    }
+                }
+            });
+
+            if (!ticket) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            const changementStatut = statut && statut !== ticket.statut;
+
+            if (changementStatut && !TicketService.peutTransitionner(ticket.statut, statut)) {
+                return ApiResponse.badRequest(res, `Transition ${ticket.statut} → ${statut} non autorisée`, {
+                    transitionsPossibles: TicketService.TRANSITIONS[ticket.statut]
+                });
+            }
+
+            if (statut === 'RESOLU' && changementStatut && !resolution && !ticket.resolution) {
+                return ApiResponse.badRequest(res, 'Une résolution est requise pour marquer le ticket comme résolu');
+            }
+
+            if (ticket.statut === 'FERME' && priorite) {
+                return ApiResponse.badRequest(res, 'La priorité d\'un ticket fermé ne peut plus être modifiée');
+            }
+
+            const maintenant = new Date();
+            const data = {};
+
+            if (changementStatut) {
+                data.statut = statut;
+                if (statut === 'RESOLU') {
+                    data.dateResolution = maintenant;
+                } else if (statut === 'FERME') {
+                    data.dateFermeture = maintenant;
+                } else if (ticket.statut === 'RESOLU') {
+                    data.dateResolution = null; // Réouverture
+                }
+            }
+
+            if (resolution) {
+                data.resolution = resolution;
+            }
+
+            // Les échéances SLA sont recalculées depuis la création du ticket
+            if (priorite && priorite !== ticket.priorite) {
+                data.priorite = priorite;
+                Object.assign(data, TicketService.calculerEcheances(priorite, ticket.createdAt));
+            }
+
+            const ticketMisAJour = await prisma.ticketSupport.update({
+                where: { id: ticket.id },
+                data,
+                include: {
+                    assigneAAdmin: {
+                        select: {
+                            id: true,
+                            nom: true,
+                            prenom: true
+                        }
+                    }
+                }
+            });
+
+            if (changementStatut) {
+                try {
+                    await NotificationService.notifyStatutTicket(ticketMisAJour, ticket.user);
+                } catch (notificationError) {
+                    console.error('Erreur notification statut ticket:', notificationError);
+                }
+            }
+
+            console.log(`🎫 Ticket ${ticket.id} mis à jour par ${adminUser.prenom} ${adminUser.nom}${changementStatut ? ` - ${ticket.statut} → ${statut}` : ''}${data.priorite ? ` - priorité ${data.priorite}` : ''}`);
+
+            return ApiResponse.success(res, 'Ticket mis à jour avec succès', TicketService.format(ticketMisAJour));
+
+        } catch (error) {
+            console.error('❌ Erreur mise à jour statut ticket:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la mise à jour du ticket');
+        }
+    }
+);
+
+module.exports = router;
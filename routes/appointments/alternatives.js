@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const NotificationService = require('../../services/NotificationService');
+const RappelService = require('../../services/RappelService');
+const TempsReelService = require('../../services/TempsReelService');
+const TeleconsultationService = require('../../services/TeleconsultationService');
+const CreneauAlternatifService = require('../../services/CreneauAlternatifService');
+const PolitiqueAnnulationService = require('../../services/PolitiqueAnnulationService');
+const PaiementService = require('../../services/PaiementService');
+const Consts = require('../../config/const');
+
+/**
+ * Demande refusée avec ses parties
+ */
+const chargerDemandeRefusee = (rendezVousId) => prisma.rendezVous.findUnique({
+    where: { id: rendezVousId },
+    include: {
+        patient: {
+            include: {
+                user: { select: { id: true, nom: true, prenom: true } }
+            }
+        },
+        medecin: {
+            include: {
+                user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+            }
+        }
+    }
+});
+
+/**
+ * GET /appointments/:id/alternatives - Créneaux alternatifs proposés par le médecin avec son refus
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const rendezVous = await chargerDemandeRefusee(req.params.id);
+
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+            if (rendezVous.patient.user.id !== user.id && rendezVous.medecin.user.id !== user.id) {
+                return ApiResponse.unauthorized(res, 'Vous n\'êtes pas autorisé à consulter ce rendez-vous');
+            }
+
+            const creneaux = await CreneauAlternatifService.lister(rendezVous);
+
+            return ApiResponse.success(res, 'Créneaux alternatifs récupérés', {
+                rendezVousRefuse: {
+                    id: rendezVous.id,
+                    statut: rendezVous.statut,
+                    dateRendezVous: rendezVous.dateRendezVous,
+                    heureDebut: rendezVous.heureDebut,
+                    typeConsultation: rendezVous.typeConsultation
+                },
+                creneauxAlternatifs: creneaux.map(creneau => CreneauAlternatifService.format(creneau))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération créneaux alternatifs:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des créneaux alternatifs');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/alternatives/:creneauId/accept - Réserver un créneau alternatif
+ * Le médecin l'ayant lui-même proposé, le nouveau rendez-vous est directement confirmé, sauf pour un patient
+ * récidiviste si la politique d'annulation du médecin exige sa confirmation (rendez-vous en DEMANDE)
+ * et sauf prépaiement exigé par le médecin (rendez-vous EN_ATTENTE confirmé au paiement)
+ */
+router.post('/:creneauId/accept',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const patientUser = req.user;
+            const { creneauId } = req.params;
+            const rendezVous = await chargerDemandeRefusee(req.params.id);
+
+            if (!rendezVous || rendezVous.patient.user.id !== patientUser.id) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+            if (rendezVous.statut !== 'REFUSE') {
+                return ApiResponse.badRequest(res, 'Seule une demande refusée peut donner lieu à un créneau alternatif');
+            }
+
+            const creneau = await prisma.creneauAlternatif.findFirst({
+                where: { id: creneauId, rendezVousRefuseId: rendezVous.id }
+            });
+
+            if (!creneau) {
+                return ApiResponse.notFound(res, 'Créneau alternatif non trouvé');
+            }
+
+            const maintenant = new Date();
+            if (creneau.statut !== 'PROPOSE' || creneau.expireLe <= maintenant) {
+                const statut = creneau.statut === 'PROPOSE' ? 'EXPIRE' : creneau.statut;
+                return ApiResponse.badRequest(res, `Ce créneau alternatif n'est plus disponible (statut: ${statut})`);
+            }
+
+            // Créneau pris par quelqu'un d'autre depuis la proposition : elle tombe
+            if (await CreneauAlternatifService.creneauPris(prisma, creneau, rendezVous.patientId)) {
+                await prisma.creneauAlternatif.updateMany({
+                    where: { id: creneau.id, statut: 'PROPOSE' },
+                    data: { statut: 'PRIS' }
+                });
+                return ApiResponse.conflict(res, 'Ce créneau a été réservé entre-temps : choisissez un autre créneau proposé ou faites une nouvelle demande');
+            }
+
+            const { politique } = await PolitiqueAnnulationService.getPolitique(prisma, rendezVous.medecinId);
+            const fiabilite = await PolitiqueAnnulationService.getFiabilite(prisma, rendezVous.patientId, politique);
+            // Prépaiement exigé : créneau retenu jusqu'à l'échéance du paiement, comme à l'acceptation d'une demande
+            const echeancePaiement = !fiabilite.confirmationRequise && PaiementService.prepaiementExige(rendezVous.medecin, creneau.tarif) ?
+                PaiementService.calculerEcheance(creneau) : null;
+            const statutInitial = fiabilite.confirmationRequise ? 'DEMANDE' : (echeancePaiement ? 'EN_ATTENTE' : 'CONFIRME');
+
+            const nouveauRdv = await prisma.$transaction(async (tx) => {
+                // Mise à jour conditionnelle : un seul créneau de la proposition peut être retenu
+                const { count } = await tx.creneauAlternatif.updateMany({
+                    where: { id: creneau.id, statut: 'PROPOSE', expireLe: { gt: maintenant } },
+                    data: { statut: 'ACCEPTE' }
+                });
+                if (count === 0) {
+                    throw new Error('CRENEAU_CLOS');
+                }
+
+                if (await CreneauAlternatifService.creneauPris(tx, creneau, rendezVous.patientId)) {
+                    throw new Error('CRENEAU_PRIS');
+                }
+
+                const rdv = await tx.rendezVous.create({
+                    data: {
+                        patientId: rendezVous.patientId,
+                        medecinId: rendezVous.medecinId,
+                        dateRendezVous: creneau.dateRendezVous,
+                        heureDebut: creneau.heureDebut,
+                        heureFin: creneau.heureFin,
+                        typeConsultation: creneau.typeConsultation,
+                        statut: statutInitial,
+                        motifConsultation: rendezVous.motifConsultation,
+                        symptomes: rendezVous.symptomes,
+                        niveauUrgence: rendezVous.niveauUrgence,
+                        tarif: creneau.tarif,
+                        echeancePaiement,
+                        ...(creneau.typeConsultation === 'DOMICILE' && {
+                            adresseConsultation: rendezVous.adresseConsultation,
+                            latitudeDomicile: rendezVous.latitudeDomicile,
+                            longitudeDomicile: rendezVous.longitudeDomicile,
+                            communeDomicile: rendezVous.communeDomicile,
+                            distanceDomicileKm: rendezVous.distanceDomicileKm,
+                            fraisDeplacement: rendezVous.fraisDeplacement
+                        }),
+                        ...(creneau.typeConsultation === 'CLINIQUE' && rendezVous.medecin.cliniqueId && { cliniqueId: rendezVous.medecin.cliniqueId })
+                    }
+                });
+
+                await tx.creneauAlternatif.update({
+                    where: { id: creneau.id },
+                    data: { rendezVousId: rdv.id }
+                });
+
+                // Les autres créneaux proposés avec le même refus n'ont plus lieu d'être
+                await tx.creneauAlternatif.updateMany({
+                    where: { rendezVousRefuseId: rendezVous.id, statut: 'PROPOSE' },
+                    data: { statut: 'EXPIRE' }
+                });
+
+                await tx.rendezVousHistorique.create({
+                    data: {
+                        rendezVousId: rdv.id,
+                        statutPrecedent: null,
+                        nouveauStatut: statutInitial,
+                        motifModification: `Créneau alternatif proposé par le Dr ${rendezVous.medecin.user.nom} lors du refus de la demande du ${rendezVous.dateRendezVous.toLocaleDateString('fr-FR')}, accepté par le patient` +
+                            (fiabilite.confirmationRequise ? ' (patient récidiviste : confirmation du médecin requise)' : '') +
+                            (echeancePaiement ? ', en attente du paiement' : ''),
+                        modifieParUserId: patientUser.id,
+                        dateModification: maintenant
+                    }
+                });
+
+                if (statutInitial === 'CONFIRME') {
+                    await RappelService.planifier(tx, rdv.id);
+                }
+
+                return rdv;
+            });
+
+            try {
+                await NotificationService.createAndSendNotification({
+                    userId: rendezVous.medecin.user.id,
+                    typeNotification: 'RENDEZ_VOUS',
+                    titre: fiabilite.confirmationRequise ? 'Créneau alternatif accepté - confirmation requise' : '✅ Créneau alternatif accepté',
+                    message: fiabilite.confirmationRequise ?
+                        `${patientUser.prenom} ${patientUser.nom} a accepté le créneau que vous avez proposé le ${nouveauRdv.dateRendezVous.toLocaleDateString('fr-FR')} à ${nouveauRdv.heureDebut}. ⚠️ Patient récidiviste (${fiabilite.annulationsTardives} annulation(s) tardive(s) et ${fiabilite.absences} absence(s) sur ${fiabilite.periodeJours} jours) : confirmez ou refusez la demande.` :
+                        echeancePaiement ?
+                            `${patientUser.prenom} ${patientUser.nom} a accepté le créneau que vous avez proposé le ${nouveauRdv.dateRendezVous.toLocaleDateString('fr-FR')} à ${nouveauRdv.heureDebut} : le rendez-vous sera confirmé dès son paiement.` :
+                            `${patientUser.prenom} ${patientUser.nom} a accepté le créneau que vous avez proposé : rendez-vous confirmé le ${nouveauRdv.dateRendezVous.toLocaleDateString('fr-FR')} à ${nouveauRdv.heureDebut}.`,
+                    canal: rendezVous.medecin.user.canalCommunicationPrefere || 'EMAIL',
+                    priorite: 'NORMALE',
+                    donneesSupplementaires: {
+                        rendezVousId: nouveauRdv.id,
+                        confirmationRequise: fiabilite.confirmationRequise,
+                        echeancePaiement,
+                        rendezVousRefuseId: rendezVous.id,
+                        creneauAlternatifId: creneau.id
+                    }
+                });
+            } catch (notificationError) {
+                console.error('Erreur notification créneau alternatif:', notificationError);
+            }
+
+            // Salle virtuelle si le rendez-vous est une téléconsultation (à la confirmation par le médecin ou au paiement sinon)
+            if (statutInitial === 'CONFIRME') {
+                await TeleconsultationService.preparerSalle(nouveauRdv.id);
+            }
+
+            // Événement temps réel pour le patient et le médecin
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_CREE, nouveauRdv.id, {
+                creneauAlternatifId: creneau.id,
+                rendezVousRefuseId: rendezVous.id
+            });
+
+            console.log(`📅 Créneau alternatif accepté: ${patientUser.prenom} ${patientUser.nom} - Dr ${rendezVous.medecin.user.nom} le ${creneau.dateRendezVous.toISOString().split('T')[0]} à ${creneau.heureDebut}`);
+
+            const messageSucces = fiabilite.confirmationRequise ?
+                'Créneau réservé : le médecin doit confirmer le rendez-vous' :
+                echeancePaiement ?
+                    'Créneau réservé : réglez la consultation pour confirmer le rendez-vous' :
+                    'Rendez-vous confirmé sur le créneau proposé par le médecin';
+
+            return ApiResponse.created(res, messageSucces, {
+                rendezVous: {
+                    id: nouveauRdv.id,
+                    statut: nouveauRdv.statut,
+                    dateRendezVous: nouveauRdv.dateRendezVous,
+                    heureDebut: nouveauRdv.heureDebut,
+                    heureFin: nouveauRdv.heureFin,
+                    typeConsultation: nouveauRdv.typeConsultation,
+                    tarif: nouveauRdv.tarif,
+                    echeancePaiement: nouveauRdv.echeancePaiement
+                },
+                creneauAlternatif: CreneauAlternatifService.format({ ...creneau, statut: 'ACCEPTE', rendezVousId: nouveauRdv.id }),
+                medecin: {
+                    nom: rendezVous.medecin.user.nom,
+                    prenom: rendezVous.medecin.user.prenom
+                },
+                prochaines_etapes: fiabilite.confirmationRequise ? [
+                    'En raison de vos annulations tardives ou absences récentes, le médecin doit confirmer ce rendez-vous',
+                    'Vous serez notifié de sa réponse'
+                ] : echeancePaiement ? [
+                    `Réglez la consultation (${Number(nouveauRdv.tarif)} ${Consts.PAIEMENT_CONFIG.devise}) par mobile money avant le ${echeancePaiement.toLocaleString('fr-FR')} (POST /v1/appointments/${nouveauRdv.id}/payment) : le rendez-vous sera alors confirmé, sinon annulé`,
+                    'Vous recevrez des rappels avant le rendez-vous une fois celui-ci confirmé'
+                ] : [
+                    'Le rendez-vous est confirmé, le médecin a été notifié',
+                    'Vous recevrez des rappels avant le rendez-vous'
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur acceptation créneau alternatif:', error);
+
+            if (error.message === 'CRENEAU_CLOS') {
+                return ApiResponse.conflict(res, 'Ce créneau alternatif n\'est plus disponible');
+            }
+            if (error.message === 'CRENEAU_PRIS' || error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Ce créneau vient d\'être réservé : choisissez un autre créneau proposé ou faites une nouvelle demande');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de la réservation du créneau alternatif');
+        }
+    }
+);
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const RappelService = require('../../services/RappelService');
+const TempsReelService = require('../../services/TempsReelService');
+const NotificationService = require('../../services/NotificationService');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+const PolitiqueAnnulationService = require('../../services/PolitiqueAnnulationService');
+const TeleconsultationService = require('../../services/TeleconsultationService');
+const PaiementService = require('../../services/PaiementService');
+const RemboursementService = require('../../services/RemboursementService');
 
 // Schéma de validation pour l'annulation
 const cancelAppointmentSchema = {
@@ -93,27 +102,27 @@ router.delete('/:id',
             const maintenant = new Date();
             const heuresAvantRdv = (dateRdv - maintenant) / (1000 * 60 * 60);
 
-            // Règles d'annulation selon le délai
-            let annulationGratuite = false;
-            let fraisAnnulation = 0;
-            let messageDelai = '';
-
             if (heuresAvantRdv < 0) {
                 return ApiResponse.badRequest(res, 'Impossible d\'annuler un rendez-vous passé');
-            } else if (heuresAvantRdv >= 24) {
-                annulationGratuite = true;
-                messageDelai = 'Annulation gratuite (plus de 24h à l\'avance)';
-            } else if (heuresAvantRdv >= 12) {
-                fraisAnnulation = rendezVous.tarif * 0.25; // 25% du tarif
-                messageDelai = 'Annulation avec frais (12-24h à l\'avance): 25% du tarif';
-            } else if (heuresAvantRdv >= 2) {
-                fraisAnnulation = rendezVous.tarif * 0.50; // 50% du tarif
-                messageDelai = 'Annulation avec frais (2-12h à l\'avance): 50% du tarif';
-            } else {
-                fraisAnnulation = rendezVous.tarif; // 100% du tarif
-                messageDelai = 'Annulation avec frais (moins de 2h à l\'avance): 100% du tarif';
             }
 
+            // Règles d'annulation selon la politique du médecin (ou de sa clinique)
+            const { politique } = await PolitiqueAnnulationService.getPolitique(prisma, rendezVous.medecinId);
+            const evaluation = PolitiqueAnnulationService.evaluerAnnulation(politique, heuresAvantRdv, rendezVous.tarif);
+
+            if (estPatientProprietaire && !evaluation.autorisee) {
+                return ApiResponse.badRequest(res, evaluation.message, {
+                    code: 'ANNULATION_TARDIVE_INTERDITE',
+                    delaiMinimumHeures: politique.delaiMinimumHeures
+                });
+            }
+
+            let annulationGratuite = evaluation.frais === 0;
+            let fraisAnnulation = evaluation.frais;
+            let messageDelai = evaluation.message;
+            // Seules les annulations tardives par le patient d'un RDV accepté comptent dans sa fiabilité
+            const annulationTardive = estPatientProprietaire && evaluation.tardive && rendezVous.statut !== 'DEMANDE';
+
             // Exceptions pour les médecins (moins de restrictions)
             if (user.role === 'MEDECIN' && heuresAvantRdv >= 2) {
                 annulationGratuite = true;
@@ -121,13 +130,18 @@ router.delete('/:id',
                 messageDelai = 'Annulation par le médecin (plus de 2h à l\'avance)';
             }
 
+            const consultationPayee = await prisma.paiement.count({
+                where: { rendezVousId, statut: 'REUSSI' }
+            }) > 0;
+
             // Traitement de l'annulation en transaction
             const result = await prisma.$transaction(async (tx) => {
                 // Mise à jour du RDV - seulement le statut (champs existants)
                 const rdvAnnule = await tx.rendezVous.update({
                     where: { id: rendezVousId },
                     data: {
-                        statut: 'ANNULE'
+                        statut: 'ANNULE',
+                        echeancePaiement: null
                     }
                 });
 
@@ -143,47 +157,38 @@ router.delete('/:id',
                     }
                 });
 
-                // Déterminer qui notifier
-                const destinataireNotification = estPatientProprietaire ? 
-                    rendezVous.medecin.user : rendezVous.patient.user;
+                // Les rappels programmés n'ont plus lieu d'être
+                await RappelService.annuler(tx, rendezVousId);
 
-                const expediteur = estPatientProprietaire ? 
-                    `${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom}` :
-                    `Dr ${rendezVous.medecin.user.nom}`;
+                // Un paiement mobile money pas encore validé ne doit plus confirmer le rendez-vous
+                await PaiementService.annulerEnAttente(tx, rendezVousId);
 
-                // Notification à l'autre partie
-                await tx.notification.create({
-                    data: {
-                        userId: destinataireNotification.id,
-                        typeNotification: 'RENDEZ_VOUS',
-                        titre: '🚫 Rendez-vous annulé',
-                        message: `Le rendez-vous du ${dateRdv.toLocaleDateString('fr-FR')} à ${dateRdv.toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'})} avec ${expediteur} a été annulé. Motif: ${motifAnnulation}`,
-                        statut: 'EN_ATTENTE',
-                        priorite: heuresAvantRdv < 24 ? 'HAUTE' : 'NORMALE',
-                        canal: destinataireNotification.canalCommunicationPrefere || 'EMAIL',
-                        donneesSupplementaires: JSON.stringify({
-                            rendezVousId: rdvAnnule.id,
-                            annulePar: user.role,
-                            heuresAvantRdv: Math.round(heuresAvantRdv * 10) / 10,
-                            fraisAnnulation,
-                            annulationGratuite
-                        })
-                    }
+                // Une reprogrammation en attente de réponse devient sans objet
+                await tx.propositionReprogrammation.updateMany({
+                    where: { rendezVousId, statut: 'EN_ATTENTE' },
+                    data: { statut: 'ANNULEE' }
                 });
 
-                // Gestion simplifiée du remboursement (sans modèle dédié)
-                let remboursement = null;
-                if (demandeRemboursement && (annulationGratuite || user.role === 'MEDECIN')) {
-                    // Pour l'instant, on indique juste qu'une demande a été faite
-                    // Le remboursement sera géré manuellement ou par un autre système
-                    remboursement = {
-                        demande: true,
-                        montant: rendezVous.tarif - fraisAnnulation,
-                        statut: 'EN_ATTENTE',
-                        note: 'Demande de remboursement enregistrée - traitement manuel requis'
-                    };
+                if (annulationTardive) {
+                    await PolitiqueAnnulationService.enregistrerIncident(tx, {
+                        patientId: rendezVous.patientId,
+                        rendezVousId,
+                        type: 'ANNULATION_TARDIVE',
+                        heuresAvantRdv,
+                        fraisAppliques: fraisAnnulation,
+                        signaleParUserId: user.id
+                    });
                 }
 
+                // Consultation déjà payée : remboursement selon la politique d'annulation (intégral si le médecin annule),
+                // le patient pouvant contester les frais retenus (demandeRemboursement) auprès d'un administrateur
+                const remboursements = await RemboursementService.preparerApresAnnulation(tx, rendezVous, {
+                    montantRetenu: estPatientProprietaire ? fraisAnnulation : 0,
+                    contestation: estPatientProprietaire && demandeRemboursement,
+                    motif: `Annulation par ${user.role.toLowerCase()}: ${motifAnnulation}`,
+                    demandeParUserId: user.id
+                });
+
                 return {
                     rdvAnnule: {
                         ...rdvAnnule,
@@ -194,10 +199,18 @@ router.delete('/:id',
                         fraisAnnulation,
                         annulationGratuite
                     },
-                    remboursement
+                    remboursements
                 };
             });
 
+            // Remboursement immédiat lorsque l'opérateur le permet (sinon par le worker ou un administrateur)
+            const remboursements = [];
+            for (const remboursement of result.remboursements) {
+                remboursements.push(await RemboursementService.effectuer(remboursement.id));
+            }
+            const remboursementDu = remboursements.find(remboursement => remboursement.origine === 'ANNULATION');
+            const contestation = remboursements.find(remboursement => remboursement.origine === 'CONTESTATION');
+
             // Calcul du temps humainement lisible
             const tempsAvantRdv = heuresAvantRdv >= 24 ?
                 `${Math.floor(heuresAvantRdv / 24)} jour(s)` :
@@ -220,6 +233,8 @@ router.delete('/:id',
                     frais: fraisAnnulation,
                     delaiAnnulation: tempsAvantRdv,
                     messageDelai,
+                    tardive: annulationTardive,
+                    delaiMinimumHeures: politique.delaiMinimumHeures,
                     tarifOriginal: rendezVous.tarif
                 },
                 partenaire: estPatientProprietaire ? {
@@ -232,14 +247,21 @@ router.delete('/:id',
                     nom: rendezVous.patient.user.nom,
                     prenom: rendezVous.patient.user.prenom
                 },
-                remboursement: result.remboursement ? {
+                remboursement: remboursements.length > 0 ? {
                     demande: true,
-                    montant: result.remboursement.montant,
-                    statut: result.remboursement.statut,
-                    delaiTraitement: '3-5 jours ouvrés'
+                    montant: remboursementDu ? Number(remboursementDu.montant) : 0,
+                    statut: remboursementDu ? remboursementDu.statut : null,
+                    delaiTraitement: remboursementDu && remboursementDu.statut !== 'REMBOURSE' ?
+                        Consts.PAIEMENT_CONFIG.remboursement.delaiTraitement : null,
+                    contestation: contestation ? {
+                        montant: Number(contestation.montant),
+                        statut: contestation.statut,
+                        note: 'Les frais retenus seront remboursés si un administrateur accepte votre contestation'
+                    } : null,
+                    remboursements: remboursements.map(remboursement => RemboursementService.format(remboursement))
                 } : {
                     demande: false,
-                    raison: !annulationGratuite ? 'Annulation tardive avec frais' : 'Pas de remboursement demandé'
+                    raison: !consultationPayee ? 'Consultation non payée' : 'Frais d\'annulation retenus sur la totalité du paiement'
                 },
                 consequences: {
                     creneauLibere: true,
@@ -258,6 +280,35 @@ router.delete('/:id',
                 'Rendez-vous annulé avec succès (sans frais)' :
                 `Rendez-vous annulé avec des frais de ${fraisAnnulation} XOF`;
 
+            // Notification à l'autre partie
+            try {
+                await NotificationService.notifyRendezVousAnnule(rendezVous, motifAnnulation, user.role, {
+                    tardive: annulationTardive,
+                    frais: fraisAnnulation
+                });
+            } catch (notificationError) {
+                console.error('Erreur notification annulation:', notificationError);
+            }
+
+            // Le créneau libéré est proposé au premier patient de la liste d'attente
+            try {
+                await ListeAttenteService.proposerCreneau({
+                    medecinId: rendezVous.medecinId,
+                    typeConsultation: rendezVous.typeConsultation,
+                    dateRendezVous: rendezVous.dateRendezVous,
+                    heureDebut: rendezVous.heureDebut,
+                    heureFin: rendezVous.heureFin
+                });
+            } catch (listeAttenteError) {
+                console.error('Erreur liste d\'attente après annulation:', listeAttenteError);
+            }
+
+            // Fermeture de la salle virtuelle d'une téléconsultation
+            await TeleconsultationService.fermerSalle(rendezVous.id);
+
+            // Événement temps réel pour le patient et le médecin
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_ANNULE, rendezVous.id, { annulePar: user.role });
+
             console.log(`❌ RDV annulé: ${user.prenom} ${user.nom} (${user.role}) - RDV du ${dateRdv.toLocaleDateString()} avec frais: ${fraisAnnulation}`);
 
             return ApiResponse.success(res, message, reponse);
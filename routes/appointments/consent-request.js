@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const ConsentementService = require('../../services/ConsentementService');
+const NotificationService = require('../../services/NotificationService');
+
+// Schéma de validation pour la demande d'accès au dossier médical
+const consentRequestSchema = {
+    fields: {
+        portees: {
+            type: 'array'
+        },
+        motif: {
+            type: 'string',
+            minLength: 5,
+            maxLength: 500
+        }
+    },
+    required: ['portees', 'motif'],
+    strict: true
+};
+
+/**
+ * POST /appointments/:id/consent-request - Demande d'accès au dossier médical du patient
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    BodyFilter.validate(consentRequestSchema),
+    async (req, res) => {
+        try {
+            const medecinUser = req.user;
+            const rendezVousId = req.params.id;
+            const { portees, motif } = req.body;
+
+            const porteesUniques = [...new Set(portees)];
+            const porteesInvalides = ConsentementService.getPorteesInvalides(porteesUniques);
+            if (porteesUniques.length === 0 || porteesInvalides.length > 0) {
+                return ApiResponse.badRequest(res, `portees doit contenir au moins une des valeurs suivantes: ${ConsentementService.PORTEES.join(', ')}`, {
+                    porteesInvalides
+                });
+            }
+
+            const rendezVous = await prisma.rendezVous.findUnique({
+                where: { id: rendezVousId },
+                include: {
+                    patient: {
+                        include: {
+                            user: {
+                                select: {
+                                    id: true,
+                                    nom: true,
+                                    prenom: true,
+                                    canalCommunicationPrefere: true
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            if (rendezVous.medecinId !== medecinUser.medecin.id) {
+                return ApiResponse.forbidden(res, 'Vous n\'êtes pas le médecin de ce rendez-vous');
+            }
+
+            if (!['DEMANDE', 'EN_ATTENTE', 'CONFIRME', 'TERMINE'].includes(rendezVous.statut)) {
+                return ApiResponse.badRequest(res, 'Une demande d\'accès ne peut pas être émise depuis un rendez-vous annulé ou refusé');
+            }
+
+            const where = {
+                patientId_medecinId: {
+                    patientId: rendezVous.patientId,
+                    medecinId: medecinUser.medecin.id
+                }
+            };
+            const existant = await prisma.consentementMedical.findUnique({ where });
+
+            // Après un refus ou une révocation, le patient n'est pas sollicité de nouveau avant la fin du délai
+            const prochaineDemandePossible = ConsentementService.getProchaineDemandePossible(existant);
+            if (prochaineDemandePossible) {
+                return ApiResponse.badRequest(res, `Le patient a refusé ou révoqué l'accès récemment : nouvelle demande possible à partir du ${prochaineDemandePossible.toLocaleDateString('fr-FR')}`, {
+                    prochaineDemandePossible
+                });
+            }
+
+            // Les portées déjà accordées ne sont pas redemandées
+            const porteesAccordees = ConsentementService.estActif(existant) ? existant.portees : [];
+            const porteesManquantes = porteesUniques.filter(portee => !porteesAccordees.includes(portee));
+
+            if (porteesManquantes.length === 0) {
+                return ApiResponse.conflict(res, 'Le patient vous a déjà accordé l\'accès à ces informations');
+            }
+
+            const demande = {
+                rendezVousId,
+                porteesDemandees: porteesManquantes,
+                motifDemande: motif.trim(),
+                dateDemande: new Date()
+            };
+
+            const consentement = await prisma.consentementMedical.upsert({
+                where,
+                create: {
+                    patientId: rendezVous.patientId,
+                    medecinId: medecinUser.medecin.id,
+                    statut: 'EN_ATTENTE',
+                    portees: [],
+                    ...demande
+                },
+                update: {
+                    // Un accès actif reste en vigueur pendant l'examen de la demande d'extension
+                    ...(porteesAccordees.length === 0 && { statut: 'EN_ATTENTE' }),
+                    ...demande
+                }
+            });
+
+            try {
+                await NotificationService.notifyDemandeConsentement(consentement, rendezVous.patient.user, medecinUser);
+            } catch (notificationError) {
+                console.error('Erreur notification demande consentement:', notificationError);
+            }
+
+            console.log(`🔐 Demande d'accès: Dr ${medecinUser.nom} → patient ${rendezVous.patientId} [${porteesManquantes.join(', ')}] - RDV ${rendezVousId}`);
+
+            return ApiResponse.created(res, 'Demande d\'accès envoyée au patient', ConsentementService.format(consentement));
+
+        } catch (error) {
+            console.error('❌ Erreur demande de consentement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'envoi de la demande d\'accès');
+        }
+    }
+);
+
+module.exports = router;
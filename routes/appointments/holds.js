@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+const ReservationTemporaireService = require('../../services/ReservationTemporaireService');
+
+const JOURS = ['DIMANCHE', 'LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI'];
+
+// Schéma de validation pour la réservation temporaire d'un créneau
+const holdSchema = {
+    fields: {
+        medecinId: {
+            type: 'string',
+            minLength: 1
+        },
+        dateHeureDebut: {
+            type: 'string'
+        },
+        typeConsultation: {
+            type: 'string',
+            enum: ['CLINIQUE', 'DOMICILE', 'TELECONSULTATION']
+        },
+        dureeEstimee: {
+            type: 'number',
+            min: 15,
+            max: 120
+        }
+    },
+    required: ['medecinId', 'dateHeureDebut', 'typeConsultation'],
+    strict: true
+};
+
+const getPatient = (userId) => prisma.patient.findUnique({
+    where: { userId },
+    select: { id: true }
+});
+
+/**
+ * POST /appointments/holds - Retenir un créneau le temps de finaliser la demande de rendez-vous
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(holdSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { medecinId, dateHeureDebut, typeConsultation, dureeEstimee = 30 } = req.body;
+            const { dureeMinutes, delaiMinimalAvantRdvMinutes, maxActivesParPatient } = Consts.RESERVATION_TEMPORAIRE_CONFIG;
+
+            const debut = new Date(dateHeureDebut);
+            if (isNaN(debut.getTime())) {
+                return ApiResponse.badRequest(res, 'dateHeureDebut invalide');
+            }
+            if (debut.getTime() < Date.now() + delaiMinimalAvantRdvMinutes * 60 * 1000) {
+                return ApiResponse.badRequest(res, `Le créneau doit commencer au minimum ${delaiMinimalAvantRdvMinutes} minutes à l'avance`);
+            }
+
+            const patient = await getPatient(user.id);
+            if (!patient) {
+                return ApiResponse.badRequest(res, 'Profil patient incomplet. Veuillez compléter votre profil avant de prendre rendez-vous');
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: {
+                    id: medecinId,
+                    statutValidation: 'VALIDE'
+                },
+                include: {
+                    user: { select: { statut: true } },
+                    disponibilites: { where: { bloque: false } }
+                }
+            });
+
+            if (!medecin || medecin.user.statut !== 'ACTIF') {
+                return ApiResponse.notFound(res, 'Médecin non trouvé ou non disponible pour de nouveaux patients');
+            }
+
+            const typeAutorise = {
+                'CLINIQUE': medecin.accepteclinique,
+                'DOMICILE': medecin.accepteDomicile,
+                'TELECONSULTATION': medecin.accepteTeleconsultation
+            };
+            if (!typeAutorise[typeConsultation]) {
+                return ApiResponse.badRequest(res, `Le médecin ne propose pas de consultation de type ${typeConsultation}`);
+            }
+
+            const fin = new Date(debut.getTime() + dureeEstimee * 60 * 1000);
+            const creneau = {
+                medecinId,
+                dateRendezVous: new Date(debut.toISOString().split('T')[0]),
+                heureDebut: debut.toISOString().slice(11, 16),
+                heureFin: fin.toISOString().slice(11, 16)
+            };
+
+            // Même contrôle de disponibilité que la demande de rendez-vous
+            const disponibiliteCompatible = medecin.disponibilites.find(dispo =>
+                dispo.jourSemaine === JOURS[debut.getUTCDay()] &&
+                dispo.typeConsultation === typeConsultation &&
+                dispo.heureDebut <= creneau.heureDebut &&
+                dispo.heureFin >= creneau.heureFin
+            );
+            if (!disponibiliteCompatible || creneau.heureFin < creneau.heureDebut) {
+                return ApiResponse.badRequest(res, 'Le médecin n\'est pas disponible à cette date et heure pour ce type de consultation');
+            }
+
+            const reservationsActives = await prisma.reservationTemporaire.count({
+                where: { patientId: patient.id, statut: 'ACTIVE', expireLe: { gt: new Date() } }
+            });
+            if (reservationsActives >= maxActivesParPatient) {
+                return ApiResponse.badRequest(res, `Vous avez déjà ${maxActivesParPatient} créneaux retenus : finalisez ou libérez-en un avant d'en retenir un autre`);
+            }
+
+            const reservation = await prisma.$transaction(async (tx) => {
+                if (await ListeAttenteService.creneauOccupe(tx, creneau)) {
+                    throw new Error('CRENEAU_INDISPONIBLE');
+                }
+
+                await ReservationTemporaireService.libererEchues(tx, creneau);
+
+                // L'index unique (médecin, date, heure de début active) tranche entre deux réservations simultanées
+                return await tx.reservationTemporaire.create({
+                    data: {
+                        patientId: patient.id,
+                        medecinId,
+                        typeConsultation,
+                        dateRendezVous: creneau.dateRendezVous,
+                        heureDebut: creneau.heureDebut,
+                        heureFin: creneau.heureFin,
+                        heureDebutActive: creneau.heureDebut,
+                        expireLe: ReservationTemporaireService.calculerExpiration()
+                    }
+                });
+            });
+
+            console.log(`⏱️ Créneau retenu: ${user.prenom} ${user.nom} - médecin ${medecinId} le ${creneau.dateRendezVous.toISOString().split('T')[0]} à ${creneau.heureDebut}`);
+
+            return ApiResponse.created(res, `Créneau retenu pendant ${dureeMinutes} minutes`, {
+                reservation: ReservationTemporaireService.format(reservation),
+                prochaines_etapes: [
+                    'Finalisez votre demande (POST /v1/appointments/request) avec reservationTemporaireId avant l\'expiration',
+                    'Passé ce délai, le créneau redevient disponible pour les autres patients'
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur réservation temporaire de créneau:', error);
+
+            if (error.message === 'CRENEAU_INDISPONIBLE' || error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Ce créneau n\'est plus disponible');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de la réservation du créneau');
+        }
+    }
+);
+
+/**
+ * GET /appointments/holds - Créneaux retenus par le patient connecté
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const patient = await getPatient(req.user.id);
+            if (!patient) {
+                return ApiResponse.success(res, 'Créneaux retenus récupérés', { reservations: [] });
+            }
+
+            const reservations = await prisma.reservationTemporaire.findMany({
+                where: { patientId: patient.id, statut: 'ACTIVE', expireLe: { gt: new Date() } },
+                orderBy: { expireLe: 'asc' }
+            });
+
+            return ApiResponse.success(res, 'Créneaux retenus récupérés', {
+                reservations: reservations.map(reservation => ReservationTemporaireService.format(reservation))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération créneaux retenus:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des créneaux retenus');
+        }
+    }
+);
+
+/**
+ * DELETE /appointments/holds/:reservationId - Libérer un créneau retenu
+ */
+router.delete('/:reservationId',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const patient = await getPatient(req.user.id);
+            const reservation = patient && await prisma.reservationTemporaire.findFirst({
+                where: { id: req.params.reservationId, patientId: patient.id }
+            });
+
+            if (!reservation) {
+                return ApiResponse.notFound(res, 'Réservation de créneau non trouvée');
+            }
+
+            const { count } = await prisma.reservationTemporaire.updateMany({
+                where: { id: reservation.id, statut: 'ACTIVE' },
+                data: { statut: 'LIBEREE', heureDebutActive: null }
+            });
+            if (count === 0) {
+                return ApiResponse.badRequest(res, `Cette réservation n'est plus active (statut: ${reservation.statut})`);
+            }
+
+            return ApiResponse.success(res, 'Créneau libéré', {
+                reservation: ReservationTemporaireService.format({ ...reservation, statut: 'LIBEREE' })
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur libération créneau retenu:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la libération du créneau');
+        }
+    }
+);
+
+module.exports = router;
@@ -4,6 +4,11 @@ const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const ContactMaskingService = require('../../services/ContactMaskingService');
+const CreneauAlternatifService = require('../../services/CreneauAlternatifService');
+const SerieRendezVousService = require('../../services/SerieRendezVousService');
+const TeleconsultationService = require('../../services/TeleconsultationService');
+const MessagerieRendezVousService = require('../../services/MessagerieRendezVousService');
+const PaiementService = require('../../services/PaiementService');
 
 /**
  * GET /appointments - Lister les rendez-vous de l'utilisateur
@@ -124,6 +129,42 @@ router.get('/',
                                 diagnostic: true,
                                 documentsJoints: true
                             }
+                        },
+                        propositionsReprogrammation: {
+                            where: { statut: 'EN_ATTENTE', expireLe: { gt: new Date() } },
+                            select: {
+                                id: true,
+                                roleProposant: true,
+                                proposeParUserId: true,
+                                creneaux: true,
+                                expireLe: true
+                            }
+                        },
+                        creneauxAlternatifs: {
+                            where: { statut: 'PROPOSE', expireLe: { gt: new Date() } },
+                            orderBy: [{ dateRendezVous: 'asc' }, { heureDebut: 'asc' }]
+                        },
+                        serie: {
+                            select: {
+                                id: true,
+                                statut: true,
+                                intervalle: true,
+                                uniteIntervalle: true,
+                                nombreOccurrences: true
+                            }
+                        },
+                        sessionTeleconsultation: {
+                            select: { statut: true, dureeEffectiveMinutes: true }
+                        },
+                        paiements: {
+                            where: { statut: { in: ['REUSSI', 'EN_ATTENTE'] } },
+                            orderBy: { createdAt: 'desc' },
+                            select: { id: true, statut: true, operateur: true, montant: true, expireLe: true, payeLe: true }
+                        },
+                        _count: {
+                            select: {
+                                messages: { where: { auteurId: { not: user.id }, luLe: null } }
+                            }
                         }
                     },
                     skip: offset,
@@ -244,6 +285,51 @@ router.get('/',
                     aDocuments: rdv.consultation.documentsJoints ? (Array.isArray(rdv.consultation.documentsJoints) ? rdv.consultation.documentsJoints.length : 0) : 0
                 } : null;
 
+                // Reprogrammation en attente de réponse (le créneau affiché reste celui d'origine)
+                const [propositionEnCours] = rdv.propositionsReprogrammation;
+                rdvEnrichi.reprogrammationEnCours = propositionEnCours ? {
+                    propositionId: propositionEnCours.id,
+                    proposePar: propositionEnCours.roleProposant,
+                    creneaux: propositionEnCours.creneaux,
+                    expireLe: propositionEnCours.expireLe
+                } : null;
+
+                // Créneaux proposés par le médecin avec son refus, réservables par le patient
+                rdvEnrichi.creneauxAlternatifs = rdv.statut === 'REFUSE' ?
+                    rdv.creneauxAlternatifs.map(creneau => CreneauAlternatifService.format(creneau)) : [];
+
+                // Série de suivi à laquelle appartient le rendez-vous
+                rdvEnrichi.serie = rdv.serie ? {
+                    id: rdv.serie.id,
+                    statut: rdv.serie.statut,
+                    numeroOccurrence: rdv.numeroOccurrence,
+                    nombreOccurrences: rdv.serie.nombreOccurrences,
+                    recurrence: SerieRendezVousService.libelleRecurrence(rdv.serie)
+                } : null;
+
+                // Salle de téléconsultation : fenêtre de connexion et état
+                const fenetreTeleconsultation = rdv.typeConsultation === 'TELECONSULTATION' ?
+                    TeleconsultationService.fenetreConnexion(rdv) : null;
+                rdvEnrichi.teleconsultation = fenetreTeleconsultation ? {
+                    ...fenetreTeleconsultation,
+                    statut: rdv.sessionTeleconsultation ? rdv.sessionTeleconsultation.statut : null,
+                    dureeEffectiveMinutes: rdv.sessionTeleconsultation ? rdv.sessionTeleconsultation.dureeEffectiveMinutes : null
+                } : null;
+
+                // Messagerie du rendez-vous : messages reçus non lus
+                rdvEnrichi.messagesNonLus = rdv._count.messages;
+
+                // Paiement de la consultation (prépaiement : le RDV EN_ATTENTE est confirmé au paiement)
+                const paiementReussi = rdv.paiements.find(paiement => paiement.statut === 'REUSSI');
+                const paiementEnCours = rdv.paiements.find(paiement => paiement.statut === 'EN_ATTENTE' && paiement.expireLe > maintenant);
+                rdvEnrichi.paiement = {
+                    paye: !!paiementReussi,
+                    payeLe: paiementReussi ? paiementReussi.payeLe : null,
+                    operateur: paiementReussi ? paiementReussi.operateur : null,
+                    enCours: paiementEnCours ? { id: paiementEnCours.id, operateur: paiementEnCours.operateur, expireLe: paiementEnCours.expireLe } : null,
+                    echeancePaiement: rdv.echeancePaiement
+                };
+
                 // Actions possibles selon le statut et le rôle
                 rdvEnrichi.actionsPossibles = [];
 
@@ -256,12 +342,42 @@ router.get('/',
                 if (['DEMANDE', 'EN_ATTENTE', 'CONFIRME'].includes(rdv.statut) && !estPasse) {
                     rdvEnrichi.actionsPossibles.push('ANNULER');
 
-                    // Reprogrammer possible pour les RDV confirmés ou en attente
-                    if (['EN_ATTENTE', 'CONFIRME'].includes(rdv.statut)) {
+                    // Reprogrammer possible pour les RDV confirmés, une proposition à la fois
+                    if (rdv.statut === 'CONFIRME' && !propositionEnCours) {
                         rdvEnrichi.actionsPossibles.push('REPROGRAMMER');
+                    } else if (propositionEnCours) {
+                        rdvEnrichi.actionsPossibles.push(propositionEnCours.proposeParUserId === user.id ?
+                            'RETIRER_REPROGRAMMATION' : 'REPONDRE_REPROGRAMMATION');
                     }
                 }
 
+                // Réserver l'un des créneaux alternatifs (patient, demande refusée)
+                if (rdvEnrichi.creneauxAlternatifs.length > 0 && user.role === 'PATIENT') {
+                    rdvEnrichi.actionsPossibles.push('CHOISIR_CRENEAU_ALTERNATIF');
+                }
+
+                // Signaler l'absence du patient (médecin, RDV confirmé déjà commencé)
+                if (rdv.statut === 'CONFIRME' && user.role === 'MEDECIN' && estPasse) {
+                    rdvEnrichi.actionsPossibles.push('SIGNALER_ABSENCE');
+                }
+
+                // Rejoindre la salle de téléconsultation (patient et médecin, pendant la fenêtre de connexion)
+                if (rdv.statut === 'CONFIRME' && fenetreTeleconsultation &&
+                    maintenant >= fenetreTeleconsultation.ouverture && maintenant <= fenetreTeleconsultation.fermeture &&
+                    (!rdv.sessionTeleconsultation || TeleconsultationService.STATUTS_OUVERTS.includes(rdv.sessionTeleconsultation.statut))) {
+                    rdvEnrichi.actionsPossibles.push('REJOINDRE_TELECONSULTATION');
+                }
+
+                // Écrire à l'autre partie (RDV confirmé, ou terminé depuis peu)
+                if (MessagerieRendezVousService.peutEcrire(rdv).autorise) {
+                    rdvEnrichi.actionsPossibles.push('ECRIRE_MESSAGE');
+                }
+
+                // Payer la consultation par mobile money (patient, aucun paiement réussi ou en cours)
+                if (user.role === 'PATIENT' && !paiementReussi && !paiementEnCours && PaiementService.peutPayer(rdv).autorise) {
+                    rdvEnrichi.actionsPossibles.push('PAYER');
+                }
+
                 // Évaluer après un RDV terminé
                 if (rdv.statut === 'TERMINE' && !rdvEnrichi.evaluation.aEvalue) {
                     rdvEnrichi.actionsPossibles.push('EVALUER');
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const UploadMiddleware = require('../../middleware/uploadMiddleware');
+const TempsReelService = require('../../services/TempsReelService');
+const MessagerieRendezVousService = require('../../services/MessagerieRendezVousService');
+
+// Schéma de validation d'un message (multipart/form-data, texte facultatif si pièces jointes)
+const messageSchema = {
+    fields: {
+        contenu: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 5000
+        }
+    },
+    required: [],
+    strict: true
+};
+
+const getRendezVous = (rendezVousId) => prisma.rendezVous.findUnique({
+    where: { id: rendezVousId },
+    select: {
+        id: true,
+        statut: true,
+        dateRendezVous: true,
+        heureDebut: true,
+        heureFin: true,
+        patient: {
+            select: {
+                userId: true,
+                user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+            }
+        },
+        medecin: {
+            select: {
+                userId: true,
+                user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+            }
+        }
+    }
+});
+
+/**
+ * GET /appointments/:id/messages - Fil de messages du rendez-vous
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const rendezVous = await getRendezVous(req.params.id);
+
+            if (!rendezVous || !MessagerieRendezVousService.estParticipant(rendezVous, user)) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const messages = await prisma.messageRendezVous.findMany({
+                where: { rendezVousId: rendezVous.id },
+                include: MessagerieRendezVousService.INCLUDE_AUTEUR,
+                orderBy: { createdAt: 'asc' }
+            });
+
+            const ecriture = MessagerieRendezVousService.peutEcrire(rendezVous);
+
+            return ApiResponse.success(res, 'Messages récupérés', {
+                rendezVousId: rendezVous.id,
+                statutRendezVous: rendezVous.statut,
+                ecritureAutorisee: ecriture.autorise,
+                motifFermeture: ecriture.motif,
+                nonLus: messages.filter(message => message.auteurId !== user.id && !message.luLe).length,
+                messages: messages.map(message => MessagerieRendezVousService.formatMessage(message, user.id))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération messages rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des messages');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/messages - Écrire à l'autre partie (texte et/ou pièces jointes)
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    UploadMiddleware.files('piecesJointes', Consts.MESSAGERIE_CONFIG.maxPiecesJointes),
+    BodyFilter.validate(messageSchema),
+    async (req, res) => {
+        let piecesJointes = [];
+
+        try {
+            const user = req.user;
+            const { contenu } = req.body;
+            const rendezVous = await getRendezVous(req.params.id);
+
+            if (!rendezVous || !MessagerieRendezVousService.estParticipant(rendezVous, user)) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const ecriture = MessagerieRendezVousService.peutEcrire(rendezVous);
+            if (!ecriture.autorise) {
+                return ApiResponse.badRequest(res, ecriture.motif);
+            }
+
+            if (!contenu && (!req.files || req.files.length === 0)) {
+                return ApiResponse.badRequest(res, 'Le message doit contenir du texte ou au moins une pièce jointe');
+            }
+
+            piecesJointes = await MessagerieRendezVousService.enregistrerPiecesJointes(req.files);
+
+            const message = await prisma.messageRendezVous.create({
+                data: {
+                    rendezVousId: rendezVous.id,
+                    auteurId: user.id,
+                    contenu: contenu || null,
+                    piecesJointes: piecesJointes.length > 0 ? piecesJointes : undefined
+                },
+                include: MessagerieRendezVousService.INCLUDE_AUTEUR
+            });
+
+            await MessagerieRendezVousService.notifierDestinataire(rendezVous, user, message);
+
+            const destinataireId = user.role === 'MEDECIN' ? rendezVous.patient.userId : rendezVous.medecin.userId;
+            await TempsReelService.publier(destinataireId, TempsReelService.TYPES.MESSAGE_RENDEZ_VOUS, {
+                rendezVousId: rendezVous.id,
+                message: MessagerieRendezVousService.formatMessage(message, destinataireId)
+            });
+
+            console.log(`💬 Message RDV ${rendezVous.id} par ${user.prenom} ${user.nom} (${user.role})${piecesJointes.length > 0 ? ` - ${piecesJointes.length} pièce(s) jointe(s)` : ''}`);
+
+            return ApiResponse.created(res, 'Message envoyé', {
+                message: MessagerieRendezVousService.formatMessage(message, user.id)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur envoi message rendez-vous:', error);
+            await MessagerieRendezVousService.supprimerPiecesJointes(piecesJointes);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'envoi du message');
+        }
+    }
+);
+
+/**
+ * PUT /appointments/:id/messages/read - Marquer comme lus les messages reçus (accusés de lecture)
+ */
+router.put('/read',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const rendezVous = await getRendezVous(req.params.id);
+
+            if (!rendezVous || !MessagerieRendezVousService.estParticipant(rendezVous, user)) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const luLe = new Date();
+            const { count } = await prisma.messageRendezVous.updateMany({
+                where: {
+                    rendezVousId: rendezVous.id,
+                    auteurId: { not: user.id },
+                    luLe: null
+                },
+                data: { luLe }
+            });
+
+            // Accusé de lecture pour l'auteur des messages
+            if (count > 0) {
+                const auteurId = user.role === 'MEDECIN' ? rendezVous.patient.userId : rendezVous.medecin.userId;
+                await TempsReelService.publier(auteurId, TempsReelService.TYPES.MESSAGES_LUS, {
+                    rendezVousId: rendezVous.id,
+                    luLe,
+                    nombre: count
+                });
+            }
+
+            return ApiResponse.success(res, count > 0 ? `${count} message(s) marqué(s) comme lu(s)` : 'Aucun message non lu', {
+                rendezVousId: rendezVous.id,
+                messagesLus: count,
+                luLe: count > 0 ? luLe : null
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur lecture messages rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors du marquage des messages');
+        }
+    }
+);
+
+module.exports = router;
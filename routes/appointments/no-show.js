@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const NotificationService = require('../../services/NotificationService');
+const RappelService = require('../../services/RappelService');
+const TempsReelService = require('../../services/TempsReelService');
+const PolitiqueAnnulationService = require('../../services/PolitiqueAnnulationService');
+
+// Schéma de validation pour le signalement d'absence
+const noShowSchema = {
+    fields: {
+        commentaire: {
+            type: 'string',
+            maxLength: 500
+        }
+    },
+    required: [],
+    strict: true
+};
+
+/**
+ * POST /appointments/:id/no-show - Signaler l'absence du patient à un rendez-vous confirmé
+ * Possible à partir de l'heure de début, et au plus tard 72h après
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    BodyFilter.validate(noShowSchema),
+    async (req, res) => {
+        try {
+            const medecinUser = req.user;
+            const rendezVousId = req.params.id;
+            const { commentaire } = req.body;
+
+            const rendezVous = await prisma.rendezVous.findUnique({
+                where: { id: rendezVousId },
+                include: {
+                    patient: {
+                        include: {
+                            user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+                        }
+                    },
+                    medecin: { select: { id: true, userId: true } }
+                }
+            });
+
+            if (!rendezVous || rendezVous.medecin.userId !== medecinUser.id) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            if (rendezVous.statut !== 'CONFIRME') {
+                return ApiResponse.badRequest(res, `Seul un rendez-vous confirmé peut être signalé comme absence (statut actuel: ${rendezVous.statut})`);
+            }
+
+            const debut = RappelService.getDateHeureDebut(rendezVous);
+            const maintenant = new Date();
+            const { delaiSignalementAbsenceHeures } = Consts.POLITIQUE_ANNULATION_CONFIG;
+
+            if (debut > maintenant) {
+                return ApiResponse.badRequest(res, 'Une absence ne peut être signalée qu\'à partir de l\'heure du rendez-vous');
+            }
+            if (maintenant - debut > delaiSignalementAbsenceHeures * 60 * 60 * 1000) {
+                return ApiResponse.badRequest(res, `Une absence doit être signalée dans les ${delaiSignalementAbsenceHeures}h suivant le rendez-vous`);
+            }
+
+            const { politique } = await PolitiqueAnnulationService.getPolitique(prisma, rendezVous.medecinId);
+
+            const fiabilite = await prisma.$transaction(async (tx) => {
+                // Mise à jour conditionnelle : le rendez-vous a pu être clôturé entre-temps
+                const { count } = await tx.rendezVous.updateMany({
+                    where: { id: rendezVousId, statut: 'CONFIRME' },
+                    data: { statut: 'ABSENT' }
+                });
+                if (count === 0) {
+                    throw new Error('STATUT_MODIFIE');
+                }
+
+                await tx.rendezVousHistorique.create({
+                    data: {
+                        rendezVousId,
+                        statutPrecedent: 'CONFIRME',
+                        nouveauStatut: 'ABSENT',
+                        motifModification: commentaire ? `Absence du patient: ${commentaire}` : 'Absence du patient',
+                        modifieParUserId: medecinUser.id,
+                        dateModification: maintenant
+                    }
+                });
+
+                await PolitiqueAnnulationService.enregistrerIncident(tx, {
+                    patientId: rendezVous.patientId,
+                    rendezVousId,
+                    type: 'ABSENCE',
+                    signaleParUserId: medecinUser.id
+                });
+
+                await RappelService.annuler(tx, rendezVousId);
+
+                return await PolitiqueAnnulationService.getFiabilite(tx, rendezVous.patientId, politique);
+            });
+
+            try {
+                await NotificationService.createAndSendNotification({
+                    userId: rendezVous.patient.user.id,
+                    typeNotification: 'RENDEZ_VOUS',
+                    titre: 'Absence au rendez-vous',
+                    message: `Le Dr ${medecinUser.nom} a signalé votre absence au rendez-vous du ${debut.toLocaleDateString('fr-FR')} à ${rendezVous.heureDebut}. Pensez à annuler à l'avance si vous ne pouvez pas vous présenter.`,
+                    canal: rendezVous.patient.user.canalCommunicationPrefere || 'EMAIL',
+                    priorite: 'NORMALE',
+                    donneesSupplementaires: {
+                        rendezVousId,
+                        confirmationRequise: fiabilite.confirmationRequise
+                    }
+                });
+            } catch (notificationError) {
+                console.error('Erreur notification absence patient:', notificationError);
+            }
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_ABSENT, rendezVousId);
+
+            console.log(`🚷 Absence signalée: Dr ${medecinUser.nom} - patient ${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom} (${fiabilite.absences} absence(s) sur ${fiabilite.periodeJours} jours)`);
+
+            return ApiResponse.success(res, 'Absence du patient enregistrée', {
+                rendezVous: {
+                    id: rendezVousId,
+                    statut: 'ABSENT',
+                    dateRendezVous: rendezVous.dateRendezVous,
+                    heureDebut: rendezVous.heureDebut
+                },
+                fiabilitePatient: fiabilite
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur signalement absence:', error);
+
+            if (error.message === 'STATUT_MODIFIE') {
+                return ApiResponse.conflict(res, 'Le statut du rendez-vous a été modifié entre-temps');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors du signalement de l\'absence');
+        }
+    }
+);
+
+module.exports = router;
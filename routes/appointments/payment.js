@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const PaiementService = require('../../services/PaiementService');
+
+// Schéma de validation d'un paiement (téléphone du compte par défaut)
+const paiementSchema = {
+    fields: {
+        operateur: {
+            type: 'string',
+            enum: Consts.PAIEMENT_CONFIG.operateurs
+        },
+        telephone: {
+            type: 'phone'
+        }
+    },
+    required: ['operateur'],
+    strict: true
+};
+
+const getRendezVous = (rendezVousId) => prisma.rendezVous.findUnique({
+    where: { id: rendezVousId },
+    select: {
+        id: true,
+        patientId: true,
+        statut: true,
+        tarif: true,
+        echeancePaiement: true,
+        patient: { select: { userId: true, user: { select: { telephone: true } } } },
+        medecin: { select: { userId: true } }
+    }
+});
+
+/**
+ * GET /appointments/:id/payment - Paiements du rendez-vous (patient ou médecin)
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const rendezVous = await getRendezVous(req.params.id);
+
+            if (!rendezVous || ![rendezVous.patient.userId, rendezVous.medecin.userId].includes(user.id)) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const paiements = await prisma.paiement.findMany({
+                where: { rendezVousId: rendezVous.id },
+                orderBy: { createdAt: 'desc' }
+            });
+
+            const paiementReussi = paiements.find(paiement => paiement.statut === 'REUSSI');
+            const paiement = user.role === 'PATIENT' ? PaiementService.peutPayer(rendezVous) : null;
+
+            return ApiResponse.success(res, 'Paiements récupérés', {
+                rendezVousId: rendezVous.id,
+                statutRendezVous: rendezVous.statut,
+                montant: rendezVous.tarif !== null ? Number(rendezVous.tarif) : null,
+                devise: Consts.PAIEMENT_CONFIG.devise,
+                paye: !!paiementReussi,
+                echeancePaiement: rendezVous.echeancePaiement,
+                paiementPossible: paiement ? paiement.autorise && !paiementReussi : undefined,
+                motif: paiement && !paiementReussi ? paiement.motif : undefined,
+                operateurs: Consts.PAIEMENT_CONFIG.operateurs,
+                paiements: paiements.map(paiement => PaiementService.format(paiement))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération paiements rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des paiements');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/payment - Payer la consultation par mobile money
+ * Le paiement est validé par le patient sur son téléphone (ou la page de l'opérateur),
+ * son résultat arrive par webhook et confirme le rendez-vous en attente de prépaiement
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(paiementSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { operateur } = req.body;
+            const rendezVous = await getRendezVous(req.params.id);
+
+            if (!rendezVous || rendezVous.patient.userId !== user.id) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const paiementPossible = PaiementService.peutPayer(rendezVous);
+            if (!paiementPossible.autorise) {
+                return ApiResponse.badRequest(res, paiementPossible.motif);
+            }
+
+            const paiementExistant = await prisma.paiement.findFirst({
+                where: {
+                    rendezVousId: rendezVous.id,
+                    OR: [
+                        { statut: 'REUSSI' },
+                        { statut: 'EN_ATTENTE', expireLe: { gt: new Date() } }
+                    ]
+                },
+                orderBy: { createdAt: 'desc' }
+            });
+
+            if (paiementExistant) {
+                return ApiResponse.conflict(res, paiementExistant.statut === 'REUSSI' ?
+                    'Cette consultation est déjà payée' :
+                    'Un paiement est déjà en cours de validation pour ce rendez-vous', {
+                    paiement: PaiementService.format(paiementExistant)
+                });
+            }
+
+            const telephone = req.body.telephone || rendezVous.patient.user.telephone;
+            if (!telephone) {
+                return ApiResponse.badRequest(res, 'Numéro de téléphone mobile money requis');
+            }
+
+            let initiation;
+            try {
+                initiation = await PaiementService.initier(rendezVous, { operateur, telephone });
+            } catch (operateurError) {
+                return ApiResponse.serverError(res, 'L\'opérateur de paiement est indisponible, veuillez réessayer');
+            }
+
+            console.log(`💳 Paiement initié: RDV ${rendezVous.id} - ${Number(rendezVous.tarif)} ${Consts.PAIEMENT_CONFIG.devise} via ${operateur}`);
+
+            return ApiResponse.created(res, 'Paiement initié : validez-le sur votre téléphone', {
+                paiement: PaiementService.format(initiation.paiement),
+                instructions: initiation.instructions
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur initiation paiement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'initiation du paiement');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const TempsReelService = require('../../services/TempsReelService');
+const RemboursementService = require('../../services/RemboursementService');
+
+// Rendez-vous dont le paiement peut être contesté (frais d'annulation retenus, absence ou consultation contestée)
+const STATUTS_CONTESTABLES = ['ANNULE', 'TERMINE', 'ABSENT'];
+
+// Schéma de validation d'une contestation (montant par défaut : tout ce qui n'a pas été remboursé)
+const contestationSchema = {
+    fields: {
+        motif: {
+            type: 'string',
+            minLength: 10,
+            maxLength: 1000
+        },
+        montant: {
+            type: 'number',
+            min: 1
+        }
+    },
+    required: ['motif'],
+    strict: true
+};
+
+const getRendezVous = (rendezVousId) => prisma.rendezVous.findUnique({
+    where: { id: rendezVousId },
+    select: {
+        id: true,
+        medecinId: true,
+        statut: true,
+        patient: { select: { userId: true } },
+        medecin: { select: { userId: true } },
+        paiements: {
+            where: { statut: 'REUSSI' },
+            orderBy: { payeLe: 'asc' }
+        }
+    }
+});
+
+/**
+ * GET /appointments/:id/refund - Remboursements du rendez-vous (patient ou médecin)
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const rendezVous = await getRendezVous(req.params.id);
+
+            if (!rendezVous || ![rendezVous.patient.userId, rendezVous.medecin.userId].includes(user.id)) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const remboursements = await prisma.remboursement.findMany({
+                where: { rendezVousId: rendezVous.id },
+                orderBy: { createdAt: 'desc' }
+            });
+
+            let montantRemboursable = 0;
+            for (const paiement of rendezVous.paiements) {
+                montantRemboursable += await RemboursementService.montantRemboursable(prisma, paiement);
+            }
+
+            return ApiResponse.success(res, 'Remboursements récupérés', {
+                rendezVousId: rendezVous.id,
+                statutRendezVous: rendezVous.statut,
+                devise: Consts.PAIEMENT_CONFIG.devise,
+                montantPaye: rendezVous.paiements.reduce((total, paiement) => total + Number(paiement.montant), 0),
+                montantRembourse: remboursements
+                    .filter(remboursement => remboursement.statut === 'REMBOURSE')
+                    .reduce((total, remboursement) => total + Number(remboursement.montant), 0),
+                montantRemboursable,
+                contestationPossible: user.role === 'PATIENT' ?
+                    STATUTS_CONTESTABLES.includes(rendezVous.statut) && montantRemboursable > 0 &&
+                    !remboursements.some(remboursement => remboursement.statut === 'EN_ATTENTE_VALIDATION') :
+                    undefined,
+                remboursements: remboursements.map(remboursement => RemboursementService.format(remboursement))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération remboursements rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des remboursements');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/refund - Contester le paiement d'un rendez-vous (patient)
+ * La demande est examinée par un administrateur, qui accorde tout ou partie du montant ou la rejette
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(contestationSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { motif, montant } = req.body;
+            const rendezVous = await getRendezVous(req.params.id);
+
+            if (!rendezVous || rendezVous.patient.userId !== user.id) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            if (rendezVous.paiements.length === 0) {
+                return ApiResponse.badRequest(res, 'Cette consultation n\'a pas été payée');
+            }
+
+            if (!STATUTS_CONTESTABLES.includes(rendezVous.statut)) {
+                return ApiResponse.badRequest(res, `Un rendez-vous ${rendezVous.statut.toLowerCase()} ne peut pas faire l'objet d'une contestation : annulez-le pour être remboursé selon la politique d'annulation`);
+            }
+
+            const contestationEnCours = await prisma.remboursement.findFirst({
+                where: { rendezVousId: rendezVous.id, statut: 'EN_ATTENTE_VALIDATION' }
+            });
+            if (contestationEnCours) {
+                return ApiResponse.conflict(res, 'Une contestation est déjà en cours d\'examen pour ce rendez-vous', {
+                    remboursement: RemboursementService.format(contestationEnCours)
+                });
+            }
+
+            const remboursement = await prisma.$transaction(async (tx) => {
+                // Contestation portée sur le dernier paiement encore remboursable
+                for (const paiement of [...rendezVous.paiements].reverse()) {
+                    const remboursable = await RemboursementService.montantRemboursable(tx, paiement);
+                    if (remboursable <= 0) {
+                        continue;
+                    }
+                    if (montant !== undefined && montant > remboursable) {
+                        throw new Error('MONTANT_INVALIDE');
+                    }
+
+                    return await RemboursementService.creer(tx, {
+                        paiement,
+                        medecinId: rendezVous.medecinId,
+                        montant: montant !== undefined ? montant : remboursable,
+                        origine: 'CONTESTATION',
+                        motif,
+                        demandeParUserId: user.id
+                    });
+                }
+                return null;
+            });
+
+            if (!remboursement) {
+                return ApiResponse.badRequest(res, 'Le paiement de ce rendez-vous a déjà été entièrement remboursé');
+            }
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.REMBOURSEMENT, rendezVous.id, {
+                remboursement: RemboursementService.format(remboursement)
+            });
+
+            console.log(`⚖️ Contestation du paiement du RDV ${rendezVous.id} par ${user.prenom} ${user.nom} : ${Number(remboursement.montant)} ${remboursement.devise}`);
+
+            return ApiResponse.created(res, 'Demande de remboursement transmise : elle sera examinée par notre équipe', {
+                remboursement: RemboursementService.format(remboursement)
+            });
+
+        } catch (error) {
+            if (error.message === 'MONTANT_INVALIDE') {
+                return ApiResponse.badRequest(res, 'Le montant demandé dépasse le montant encore remboursable');
+            }
+            console.error('❌ Erreur contestation paiement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la demande de remboursement');
+        }
+    }
+);
+
+module.exports = router;
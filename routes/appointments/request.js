@@ -5,6 +5,12 @@ const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
 const NotificationService = require('../../services/NotificationService');
+const TempsReelService = require('../../services/TempsReelService');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+const PolitiqueAnnulationService = require('../../services/PolitiqueAnnulationService');
+const ReservationTemporaireService = require('../../services/ReservationTemporaireService');
+const ContactMaskingService = require('../../services/ContactMaskingService');
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
 
 // Schéma de validation pour la demande de RDV
 const requestAppointmentSchema = {
@@ -38,9 +44,28 @@ const requestAppointmentSchema = {
             type: 'string',
             maxLength: 500
         },
+        latitudeDomicile: {
+            type: 'number',
+            min: -90,
+            max: 90
+        },
+        longitudeDomicile: {
+            type: 'number',
+            min: -180,
+            max: 180
+        },
+        communeDomicile: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100
+        },
         informationsComplementaires: {
             type: 'string',
             maxLength: 1000
+        },
+        reservationTemporaireId: {
+            type: 'string',
+            minLength: 1
         }
     },
     required: ['medecinId', 'dateHeureDebut', 'typeConsultation', 'motifConsultation'],
@@ -65,7 +90,11 @@ router.post('/',
                 niveauUrgence = 'NORMAL',
                 dureeEstimee = 30,
                 adressePatient,
-                informationsComplementaires
+                latitudeDomicile,
+                longitudeDomicile,
+                communeDomicile,
+                informationsComplementaires,
+                reservationTemporaireId
             } = req.body;
 
             // Validation de la date
@@ -125,11 +154,26 @@ router.post('/',
                 return ApiResponse.badRequest(res, `Le médecin ne propose pas de consultation de type ${typeConsultation}`);
             }
 
-            // Validation spécifique pour consultation à domicile
+            // Validation spécifique pour consultation à domicile : adresse dans la zone d'intervention du médecin
             if (typeConsultation === 'DOMICILE') {
                 if (!adressePatient) {
                     return ApiResponse.badRequest(res, 'Adresse du patient requise pour une consultation à domicile');
                 }
+                if ((latitudeDomicile === undefined) !== (longitudeDomicile === undefined)) {
+                    return ApiResponse.badRequest(res, 'latitudeDomicile et longitudeDomicile doivent être fournies ensemble');
+                }
+            }
+
+            // Calcul du tarif (majoration et frais de déplacement à domicile, réduction en téléconsultation)
+            const tarification = VisiteDomicileService.calculerTarif(medecin, typeConsultation, {
+                latitude: latitudeDomicile,
+                longitude: longitudeDomicile,
+                commune: communeDomicile
+            });
+            if (!tarification.couvert) {
+                return ApiResponse.badRequest(res, tarification.motif, {
+                    zoneDomicile: VisiteDomicileService.format(medecin.zoneDomicile, { publique: true })
+                });
             }
 
             // Calcul des heures de début et fin
@@ -159,6 +203,11 @@ router.post('/',
                 return ApiResponse.badRequest(res, 'Ce créneau n\'est plus disponible');
             }
 
+            // Créneau libéré mais actuellement proposé à un patient de la liste d'attente
+            if (await ListeAttenteService.creneauOffert(prisma, { medecinId, dateRendezVous, heureDebut, heureFin })) {
+                return ApiResponse.badRequest(res, 'Ce créneau n\'est plus disponible');
+            }
+
             // Vérification des disponibilités du médecin pour cette date/heure
             const jourSemaine = ['DIMANCHE', 'LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI'][dateRdv.getDay()];
 
@@ -192,24 +241,33 @@ router.post('/',
                 return ApiResponse.badRequest(res, 'Profil patient incomplet. Veuillez compléter votre profil avant de prendre rendez-vous');
             }
 
-            // Calcul du tarif - utilisation du tarif de base
-            let tarif = medecin.tarifConsultationBase || 0;
-
-            // Ajustement selon le type de consultation (tarif de base + majoration éventuelle)
-            switch (typeConsultation) {
-                case 'CLINIQUE':
-                    // Tarif de base
-                    break;
-                case 'DOMICILE':
-                    // Majoration de 50% pour consultation à domicile
-                    tarif = tarif * 1.5;
-                    break;
-                case 'TELECONSULTATION':
-                    // Réduction de 20% pour téléconsultation
-                    tarif = tarif * 0.8;
-                    break;
+            // Créneau retenu au préalable par le patient : la demande doit porter exactement sur ce créneau
+            if (reservationTemporaireId) {
+                const reservation = await prisma.reservationTemporaire.findFirst({
+                    where: { id: reservationTemporaireId, patientId: patientData.id }
+                });
+
+                if (!reservation || reservation.statut !== 'ACTIVE' || reservation.expireLe <= maintenant) {
+                    return ApiResponse.conflict(res, 'La réservation du créneau a expiré ou n\'est plus active : retenez à nouveau un créneau');
+                }
+                if (reservation.medecinId !== medecinId ||
+                    reservation.typeConsultation !== typeConsultation ||
+                    reservation.dateRendezVous.getTime() !== dateRendezVous.getTime() ||
+                    reservation.heureDebut !== heureDebut ||
+                    reservation.heureFin !== heureFin) {
+                    return ApiResponse.badRequest(res, 'La demande ne correspond pas au créneau retenu (médecin, date, heure, durée ou type de consultation)');
+                }
             }
 
+            // Créneau retenu par un autre patient en train de finaliser sa demande
+            if (await ReservationTemporaireService.creneauRetenu(prisma, { medecinId, dateRendezVous, heureDebut, heureFin }, patientData.id)) {
+                return ApiResponse.badRequest(res, 'Ce créneau n\'est plus disponible');
+            }
+
+            // Fiabilité du patient : le médecin est averti des annulations tardives et absences récentes
+            const { politique } = await PolitiqueAnnulationService.getPolitique(prisma, medecinId);
+            const fiabilite = await PolitiqueAnnulationService.getFiabilite(prisma, patientData.id, politique);
+
             // Création du rendez-vous
             const rendezVous = await prisma.$transaction(async (tx) => {
                 // Créer le RDV
@@ -225,8 +283,9 @@ router.post('/',
                         statut: 'DEMANDE',
                         motifConsultation,
                         niveauUrgence,
-                        tarif: tarif,
+                        tarif: tarification.tarif,
                         adresseConsultation: typeConsultation === 'DOMICILE' ? adressePatient : null,
+                        ...tarification.champsDomicile,
                         ...(informationsComplementaires && { symptomes: informationsComplementaires }),
                         ...(typeConsultation === 'CLINIQUE' && medecin.cliniqueId && { cliniqueId: medecin.cliniqueId })
                     },
@@ -260,6 +319,11 @@ router.post('/',
                     }
                 });
 
+                // La réservation temporaire est consommée par la demande (sinon elle a expiré entre-temps)
+                if (reservationTemporaireId && !await ReservationTemporaireService.confirmer(tx, reservationTemporaireId, nouveauRdv.id)) {
+                    throw new Error('RESERVATION_EXPIREE');
+                }
+
                 // Créer l'historique
                 await tx.rendezVousHistorique.create({
                     data: {
@@ -278,14 +342,16 @@ router.post('/',
                         userId: medecin.userId,
                         typeNotification: 'RENDEZ_VOUS',
                         titre: 'Nouvelle demande de rendez-vous',
-                        message: `Nouvelle demande de rendez-vous de ${patient.prenom} ${patient.nom} pour le ${dateRdv.toLocaleDateString('fr-FR')} à ${dateRdv.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`,
+                        message: `Nouvelle demande de rendez-vous de ${patient.prenom} ${patient.nom} pour le ${dateRdv.toLocaleDateString('fr-FR')} à ${dateRdv.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}` +
+                            (fiabilite.recidiviste ? ` ⚠️ Patient récidiviste: ${fiabilite.annulationsTardives} annulation(s) tardive(s) et ${fiabilite.absences} absence(s) sur ${fiabilite.periodeJours} jours.` : ''),
                         statut: 'EN_ATTENTE',
                         priorite: niveauUrgence === 'URGENT' ? 'HAUTE' : 'NORMALE',
                         canal: medecin.user.canalCommunicationPrefere || 'EMAIL',
                         donneesSupplementaires: JSON.stringify({
                             rendezVousId: nouveauRdv.id,
                             typeConsultation,
-                            niveauUrgence
+                            niveauUrgence,
+                            fiabilitePatient: fiabilite
                         })
                     }
                 });
@@ -302,6 +368,12 @@ router.post('/',
                 // Ne pas faire échouer la demande si l'email échoue
             }
 
+            // Événement temps réel : la demande apparaît immédiatement dans le tableau de bord du médecin
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_CREE, rendezVous.id, {
+                niveauUrgence: rendezVous.niveauUrgence,
+                motifConsultation: rendezVous.motifConsultation
+            });
+
             // Réponse de succès avec toutes les informations
             const reponse = {
                 rendezVous: {
@@ -314,6 +386,7 @@ router.post('/',
                     motifConsultation: rendezVous.motifConsultation,
                     niveauUrgence: rendezVous.niveauUrgence,
                     tarif: rendezVous.tarif,
+                    fraisDeplacement: rendezVous.fraisDeplacement,
                     adresseConsultation: rendezVous.adresseConsultation
                 },
                 medecin: {
@@ -331,13 +404,15 @@ router.post('/',
                     'Votre demande de rendez-vous a été envoyée au médecin',
                     `Le Dr ${medecin.user.nom} recevra une notification et répondra dans les 24h`,
                     'Vous recevrez une notification de sa réponse par ' + (patient.canalCommunicationPrefere || 'email'),
-                    'En cas d\'urgence, contactez directement le médecin au ' + medecin.user.telephone
-                ],
+                    ContactMaskingService.isPermanentMaskingEnabled() ? null :
+                        'En cas d\'urgence, contactez directement le médecin au ' + medecin.user.telephone
+                ].filter(Boolean),
                 delaiReponse: '24h',
                 annulation: {
                     possible: true,
                     gratuite: true,
-                    limite: '24h avant le RDV'
+                    limite: `${politique.delaiMinimumHeures}h avant le RDV`,
+                    annulationTardive: politique.annulationTardive
                 }
             };
 
@@ -349,6 +424,10 @@ router.post('/',
             console.error('❌ Erreur demande rendez-vous:', error);
             
             // Gestion des erreurs spécifiques
+            if (error.message === 'RESERVATION_EXPIREE') {
+                return ApiResponse.conflict(res, 'La réservation du créneau a expiré : retenez à nouveau un créneau');
+            }
+            // Index unique (médecin, date, heure de début) : le créneau vient d'être réservé par un autre patient
             if (error.code === 'P2002') {
                 return ApiResponse.badRequest(res, 'Un conflit de créneaux s\'est produit. Veuillez choisir un autre créneau.');
             }
@@ -1,13 +1,24 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
-
-// Schéma de validation pour la reprogrammation
+const RappelService = require('../../services/RappelService');
+const TempsReelService = require('../../services/TempsReelService');
+const ContactMaskingService = require('../../services/ContactMaskingService');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+const ReprogrammationService = require('../../services/ReprogrammationService');
+const PartiesRendezVousService = require('../../services/PartiesRendezVousService');
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
+
+// Schéma de validation pour une proposition de reprogrammation
 const rescheduleAppointmentSchema = {
     fields: {
+        creneauxProposes: {
+            type: 'array'
+        },
         nouvelleDateHeureDebut: {
             type: 'string'
         },
@@ -29,92 +40,264 @@ const rescheduleAppointmentSchema = {
             type: 'string',
             maxLength: 500
         },
-        demandeAccordMutuel: {
-            type: 'boolean'
+        latitudeDomicile: {
+            type: 'number',
+            min: -90,
+            max: 90
+        },
+        longitudeDomicile: {
+            type: 'number',
+            min: -180,
+            max: 180
+        },
+        communeDomicile: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100
+        }
+    },
+    required: ['motifReprogrammation'],
+    strict: true
+};
+
+// Schéma de validation pour l'acceptation d'un créneau proposé
+const acceptSchema = {
+    fields: {
+        propositionId: {
+            type: 'string'
+        },
+        indexCreneau: {
+            type: 'number',
+            min: 0
         }
     },
-    required: ['nouvelleDateHeureDebut', 'motifReprogrammation'],
+    required: ['propositionId', 'indexCreneau'],
     strict: true
 };
 
+// Schéma de validation pour une contre-proposition
+const counterSchema = {
+    fields: {
+        propositionId: {
+            type: 'string'
+        },
+        creneauxProposes: {
+            type: 'array'
+        },
+        motif: {
+            type: 'string',
+            minLength: 5,
+            maxLength: 1000
+        },
+        dureeEstimee: {
+            type: 'number',
+            min: 15,
+            max: 120
+        }
+    },
+    required: ['propositionId', 'creneauxProposes', 'motif'],
+    strict: true
+};
+
+// Schéma de validation pour le refus d'une proposition
+const declineSchema = {
+    fields: {
+        propositionId: {
+            type: 'string'
+        },
+        motif: {
+            type: 'string',
+            maxLength: 1000
+        }
+    },
+    required: ['propositionId'],
+    strict: true
+};
+
+const enMinutes = (heure) => {
+    const [heures, minutes] = heure.split(':').map(Number);
+    return heures * 60 + minutes;
+};
+
+/**
+ * Rendez-vous avec ses parties et rôle de l'utilisateur connecté
+ */
+const chargerRendezVous = async (rendezVousId, user) => {
+    const rendezVous = await prisma.rendezVous.findUnique({
+        where: { id: rendezVousId },
+        include: PartiesRendezVousService.INCLUDE_PARTIES
+    });
+
+    if (!rendezVous) {
+        return { rendezVous: null };
+    }
+
+    const estPatientProprietaire = user.role === 'PATIENT' && rendezVous.patient.user.id === user.id;
+    const estMedecinProprietaire = user.role === 'MEDECIN' && rendezVous.medecin.user.id === user.id;
+
+    return {
+        rendezVous,
+        estPartie: estPatientProprietaire || estMedecinProprietaire,
+        estPatientProprietaire,
+        autrePartie: estPatientProprietaire ? rendezVous.medecin.user : rendezVous.patient.user,
+        expediteur: estPatientProprietaire ?
+            `${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom}` :
+            `Dr ${rendezVous.medecin.user.nom}`
+    };
+};
+
+/**
+ * Proposition à laquelle l'utilisateur répond (l'autre partie doit en être l'auteur)
+ * @returns {Object} { proposition } ou { erreur: fonction de réponse }
+ */
+const chargerPropositionARepondre = async (rendezVous, propositionId, user) => {
+    const proposition = await prisma.propositionReprogrammation.findFirst({
+        where: { id: propositionId, rendezVousId: rendezVous.id }
+    });
+
+    if (!proposition) {
+        return { erreur: (res) => ApiResponse.notFound(res, 'Proposition de reprogrammation non trouvée') };
+    }
+    if (proposition.statut !== 'EN_ATTENTE' || proposition.expireLe <= new Date()) {
+        const statut = proposition.statut === 'EN_ATTENTE' ? 'EXPIREE' : proposition.statut;
+        return { erreur: (res) => ApiResponse.badRequest(res, `Cette proposition n'est plus en attente de réponse (statut: ${statut})`) };
+    }
+    if (proposition.proposeParUserId === user.id) {
+        return { erreur: (res) => ApiResponse.forbidden(res, 'Vous ne pouvez pas répondre à votre propre proposition') };
+    }
+
+    return { proposition };
+};
+
 /**
- * PUT /appointments/:id/reschedule - Reprogrammer un rendez-vous
+ * Valide les créneaux proposés et vérifie qu'ils sont libres pour le médecin et le patient
+ * @returns {Object} { erreurs, creneaux, indisponibles }
  */
-router.put('/:id',
+const verifierCreneaux = async (rendezVous, datesHeuresDebut, dureeMinutes) => {
+    const { erreurs, creneaux } = ReprogrammationService.preparerCreneaux(datesHeuresDebut, dureeMinutes);
+    const indisponibles = [];
+
+    if (erreurs.length === 0) {
+        for (const creneau of creneaux) {
+            if (await ReprogrammationService.creneauIndisponible(prisma, rendezVous, creneau)) {
+                indisponibles.push(creneau);
+            }
+        }
+    }
+
+    return { erreurs, creneaux, indisponibles };
+};
+
+// Domicile et frais de déplacement d'un rendez-vous ou d'une proposition (recopiés tels quels)
+const champsDomicile = (source) => ({
+    latitudeDomicile: source.latitudeDomicile,
+    longitudeDomicile: source.longitudeDomicile,
+    communeDomicile: source.communeDomicile,
+    distanceDomicileKm: source.distanceDomicileKm,
+    fraisDeplacement: source.fraisDeplacement
+});
+
+/**
+ * Tarif du rendez-vous reprogrammé : inchangé si le type et l'adresse le sont,
+ * sinon recalculé comme pour une demande de RDV (zone d'intervention et frais de déplacement à domicile)
+ * @param {Object|null} nouveauDomicile - { latitude, longitude, commune } de la nouvelle adresse
+ */
+const calculerTarification = (rendezVous, typeConsultation, nouveauDomicile) => {
+    if (typeConsultation === rendezVous.typeConsultation && !nouveauDomicile) {
+        return { couvert: true, motif: null, tarif: Number(rendezVous.tarif || 0), champsDomicile: champsDomicile(rendezVous) };
+    }
+
+    return VisiteDomicileService.calculerTarif(rendezVous.medecin, typeConsultation, nouveauDomicile || {
+        latitude: rendezVous.latitudeDomicile,
+        longitude: rendezVous.longitudeDomicile,
+        commune: rendezVous.communeDomicile
+    });
+};
+
+const libelleCreneaux = (creneaux) => creneaux.map(creneau => PartiesRendezVousService.libelleCreneau(creneau)).join(', ');
+
+/**
+ * GET /appointments/:id/reschedule - Propositions de reprogrammation du rendez-vous
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { rendezVous, estPartie } = await chargerRendezVous(req.params.id, user);
+
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+            if (!estPartie) {
+                return ApiResponse.unauthorized(res, 'Vous n\'êtes pas autorisé à consulter ce rendez-vous');
+            }
+
+            const propositions = await prisma.propositionReprogrammation.findMany({
+                where: { rendezVousId: rendezVous.id },
+                orderBy: { createdAt: 'desc' }
+            });
+
+            const enCours = propositions.find(proposition => proposition.statut === 'EN_ATTENTE' && proposition.expireLe > new Date());
+
+            return ApiResponse.success(res, 'Propositions de reprogrammation récupérées', {
+                rendezVous: {
+                    id: rendezVous.id,
+                    statut: rendezVous.statut,
+                    dateRendezVous: rendezVous.dateRendezVous,
+                    heureDebut: rendezVous.heureDebut,
+                    heureFin: rendezVous.heureFin
+                },
+                enCours: enCours ? {
+                    ...ReprogrammationService.format(enCours),
+                    peutRepondre: enCours.proposeParUserId !== user.id
+                } : null,
+                propositions: propositions.map(proposition => ReprogrammationService.format(proposition))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération propositions de reprogrammation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des propositions de reprogrammation');
+        }
+    }
+);
+
+/**
+ * PUT /appointments/:id/reschedule - Proposer de reprogrammer un rendez-vous
+ * L'autre partie doit accepter l'un des créneaux proposés ; d'ici là, le rendez-vous garde son créneau
+ */
+router.put('/',
     AuthMiddleware.authenticate(),
     AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
     BodyFilter.validate(rescheduleAppointmentSchema),
     async (req, res) => {
         try {
             const user = req.user;
-            const rendezVousId = req.params.id;
             const {
+                creneauxProposes,
                 nouvelleDateHeureDebut,
                 motifReprogrammation,
                 nouveauTypeConsultation,
-                nouvelleDureeEstimee = 30,
+                nouvelleDureeEstimee,
                 nouvelleAdresse,
-                demandeAccordMutuel = true
+                latitudeDomicile,
+                longitudeDomicile,
+                communeDomicile
             } = req.body;
 
-            // Validation de la nouvelle date
-            const nouvelleDate = new Date(nouvelleDateHeureDebut);
-            const maintenant = new Date();
-            
-            if (nouvelleDate <= maintenant) {
-                return ApiResponse.badRequest(res, 'La nouvelle date doit être dans le futur');
-            }
-
-            // Marge minimale de 2h
-            const margeMinimale = new Date(maintenant.getTime() + (2 * 60 * 60 * 1000));
-            if (nouvelleDate < margeMinimale) {
-                return ApiResponse.badRequest(res, 'La nouvelle date doit être au minimum 2h à l\'avance');
-            }
-
-            // Récupération du RDV avec toutes les informations
-            const rendezVous = await prisma.rendezVous.findUnique({
-                where: { id: rendezVousId },
-                include: {
-                    patient: {
-                        include: {
-                            user: {
-                                select: {
-                                    id: true,
-                                    nom: true,
-                                    prenom: true,
-                                    telephone: true,
-                                    email: true,
-                                    canalCommunicationPrefere: true
-                                }
-                            }
-                        }
-                    },
-                    medecin: {
-                        include: {
-                            user: {
-                                select: {
-                                    id: true,
-                                    nom: true,
-                                    prenom: true,
-                                    telephone: true,
-                                    email: true,
-                                    canalCommunicationPrefere: true
-                                }
-                            }
-                        }
-                    }
-                }
-            });
+            // Un seul créneau (nouvelleDateHeureDebut) ou plusieurs au choix de l'autre partie (creneauxProposes)
+            const datesHeuresDebut = creneauxProposes || (nouvelleDateHeureDebut ? [nouvelleDateHeureDebut] : null);
+            if (!datesHeuresDebut) {
+                return ApiResponse.badRequest(res, 'Au moins un créneau doit être proposé (creneauxProposes ou nouvelleDateHeureDebut)');
+            }
+
+            const { rendezVous, estPartie, estPatientProprietaire, autrePartie, expediteur } = await chargerRendezVous(req.params.id, user);
 
             if (!rendezVous) {
                 return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
             }
-
-            // Vérification des autorisations
-            const estPatientProprietaire = user.role === 'PATIENT' && rendezVous.patient.user.id === user.id;
-            const estMedecinProprietaire = user.role === 'MEDECIN' && rendezVous.medecin.user.id === user.id;
-
-            if (!estPatientProprietaire && !estMedecinProprietaire) {
+            if (!estPartie) {
                 return ApiResponse.unauthorized(res, 'Vous n\'êtes pas autorisé à reprogrammer ce rendez-vous');
             }
 
@@ -124,18 +307,33 @@ router.put('/:id',
             }
 
             // Vérification que l'ancien RDV n'est pas dans le passé
-            if (new Date(rendezVous.dateHeureDebut) <= maintenant) {
+            const maintenant = new Date();
+            const ancienneDateHeureDebut = RappelService.getDateHeureDebut(rendezVous);
+            if (ancienneDateHeureDebut <= maintenant) {
                 return ApiResponse.badRequest(res, 'Impossible de reprogrammer un rendez-vous passé');
             }
 
+            const propositionExistante = await ReprogrammationService.propositionEnCours(prisma, rendezVous.id);
+            if (propositionExistante) {
+                return ApiResponse.conflict(res, 'Une proposition de reprogrammation est déjà en attente de réponse', {
+                    proposition: ReprogrammationService.format(propositionExistante)
+                });
+            }
+
+            // L'autre partie doit pouvoir répondre avant le créneau d'origine
+            const expireLe = ReprogrammationService.calculerExpiration(rendezVous);
+            if (!expireLe) {
+                return ApiResponse.badRequest(res, 'Le rendez-vous est trop proche pour attendre l\'accord de l\'autre partie. Annulez-le si vous ne pouvez pas vous y présenter.');
+            }
+
             // Déterminer le type de consultation (garder l'ancien si pas spécifié)
             const typeConsultation = nouveauTypeConsultation || rendezVous.typeConsultation;
 
             // Vérifier que le médecin propose ce type de consultation
             const typeAutorise = {
-                'CLINIQUE': true,
-                'DOMICILE': rendezVous.medecin.consultationDomicile,
-                'TELECONSULTATION': rendezVous.medecin.teleconsultation
+                'CLINIQUE': rendezVous.medecin.accepteclinique,
+                'DOMICILE': rendezVous.medecin.accepteDomicile,
+                'TELECONSULTATION': rendezVous.medecin.accepteTeleconsultation
             };
 
             if (!typeAutorise[typeConsultation]) {
@@ -146,262 +344,565 @@ router.put('/:id',
             if (typeConsultation === 'DOMICILE' && !nouvelleAdresse && !rendezVous.adresseConsultation) {
                 return ApiResponse.badRequest(res, 'Adresse requise pour une consultation à domicile');
             }
+            if ((latitudeDomicile === undefined) !== (longitudeDomicile === undefined)) {
+                return ApiResponse.badRequest(res, 'latitudeDomicile et longitudeDomicile doivent être fournies ensemble');
+            }
 
-            // Calcul de la nouvelle date de fin
-            const nouvelleDateHeureFin = new Date(nouvelleDate.getTime() + (nouvelleDureeEstimee * 60 * 1000));
+            // Une nouvelle adresse vient avec ses propres coordonnées et commune
+            const nouveauDomicile = typeConsultation === 'DOMICILE' && nouvelleAdresse ?
+                { latitude: latitudeDomicile, longitude: longitudeDomicile, commune: communeDomicile } : null;
+            const tarification = calculerTarification(rendezVous, typeConsultation, nouveauDomicile);
+            if (!tarification.couvert) {
+                return ApiResponse.badRequest(res, tarification.motif, {
+                    zoneDomicile: VisiteDomicileService.format(rendezVous.medecin.zoneDomicile, { publique: true })
+                });
+            }
 
-            // Vérification des conflits de créneaux pour le médecin
-            const conflitMedecin = await prisma.rendezVous.findFirst({
-                where: {
-                    medecinId: rendezVous.medecinId,
-                    id: { not: rendezVousId }, // Exclure le RDV actuel
-                    statut: {
-                        in: ['CONFIRME', 'EN_ATTENTE', 'DEMANDE']
-                    },
-                    OR: [
-                        {
-                            dateHeureDebut: {
-                                lt: nouvelleDateHeureFin,
-                                gte: nouvelleDate
-                            }
-                        },
-                        {
-                            dateHeureFin: {
-                                gt: nouvelleDate,
-                                lte: nouvelleDateHeureFin
-                            }
-                        },
-                        {
-                            dateHeureDebut: { lte: nouvelleDate },
-                            dateHeureFin: { gte: nouvelleDateHeureFin }
-                        }
-                    ]
-                }
-            });
+            // Durée inchangée par défaut
+            const dureeMinutes = nouvelleDureeEstimee || (enMinutes(rendezVous.heureFin) - enMinutes(rendezVous.heureDebut)) || 30;
 
-            if (conflitMedecin) {
-                return ApiResponse.badRequest(res, 'Le nouveau créneau n\'est pas disponible pour le médecin');
+            const { erreurs, creneaux, indisponibles } = await verifierCreneaux(rendezVous, datesHeuresDebut, dureeMinutes);
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Créneaux proposés invalides', { validationErrors: erreurs });
+            }
+            if (indisponibles.length > 0) {
+                return ApiResponse.badRequest(res, 'Certains créneaux proposés ne sont pas disponibles', { creneauxIndisponibles: indisponibles });
             }
 
-            // Vérification des congés du médecin
-            const congeActif = await prisma.conge.findFirst({
-                where: {
-                    medecinId: rendezVous.medecinId,
-                    dateDebut: { lte: nouvelleDate },
-                    dateFin: { gte: nouvelleDate }
+            const nouveauTarif = tarification.tarif;
+
+            // Calcul des frais de reprogrammation selon le délai (à la charge du patient qui la demande)
+            const { delaiFraisHeures, pourcentageFrais } = Consts.REPROGRAMMATION_CONFIG;
+            const heuresAvantRdv = (ancienneDateHeureDebut - maintenant) / (1000 * 60 * 60);
+            let fraisReprogrammation = 0;
+            let messageDelai;
+
+            if (!estPatientProprietaire) {
+                messageDelai = 'Reprogrammation par le médecin (sans frais)';
+            } else if (heuresAvantRdv < delaiFraisHeures) {
+                fraisReprogrammation = Math.round(Number(rendezVous.tarif || 0) * pourcentageFrais) / 100;
+                messageDelai = `Reprogrammation tardive (moins de ${delaiFraisHeures}h): frais de ${pourcentageFrais}%`;
+            } else {
+                messageDelai = `Reprogrammation gratuite (plus de ${delaiFraisHeures}h à l'avance)`;
+            }
+
+            const proposition = await prisma.$transaction(async (tx) => {
+                if (await ReprogrammationService.propositionEnCours(tx, rendezVous.id)) {
+                    throw new Error('PROPOSITION_EN_COURS');
                 }
+
+                const nouvelleProposition = await tx.propositionReprogrammation.create({
+                    data: {
+                        rendezVousId: rendezVous.id,
+                        proposeParUserId: user.id,
+                        roleProposant: user.role,
+                        creneaux,
+                        typeConsultation,
+                        adresseConsultation: typeConsultation === 'DOMICILE' ?
+                            (nouvelleAdresse || rendezVous.adresseConsultation) : null,
+                        ...tarification.champsDomicile,
+                        tarif: nouveauTarif,
+                        fraisReprogrammation,
+                        motif: motifReprogrammation,
+                        expireLe
+                    }
+                });
+
+                await ReprogrammationService.historiser(tx, rendezVous, user.id,
+                    `Proposition de reprogrammation par ${user.role.toLowerCase()}: ${motifReprogrammation}. Créneaux proposés: ${libelleCreneaux(creneaux)}`);
+
+                return nouvelleProposition;
             });
 
-            if (congeActif) {
-                return ApiResponse.badRequest(res, 'Le médecin n\'est pas disponible à cette nouvelle période (congés)');
-            }
-
-            // Calcul du nouveau tarif si le type change
-            let nouveauTarif = rendezVous.tarifPrevu;
-            if (typeConsultation !== rendezVous.typeConsultation) {
-                switch (typeConsultation) {
-                    case 'CLINIQUE':
-                        nouveauTarif = rendezVous.medecin.tarifConsultationClinique;
-                        break;
-                    case 'DOMICILE':
-                        nouveauTarif = rendezVous.medecin.tarifConsultationDomicile;
-                        break;
-                    case 'TELECONSULTATION':
-                        nouveauTarif = rendezVous.medecin.tarifTeleconsultation;
-                        break;
+            await PartiesRendezVousService.notifier(autrePartie, 'RENDEZ_VOUS', {
+                titre: '🔄 Demande de reprogrammation',
+                message: `${expediteur} propose de déplacer le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} (${creneaux.length > 1 ? `${creneaux.length} créneaux au choix` : `au ${PartiesRendezVousService.libelleCreneau(creneaux[0])}`}). Motif: ${motifReprogrammation}. Sans réponse avant le ${expireLe.toLocaleString('fr-FR', { timeZone: 'UTC' })}, le rendez-vous est maintenu.`,
+                priorite: 'HAUTE',
+                donnees: {
+                    rendezVousId: rendezVous.id,
+                    propositionId: proposition.id,
+                    proposePar: user.role,
+                    creneaux,
+                    expireLe
                 }
+            });
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.REPROGRAMMATION_PROPOSITION, rendezVous.id, {
+                propositionId: proposition.id,
+                statutProposition: 'EN_ATTENTE',
+                proposePar: user.role
+            });
+
+            console.log(`🔄 Reprogrammation proposée: ${user.prenom} ${user.nom} (${user.role}) - RDV ${rendezVous.id}, ${creneaux.length} créneau(x)`);
+
+            return ApiResponse.created(res, 'Proposition de reprogrammation envoyée avec succès', {
+                proposition: ReprogrammationService.format(proposition),
+                rendezVous: {
+                    id: rendezVous.id,
+                    statut: rendezVous.statut,
+                    dateRendezVous: rendezVous.dateRendezVous,
+                    heureDebut: rendezVous.heureDebut,
+                    heureFin: rendezVous.heureFin
+                },
+                tarification: {
+                    ancienTarif: Number(rendezVous.tarif || 0),
+                    nouveauTarif,
+                    fraisReprogrammation,
+                    total: nouveauTarif + fraisReprogrammation,
+                    messageDelai
+                },
+                partenaire: estPatientProprietaire ? {
+                    type: 'medecin',
+                    nom: rendezVous.medecin.user.nom,
+                    prenom: rendezVous.medecin.user.prenom,
+                    specialites: rendezVous.medecin.specialites
+                } : {
+                    type: 'patient',
+                    nom: rendezVous.patient.user.nom,
+                    prenom: rendezVous.patient.user.prenom,
+                    telephone: ContactMaskingService.maskPhoneIfPermanent(rendezVous.patient.user.telephone)
+                },
+                prochaines_etapes: [
+                    'Proposition de reprogrammation envoyée',
+                    `En attente de la réponse ${estPatientProprietaire ? 'du médecin' : 'du patient'} (acceptation, refus ou contre-proposition)`,
+                    'L\'ancien créneau reste réservé jusqu\'à la réponse',
+                    'Sans réponse avant l\'échéance, le rendez-vous est maintenu'
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur reprogrammation rendez-vous:', error);
+
+            if (error.message === 'PROPOSITION_EN_COURS') {
+                return ApiResponse.conflict(res, 'Une proposition de reprogrammation est déjà en attente de réponse');
             }
 
-            // Calcul des frais de reprogrammation selon le délai
-            const heuresAvantRdv = (new Date(rendezVous.dateHeureDebut) - maintenant) / (1000 * 60 * 60);
-            let fraisReprogrammation = 0;
-            let messageDelai = '';
+            return ApiResponse.serverError(res, 'Erreur lors de la reprogrammation du rendez-vous');
+        }
+    }
+);
 
-            if (heuresAvantRdv < 24) {
-                fraisReprogrammation = rendezVous.tarifPrevu * 0.10; // 10% de frais
-                messageDelai = 'Reprogrammation tardive (moins de 24h): frais de 10%';
-            } else {
-                messageDelai = 'Reprogrammation gratuite (plus de 24h à l\'avance)';
+/**
+ * DELETE /appointments/:id/reschedule - Retirer sa proposition de reprogrammation
+ */
+router.delete('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { rendezVous, estPartie, autrePartie, expediteur } = await chargerRendezVous(req.params.id, user);
+
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+            if (!estPartie) {
+                return ApiResponse.unauthorized(res, 'Vous n\'êtes pas autorisé à reprogrammer ce rendez-vous');
             }
 
-            // Exception pour les médecins
-            if (user.role === 'MEDECIN') {
-                fraisReprogrammation = 0;
-                messageDelai = 'Reprogrammation par le médecin (sans frais)';
+            const proposition = await ReprogrammationService.propositionEnCours(prisma, rendezVous.id);
+            if (!proposition || proposition.proposeParUserId !== user.id) {
+                return ApiResponse.notFound(res, 'Aucune proposition de reprogrammation de votre part en attente');
             }
 
-            // Déterminer le nouveau statut selon qui demande
-            let nouveauStatut;
-            if (demandeAccordMutuel) {
-                // Accord mutuel requis - passer en attente
-                nouveauStatut = user.role === 'PATIENT' ? 'EN_ATTENTE' : 'CONFIRME';
-            } else {
-                // Reprogrammation directe (uniquement si proche ou par le médecin)
-                if (user.role === 'MEDECIN' || heuresAvantRdv >= 48) {
-                    nouveauStatut = 'CONFIRME';
-                } else {
-                    nouveauStatut = 'EN_ATTENTE';
+            await prisma.$transaction(async (tx) => {
+                const { count } = await tx.propositionReprogrammation.updateMany({
+                    where: { id: proposition.id, statut: 'EN_ATTENTE' },
+                    data: { statut: 'RETIREE', dateReponse: new Date() }
+                });
+                if (count === 0) {
+                    throw new Error('PROPOSITION_CLOSE');
                 }
+
+                await ReprogrammationService.historiser(tx, rendezVous, user.id,
+                    `Proposition de reprogrammation retirée par ${user.role.toLowerCase()}, créneau d'origine maintenu`);
+            });
+
+            await PartiesRendezVousService.notifier(autrePartie, 'RENDEZ_VOUS', {
+                titre: 'Reprogrammation retirée',
+                message: `${expediteur} a retiré sa proposition de reprogrammation. Le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} est maintenu.`,
+                donnees: { rendezVousId: rendezVous.id, propositionId: proposition.id }
+            });
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.REPROGRAMMATION_PROPOSITION, rendezVous.id, {
+                propositionId: proposition.id,
+                statutProposition: 'RETIREE'
+            });
+
+            return ApiResponse.success(res, 'Proposition de reprogrammation retirée', {
+                proposition: ReprogrammationService.format({ ...proposition, statut: 'RETIREE' })
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur retrait proposition de reprogrammation:', error);
+
+            if (error.message === 'PROPOSITION_CLOSE') {
+                return ApiResponse.conflict(res, 'La proposition a reçu une réponse entre-temps');
             }
 
-            // Traitement en transaction
-            const result = await prisma.$transaction(async (tx) => {
-                // Mise à jour du RDV
-                const rdvReprogramme = await tx.rendezVous.update({
-                    where: { id: rendezVousId },
+            return ApiResponse.serverError(res, 'Erreur lors du retrait de la proposition de reprogrammation');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/reschedule/accept - Accepter l'un des créneaux proposés par l'autre partie
+ * Le rendez-vous est déplacé sur ce créneau et l'ancien créneau est libéré
+ */
+router.post('/accept',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(acceptSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { propositionId, indexCreneau } = req.body;
+            const { rendezVous, estPartie, autrePartie, expediteur } = await chargerRendezVous(req.params.id, user);
+
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+            if (!estPartie) {
+                return ApiResponse.unauthorized(res, 'Vous n\'êtes pas autorisé à reprogrammer ce rendez-vous');
+            }
+
+            const { proposition, erreur } = await chargerPropositionARepondre(rendezVous, propositionId, user);
+            if (erreur) {
+                return erreur(res);
+            }
+
+            const creneau = Number.isInteger(indexCreneau) ? proposition.creneaux[indexCreneau] : null;
+            if (!creneau) {
+                return ApiResponse.badRequest(res, `indexCreneau doit être compris entre 0 et ${proposition.creneaux.length - 1}`);
+            }
+
+            const maintenant = new Date();
+            const nouvelleDateHeureDebut = RappelService.getDateHeureDebut(creneau);
+            const { margeAvantRdvMinutes } = Consts.REPROGRAMMATION_CONFIG;
+            if (nouvelleDateHeureDebut.getTime() - maintenant.getTime() < margeAvantRdvMinutes * 60 * 1000) {
+                return ApiResponse.badRequest(res, 'Ce créneau est désormais trop proche : choisissez-en un autre ou faites une contre-proposition');
+            }
+
+            const ancienneDateHeureDebut = RappelService.getDateHeureDebut(rendezVous);
+            const nouveauTarif = Number(proposition.tarif ?? rendezVous.tarif ?? 0);
+
+            const rdvReprogramme = await prisma.$transaction(async (tx) => {
+                // Mise à jour conditionnelle : la proposition a pu être retirée, refusée ou expirer entre-temps
+                const { count } = await tx.propositionReprogrammation.updateMany({
+                    where: { id: proposition.id, statut: 'EN_ATTENTE', expireLe: { gt: maintenant } },
                     data: {
-                        dateHeureDebut: nouvelleDate,
-                        dateHeureFin: nouvelleDateHeureFin,
-                        typeConsultation: typeConsultation,
-                        statut: nouveauStatut,
-                        tarifPrevu: nouveauTarif,
-                        fraisReprogrammation,
-                        adresseConsultation: nouvelleAdresse || 
-                            (typeConsultation === 'DOMICILE' ? rendezVous.adresseConsultation : rendezVous.medecin.adresseConsultation),
-                        motifReprogrammation,
-                        reprogrammePar: user.role,
-                        dateReprogrammation: maintenant
-                    },
-                    include: {
-                        patient: {
-                            include: {
-                                user: {
-                                    select: {
-                                        nom: true,
-                                        prenom: true,
-                                        telephone: true
-                                    }
-                                }
-                            }
-                        },
-                        medecin: {
-                            include: {
-                                user: {
-                                    select: {
-                                        nom: true,
-                                        prenom: true
-                                    }
-                                }
-                            }
-                        }
+                        statut: 'ACCEPTEE',
+                        creneauRetenu: indexCreneau,
+                        reponduParUserId: user.id,
+                        dateReponse: maintenant
                     }
                 });
+                if (count === 0) {
+                    throw new Error('PROPOSITION_CLOSE');
+                }
+
+                if (await ReprogrammationService.creneauIndisponible(tx, rendezVous, creneau)) {
+                    throw new Error('CRENEAU_INDISPONIBLE');
+                }
 
-                // Ajout à l'historique
-                await tx.rendezVousHistorique.create({
+                const { count: deplace } = await tx.rendezVous.updateMany({
+                    where: { id: rendezVous.id, statut: 'CONFIRME' },
                     data: {
-                        rendezVousId: rendezVousId,
-                        ancienStatut: rendezVous.statut,
-                        nouveauStatut: nouveauStatut,
-                        motifChangement: `Reprogrammation par ${user.role.toLowerCase()}: ${motifReprogrammation}. Du ${rendezVous.dateHeureDebut.toLocaleDateString()} au ${nouvelleDate.toLocaleDateString()}`,
-                        effectueeParId: user.id,
-                        dateChangement: maintenant
+                        dateRendezVous: new Date(creneau.dateRendezVous),
+                        heureDebut: creneau.heureDebut,
+                        heureFin: creneau.heureFin,
+                        typeConsultation: proposition.typeConsultation,
+                        tarif: nouveauTarif,
+                        adresseConsultation: proposition.adresseConsultation,
+                        ...champsDomicile(proposition)
                     }
                 });
+                if (deplace === 0) {
+                    throw new Error('STATUT_MODIFIE');
+                }
 
-                // Notification à l'autre partie
-                const destinataireNotification = estPatientProprietaire ?
-                    rendezVous.medecin.user : rendezVous.patient.user;
+                await ReprogrammationService.historiser(tx, rendezVous, user.id,
+                    `Reprogrammation acceptée par ${user.role.toLowerCase()} (proposée par ${proposition.roleProposant.toLowerCase()}: ${proposition.motif}). Du ${PartiesRendezVousService.libelleCreneau(rendezVous)} au ${PartiesRendezVousService.libelleCreneau(creneau)}`);
 
-                const expediteur = estPatientProprietaire ?
-                    `${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom}` :
-                    `Dr ${rendezVous.medecin.user.nom}`;
+                // Rappels recalés sur la nouvelle date
+                await RappelService.replanifier(tx, rendezVous.id);
 
-                const titreNotification = nouveauStatut === 'EN_ATTENTE' ?
-                    '🔄 Demande de reprogrammation' :
-                    '✅ Rendez-vous reprogrammé';
+                return await tx.rendezVous.findUnique({ where: { id: rendezVous.id } });
+            });
 
-                const contenuNotification = nouveauStatut === 'EN_ATTENTE' ?
-                    `${expediteur} demande de reprogrammer le rendez-vous du ${rendezVous.dateHeureDebut.toLocaleDateString()} au ${nouvelleDate.toLocaleDateString()} à ${nouvelleDate.toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'})}. Motif: ${motifReprogrammation}` :
-                    `Votre rendez-vous a été reprogrammé du ${rendezVous.dateHeureDebut.toLocaleDateString()} au ${nouvelleDate.toLocaleDateString()} à ${nouvelleDate.toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'})} par ${expediteur}`;
+            await PartiesRendezVousService.notifier(autrePartie, 'RENDEZ_VOUS', {
+                titre: '✅ Rendez-vous reprogrammé',
+                message: `${expediteur} a accepté la reprogrammation : votre rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} est déplacé au ${PartiesRendezVousService.libelleCreneau(creneau)}.`,
+                donnees: {
+                    rendezVousId: rendezVous.id,
+                    propositionId: proposition.id,
+                    ancienneDate: ancienneDateHeureDebut,
+                    nouvelleDate: nouvelleDateHeureDebut,
+                    fraisReprogrammation: Number(proposition.fraisReprogrammation)
+                }
+            });
 
-                await tx.notification.create({
-                    data: {
-                        userId: destinataireNotification.id,
-                        type: 'RENDEZ_VOUS',
-                        titre: titreNotification,
-                        contenu: contenuNotification,
-                        statutNotification: 'EN_ATTENTE',
-                        priorite: nouveauStatut === 'EN_ATTENTE' ? 'HAUTE' : 'NORMALE',
-                        canal: destinataireNotification.canalCommunicationPrefere || 'EMAIL',
-                        donnees: JSON.stringify({
-                            rendezVousId: rdvReprogramme.id,
-                            reprogrammePar: user.role,
-                            ancienneDatee: rendezVous.dateHeureDebut,
-                            nouvelleDatee: nouvelleDate,
-                            nouveauStatut,
-                            fraisReprogrammation
-                        })
-                    }
+            // Le créneau libéré est proposé au premier patient de la liste d'attente
+            try {
+                await ListeAttenteService.proposerCreneau({
+                    medecinId: rendezVous.medecinId,
+                    typeConsultation: rendezVous.typeConsultation,
+                    dateRendezVous: rendezVous.dateRendezVous,
+                    heureDebut: rendezVous.heureDebut,
+                    heureFin: rendezVous.heureFin
                 });
+            } catch (listeAttenteError) {
+                console.error('Erreur liste d\'attente après reprogrammation:', listeAttenteError);
+            }
 
-                return rdvReprogramme;
+            // Événement temps réel pour le patient et le médecin
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_REPORTE, rendezVous.id, {
+                reprogrammePar: proposition.roleProposant,
+                propositionId: proposition.id
             });
 
-            // Préparation de la réponse
-            const reponse = {
+            console.log(`🔄 RDV reprogrammé: ${user.prenom} ${user.nom} (${user.role}) a accepté - Du ${ancienneDateHeureDebut.toLocaleDateString()} au ${nouvelleDateHeureDebut.toLocaleDateString()}`);
+
+            const fraisReprogrammation = Number(proposition.fraisReprogrammation);
+
+            return ApiResponse.success(res, 'Rendez-vous reprogrammé avec succès', {
                 rendezVous: {
-                    id: result.id,
-                    ancienneDateHeureDebut: rendezVous.dateHeureDebut,
-                    nouvelleDateHeureDebut: result.dateHeureDebut,
-                    nouvelleDateHeureFin: result.dateHeureFin,
+                    id: rdvReprogramme.id,
+                    ancienneDateHeureDebut,
+                    nouvelleDateHeureDebut,
+                    dateRendezVous: rdvReprogramme.dateRendezVous,
+                    heureDebut: rdvReprogramme.heureDebut,
+                    heureFin: rdvReprogramme.heureFin,
                     ancienTypeConsultation: rendezVous.typeConsultation,
-                    nouveauTypeConsultation: result.typeConsultation,
-                    statut: result.statut,
-                    motifReprogrammation: result.motifReprogrammation,
-                    reprogrammePar: result.reprogrammePar
+                    nouveauTypeConsultation: rdvReprogramme.typeConsultation,
+                    statut: rdvReprogramme.statut,
+                    motifReprogrammation: proposition.motif,
+                    reprogrammePar: proposition.roleProposant
                 },
                 changements: {
-                    date: rendezVous.dateHeureDebut.toLocaleDateString() !== result.dateHeureDebut.toLocaleDateString(),
-                    heure: rendezVous.dateHeureDebut.toLocaleTimeString() !== result.dateHeureDebut.toLocaleTimeString(),
-                    typeConsultation: rendezVous.typeConsultation !== result.typeConsultation,
-                    adresse: (nouvelleAdresse && nouvelleAdresse !== rendezVous.adresseConsultation),
-                    tarif: rendezVous.tarifPrevu !== result.tarifPrevu
+                    date: ancienneDateHeureDebut.toISOString().split('T')[0] !== creneau.dateRendezVous,
+                    heure: rendezVous.heureDebut !== rdvReprogramme.heureDebut,
+                    typeConsultation: rendezVous.typeConsultation !== rdvReprogramme.typeConsultation,
+                    adresse: (rendezVous.adresseConsultation || null) !== (rdvReprogramme.adresseConsultation || null),
+                    tarif: Number(rendezVous.tarif || 0) !== nouveauTarif
                 },
                 tarification: {
-                    ancienTarif: rendezVous.tarifPrevu,
-                    nouveauTarif: nouveauTarif,
+                    ancienTarif: Number(rendezVous.tarif || 0),
+                    nouveauTarif,
                     fraisReprogrammation,
-                    total: nouveauTarif + fraisReprogrammation,
-                    messageDelai
-                },
-                partenaire: estPatientProprietaire ? {
-                    type: 'medecin',
-                    nom: rendezVous.medecin.user.nom,
-                    prenom: rendezVous.medecin.user.prenom,
-                    specialite: rendezVous.medecin.specialitePrincipale
-                } : {
-                    type: 'patient',
-                    nom: rendezVous.patient.user.nom,
-                    prenom: rendezVous.patient.user.prenom,
-                    telephone: rendezVous.patient.user.telephone
+                    total: nouveauTarif + fraisReprogrammation
                 },
-                prochaines_etapes: nouveauStatut === 'EN_ATTENTE' ? [
-                    'Demande de reprogrammation envoyée',
-                    `En attente de confirmation de ${estPatientProprietaire ? 'le médecin' : 'le patient'}`,
-                    'Vous recevrez une notification de la réponse',
-                    'L\'ancien créneau reste réservé jusqu\'à la réponse'
-                ] : [
-                    'Rendez-vous reprogrammé avec succès',
-                    'Les deux parties ont été notifiées',
-                    'Le nouveau créneau est confirmé',
-                    'L\'ancien créneau a été libéré'
-                ]
-            };
+                proposition: ReprogrammationService.format({ ...proposition, statut: 'ACCEPTEE', creneauRetenu: indexCreneau })
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur acceptation reprogrammation:', error);
+
+            if (error.message === 'PROPOSITION_CLOSE') {
+                return ApiResponse.conflict(res, 'La proposition a été retirée ou a expiré entre-temps');
+            }
+            if (error.message === 'CRENEAU_INDISPONIBLE' || error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Ce créneau n\'est plus disponible : choisissez-en un autre ou faites une contre-proposition');
+            }
+            if (error.message === 'STATUT_MODIFIE') {
+                return ApiResponse.conflict(res, 'Le statut du rendez-vous a été modifié entre-temps');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de l\'acceptation de la reprogrammation');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/reschedule/counter - Répondre à une proposition par d'autres créneaux
+ * La proposition initiale est close et l'échéance de réponse repart pour son auteur
+ */
+router.post('/counter',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(counterSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { propositionId, creneauxProposes, motif, dureeEstimee } = req.body;
+            const { rendezVous, estPartie, autrePartie, expediteur } = await chargerRendezVous(req.params.id, user);
 
-            const messageSucces = nouveauStatut === 'EN_ATTENTE' ?
-                'Demande de reprogrammation envoyée avec succès' :
-                'Rendez-vous reprogrammé avec succès';
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+            if (!estPartie) {
+                return ApiResponse.unauthorized(res, 'Vous n\'êtes pas autorisé à reprogrammer ce rendez-vous');
+            }
+
+            const { proposition, erreur } = await chargerPropositionARepondre(rendezVous, propositionId, user);
+            if (erreur) {
+                return erreur(res);
+            }
+
+            const { maxContrePropositions } = Consts.REPROGRAMMATION_CONFIG;
+            if (await ReprogrammationService.compterContrePropositions(prisma, proposition) >= maxContrePropositions) {
+                return ApiResponse.badRequest(res, `Nombre maximal de contre-propositions atteint (${maxContrePropositions}) : acceptez un créneau ou refusez la reprogrammation`);
+            }
+
+            const expireLe = ReprogrammationService.calculerExpiration(rendezVous);
+            if (!expireLe) {
+                return ApiResponse.badRequest(res, 'Le rendez-vous est trop proche pour une nouvelle proposition');
+            }
 
-            console.log(`🔄 RDV reprogrammé: ${user.prenom} ${user.nom} (${user.role}) - Du ${rendezVous.dateHeureDebut.toLocaleDateString()} au ${nouvelleDate.toLocaleDateString()}`);
+            // Même durée que la proposition d'origine par défaut
+            const [premierCreneau] = proposition.creneaux;
+            const dureeMinutes = dureeEstimee || (enMinutes(premierCreneau.heureFin) - enMinutes(premierCreneau.heureDebut));
 
-            return ApiResponse.success(res, messageSucces, reponse);
+            const { erreurs, creneaux, indisponibles } = await verifierCreneaux(rendezVous, creneauxProposes, dureeMinutes);
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Créneaux proposés invalides', { validationErrors: erreurs });
+            }
+            if (indisponibles.length > 0) {
+                return ApiResponse.badRequest(res, 'Certains créneaux proposés ne sont pas disponibles', { creneauxIndisponibles: indisponibles });
+            }
+
+            const contreProposition = await prisma.$transaction(async (tx) => {
+                const { count } = await tx.propositionReprogrammation.updateMany({
+                    where: { id: proposition.id, statut: 'EN_ATTENTE', expireLe: { gt: new Date() } },
+                    data: {
+                        statut: 'CONTRE_PROPOSEE',
+                        reponduParUserId: user.id,
+                        motifReponse: motif,
+                        dateReponse: new Date()
+                    }
+                });
+                if (count === 0) {
+                    throw new Error('PROPOSITION_CLOSE');
+                }
+
+                // Type, adresse, tarif et frais suivent la demande initiale
+                const nouvelleProposition = await tx.propositionReprogrammation.create({
+                    data: {
+                        rendezVousId: rendezVous.id,
+                        proposeParUserId: user.id,
+                        roleProposant: user.role,
+                        creneaux,
+                        typeConsultation: proposition.typeConsultation,
+                        adresseConsultation: proposition.adresseConsultation,
+                        ...champsDomicile(proposition),
+                        tarif: proposition.tarif,
+                        fraisReprogrammation: proposition.fraisReprogrammation,
+                        motif,
+                        expireLe,
+                        propositionPrecedenteId: proposition.id
+                    }
+                });
+
+                await ReprogrammationService.historiser(tx, rendezVous, user.id,
+                    `Contre-proposition de reprogrammation par ${user.role.toLowerCase()}: ${motif}. Créneaux proposés: ${libelleCreneaux(creneaux)}`);
+
+                return nouvelleProposition;
+            });
+
+            await PartiesRendezVousService.notifier(autrePartie, 'RENDEZ_VOUS', {
+                titre: '🔄 Contre-proposition de reprogrammation',
+                message: `${expediteur} n'est pas disponible aux horaires proposés et suggère: ${libelleCreneaux(creneaux)}. Motif: ${motif}. Sans réponse avant le ${expireLe.toLocaleString('fr-FR', { timeZone: 'UTC' })}, le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} est maintenu.`,
+                priorite: 'HAUTE',
+                donnees: {
+                    rendezVousId: rendezVous.id,
+                    propositionId: contreProposition.id,
+                    proposePar: user.role,
+                    creneaux,
+                    expireLe
+                }
+            });
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.REPROGRAMMATION_PROPOSITION, rendezVous.id, {
+                propositionId: contreProposition.id,
+                statutProposition: 'EN_ATTENTE',
+                proposePar: user.role,
+                propositionPrecedenteId: proposition.id
+            });
+
+            return ApiResponse.created(res, 'Contre-proposition envoyée avec succès', {
+                proposition: ReprogrammationService.format(contreProposition)
+            });
 
         } catch (error) {
-            console.error('❌ Erreur reprogrammation rendez-vous:', error);
-            return ApiResponse.serverError(res, 'Erreur lors de la reprogrammation du rendez-vous');
+            console.error('❌ Erreur contre-proposition de reprogrammation:', error);
+
+            if (error.message === 'PROPOSITION_CLOSE') {
+                return ApiResponse.conflict(res, 'La proposition a été retirée ou a expiré entre-temps');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de la contre-proposition de reprogrammation');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/reschedule/decline - Refuser la reprogrammation (le rendez-vous est maintenu)
+ */
+router.post('/decline',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(declineSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { propositionId, motif } = req.body;
+            const { rendezVous, estPartie, autrePartie, expediteur } = await chargerRendezVous(req.params.id, user);
+
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+            if (!estPartie) {
+                return ApiResponse.unauthorized(res, 'Vous n\'êtes pas autorisé à reprogrammer ce rendez-vous');
+            }
+
+            const { proposition, erreur } = await chargerPropositionARepondre(rendezVous, propositionId, user);
+            if (erreur) {
+                return erreur(res);
+            }
+
+            await prisma.$transaction(async (tx) => {
+                const { count } = await tx.propositionReprogrammation.updateMany({
+                    where: { id: proposition.id, statut: 'EN_ATTENTE' },
+                    data: {
+                        statut: 'REFUSEE',
+                        reponduParUserId: user.id,
+                        motifReponse: motif || null,
+                        dateReponse: new Date()
+                    }
+                });
+                if (count === 0) {
+                    throw new Error('PROPOSITION_CLOSE');
+                }
+
+                await ReprogrammationService.historiser(tx, rendezVous, user.id,
+                    `Reprogrammation refusée par ${user.role.toLowerCase()}${motif ? `: ${motif}` : ''}. Créneau d'origine maintenu`);
+            });
+
+            await PartiesRendezVousService.notifier(autrePartie, 'RENDEZ_VOUS', {
+                titre: 'Reprogrammation refusée',
+                message: `${expediteur} a refusé la reprogrammation${motif ? ` (${motif})` : ''}. Le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} est maintenu ; vous pouvez l'annuler si vous ne pouvez pas vous y présenter.`,
+                donnees: { rendezVousId: rendezVous.id, propositionId: proposition.id }
+            });
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.REPROGRAMMATION_PROPOSITION, rendezVous.id, {
+                propositionId: proposition.id,
+                statutProposition: 'REFUSEE'
+            });
+
+            return ApiResponse.success(res, 'Reprogrammation refusée, le rendez-vous est maintenu', {
+                proposition: ReprogrammationService.format({ ...proposition, statut: 'REFUSEE', motifReponse: motif || null })
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur refus reprogrammation:', error);
+
+            if (error.message === 'PROPOSITION_CLOSE') {
+                return ApiResponse.conflict(res, 'La proposition a été retirée ou a expiré entre-temps');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors du refus de la reprogrammation');
         }
     }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,9 +1,16 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const RappelService = require('../../services/RappelService');
+const TempsReelService = require('../../services/TempsReelService');
+const CreneauAlternatifService = require('../../services/CreneauAlternatifService');
+const ContactMaskingService = require('../../services/ContactMaskingService');
+const TeleconsultationService = require('../../services/TeleconsultationService');
+const PaiementService = require('../../services/PaiementService');
 
 // Schéma de validation pour la réponse du médecin
 const respondAppointmentSchema = {
@@ -50,7 +57,7 @@ const respondAppointmentSchema = {
 /**
  * PUT /appointments/:id/respond - Réponse du médecin à une demande de RDV
  */
-router.put('/:id',
+router.put('/',
     AuthMiddleware.authenticate(),
     AuthMiddleware.authorizeValidatedMedecin(),
     BodyFilter.validate(respondAppointmentSchema),
@@ -119,63 +126,64 @@ router.put('/:id',
                 return ApiResponse.badRequest(res, 'Cette demande de rendez-vous ne peut plus être modifiée');
             }
 
+            if (rendezVous.echeancePaiement) {
+                return ApiResponse.badRequest(res, 'Rendez-vous déjà accepté : il sera confirmé dès le paiement du patient');
+            }
+
             // Vérification que le RDV n'est pas dans le passé
-            if (new Date(rendezVous.dateHeureDebut) <= new Date()) {
+            const dateHeureDebut = RappelService.getDateHeureDebut(rendezVous);
+            if (dateHeureDebut <= new Date()) {
                 return ApiResponse.badRequest(res, 'Impossible de répondre à un rendez-vous passé');
             }
 
-            // Validation des créneaux alternatifs pour un refus
+            // Validation des créneaux alternatifs pour un refus (durée de la demande, disponibilité du médecin)
+            let creneauxProposes = [];
             if (decision === 'REFUSER' && creneauxAlternatifs.length > 0) {
-                for (const creneau of creneauxAlternatifs) {
-                    const dateCreneau = new Date(creneau.dateHeureDebut);
-                    if (dateCreneau <= new Date()) {
-                        return ApiResponse.badRequest(res, 'Les créneaux alternatifs ne peuvent pas être dans le passé');
-                    }
-                    
-                    // Vérifier disponibilité du créneau alternatif
-                    const conflit = await prisma.rendezVous.findFirst({
-                        where: {
-                            medecinId: rendezVous.medecinId,
-                            statut: { in: ['CONFIRME', 'EN_ATTENTE'] },
-                            dateHeureDebut: {
-                                lte: new Date(dateCreneau.getTime() + (30 * 60 * 1000))
-                            },
-                            dateHeureFin: {
-                                gte: dateCreneau
-                            }
-                        }
-                    });
-                    
-                    if (conflit) {
-                        return ApiResponse.badRequest(res, `Créneau alternatif du ${dateCreneau.toLocaleDateString()} non disponible`);
+                const { erreurs, creneaux } = CreneauAlternatifService.preparer(rendezVous, creneauxAlternatifs);
+                if (erreurs.length > 0) {
+                    return ApiResponse.badRequest(res, 'Créneaux alternatifs invalides', { validationErrors: erreurs });
+                }
+
+                for (const creneau of creneaux) {
+                    if (await CreneauAlternatifService.creneauPris(prisma, { ...creneau, proposeParMedecinId: rendezVous.medecinId }, rendezVous.patientId)) {
+                        return ApiResponse.badRequest(res, `Créneau alternatif du ${creneau.dateRendezVous.toLocaleDateString('fr-FR')} à ${creneau.heureDebut} non disponible`);
                     }
                 }
+                creneauxProposes = creneaux;
             }
 
+            // Prépaiement exigé par le médecin : le rendez-vous reste en attente (créneau retenu) jusqu'au paiement,
+            // sauf s'il est trop proche pour attendre le paiement (réglé alors lors de la consultation)
+            const tarifFinal = modificationsTarif && modificationsTarif.nouveau_tarif !== undefined ?
+                modificationsTarif.nouveau_tarif : rendezVous.tarif;
+            const echeancePaiement = decision === 'ACCEPTER' && PaiementService.prepaiementExige(rendezVous.medecin, tarifFinal) ?
+                PaiementService.calculerEcheance(rendezVous) : null;
+
             // Traitement en transaction
             const result = await prisma.$transaction(async (tx) => {
                 let nouveauStatut;
                 let updatedData = {};
 
                 if (decision === 'ACCEPTER') {
-                    nouveauStatut = 'CONFIRME';
+                    nouveauStatut = echeancePaiement ? 'EN_ATTENTE' : 'CONFIRME';
                     
                     // Application des modifications de tarif si spécifiées
                     if (modificationsTarif && modificationsTarif.nouveau_tarif !== undefined) {
-                        updatedData.tarifPrevu = modificationsTarif.nouveau_tarif;
+                        updatedData.tarif = modificationsTarif.nouveau_tarif;
+                    }
+
+                    if (echeancePaiement) {
+                        updatedData.echeancePaiement = echeancePaiement;
                     }
                 } else {
                     nouveauStatut = 'REFUSE';
-                    updatedData.motifRefus = motifRefus;
                 }
 
-                // Mise à jour du RDV
+                // Mise à jour du RDV (motif de refus et message du médecin conservés dans l'historique)
                 const rdvUpdated = await tx.rendezVous.update({
                     where: { id: rendezVousId },
                     data: {
                         statut: nouveauStatut,
-                        dateReponse: new Date(),
-                        messagePersonnaliseMedecin: messagePersonnalise,
                         ...updatedData
                     },
                     include: {
@@ -183,6 +191,7 @@ router.put('/:id',
                             include: {
                                 user: {
                                     select: {
+                                        id: true,
                                         nom: true,
                                         prenom: true,
                                         telephone: true,
@@ -209,76 +218,87 @@ router.put('/:id',
                 await tx.rendezVousHistorique.create({
                     data: {
                         rendezVousId: rendezVousId,
-                        ancienStatut: rendezVous.statut,
+                        statutPrecedent: rendezVous.statut,
                         nouveauStatut: nouveauStatut,
-                        motifChangement: decision === 'ACCEPTER' ? 
-                            `Accepté par le médecin${messagePersonnalise ? ': ' + messagePersonnalise : ''}` :
+                        motifModification: decision === 'ACCEPTER' ?
+                            `Accepté par le médecin${echeancePaiement ? ', en attente du paiement' : ''}${messagePersonnalise ? ': ' + messagePersonnalise : ''}` :
                             `Refusé par le médecin: ${motifRefus}`,
-                        effectueeParId: medecinUser.id,
-                        dateChangement: new Date()
+                        modifieParUserId: medecinUser.id,
+                        dateModification: new Date()
                     }
                 });
 
-                // Stockage des créneaux alternatifs si refus
-                if (decision === 'REFUSER' && creneauxAlternatifs.length > 0) {
-                    for (const creneau of creneauxAlternatifs) {
-                        await tx.creneauAlternatif.create({
-                            data: {
-                                rendezVousRefuseId: rendezVousId,
-                                dateHeureDebut: new Date(creneau.dateHeureDebut),
-                                typeConsultation: creneau.typeConsultation || rendezVous.typeConsultation,
-                                proposeParMedecinId: rendezVous.medecinId,
-                                statut: 'PROPOSE'
-                            }
-                        });
-                    }
+                // Stockage des créneaux alternatifs si refus (réservables par le patient jusqu'à l'échéance)
+                const creneauxCrees = [];
+                for (const creneau of creneauxProposes) {
+                    creneauxCrees.push(await tx.creneauAlternatif.create({
+                        data: {
+                            rendezVousRefuseId: rendezVousId,
+                            proposeParMedecinId: rendezVous.medecinId,
+                            ...creneau
+                        }
+                    }));
                 }
 
                 // Notification au patient
                 const titreNotification = decision === 'ACCEPTER' ?
-                    'Rendez-vous confirmé ✅' :
+                    (echeancePaiement ? 'Rendez-vous accepté : paiement requis 💳' : 'Rendez-vous confirmé ✅') :
                     'Rendez-vous refusé ⚠️';
 
                 const contenuNotification = decision === 'ACCEPTER' ?
-                    `Votre rendez-vous du ${rdvUpdated.dateHeureDebut.toLocaleDateString('fr-FR')} à ${rdvUpdated.dateHeureDebut.toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'})} avec le Dr ${rdvUpdated.medecin.user.nom} a été confirmé.${messagePersonnalise ? ' Message du médecin: ' + messagePersonnalise : ''}` :
-                    `Votre demande de rendez-vous du ${rdvUpdated.dateHeureDebut.toLocaleDateString('fr-FR')} avec le Dr ${rdvUpdated.medecin.user.nom} a été refusée. Motif: ${motifRefus}${creneauxAlternatifs.length > 0 ? '. Des créneaux alternatifs vous ont été proposés.' : ''}`;
+                    (echeancePaiement ?
+                        `Le Dr ${rdvUpdated.medecin.user.nom} a accepté votre rendez-vous du ${dateHeureDebut.toLocaleDateString('fr-FR')} à ${rdvUpdated.heureDebut}. Réglez la consultation (${Number(rdvUpdated.tarif)} ${Consts.PAIEMENT_CONFIG.devise}) par mobile money avant le ${echeancePaiement.toLocaleString('fr-FR')} pour le confirmer, sans quoi il sera annulé.` :
+                        `Votre rendez-vous du ${dateHeureDebut.toLocaleDateString('fr-FR')} à ${rdvUpdated.heureDebut} avec le Dr ${rdvUpdated.medecin.user.nom} a été confirmé.`) +
+                        (messagePersonnalise ? ' Message du médecin: ' + messagePersonnalise : '') :
+                    `Votre demande de rendez-vous du ${dateHeureDebut.toLocaleDateString('fr-FR')} avec le Dr ${rdvUpdated.medecin.user.nom} a été refusée. Motif: ${motifRefus}${creneauxCrees.length > 0 ? `. Le médecin vous propose ${creneauxCrees.length} autre(s) créneau(x), réservable(s) en un clic tant qu'ils sont libres.` : ''}`;
 
                 await tx.notification.create({
                     data: {
                         userId: rdvUpdated.patient.user.id,
-                        type: 'RENDEZ_VOUS',
+                        typeNotification: 'RENDEZ_VOUS',
                         titre: titreNotification,
-                        contenu: contenuNotification,
-                        statutNotification: 'EN_ATTENTE',
-                        priorite: decision === 'ACCEPTER' ? 'NORMALE' : 'HAUTE',
+                        message: contenuNotification,
+                        statut: 'EN_ATTENTE',
+                        priorite: decision === 'ACCEPTER' && !echeancePaiement ? 'NORMALE' : 'HAUTE',
                         canal: rdvUpdated.patient.user.canalCommunicationPrefere || 'EMAIL',
-                        donnees: JSON.stringify({
+                        donneesSupplementaires: {
                             rendezVousId: rdvUpdated.id,
                             decision,
-                            creneauxAlternatifs: creneauxAlternatifs.length,
-                            tarif_modifie: modificationsTarif ? modificationsTarif.nouveau_tarif : null
-                        })
+                            creneauxAlternatifs: creneauxCrees.map(creneau => creneau.id),
+                            tarif_modifie: modificationsTarif ? modificationsTarif.nouveau_tarif : null,
+                            echeancePaiement
+                        }
                     }
                 });
 
-                return { rdvUpdated, creneauxAlternatifs };
+                // Rappels automatiques avant le rendez-vous confirmé (après le paiement en cas de prépaiement)
+                const rappelsProgrammes = decision === 'ACCEPTER' && !echeancePaiement ?
+                    await RappelService.planifier(tx, rendezVousId) : 0;
+
+                return { rdvUpdated, creneauxCrees, rappelsProgrammes };
             });
 
+            // Salle virtuelle des téléconsultations confirmées
+            if (decision === 'ACCEPTER' && !echeancePaiement) {
+                await TeleconsultationService.preparerSalle(rendezVousId);
+            }
+
             // Préparation de la réponse
             const reponse = {
                 rendezVous: {
                     id: result.rdvUpdated.id,
                     statut: result.rdvUpdated.statut,
-                    dateHeureDebut: result.rdvUpdated.dateHeureDebut,
-                    dateHeureFin: result.rdvUpdated.dateHeureFin,
+                    dateRendezVous: result.rdvUpdated.dateRendezVous,
+                    heureDebut: result.rdvUpdated.heureDebut,
+                    heureFin: result.rdvUpdated.heureFin,
                     typeConsultation: result.rdvUpdated.typeConsultation,
-                    dateReponse: result.rdvUpdated.dateReponse,
-                    tarifPrevu: result.rdvUpdated.tarifPrevu
+                    tarif: result.rdvUpdated.tarif,
+                    echeancePaiement: result.rdvUpdated.echeancePaiement
                 },
                 patient: {
                     nom: result.rdvUpdated.patient.user.nom,
                     prenom: result.rdvUpdated.patient.user.prenom,
-                    telephone: result.rdvUpdated.patient.user.telephone
+                    telephone: ContactMaskingService.maskPhoneIfPermanent(result.rdvUpdated.patient.user.telephone)
                 },
                 decision: decision,
                 details: {}
@@ -286,33 +306,37 @@ router.put('/:id',
 
             if (decision === 'ACCEPTER') {
                 reponse.details = {
-                    message: 'Rendez-vous confirmé avec succès',
+                    message: echeancePaiement ?
+                        'Rendez-vous accepté, en attente du paiement du patient' :
+                        'Rendez-vous confirmé avec succès',
                     messagePersonnalise: messagePersonnalise || null,
                     modifications: modificationsTarif ? {
                         tarif: modificationsTarif.nouveau_tarif,
                         motif: modificationsTarif.motif_modification
                     } : null,
+                    rappelsProgrammes: result.rappelsProgrammes,
                     prochaines_etapes: [
-                        'Le patient a été notifié de la confirmation',
+                        echeancePaiement ?
+                            `Le patient doit payer la consultation avant le ${echeancePaiement.toLocaleString('fr-FR')} : le rendez-vous sera alors confirmé, sinon annulé` :
+                            'Le patient a été notifié de la confirmation',
                         'Le rendez-vous apparaît maintenant dans votre planning',
-                        'Vous pouvez contacter le patient au ' + result.rdvUpdated.patient.user.telephone,
-                        'Le patient peut annuler gratuitement jusqu\'à 24h avant le RDV'
-                    ]
+                        ContactMaskingService.isPermanentMaskingEnabled() ?
+                            `Échangez avec le patient via la messagerie du rendez-vous (/v1/appointments/${rendezVousId}/messages)` :
+                            'Vous pouvez contacter le patient au ' + result.rdvUpdated.patient.user.telephone,
+                        'Le patient peut annuler gratuitement jusqu\'à 24h avant le RDV',
+                        result.rdvUpdated.typeConsultation === 'TELECONSULTATION' ?
+                            `La salle de téléconsultation ouvre ${Consts.TELECONSULTATION_CONFIG.ouvertureAvantMinutes} minutes avant le rendez-vous (POST /v1/appointments/${rendezVousId}/teleconsultation/join)` : null
+                    ].filter(Boolean)
                 };
             } else {
                 reponse.details = {
                     message: 'Demande de rendez-vous refusée',
                     motifRefus: motifRefus,
                     messagePersonnalise: messagePersonnalise || null,
-                    creneauxAlternatifs: creneauxAlternatifs.map(c => ({
-                        dateHeureDebut: c.dateHeureDebut,
-                        typeConsultation: c.typeConsultation || result.rdvUpdated.typeConsultation,
-                        date: new Date(c.dateHeureDebut).toLocaleDateString('fr-FR'),
-                        heure: new Date(c.dateHeureDebut).toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'})
-                    })),
+                    creneauxAlternatifs: result.creneauxCrees.map(creneau => CreneauAlternatifService.format(creneau)),
                     prochaines_etapes: [
                         'Le patient a été notifié du refus',
-                        creneauxAlternatifs.length > 0 ? 'Des créneaux alternatifs lui ont été proposés' : null,
+                        result.creneauxCrees.length > 0 ? 'Des créneaux alternatifs lui ont été proposés : le premier qu\'il accepte est confirmé directement' : null,
                         'Le patient peut faire une nouvelle demande',
                         'Votre planning reste inchangé'
                     ].filter(Boolean)
@@ -320,9 +344,16 @@ router.put('/:id',
             }
 
             const messageSucces = decision === 'ACCEPTER' ?
-                'Rendez-vous confirmé avec succès' :
+                (echeancePaiement ? 'Rendez-vous accepté, en attente du paiement du patient' : 'Rendez-vous confirmé avec succès') :
                 'Demande de rendez-vous refusée avec succès';
 
+            // Événement temps réel pour le patient et le médecin
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_REPONDU, rendezVousId, {
+                decision,
+                creneauxAlternatifs: result.creneauxCrees.length,
+                echeancePaiement
+            });
+
             console.log(`✅ Réponse RDV: Dr ${medecinUser.nom} ${decision.toLowerCase()} RDV de ${result.rdvUpdated.patient.user.prenom} ${result.rdvUpdated.patient.user.nom}`);
 
             return ApiResponse.success(res, messageSucces, reponse);
@@ -0,0 +1,956 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const RappelService = require('../../services/RappelService');
+const TempsReelService = require('../../services/TempsReelService');
+const TeleconsultationService = require('../../services/TeleconsultationService');
+const PolitiqueAnnulationService = require('../../services/PolitiqueAnnulationService');
+const SerieRendezVousService = require('../../services/SerieRendezVousService');
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
+
+// Champs de récurrence communs à la création et à la modification
+const recurrenceFields = {
+    intervalle: {
+        type: 'number',
+        min: 1
+    },
+    uniteIntervalle: {
+        type: 'string',
+        enum: ['SEMAINE', 'MOIS']
+    },
+    nombreOccurrences: {
+        type: 'number',
+        min: 2
+    },
+    typeConsultation: {
+        type: 'string',
+        enum: ['CLINIQUE', 'DOMICILE', 'TELECONSULTATION']
+    },
+    dureeEstimee: {
+        type: 'number',
+        min: 15,
+        max: 120
+    },
+    motifConsultation: {
+        type: 'string',
+        minLength: 10,
+        maxLength: 1000
+    },
+    adressePatient: {
+        type: 'string',
+        maxLength: 500
+    },
+    latitudeDomicile: {
+        type: 'number',
+        min: -90,
+        max: 90
+    },
+    longitudeDomicile: {
+        type: 'number',
+        min: -180,
+        max: 180
+    },
+    communeDomicile: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 100
+    },
+    ignorerConflits: {
+        type: 'boolean'
+    },
+    simulation: {
+        type: 'boolean'
+    }
+};
+
+// Schéma de validation pour la création d'une série
+const createSerieSchema = {
+    fields: {
+        ...recurrenceFields,
+        medecinId: {
+            type: 'string',
+            minLength: 1
+        },
+        patientId: {
+            type: 'string',
+            minLength: 1
+        },
+        consultationId: {
+            type: 'string',
+            minLength: 1
+        },
+        dateHeureDebut: {
+            type: 'string'
+        }
+    },
+    required: ['intervalle', 'nombreOccurrences'],
+    strict: true
+};
+
+// Schéma de validation pour la modification d'une série
+const updateSerieSchema = {
+    fields: {
+        ...recurrenceFields,
+        heureDebut: {
+            type: 'string',
+            pattern: '^([01]\\d|2[0-3]):[0-5]\\d$'
+        },
+        motifModification: {
+            type: 'string',
+            minLength: 5,
+            maxLength: 1000
+        }
+    },
+    required: ['motifModification'],
+    strict: true
+};
+
+// Schéma de validation pour l'annulation d'une série
+const cancelSerieSchema = {
+    fields: {
+        motifAnnulation: {
+            type: 'string',
+            minLength: 5,
+            maxLength: 1000
+        }
+    },
+    required: ['motifAnnulation'],
+    strict: true
+};
+
+const jourIso = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Rapport des conflits : bloque l'opération sauf si l'utilisateur accepte de ne traiter que les occurrences disponibles
+ * @returns {string|null} Message de refus
+ */
+const refusConflits = (rapport, ignorerConflits) => {
+    const conflits = rapport.filter(occurrence => occurrence.conflit);
+
+    if (rapport.length > 0 && conflits.length === rapport.length) {
+        return 'Aucune occurrence n\'est disponible : ajustez la date, l\'horaire ou la fréquence';
+    }
+    if (conflits.length > 0 && !ignorerConflits) {
+        return `${conflits.length} occurrence(s) en conflit : ajustez la série, ou renvoyez la demande avec ignorerConflits pour ne traiter que les occurrences disponibles`;
+    }
+    return null;
+};
+
+/**
+ * Préavis en deçà duquel une occurrence ne suit plus la série (elle s'annule ou se reprogramme individuellement)
+ * Pour le patient, c'est celui de la politique d'annulation du médecin
+ */
+const delaiModificationHeures = async (user, medecinId) => {
+    if (user.role === 'MEDECIN') {
+        return Consts.SERIE_RENDEZ_VOUS_CONFIG.delaiModificationMedecinHeures;
+    }
+    const { politique } = await PolitiqueAnnulationService.getPolitique(prisma, medecinId);
+    return politique.delaiMinimumHeures;
+};
+
+/**
+ * POST /appointments/series - Créer une série de rendez-vous de suivi
+ * Créée par le médecin, les occurrences sont confirmées ; créée par le patient, ce sont des demandes
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(createSerieSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            let {
+                medecinId,
+                patientId,
+                consultationId,
+                dateHeureDebut,
+                intervalle,
+                uniteIntervalle = 'SEMAINE',
+                nombreOccurrences,
+                typeConsultation,
+                dureeEstimee,
+                motifConsultation,
+                adressePatient,
+                latitudeDomicile,
+                longitudeDomicile,
+                communeDomicile,
+                ignorerConflits = false,
+                simulation = false
+            } = req.body;
+
+            // Suivi prescrit lors d'une consultation : parties, type, durée et date proposés par défaut
+            let consultation = null;
+            if (consultationId) {
+                consultation = await prisma.consultation.findUnique({
+                    where: { id: consultationId },
+                    include: {
+                        rendezVous: {
+                            include: {
+                                patient: { select: { userId: true } },
+                                medecin: { select: { userId: true } }
+                            }
+                        }
+                    }
+                });
+
+                const rdvOrigine = consultation?.rendezVous;
+                if (!rdvOrigine || (rdvOrigine.patient.userId !== user.id && rdvOrigine.medecin.userId !== user.id)) {
+                    return ApiResponse.notFound(res, 'Consultation non trouvée');
+                }
+                if ((medecinId && medecinId !== rdvOrigine.medecinId) || (patientId && patientId !== rdvOrigine.patientId)) {
+                    return ApiResponse.badRequest(res, 'La série de suivi doit concerner le patient et le médecin de la consultation');
+                }
+
+                medecinId = rdvOrigine.medecinId;
+                patientId = rdvOrigine.patientId;
+                typeConsultation = typeConsultation || rdvOrigine.typeConsultation;
+                if (!adressePatient && rdvOrigine.adresseConsultation) {
+                    adressePatient = rdvOrigine.adresseConsultation;
+                    latitudeDomicile = rdvOrigine.latitudeDomicile ?? undefined;
+                    longitudeDomicile = rdvOrigine.longitudeDomicile ?? undefined;
+                    communeDomicile = rdvOrigine.communeDomicile ?? undefined;
+                }
+                motifConsultation = motifConsultation || `Suivi : ${rdvOrigine.motifConsultation}`.slice(0, 1000);
+                if (!dureeEstimee) {
+                    const [hDebut, mDebut] = rdvOrigine.heureDebut.split(':').map(Number);
+                    const [hFin, mFin] = rdvOrigine.heureFin.split(':').map(Number);
+                    dureeEstimee = (hFin * 60 + mFin) - (hDebut * 60 + mDebut);
+                }
+                if (!dateHeureDebut && consultation.prochaineConsultationPrevue) {
+                    dateHeureDebut = `${jourIso(consultation.prochaineConsultationPrevue)}T${rdvOrigine.heureDebut}:00.000Z`;
+                }
+            }
+
+            const erreurs = [];
+            if (!dateHeureDebut) erreurs.push('dateHeureDebut est requis (sauf consultation avec prochaine consultation prévue)');
+            if (!typeConsultation) erreurs.push('typeConsultation est requis');
+            if (!motifConsultation) erreurs.push('motifConsultation est requis');
+            if (user.role === 'PATIENT' && !medecinId) erreurs.push('medecinId est requis');
+            if (user.role === 'MEDECIN' && !patientId) erreurs.push('patientId est requis');
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Données de la série incomplètes', { validationErrors: erreurs });
+            }
+
+            const debut = new Date(dateHeureDebut);
+            if (isNaN(debut.getTime())) {
+                return ApiResponse.badRequest(res, 'dateHeureDebut invalide');
+            }
+
+            // Parties de la série
+            if (user.role === 'PATIENT') {
+                const patient = await prisma.patient.findUnique({ where: { userId: user.id }, select: { id: true } });
+                if (!patient) {
+                    return ApiResponse.badRequest(res, 'Profil patient incomplet. Veuillez compléter votre profil avant de prendre rendez-vous');
+                }
+                patientId = patient.id;
+            } else {
+                const medecinConnecte = await prisma.medecin.findUnique({ where: { userId: user.id }, select: { id: true } });
+                if (!medecinConnecte || (medecinId && medecinId !== medecinConnecte.id)) {
+                    return ApiResponse.forbidden(res, 'Vous ne pouvez créer une série que pour vos propres rendez-vous');
+                }
+                medecinId = medecinConnecte.id;
+
+                // Le médecin ne programme le suivi que de ses propres patients
+                const dejaSuivi = consultation || await prisma.rendezVous.findFirst({
+                    where: { medecinId, patientId, statut: { in: ['CONFIRME', 'TERMINE'] } },
+                    select: { id: true }
+                });
+                if (!dejaSuivi) {
+                    return ApiResponse.forbidden(res, 'Une série de suivi ne peut être créée que pour un patient que vous avez déjà reçu');
+                }
+            }
+
+            const [medecin, patient] = await Promise.all([
+                prisma.medecin.findUnique({
+                    where: { id: medecinId },
+                    include: {
+                        user: { select: { id: true, nom: true, prenom: true, statut: true, canalCommunicationPrefere: true } },
+                        disponibilites: true
+                    }
+                }),
+                prisma.patient.findUnique({
+                    where: { id: patientId },
+                    include: {
+                        user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+                    }
+                })
+            ]);
+
+            if (!medecin || medecin.statutValidation !== 'VALIDE' || medecin.user.statut !== 'ACTIF') {
+                return ApiResponse.notFound(res, 'Médecin non trouvé ou non disponible pour de nouveaux patients');
+            }
+            if (!patient) {
+                return ApiResponse.notFound(res, 'Patient non trouvé');
+            }
+
+            const typeAutorise = {
+                'CLINIQUE': medecin.accepteclinique,
+                'DOMICILE': medecin.accepteDomicile,
+                'TELECONSULTATION': medecin.accepteTeleconsultation
+            };
+            if (!typeAutorise[typeConsultation]) {
+                return ApiResponse.badRequest(res, `Le médecin ne propose pas de consultation de type ${typeConsultation}`);
+            }
+            if (typeConsultation === 'DOMICILE' && !adressePatient) {
+                return ApiResponse.badRequest(res, 'Adresse du patient requise pour une consultation à domicile');
+            }
+            if ((latitudeDomicile === undefined) !== (longitudeDomicile === undefined)) {
+                return ApiResponse.badRequest(res, 'latitudeDomicile et longitudeDomicile doivent être fournies ensemble');
+            }
+
+            // Mêmes règles que la demande de RDV : domicile dans la zone d'intervention du médecin, frais de déplacement inclus
+            const tarification = VisiteDomicileService.calculerTarif(medecin, typeConsultation, {
+                latitude: latitudeDomicile,
+                longitude: longitudeDomicile,
+                commune: communeDomicile
+            });
+            if (!tarification.couvert) {
+                return ApiResponse.badRequest(res, tarification.motif, {
+                    zoneDomicile: VisiteDomicileService.format(medecin.zoneDomicile, { publique: true })
+                });
+            }
+
+            const parametres = {
+                dateDebut: jourIso(debut),
+                heureDebut: debut.toISOString().slice(11, 16),
+                dureeMinutes: dureeEstimee || 30,
+                intervalle,
+                uniteIntervalle,
+                nombreOccurrences
+            };
+            const erreursRecurrence = SerieRendezVousService.valider(parametres);
+            if (erreursRecurrence.length > 0) {
+                return ApiResponse.badRequest(res, 'Récurrence invalide', { validationErrors: erreursRecurrence });
+            }
+
+            // Vérification de chaque occurrence : disponibilités du médecin, rendez-vous du médecin et du patient
+            const contexte = { medecinId, patientId, typeConsultation, disponibilites: medecin.disponibilites };
+            const rapport = await SerieRendezVousService.verifierOccurrences(prisma, contexte, SerieRendezVousService.calculerOccurrences(parametres));
+            const occurrences = rapport.map(occurrence => SerieRendezVousService.formatOccurrence(occurrence));
+            const disponibles = rapport.filter(occurrence => !occurrence.conflit);
+
+            if (simulation) {
+                return ApiResponse.success(res, 'Simulation de la série de rendez-vous', {
+                    recurrence: SerieRendezVousService.libelleRecurrence(parametres),
+                    occurrences,
+                    resume: { total: rapport.length, disponibles: disponibles.length, conflits: rapport.length - disponibles.length }
+                });
+            }
+
+            const refus = refusConflits(rapport, ignorerConflits);
+            if (refus) {
+                return ApiResponse.conflict(res, refus, { occurrences });
+            }
+
+            const statutOccurrence = user.role === 'MEDECIN' ? 'CONFIRME' : 'DEMANDE';
+
+            const serie = await prisma.$transaction(async (tx) => {
+                const nouvelleSerie = await tx.serieRendezVous.create({
+                    data: {
+                        patientId,
+                        medecinId,
+                        creeParUserId: user.id,
+                        roleCreateur: user.role,
+                        consultationId: consultation ? consultation.id : null,
+                        typeConsultation,
+                        intervalle,
+                        uniteIntervalle,
+                        nombreOccurrences,
+                        dateDebut: new Date(parametres.dateDebut),
+                        heureDebut: parametres.heureDebut,
+                        dureeMinutes: parametres.dureeMinutes,
+                        motifConsultation,
+                        adresseConsultation: typeConsultation === 'DOMICILE' ? adressePatient : null,
+                        latitudeDomicile: tarification.champsDomicile.latitudeDomicile,
+                        longitudeDomicile: tarification.champsDomicile.longitudeDomicile,
+                        communeDomicile: tarification.champsDomicile.communeDomicile
+                    }
+                });
+
+                for (const occurrence of disponibles) {
+                    // Le créneau a pu être pris depuis la vérification
+                    const { conflit } = await SerieRendezVousService.verifierOccurrence(tx, contexte, occurrence);
+                    if (conflit) {
+                        throw new Error('CRENEAU_PRIS');
+                    }
+
+                    await SerieRendezVousService.creerOccurrence(tx, nouvelleSerie, occurrence, {
+                        statut: statutOccurrence,
+                        tarification,
+                        medecin,
+                        cliniqueId: medecin.cliniqueId,
+                        modifieParUserId: user.id,
+                        motifModification: user.role === 'MEDECIN' ? 'Programmée par le médecin' : 'Demande du patient'
+                    });
+                }
+
+                return nouvelleSerie;
+            });
+
+            const serieComplete = await SerieRendezVousService.getSerie(serie.id);
+            const premiere = disponibles[0];
+            // Occurrences programmées par le médecin en attente du prépaiement
+            const aPayer = serieComplete.rendezVous.filter(rdv => rdv.statut === 'EN_ATTENTE');
+
+            await SerieRendezVousService.notifier(serieComplete, user, {
+                titre: user.role === 'MEDECIN' ? (aPayer.length > 0 ? '📅 Suivi programmé : paiement requis 💳' : '📅 Suivi programmé') : '📅 Nouvelle demande de suivi récurrent',
+                message: user.role === 'MEDECIN'
+                    ? `Le Dr ${medecin.user.nom} a programmé votre suivi (${SerieRendezVousService.libelleRecurrence(serie)}) : ${disponibles.length - aPayer.length} rendez-vous confirmé(s)` +
+                        (aPayer.length > 0 ? `, ${aPayer.length} à régler par mobile money avant leur échéance de paiement pour être confirmé(s), sans quoi ils seront annulés` : '') +
+                        `, le premier le ${premiere.dateRendezVous.toLocaleDateString('fr-FR')} à ${premiere.heureDebut}.`
+                    : `${patient.user.prenom} ${patient.user.nom} demande un suivi récurrent (${SerieRendezVousService.libelleRecurrence(serie)}) : ${disponibles.length} rendez-vous à partir du ${premiere.dateRendezVous.toLocaleDateString('fr-FR')} à ${premiere.heureDebut}.`,
+                priorite: aPayer.length > 0 ? 'HAUTE' : 'NORMALE',
+                donnees: { occurrences: disponibles.length, enAttentePaiement: aPayer.map(rdv => rdv.id) }
+            });
+
+            // Événements temps réel : chaque occurrence apparaît dans l'agenda des deux parties
+            // (salle virtuelle créée pour les téléconsultations confirmées)
+            for (const rdv of serieComplete.rendezVous) {
+                await TeleconsultationService.preparerSalle(rdv.id);
+                await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_CREE, rdv.id, {
+                    serieId: serie.id,
+                    numeroOccurrence: rdv.numeroOccurrence
+                });
+            }
+
+            console.log(`🔁 Série de RDV créée (${user.role}): Dr ${medecin.user.nom} / ${patient.user.prenom} ${patient.user.nom} - ${disponibles.length}/${nombreOccurrences} occurrence(s)`);
+
+            return ApiResponse.created(res, `Série de suivi créée : ${disponibles.length} rendez-vous ${statutOccurrence === 'CONFIRME' ? (aPayer.length > 0 ? `programmé(s) dont ${aPayer.length} en attente du paiement` : 'confirmé(s)') : 'demandé(s)'}`, {
+                serie: SerieRendezVousService.format(serieComplete),
+                occurrencesNonCreees: occurrences.filter(occurrence => occurrence.conflit),
+                prochaines_etapes: statutOccurrence === 'CONFIRME' ? [
+                    aPayer.length > 0 ?
+                        'Prépaiement exigé : chaque rendez-vous est confirmé dès son paiement par le patient, annulé à défaut avant l\'échéance' :
+                        'Les rendez-vous sont confirmés, le patient a été notifié',
+                    'Chaque occurrence peut être annulée ou reprogrammée individuellement'
+                ] : [
+                    'Votre demande de suivi a été envoyée au médecin',
+                    'Le médecin peut confirmer toute la série en une fois ou chaque rendez-vous séparément'
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur création série de rendez-vous:', error);
+
+            if (error.message === 'CRENEAU_PRIS' || error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Un créneau de la série vient d\'être réservé : relancez la vérification');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de la création de la série de rendez-vous');
+        }
+    }
+);
+
+/**
+ * GET /appointments/series - Séries de rendez-vous de l'utilisateur connecté
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { statut } = req.query;
+
+            if (statut && !SerieRendezVousService.STATUTS.includes(statut)) {
+                return ApiResponse.badRequest(res, `Statut invalide. Valeurs acceptées : ${SerieRendezVousService.STATUTS.join(', ')}`);
+            }
+
+            const where = user.role === 'PATIENT'
+                ? { patient: { userId: user.id } }
+                : { medecin: { userId: user.id } };
+
+            const series = await prisma.serieRendezVous.findMany({
+                where: { ...where, ...(statut && { statut }) },
+                include: SerieRendezVousService.INCLUDE_SERIE,
+                orderBy: { createdAt: 'desc' }
+            });
+
+            return ApiResponse.success(res, 'Séries de rendez-vous récupérées', {
+                series: series.map(serie => SerieRendezVousService.format(serie))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération séries de rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des séries de rendez-vous');
+        }
+    }
+);
+
+/**
+ * GET /appointments/series/:serieId - Détail d'une série et de ses occurrences
+ */
+router.get('/:serieId',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const serie = await SerieRendezVousService.getSerie(req.params.serieId);
+
+            if (!serie || (serie.patient.user.id !== user.id && serie.medecin.user.id !== user.id)) {
+                return ApiResponse.notFound(res, 'Série de rendez-vous non trouvée');
+            }
+
+            return ApiResponse.success(res, 'Série de rendez-vous récupérée', {
+                serie: SerieRendezVousService.format(serie)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération série de rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la série de rendez-vous');
+        }
+    }
+);
+
+/**
+ * PUT /appointments/series/:serieId - Modifier les occurrences à venir d'une série
+ * Les occurrences sont recalculées à partir de la nouvelle récurrence : celles qui changent de créneau sont déplacées,
+ * celles en trop annulées, celles en plus créées. Les occurrences passées ou trop proches ne bougent pas.
+ */
+router.put('/:serieId',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(updateSerieSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { motifModification, ignorerConflits = false, simulation = false } = req.body;
+            const serie = await SerieRendezVousService.getSerie(req.params.serieId);
+
+            if (!serie || (serie.patient.user.id !== user.id && serie.medecin.user.id !== user.id)) {
+                return ApiResponse.notFound(res, 'Série de rendez-vous non trouvée');
+            }
+            if (serie.statut !== 'ACTIVE') {
+                return ApiResponse.badRequest(res, `Impossible de modifier une série avec le statut: ${serie.statut}`);
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { id: serie.medecinId },
+                include: { disponibilites: true }
+            });
+
+            const parametres = {
+                dateDebut: serie.dateDebut,
+                heureDebut: req.body.heureDebut || serie.heureDebut,
+                dureeMinutes: req.body.dureeEstimee || serie.dureeMinutes,
+                intervalle: req.body.intervalle || serie.intervalle,
+                uniteIntervalle: req.body.uniteIntervalle || serie.uniteIntervalle,
+                nombreOccurrences: req.body.nombreOccurrences || serie.nombreOccurrences
+            };
+            const typeConsultation = req.body.typeConsultation || serie.typeConsultation;
+            const motifConsultation = req.body.motifConsultation || serie.motifConsultation;
+            const adresseConsultation = typeConsultation === 'DOMICILE' ? (req.body.adressePatient || serie.adresseConsultation) : null;
+            // Une nouvelle adresse vient avec ses propres coordonnées et commune ; sinon celles de la série
+            const domicile = req.body.adressePatient ?
+                { latitude: req.body.latitudeDomicile, longitude: req.body.longitudeDomicile, commune: req.body.communeDomicile } :
+                { latitude: serie.latitudeDomicile, longitude: serie.longitudeDomicile, commune: serie.communeDomicile };
+
+            const erreursRecurrence = SerieRendezVousService.valider(parametres);
+            if (erreursRecurrence.length > 0) {
+                return ApiResponse.badRequest(res, 'Récurrence invalide', { validationErrors: erreursRecurrence });
+            }
+            if (typeConsultation !== serie.typeConsultation) {
+                const typeAutorise = {
+                    'CLINIQUE': medecin.accepteclinique,
+                    'DOMICILE': medecin.accepteDomicile,
+                    'TELECONSULTATION': medecin.accepteTeleconsultation
+                };
+                if (!typeAutorise[typeConsultation]) {
+                    return ApiResponse.badRequest(res, `Le médecin ne propose pas de consultation de type ${typeConsultation}`);
+                }
+            }
+            if (typeConsultation === 'DOMICILE' && !adresseConsultation) {
+                return ApiResponse.badRequest(res, 'Adresse du patient requise pour une consultation à domicile');
+            }
+            if ((req.body.latitudeDomicile === undefined) !== (req.body.longitudeDomicile === undefined)) {
+                return ApiResponse.badRequest(res, 'latitudeDomicile et longitudeDomicile doivent être fournies ensemble');
+            }
+
+            const tarification = VisiteDomicileService.calculerTarif(medecin, typeConsultation, domicile);
+            if (!tarification.couvert) {
+                return ApiResponse.badRequest(res, tarification.motif, {
+                    zoneDomicile: VisiteDomicileService.format(medecin.zoneDomicile, { publique: true })
+                });
+            }
+
+            // Répartition des occurrences : à déplacer, à annuler, à créer
+            const delaiHeures = await delaiModificationHeures(user, serie.medecinId);
+            const cibles = SerieRendezVousService.calculerOccurrences(parametres);
+            const modifiables = serie.rendezVous.filter(rdv => SerieRendezVousService.occurrenceModifiable(rdv, delaiHeures));
+            const dernierNumero = Math.max(0, ...serie.rendezVous.map(rdv => rdv.numeroOccurrence));
+            const changeCreneau = (rdv, cible) => jourIso(rdv.dateRendezVous) !== jourIso(cible.dateRendezVous) ||
+                rdv.heureDebut !== cible.heureDebut || rdv.heureFin !== cible.heureFin || rdv.typeConsultation !== typeConsultation;
+
+            const aAnnuler = modifiables.filter(rdv => rdv.numeroOccurrence > parametres.nombreOccurrences);
+            const aDeplacer = modifiables
+                .filter(rdv => rdv.numeroOccurrence <= parametres.nombreOccurrences && changeCreneau(rdv, cibles[rdv.numeroOccurrence - 1]))
+                .map(rdv => ({ rdv, cible: cibles[rdv.numeroOccurrence - 1] }));
+            const aCreer = cibles.filter(cible => cible.numeroOccurrence > dernierNumero);
+
+            // Occurrences qui devraient changer mais sont passées ou trop proches : signalées, laissées en l'état
+            const figees = serie.rendezVous
+                .filter(rdv => !modifiables.includes(rdv) && SerieRendezVousService.STATUTS_MODIFIABLES.includes(rdv.statut) &&
+                    RappelService.getDateHeureDebut(rdv) > new Date() &&
+                    (rdv.numeroOccurrence > parametres.nombreOccurrences || changeCreneau(rdv, cibles[rdv.numeroOccurrence - 1])))
+                .map(rdv => SerieRendezVousService.formatOccurrence({ ...rdv, conflit: 'DELAI_INSUFFISANT', messageConflit: `Occurrence à moins de ${delaiHeures}h : à annuler ou reprogrammer individuellement` }));
+
+            const motifChange = motifConsultation !== serie.motifConsultation || adresseConsultation !== serie.adresseConsultation;
+            if (aAnnuler.length === 0 && aDeplacer.length === 0 && aCreer.length === 0 && !motifChange) {
+                return ApiResponse.badRequest(res, 'Aucune occurrence à venir n\'est modifiée', { occurrencesNonModifiables: figees });
+            }
+
+            // Les créneaux actuels des occurrences modifiables sont libérés par la modification
+            const exclusions = modifiables.map(rdv => rdv.id);
+            const contexte = { medecinId: serie.medecinId, patientId: serie.patientId, typeConsultation, disponibilites: medecin.disponibilites };
+            const rapport = await SerieRendezVousService.verifierOccurrences(prisma, contexte,
+                [...aDeplacer.map(({ cible }) => cible), ...aCreer], exclusions);
+            const occurrences = rapport.map(occurrence => SerieRendezVousService.formatOccurrence(occurrence));
+            const disponibles = new Map(rapport.filter(occurrence => !occurrence.conflit).map(occurrence => [occurrence.numeroOccurrence, occurrence]));
+
+            if (simulation) {
+                return ApiResponse.success(res, 'Simulation de la modification de la série', {
+                    recurrence: SerieRendezVousService.libelleRecurrence(parametres),
+                    occurrences,
+                    occurrencesAnnulees: aAnnuler.map(rdv => SerieRendezVousService.formatOccurrence(rdv)),
+                    occurrencesNonModifiables: figees
+                });
+            }
+
+            const refus = refusConflits(rapport, ignorerConflits);
+            if (refus) {
+                return ApiResponse.conflict(res, refus, { occurrences, occurrencesNonModifiables: figees });
+            }
+
+            // Un changement demandé par le patient doit être accepté par le médecin
+            const statutApresModification = (rdv) => user.role === 'PATIENT' ? 'DEMANDE' : rdv.statut;
+            const deplacees = aDeplacer.filter(({ cible }) => disponibles.has(cible.numeroOccurrence));
+            const creees = aCreer.filter(cible => disponibles.has(cible.numeroOccurrence));
+
+            await prisma.$transaction(async (tx) => {
+                const serieModifiee = await tx.serieRendezVous.update({
+                    where: { id: serie.id },
+                    data: {
+                        typeConsultation,
+                        intervalle: parametres.intervalle,
+                        uniteIntervalle: parametres.uniteIntervalle,
+                        nombreOccurrences: parametres.nombreOccurrences,
+                        heureDebut: parametres.heureDebut,
+                        dureeMinutes: parametres.dureeMinutes,
+                        motifConsultation,
+                        adresseConsultation,
+                        latitudeDomicile: tarification.champsDomicile.latitudeDomicile,
+                        longitudeDomicile: tarification.champsDomicile.longitudeDomicile,
+                        communeDomicile: tarification.champsDomicile.communeDomicile
+                    }
+                });
+
+                for (const rdv of aAnnuler) {
+                    await SerieRendezVousService.annulerOccurrence(tx, rdv, user.id, `Série raccourcie par ${user.role.toLowerCase()}: ${motifModification}`);
+                }
+
+                for (const { rdv, cible } of deplacees) {
+                    const { conflit } = await SerieRendezVousService.verifierOccurrence(tx, contexte, cible, exclusions);
+                    if (conflit) {
+                        throw new Error('CRENEAU_PRIS');
+                    }
+
+                    const statut = statutApresModification(rdv);
+                    await tx.rendezVous.update({
+                        where: { id: rdv.id },
+                        data: {
+                            dateRendezVous: cible.dateRendezVous,
+                            heureDebut: cible.heureDebut,
+                            heureFin: cible.heureFin,
+                            typeConsultation,
+                            disponibiliteId: disponibles.get(cible.numeroOccurrence).disponibiliteId,
+                            statut,
+                            tarif: tarification.tarif,
+                            adresseConsultation,
+                            ...tarification.champsDomicile,
+                            cliniqueId: typeConsultation === 'CLINIQUE' ? medecin.cliniqueId : null
+                        }
+                    });
+
+                    await tx.rendezVousHistorique.create({
+                        data: {
+                            rendezVousId: rdv.id,
+                            statutPrecedent: rdv.statut,
+                            nouveauStatut: statut,
+                            motifModification: `Série modifiée par ${user.role.toLowerCase()} (du ${jourIso(rdv.dateRendezVous)} ${rdv.heureDebut} au ${jourIso(cible.dateRendezVous)} ${cible.heureDebut}): ${motifModification}`,
+                            modifieParUserId: user.id,
+                            dateModification: new Date()
+                        }
+                    });
+
+                    if (statut === 'CONFIRME') {
+                        await RappelService.replanifier(tx, rdv.id);
+                    } else {
+                        await RappelService.annuler(tx, rdv.id);
+                    }
+
+                    // Une reprogrammation en attente porte sur l'ancien créneau
+                    await tx.propositionReprogrammation.updateMany({
+                        where: { rendezVousId: rdv.id, statut: 'EN_ATTENTE' },
+                        data: { statut: 'ANNULEE' }
+                    });
+                }
+
+                // Motif ou adresse des occurrences restées sur leur créneau (une nouvelle adresse change les frais de déplacement)
+                if (motifChange) {
+                    const annulees = aAnnuler.map(rdv => rdv.id);
+                    await tx.rendezVous.updateMany({
+                        where: { id: { in: exclusions.filter(id => !annulees.includes(id)) } },
+                        data: {
+                            motifConsultation,
+                            adresseConsultation,
+                            ...(adresseConsultation !== serie.adresseConsultation && {
+                                tarif: tarification.tarif,
+                                ...tarification.champsDomicile
+                            })
+                        }
+                    });
+                }
+
+                for (const cible of creees) {
+                    const { conflit } = await SerieRendezVousService.verifierOccurrence(tx, contexte, cible, exclusions);
+                    if (conflit) {
+                        throw new Error('CRENEAU_PRIS');
+                    }
+
+                    await SerieRendezVousService.creerOccurrence(tx, serieModifiee, disponibles.get(cible.numeroOccurrence), {
+                        statut: user.role === 'MEDECIN' ? 'CONFIRME' : 'DEMANDE',
+                        tarification,
+                        medecin,
+                        cliniqueId: medecin.cliniqueId,
+                        modifieParUserId: user.id,
+                        motifModification: `Série prolongée par ${user.role.toLowerCase()}: ${motifModification}`
+                    });
+                }
+            });
+
+            await SerieRendezVousService.libererCreneaux(serie, [
+                ...aAnnuler,
+                ...deplacees.map(({ rdv }) => rdv)
+            ]);
+
+            const serieComplete = await SerieRendezVousService.getSerie(serie.id);
+
+            await SerieRendezVousService.notifier(serieComplete, user, {
+                titre: '🔁 Série de rendez-vous modifiée',
+                message: `${user.role === 'MEDECIN' ? `Le Dr ${user.nom}` : `${user.prenom} ${user.nom}`} a modifié la série de suivi (${SerieRendezVousService.libelleRecurrence(serieComplete)}) : ` +
+                    `${deplacees.length} rendez-vous déplacé(s), ${aAnnuler.length} annulé(s), ${creees.length} ajouté(s). Motif : ${motifModification}` +
+                    (user.role === 'PATIENT' && deplacees.length > 0 ? '. Les rendez-vous déplacés attendent votre confirmation.' : ''),
+                priorite: 'HAUTE',
+                donnees: { deplacees: deplacees.length, annulees: aAnnuler.length, creees: creees.length }
+            });
+
+            for (const { rdv } of deplacees) {
+                await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_REPORTE, rdv.id, { serieId: serie.id });
+            }
+            for (const rdv of aAnnuler) {
+                await TeleconsultationService.fermerSalle(rdv.id);
+                await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_ANNULE, rdv.id, { serieId: serie.id, annulePar: user.role });
+            }
+            for (const rdv of serieComplete.rendezVous.filter(occurrence => occurrence.numeroOccurrence > dernierNumero)) {
+                await TeleconsultationService.preparerSalle(rdv.id);
+                await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_CREE, rdv.id, { serieId: serie.id, numeroOccurrence: rdv.numeroOccurrence });
+            }
+
+            console.log(`🔁 Série de RDV modifiée (${user.role}): ${serie.id} - ${deplacees.length} déplacée(s), ${aAnnuler.length} annulée(s), ${creees.length} créée(s)`);
+
+            return ApiResponse.success(res, 'Série de rendez-vous modifiée', {
+                serie: SerieRendezVousService.format(serieComplete),
+                modifications: {
+                    deplacees: deplacees.length,
+                    annulees: aAnnuler.length,
+                    creees: creees.length
+                },
+                occurrencesNonTraitees: occurrences.filter(occurrence => occurrence.conflit),
+                occurrencesNonModifiables: figees
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur modification série de rendez-vous:', error);
+
+            if (error.message === 'CRENEAU_PRIS' || error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Un créneau de la série vient d\'être réservé : relancez la vérification');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de la modification de la série de rendez-vous');
+        }
+    }
+);
+
+/**
+ * POST /appointments/series/:serieId/confirm - Confirmer en une fois les demandes d'une série (médecin)
+ */
+router.post('/:serieId/confirm',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const serie = await SerieRendezVousService.getSerie(req.params.serieId);
+
+            if (!serie || serie.medecin.user.id !== user.id) {
+                return ApiResponse.notFound(res, 'Série de rendez-vous non trouvée');
+            }
+            if (serie.statut !== 'ACTIVE') {
+                return ApiResponse.badRequest(res, `Impossible de confirmer une série avec le statut: ${serie.statut}`);
+            }
+
+            const maintenant = new Date();
+            const demandes = serie.rendezVous.filter(rdv => rdv.statut === 'DEMANDE' && RappelService.getDateHeureDebut(rdv) > maintenant);
+            if (demandes.length === 0) {
+                return ApiResponse.badRequest(res, 'Aucune occurrence de la série n\'est en attente de confirmation');
+            }
+
+            const { confirmees, aPayer } = await prisma.$transaction(async (tx) => {
+                const ids = { confirmees: [], aPayer: [] };
+                for (const rdv of demandes) {
+                    // Prépaiement exigé : l'occurrence acceptée reste en attente (créneau retenu) jusqu'au paiement
+                    const echeancePaiement = SerieRendezVousService.echeancePaiement(serie.medecin, rdv.tarif, rdv);
+                    const nouveauStatut = echeancePaiement ? 'EN_ATTENTE' : 'CONFIRME';
+
+                    // Mise à jour conditionnelle : l'occurrence a pu être annulée entre-temps
+                    const { count } = await tx.rendezVous.updateMany({
+                        where: { id: rdv.id, statut: 'DEMANDE' },
+                        data: { statut: nouveauStatut, echeancePaiement }
+                    });
+                    if (count === 0) {
+                        continue;
+                    }
+
+                    await tx.rendezVousHistorique.create({
+                        data: {
+                            rendezVousId: rdv.id,
+                            statutPrecedent: 'DEMANDE',
+                            nouveauStatut,
+                            motifModification: `Série de suivi ${echeancePaiement ? 'acceptée par le médecin, en attente du paiement' : 'confirmée par le médecin'} (occurrence ${rdv.numeroOccurrence}/${serie.nombreOccurrences})`,
+                            modifieParUserId: user.id,
+                            dateModification: maintenant
+                        }
+                    });
+
+                    // Rappels à la confirmation (au paiement en cas de prépaiement)
+                    if (echeancePaiement) {
+                        ids.aPayer.push(rdv.id);
+                    } else {
+                        await RappelService.planifier(tx, rdv.id);
+                        ids.confirmees.push(rdv.id);
+                    }
+                }
+                return ids;
+            });
+
+            await SerieRendezVousService.notifier(serie, user, {
+                titre: aPayer.length > 0 ? '✅ Suivi accepté : paiement requis 💳' : '✅ Suivi confirmé',
+                message: `Le Dr ${serie.medecin.user.nom} a ${aPayer.length > 0 ? 'accepté' : 'confirmé'} ${confirmees.length + aPayer.length} rendez-vous de votre série de suivi (${SerieRendezVousService.libelleRecurrence(serie)}).` +
+                    (aPayer.length > 0 ? ` ${aPayer.length} rendez-vous à régler par mobile money avant leur échéance de paiement pour être confirmé(s), sans quoi ils seront annulés.` : ''),
+                priorite: aPayer.length > 0 ? 'HAUTE' : 'NORMALE',
+                donnees: { confirmees: confirmees.length, enAttentePaiement: aPayer }
+            });
+
+            // Salle virtuelle des téléconsultations confirmées (au paiement pour les autres)
+            for (const rendezVousId of confirmees) {
+                await TeleconsultationService.preparerSalle(rendezVousId);
+            }
+            for (const rendezVousId of [...confirmees, ...aPayer]) {
+                await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_REPONDU, rendezVousId, { serieId: serie.id, decision: 'ACCEPTER' });
+            }
+
+            console.log(`✅ Série de RDV confirmée: Dr ${serie.medecin.user.nom} - ${confirmees.length} occurrence(s), ${aPayer.length} en attente du paiement`);
+
+            return ApiResponse.success(res, `${confirmees.length} rendez-vous de la série confirmé(s)` +
+                (aPayer.length > 0 ? `, ${aPayer.length} en attente du paiement du patient` : ''), {
+                serie: SerieRendezVousService.format(await SerieRendezVousService.getSerie(serie.id))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur confirmation série de rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la confirmation de la série de rendez-vous');
+        }
+    }
+);
+
+/**
+ * DELETE /appointments/series/:serieId - Annuler une série
+ * Toutes les occurrences à venir sont annulées, sauf celles en deçà du préavis (à annuler individuellement,
+ * avec les règles d'annulation tardive)
+ */
+router.delete('/:serieId',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(cancelSerieSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { motifAnnulation } = req.body;
+            const serie = await SerieRendezVousService.getSerie(req.params.serieId);
+
+            if (!serie || (serie.patient.user.id !== user.id && serie.medecin.user.id !== user.id)) {
+                return ApiResponse.notFound(res, 'Série de rendez-vous non trouvée');
+            }
+            if (serie.statut !== 'ACTIVE') {
+                return ApiResponse.badRequest(res, `Impossible d'annuler une série avec le statut: ${serie.statut}`);
+            }
+
+            const delaiHeures = await delaiModificationHeures(user, serie.medecinId);
+            const maintenant = new Date();
+            const aAnnuler = serie.rendezVous.filter(rdv => SerieRendezVousService.occurrenceModifiable(rdv, delaiHeures));
+            const conservees = serie.rendezVous.filter(rdv =>
+                !aAnnuler.includes(rdv) &&
+                SerieRendezVousService.STATUTS_MODIFIABLES.includes(rdv.statut) &&
+                RappelService.getDateHeureDebut(rdv) > maintenant
+            );
+
+            await prisma.$transaction(async (tx) => {
+                await tx.serieRendezVous.update({
+                    where: { id: serie.id },
+                    data: { statut: 'ANNULEE', motifAnnulation }
+                });
+
+                for (const rdv of aAnnuler) {
+                    await SerieRendezVousService.annulerOccurrence(tx, rdv, user.id, `Annulation de la série par ${user.role.toLowerCase()}: ${motifAnnulation}`);
+                }
+            });
+
+            await SerieRendezVousService.libererCreneaux(serie, aAnnuler);
+
+            await SerieRendezVousService.notifier(serie, user, {
+                titre: '❌ Série de rendez-vous annulée',
+                message: `${user.role === 'MEDECIN' ? `Le Dr ${user.nom}` : `${user.prenom} ${user.nom}`} a annulé la série de suivi : ${aAnnuler.length} rendez-vous annulé(s). Motif : ${motifAnnulation}` +
+                    (conservees.length > 0 ? `. ${conservees.length} rendez-vous proche(s) maintenu(s).` : ''),
+                priorite: 'HAUTE',
+                donnees: { annulees: aAnnuler.length, maintenues: conservees.length }
+            });
+
+            for (const rdv of aAnnuler) {
+                await TeleconsultationService.fermerSalle(rdv.id);
+                await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_ANNULE, rdv.id, { serieId: serie.id, annulePar: user.role });
+            }
+
+            console.log(`❌ Série de RDV annulée (${user.role}): ${serie.id} - ${aAnnuler.length} occurrence(s) annulée(s)`);
+
+            return ApiResponse.success(res, `Série annulée : ${aAnnuler.length} rendez-vous annulé(s)`, {
+                serie: SerieRendezVousService.format(await SerieRendezVousService.getSerie(serie.id)),
+                annulees: aAnnuler.map(rdv => SerieRendezVousService.formatOccurrence(rdv)),
+                occurrencesMaintenues: conservees.map(rdv => SerieRendezVousService.formatOccurrence(rdv)),
+                ...(conservees.length > 0 && {
+                    note: `Les rendez-vous à moins de ${delaiHeures}h sont maintenus : annulez-les individuellement si nécessaire`
+                })
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur annulation série de rendez-vous:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'annulation de la série de rendez-vous');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const TempsReelService = require('../../services/TempsReelService');
+const TeleconsultationService = require('../../services/TeleconsultationService');
+
+/**
+ * Rendez-vous de téléconsultation dont l'utilisateur connecté est le patient ou le médecin
+ */
+const getRendezVousParticipant = async (rendezVousId, user) => {
+    const rendezVous = await prisma.rendezVous.findUnique({
+        where: { id: rendezVousId },
+        include: {
+            patient: { select: { userId: true } },
+            medecin: { select: { userId: true } },
+            sessionTeleconsultation: {
+                include: { evenements: { orderBy: { createdAt: 'asc' } } }
+            }
+        }
+    });
+
+    if (!rendezVous || ![rendezVous.patient.userId, rendezVous.medecin.userId].includes(user.id)) {
+        return null;
+    }
+    return rendezVous;
+};
+
+/**
+ * Contrôles communs avant de rejoindre la salle
+ * @returns {string|null} Motif du refus
+ */
+const verifierAcces = (rendezVous) => {
+    if (rendezVous.typeConsultation !== 'TELECONSULTATION') {
+        return 'Ce rendez-vous n\'est pas une téléconsultation';
+    }
+    if (rendezVous.statut !== 'CONFIRME') {
+        return `La salle n'est accessible que pour un rendez-vous confirmé (statut actuel: ${rendezVous.statut})`;
+    }
+    if (rendezVous.sessionTeleconsultation && !TeleconsultationService.STATUTS_OUVERTS.includes(rendezVous.sessionTeleconsultation.statut)) {
+        return 'La salle de cette téléconsultation est fermée';
+    }
+
+    const { ouverture, fermeture } = TeleconsultationService.fenetreConnexion(rendezVous);
+    const maintenant = new Date();
+    if (maintenant < ouverture) {
+        return `La salle ouvre ${Consts.TELECONSULTATION_CONFIG.ouvertureAvantMinutes} minutes avant le rendez-vous (à partir du ${ouverture.toLocaleString('fr-FR', { timeZone: 'UTC' })} UTC)`;
+    }
+    if (maintenant > fermeture) {
+        return 'La fenêtre de connexion de cette téléconsultation est dépassée';
+    }
+    return null;
+};
+
+const publierPresence = (rendezVous, user, evenement, presence) =>
+    TempsReelService.publierRendezVous(TempsReelService.TYPES.TELECONSULTATION_PRESENCE, rendezVous.id, {
+        evenement,
+        role: user.role,
+        medecinConnecte: presence.medecinConnecte,
+        patientConnecte: presence.patientConnecte
+    });
+
+/**
+ * GET /appointments/:id/teleconsultation - État de la salle (fenêtre d'ouverture, participants connectés, durée)
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const rendezVous = await getRendezVousParticipant(req.params.id, req.user);
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            if (rendezVous.typeConsultation !== 'TELECONSULTATION') {
+                return ApiResponse.badRequest(res, 'Ce rendez-vous n\'est pas une téléconsultation');
+            }
+
+            if (!rendezVous.sessionTeleconsultation) {
+                const { ouverture, fermeture } = TeleconsultationService.fenetreConnexion(rendezVous);
+                return ApiResponse.success(res, 'Aucune salle créée pour ce rendez-vous', {
+                    session: null,
+                    ouverture,
+                    fermeture,
+                    info: rendezVous.statut === 'CONFIRME' ?
+                        'La salle sera créée à la première connexion' :
+                        'La salle est créée à la confirmation du rendez-vous'
+                });
+            }
+
+            return ApiResponse.success(res, 'Salle de téléconsultation récupérée', {
+                session: TeleconsultationService.format(rendezVous.sessionTeleconsultation, rendezVous)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération téléconsultation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la téléconsultation');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/teleconsultation/join - Obtenir son lien de connexion et signaler son arrivée dans la salle
+ * Le lien porte un jeton personnel qui n'est valable que dans la fenêtre du rendez-vous
+ */
+router.post('/join',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const rendezVous = await getRendezVousParticipant(req.params.id, user);
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const refus = verifierAcces(rendezVous);
+            if (refus) {
+                return ApiResponse.badRequest(res, refus);
+            }
+
+            const session = rendezVous.sessionTeleconsultation || await TeleconsultationService.obtenirSession(rendezVous);
+            const lienConnexion = await TeleconsultationService.genererLien(session, rendezVous, user);
+            const resultat = await TeleconsultationService.enregistrerEvenement(session, rendezVous, user, 'CONNEXION');
+
+            await publierPresence(rendezVous, user, 'CONNEXION', resultat.presence);
+
+            console.log(`🎥 Connexion téléconsultation: ${user.prenom} ${user.nom} (${user.role}) - RDV ${rendezVous.id}`);
+
+            const { fermeture } = TeleconsultationService.fenetreConnexion(rendezVous);
+            return ApiResponse.success(res, 'Lien de connexion généré', {
+                lienConnexion,
+                valableJusqua: fermeture,
+                session: TeleconsultationService.format(resultat.session, rendezVous),
+                prochaines_etapes: [
+                    'Ouvrez le lien pour entrer dans la salle : il vous est personnel, ne le partagez pas',
+                    'Signalez votre départ (POST /v1/appointments/{id}/teleconsultation/leave) en quittant la salle'
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur connexion téléconsultation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la connexion à la téléconsultation');
+        }
+    }
+);
+
+/**
+ * POST /appointments/:id/teleconsultation/leave - Signaler son départ de la salle
+ */
+router.post('/leave',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const rendezVous = await getRendezVousParticipant(req.params.id, user);
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            const session = rendezVous.sessionTeleconsultation;
+            if (!session || !TeleconsultationService.STATUTS_OUVERTS.includes(session.statut)) {
+                return ApiResponse.badRequest(res, 'Aucune téléconsultation en cours pour ce rendez-vous');
+            }
+
+            const dernierEvenement = session.evenements.filter(evenement => evenement.userId === user.id).pop();
+            if (!dernierEvenement || dernierEvenement.type !== 'CONNEXION') {
+                return ApiResponse.badRequest(res, 'Vous n\'êtes pas connecté à cette téléconsultation');
+            }
+
+            const resultat = await TeleconsultationService.enregistrerEvenement(session, rendezVous, user, 'DECONNEXION');
+
+            await publierPresence(rendezVous, user, 'DECONNEXION', resultat.presence);
+
+            console.log(`🎥 Départ téléconsultation: ${user.prenom} ${user.nom} (${user.role}) - RDV ${rendezVous.id}`);
+
+            return ApiResponse.success(res, 'Départ de la salle enregistré', {
+                session: TeleconsultationService.format(resultat.session, rendezVous)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur départ téléconsultation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'enregistrement du départ');
+        }
+    }
+);
+
+module.exports = router;
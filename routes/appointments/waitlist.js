@@ -0,0 +1,492 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const NotificationService = require('../../services/NotificationService');
+const TempsReelService = require('../../services/TempsReelService');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
+
+const JOURS = ['DIMANCHE', 'LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI'];
+
+// Schéma de validation pour l'inscription en liste d'attente
+const joinWaitlistSchema = {
+    fields: {
+        medecinId: {
+            type: 'string',
+            minLength: 1
+        },
+        typeConsultation: {
+            type: 'string',
+            enum: ['CLINIQUE', 'DOMICILE', 'TELECONSULTATION']
+        },
+        dateDebut: {
+            type: 'date'
+        },
+        dateFin: {
+            type: 'date'
+        },
+        motifConsultation: {
+            type: 'string',
+            minLength: 10,
+            maxLength: 1000
+        }
+    },
+    required: ['medecinId', 'typeConsultation', 'dateDebut', 'dateFin', 'motifConsultation'],
+    strict: true
+};
+
+// Schéma de validation pour l'acceptation d'une offre
+const acceptOfferSchema = {
+    fields: {
+        adressePatient: {
+            type: 'string',
+            maxLength: 500
+        },
+        latitudeDomicile: {
+            type: 'number',
+            min: -90,
+            max: 90
+        },
+        longitudeDomicile: {
+            type: 'number',
+            min: -180,
+            max: 180
+        },
+        communeDomicile: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100
+        },
+        informationsComplementaires: {
+            type: 'string',
+            maxLength: 1000
+        }
+    },
+    required: [],
+    strict: true
+};
+
+const getPatient = (userId) => prisma.patient.findUnique({
+    where: { userId },
+    select: { id: true }
+});
+
+/**
+ * Récupère une inscription appartenant au patient connecté
+ */
+const getInscriptionPatient = async (inscriptionId, userId) => {
+    const patient = await getPatient(userId);
+    if (!patient) {
+        return null;
+    }
+
+    return await prisma.listeAttente.findFirst({
+        where: { id: inscriptionId, patientId: patient.id },
+        include: { medecin: { include: { user: { select: { nom: true, prenom: true } } } } }
+    });
+};
+
+/**
+ * POST /appointments/waitlist - S'inscrire en liste d'attente d'un médecin
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(joinWaitlistSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { medecinId, typeConsultation, motifConsultation } = req.body;
+            const { fenetreMaxJours, maxInscriptionsActives } = Consts.LISTE_ATTENTE_CONFIG;
+
+            const aujourdHui = new Date(new Date().toISOString().split('T')[0]);
+            const dateDebut = new Date(new Date(req.body.dateDebut).toISOString().split('T')[0]);
+            const dateFin = new Date(new Date(req.body.dateFin).toISOString().split('T')[0]);
+
+            if (dateDebut < aujourdHui) {
+                return ApiResponse.badRequest(res, 'La date de début ne peut pas être dans le passé');
+            }
+            if (dateFin < dateDebut) {
+                return ApiResponse.badRequest(res, 'La date de fin doit être postérieure ou égale à la date de début');
+            }
+            if ((dateFin - aujourdHui) / (24 * 60 * 60 * 1000) > fenetreMaxJours) {
+                return ApiResponse.badRequest(res, `La liste d'attente ne peut pas dépasser ${fenetreMaxJours} jours`);
+            }
+
+            const patient = await getPatient(user.id);
+            if (!patient) {
+                return ApiResponse.badRequest(res, 'Profil patient incomplet. Veuillez compléter votre profil avant de prendre rendez-vous');
+            }
+
+            const medecin = await prisma.medecin.findFirst({
+                where: {
+                    id: medecinId,
+                    statutValidation: 'VALIDE',
+                    user: { statut: 'ACTIF' }
+                },
+                include: { user: { select: { nom: true, prenom: true } } }
+            });
+
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Médecin non trouvé ou non disponible pour de nouveaux patients');
+            }
+
+            const typeAutorise = {
+                'CLINIQUE': medecin.accepteclinique,
+                'DOMICILE': medecin.accepteDomicile,
+                'TELECONSULTATION': medecin.accepteTeleconsultation
+            };
+
+            if (!typeAutorise[typeConsultation]) {
+                return ApiResponse.badRequest(res, `Le médecin ne propose pas de consultation de type ${typeConsultation}`);
+            }
+
+            const inscriptionsActives = await prisma.listeAttente.findMany({
+                where: { patientId: patient.id, statut: { in: ListeAttenteService.STATUTS_ACTIFS } },
+                select: { id: true, medecinId: true, typeConsultation: true }
+            });
+
+            const doublon = inscriptionsActives.find(inscription =>
+                inscription.medecinId === medecinId && inscription.typeConsultation === typeConsultation
+            );
+            if (doublon) {
+                return ApiResponse.conflict(res, 'Vous êtes déjà en liste d\'attente chez ce médecin pour ce type de consultation', {
+                    listeAttenteId: doublon.id
+                });
+            }
+
+            if (inscriptionsActives.length >= maxInscriptionsActives) {
+                return ApiResponse.badRequest(res, `Vous ne pouvez pas être inscrit sur plus de ${maxInscriptionsActives} listes d'attente à la fois`);
+            }
+
+            const inscription = await prisma.listeAttente.create({
+                data: {
+                    patientId: patient.id,
+                    medecinId,
+                    typeConsultation,
+                    dateDebut,
+                    dateFin,
+                    motifConsultation
+                },
+                include: { medecin: { include: { user: { select: { nom: true, prenom: true } } } } }
+            });
+
+            const position = await prisma.listeAttente.count({
+                where: {
+                    medecinId,
+                    typeConsultation,
+                    statut: { in: ListeAttenteService.STATUTS_ACTIFS },
+                    createdAt: { lte: inscription.createdAt }
+                }
+            });
+
+            console.log(`⏳ Inscription liste d'attente: ${user.prenom} ${user.nom} -> Dr ${medecin.user.nom} (${typeConsultation}, position ${position})`);
+
+            return ApiResponse.created(res, 'Inscription en liste d\'attente enregistrée', {
+                ...ListeAttenteService.format(inscription),
+                position,
+                prochaines_etapes: [
+                    'Vous serez notifié dès qu\'un créneau se libère dans votre fenêtre de dates',
+                    `Chaque offre est réservée pendant ${Consts.LISTE_ATTENTE_CONFIG.dureeOffreMinutes} minutes au maximum`,
+                    'Sans réponse de votre part, le créneau est proposé au patient suivant'
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur inscription liste d\'attente:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'inscription en liste d\'attente');
+        }
+    }
+);
+
+/**
+ * GET /appointments/waitlist - Inscriptions en liste d'attente du patient
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const { tous } = req.query;
+
+            const patient = await getPatient(req.user.id);
+            if (!patient) {
+                return ApiResponse.success(res, 'Listes d\'attente récupérées avec succès', { listeAttente: [] });
+            }
+
+            const inscriptions = await prisma.listeAttente.findMany({
+                where: {
+                    patientId: patient.id,
+                    ...(tous !== 'true' && { statut: { in: ListeAttenteService.STATUTS_ACTIFS } })
+                },
+                include: { medecin: { include: { user: { select: { nom: true, prenom: true } } } } },
+                orderBy: { createdAt: 'desc' },
+                take: 50
+            });
+
+            return ApiResponse.success(res, 'Listes d\'attente récupérées avec succès', {
+                listeAttente: inscriptions.map(inscription => ListeAttenteService.format(inscription))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur récupération listes d\'attente:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des listes d\'attente');
+        }
+    }
+);
+
+/**
+ * DELETE /appointments/waitlist/:id - Quitter une liste d'attente
+ * Une offre en cours est libérée et proposée au patient suivant
+ */
+router.delete('/:id',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const inscription = await getInscriptionPatient(req.params.id, req.user.id);
+
+            if (!inscription) {
+                return ApiResponse.notFound(res, 'Inscription en liste d\'attente non trouvée');
+            }
+            if (!ListeAttenteService.STATUTS_ACTIFS.includes(inscription.statut)) {
+                return ApiResponse.badRequest(res, `Impossible de quitter une liste d'attente avec le statut: ${inscription.statut}`);
+            }
+
+            await prisma.listeAttente.update({
+                where: { id: inscription.id },
+                data: { statut: 'ANNULEE' }
+            });
+
+            if (inscription.statut === 'OFFRE_EN_COURS') {
+                try {
+                    await ListeAttenteService.proposerCreneau({
+                        medecinId: inscription.medecinId,
+                        typeConsultation: inscription.typeConsultation,
+                        dateRendezVous: inscription.offreDateRendezVous,
+                        heureDebut: inscription.offreHeureDebut,
+                        heureFin: inscription.offreHeureFin
+                    }, { exclus: [inscription.id] });
+                } catch (listeAttenteError) {
+                    console.error('Erreur liste d\'attente après désinscription:', listeAttenteError);
+                }
+            }
+
+            return ApiResponse.success(res, 'Vous avez quitté la liste d\'attente', { id: inscription.id, statut: 'ANNULEE' });
+
+        } catch (error) {
+            console.error('❌ Erreur désinscription liste d\'attente:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la désinscription de la liste d\'attente');
+        }
+    }
+);
+
+/**
+ * POST /appointments/waitlist/:id/accept - Réserver le créneau proposé
+ * Crée une demande de rendez-vous sur le créneau, soumise à la réponse du médecin comme toute demande
+ */
+router.post('/:id/accept',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(acceptOfferSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { adressePatient, latitudeDomicile, longitudeDomicile, communeDomicile, informationsComplementaires } = req.body;
+
+            const inscription = await getInscriptionPatient(req.params.id, user.id);
+
+            if (!inscription) {
+                return ApiResponse.notFound(res, 'Inscription en liste d\'attente non trouvée');
+            }
+            if (inscription.statut !== 'OFFRE_EN_COURS' || new Date(inscription.offreExpireLe) <= new Date()) {
+                return ApiResponse.badRequest(res, 'Aucune offre de créneau en cours pour cette inscription');
+            }
+            if (inscription.typeConsultation === 'DOMICILE' && !adressePatient) {
+                return ApiResponse.badRequest(res, 'Adresse du patient requise pour une consultation à domicile');
+            }
+            if ((latitudeDomicile === undefined) !== (longitudeDomicile === undefined)) {
+                return ApiResponse.badRequest(res, 'latitudeDomicile et longitudeDomicile doivent être fournies ensemble');
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { id: inscription.medecinId },
+                include: {
+                    disponibilites: {
+                        where: { typeConsultation: inscription.typeConsultation, bloque: false }
+                    }
+                }
+            });
+
+            const dateRendezVous = inscription.offreDateRendezVous;
+            const jourOffre = new Date(dateRendezVous).toISOString().split('T')[0];
+            const disponibiliteCompatible = medecin.disponibilites.find(dispo =>
+                (dispo.dateSpecifique
+                    ? new Date(dispo.dateSpecifique).toISOString().split('T')[0] === jourOffre
+                    : dispo.jourSemaine === JOURS[new Date(dateRendezVous).getUTCDay()]) &&
+                dispo.heureDebut <= inscription.offreHeureDebut &&
+                dispo.heureFin >= inscription.offreHeureFin
+            );
+
+            // Mêmes règles que la demande de RDV : domicile dans la zone d'intervention du médecin, frais de déplacement inclus
+            const tarification = VisiteDomicileService.calculerTarif(medecin, inscription.typeConsultation, {
+                latitude: latitudeDomicile,
+                longitude: longitudeDomicile,
+                commune: communeDomicile
+            });
+            if (!tarification.couvert) {
+                return ApiResponse.badRequest(res, tarification.motif, {
+                    zoneDomicile: VisiteDomicileService.format(medecin.zoneDomicile, { publique: true })
+                });
+            }
+
+            const rendezVous = await prisma.$transaction(async (tx) => {
+                const creneau = {
+                    medecinId: inscription.medecinId,
+                    dateRendezVous,
+                    heureDebut: inscription.offreHeureDebut,
+                    heureFin: inscription.offreHeureFin
+                };
+                if (!disponibiliteCompatible || await ListeAttenteService.creneauOccupe(tx, creneau, inscription.id)) {
+                    throw new Error('CRENEAU_INDISPONIBLE');
+                }
+
+                // Mise à jour conditionnelle : l'offre a pu expirer entre-temps
+                const { count } = await tx.listeAttente.updateMany({
+                    where: { id: inscription.id, statut: 'OFFRE_EN_COURS', offreExpireLe: { gt: new Date() } },
+                    data: { statut: 'SATISFAITE' }
+                });
+                if (count === 0) {
+                    throw new Error('OFFRE_EXPIREE');
+                }
+
+                const nouveauRdv = await tx.rendezVous.create({
+                    data: {
+                        patientId: inscription.patientId,
+                        medecinId: inscription.medecinId,
+                        disponibiliteId: disponibiliteCompatible.id,
+                        dateRendezVous,
+                        heureDebut: inscription.offreHeureDebut,
+                        heureFin: inscription.offreHeureFin,
+                        typeConsultation: inscription.typeConsultation,
+                        statut: 'DEMANDE',
+                        motifConsultation: inscription.motifConsultation,
+                        niveauUrgence: 'NORMAL',
+                        tarif: tarification.tarif,
+                        adresseConsultation: inscription.typeConsultation === 'DOMICILE' ? adressePatient : null,
+                        ...tarification.champsDomicile,
+                        ...(informationsComplementaires && { symptomes: informationsComplementaires }),
+                        ...(inscription.typeConsultation === 'CLINIQUE' && medecin.cliniqueId && { cliniqueId: medecin.cliniqueId })
+                    },
+                    include: {
+                        patient: { include: { user: { select: { nom: true, prenom: true } } } },
+                        medecin: {
+                            include: {
+                                user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+                            }
+                        }
+                    }
+                });
+
+                await tx.rendezVousHistorique.create({
+                    data: {
+                        rendezVousId: nouveauRdv.id,
+                        statutPrecedent: null,
+                        nouveauStatut: 'DEMANDE',
+                        motifModification: 'Créneau libéré réservé depuis la liste d\'attente',
+                        modifieParUserId: user.id,
+                        dateModification: new Date()
+                    }
+                });
+
+                await tx.listeAttente.update({
+                    where: { id: inscription.id },
+                    data: { rendezVousId: nouveauRdv.id }
+                });
+
+                return nouveauRdv;
+            });
+
+            try {
+                await NotificationService.notifyNouvelleDemandeRendezVous(rendezVous);
+            } catch (notificationError) {
+                console.error('Erreur notification médecin (liste d\'attente):', notificationError);
+            }
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_CREE, rendezVous.id, {
+                niveauUrgence: rendezVous.niveauUrgence,
+                motifConsultation: rendezVous.motifConsultation,
+                listeAttenteId: inscription.id
+            });
+
+            console.log(`✅ Créneau de liste d'attente réservé: ${user.prenom} ${user.nom} -> Dr ${inscription.medecin.user.nom} (${jourOffre} ${rendezVous.heureDebut})`);
+
+            return ApiResponse.created(res, 'Créneau réservé avec succès', {
+                rendezVous: {
+                    id: rendezVous.id,
+                    dateRendezVous: rendezVous.dateRendezVous,
+                    heureDebut: rendezVous.heureDebut,
+                    heureFin: rendezVous.heureFin,
+                    typeConsultation: rendezVous.typeConsultation,
+                    statut: rendezVous.statut,
+                    tarif: rendezVous.tarif
+                },
+                listeAttente: { id: inscription.id, statut: 'SATISFAITE' },
+                prochaines_etapes: [
+                    'Votre demande de rendez-vous a été envoyée au médecin',
+                    'Vous recevrez une notification de sa réponse'
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur réservation créneau liste d\'attente:', error);
+
+            if (error.message === 'CRENEAU_INDISPONIBLE' || error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Ce créneau n\'est plus disponible');
+            }
+            if (error.message === 'OFFRE_EXPIREE') {
+                return ApiResponse.badRequest(res, 'Aucune offre de créneau en cours pour cette inscription');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de la réservation du créneau');
+        }
+    }
+);
+
+/**
+ * POST /appointments/waitlist/:id/decline - Refuser le créneau proposé
+ * Le patient reste en liste d'attente ; ce créneau ne lui sera plus proposé
+ */
+router.post('/:id/decline',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const inscription = await getInscriptionPatient(req.params.id, req.user.id);
+
+            if (!inscription) {
+                return ApiResponse.notFound(res, 'Inscription en liste d\'attente non trouvée');
+            }
+            if (inscription.statut !== 'OFFRE_EN_COURS') {
+                return ApiResponse.badRequest(res, 'Aucune offre de créneau en cours pour cette inscription');
+            }
+
+            await ListeAttenteService.declinerOffre(inscription);
+
+            return ApiResponse.success(res, 'Offre refusée, vous restez en liste d\'attente', {
+                id: inscription.id,
+                statut: 'ACTIVE'
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur refus offre liste d\'attente:', error);
+            return ApiResponse.serverError(res, 'Erreur lors du refus de l\'offre');
+        }
+    }
+);
+
+module.exports = router;
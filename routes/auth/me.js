@@ -3,6 +3,7 @@ const router = express.Router();
 const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
+const DossierMedicalService = require('../../services/DossierMedicalService');
 
 /**
  * GET /auth/me - Récupérer les informations de l'utilisateur connecté
@@ -247,7 +248,7 @@ function calculateProfileCompletion(user, role) {
         const medicalFields = ['allergies', 'antecedentsMedicaux'];
         totalFields += medicalFields.length;
         completedFields += medicalFields.filter(field =>
-            user.patient[field] && user.patient[field].trim() !== ''
+            DossierMedicalService.normaliserListe(field, user.patient[field]).length > 0
         ).length;
     }
 
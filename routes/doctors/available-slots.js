@@ -3,6 +3,8 @@ const router = express.Router();
 const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+const ReservationTemporaireService = require('../../services/ReservationTemporaireService');
 
 /**
  * GET /doctors/:id/available-slots - Créneaux disponibles d'un médecin pour la semaine suivante
@@ -81,7 +83,7 @@ router.get('/:id',
             }
 
             // Récupérer tous les rendez-vous existants dans la période
-            const rendezVousExistants = await prisma.rendezVous.findMany({
+            const rendezVous = await prisma.rendezVous.findMany({
                 where: {
                     medecinId: medecinId,
                     dateRendezVous: {
@@ -100,6 +102,12 @@ router.get('/:id',
                 }
             });
 
+            // Les créneaux proposés à un patient de la liste d'attente restent réservés jusqu'à expiration de l'offre,
+            // ceux retenus par un patient en train de finaliser sa demande jusqu'à expiration de la réservation
+            const offresListeAttente = await ListeAttenteService.offresEnCours(medecinId, debut, fin);
+            const reservationsTemporaires = await ReservationTemporaireService.enCours(medecinId, debut, fin);
+            const rendezVousExistants = [...rendezVous, ...offresListeAttente, ...reservationsTemporaires];
+
             // Créer une map des jours de la semaine
             const joursMap = {
                 0: 'DIMANCHE',
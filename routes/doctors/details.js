@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
 const { param, validationResult } = require('express-validator');
 
 // Configuration des multipliers de tarifs
@@ -221,7 +223,10 @@ router.get('/:id',
                     domicile: {
                         disponible: medecin.accepteDomicile,
                         tarif: medecin.tarifConsultationBase ?
-                            Math.round(medecin.tarifConsultationBase * TARIF_MULTIPLIERS.DOMICILE) : null
+                            Math.round(medecin.tarifConsultationBase * TARIF_MULTIPLIERS.DOMICILE) : null,
+                        // Rayon ou communes desservies et frais de déplacement (ajoutés au tarif), sans le point de départ du médecin
+                        zoneIntervention: medecin.accepteDomicile ?
+                            VisiteDomicileService.format(medecin.zoneDomicile, { publique: true }) : null
                     },
                     teleconsultation: {
                         disponible: medecin.accepteTeleconsultation,
@@ -229,6 +234,11 @@ router.get('/:id',
                             Math.round(medecin.tarifConsultationBase * TARIF_MULTIPLIERS.TELECONSULTATION) : null
                     }
                 },
+                // Prépaiement : le rendez-vous accepté n'est confirmé qu'une fois la consultation payée par mobile money
+                paiement: {
+                    prepaiementRequis: medecin.prepaiementRequis,
+                    operateurs: Consts.PAIEMENT_CONFIG.operateurs
+                },
                 horaires: horairesParsemaine,
                 evaluations: {
                     noteMoyenne: noteMoyenne ? Math.round(noteMoyenne * 10) / 10 : medecin.noteMoyenne,
@@ -4,20 +4,7 @@ const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
-
-/**
- * Calcule la distance entre deux points géographiques (formule Haversine)
- */
-function calculerDistanceHaversine(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Rayon de la Terre en km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-}
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
 
 /**
  * POST /doctors/recommend - Recommandation intelligente de médecins
@@ -128,13 +115,23 @@ router.post('/recommend',
             });
 
             // Calcul des scores et recommandations
-            const recommendations = medecins.map(medecin => {
+            // À domicile : les médecins dont le rayon d'intervention n'atteint pas le patient sont écartés
+            // (la commune n'étant pas connue ici, les zones par commune sont vérifiées à la demande de RDV)
+            const visitesDomicile = new Map(medecins.map(medecin => [medecin.id, typeConsultation === 'DOMICILE' ?
+                VisiteDomicileService.evaluer(medecin.zoneDomicile, { latitude, longitude }) : null]));
+
+            const recommendations = medecins.filter(medecin => {
+                const visite = visitesDomicile.get(medecin.id);
+                return !visite || visite.couvert || medecin.zoneDomicile.mode !== 'RAYON';
+            }).map(medecin => {
+                const visite = visitesDomicile.get(medecin.id);
+
                 // Calcul de la distance
                 let distance = null;
                 let distanceScore = 0;
                 
                 if (typeConsultation === 'CLINIQUE' && medecin.clinique?.latitude && medecin.clinique?.longitude) {
-                    distance = calculerDistanceHaversine(
+                    distance = VisiteDomicileService.calculerDistanceKm(
                         latitude, longitude,
                         parseFloat(medecin.clinique.latitude),
                         parseFloat(medecin.clinique.longitude)
@@ -144,9 +141,9 @@ router.post('/recommend',
                 } else if (typeConsultation === 'TELECONSULTATION') {
                     distanceScore = 10; // Distance n'importe pas pour téléconsultation
                 } else if (typeConsultation === 'DOMICILE') {
-                    // Pour domicile, on considère une distance moyenne de 5km
-                    distance = 5;
-                    distanceScore = 8;
+                    // Distance au point de départ du médecin si connue, sinon une distance moyenne de 5km
+                    distance = visite.distanceKm !== null ? visite.distanceKm : 5;
+                    distanceScore = visite.distanceKm !== null ? Math.max(0, 10 - (distance / 2)) : 8;
                 }
 
                 // Calcul de la note moyenne
@@ -164,7 +161,7 @@ router.post('/recommend',
 
                 // Score budget (si spécifié)
                 let budgetScore = 10;
-                const tarif = typeConsultation === 'DOMICILE' ? medecin.tarifConsultationBase * 1.5 :
+                const tarif = typeConsultation === 'DOMICILE' ? medecin.tarifConsultationBase * 1.5 + (visite.fraisDeplacement || 0) :
                              typeConsultation === 'TELECONSULTATION' ? medecin.tarifConsultationBase * 0.8 :
                              medecin.tarifConsultationBase;
                 
@@ -4,6 +4,7 @@ const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const TempsReelService = require('../../services/TempsReelService');
 
 // Schéma de validation pour les évaluations
 const createEvaluationSchema = {
@@ -321,6 +322,14 @@ router.post('/',
                 ]
             };
 
+            // Événement temps réel pour l'utilisateur évalué
+            await TempsReelService.publier(evalueId, TempsReelService.TYPES.EVALUATION, {
+                evaluationId: evaluation.id,
+                rendezVousId,
+                typeEvaluation,
+                note
+            });
+
             console.log(`✅ Évaluation créée: ${user.prenom} ${user.nom} -> ${typeEvaluation} - Note: ${note}/5`);
 
             return ApiResponse.success(res, 'Évaluation enregistrée avec succès', reponse);
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const TempsReelService = require('../../services/TempsReelService');
+
+/**
+ * GET /events/stream - Flux temps réel (Server-Sent Events) de l'utilisateur connecté
+ * Rendez-vous créés, répondus, annulés ou reportés, nouvelles notifications, évaluations
+ */
+router.get('/stream',
+    AuthMiddleware.authenticate({ queryToken: true }),
+    async (req, res) => {
+        try {
+            await TempsReelService.ouvrirFlux(req, res);
+
+        } catch (error) {
+            console.error('❌ Erreur ouverture flux temps réel:', error);
+            if (!res.headersSent) {
+                return ApiResponse.serverError(res, 'Erreur lors de l\'ouverture du flux temps réel');
+            }
+            res.end();
+        }
+    }
+);
+
+module.exports = router;
@@ -10,12 +10,257 @@ const ApiResponse = require('../services/ApiResponse');
 
 const stat = promisify(fs.stat);
 
+// Nom de fichier tel qu'enregistré (fileId + extension) : ni séparateur de dossier ni remontée
+const nomFichierValide = (filename) => !/[\\/]/.test(filename) && !filename.includes('..');
+
+// Le fichier servi doit être exactement celui enregistré pour le document (et pas seulement partager son fileId)
+const estFichierEnregistre = (fichier, filename) =>
+    !!fichier && typeof fichier.file_path === 'string' && path.basename(fichier.file_path) === filename;
+
+// Middleware de sécurité pour les documents médicaux générés (ordonnances, comptes rendus)
+// Seuls le patient concerné et le médecin auteur y ont accès
+async function verifyDocumentAccess(req, res, next) {
+    try {
+        const { subcategory, filename } = req.params;
+        const user = req.user;
+
+        if (!['ordonnances', 'consultations'].includes(subcategory) || !nomFichierValide(filename)) {
+            return ApiResponse.badRequest(res, 'Chemin de fichier invalide', {
+                code: 'INVALID_FILE_PATH'
+            });
+        }
+
+        // Retrouver le document propriétaire du fichier
+        const fileId = filename.split('.')[0];
+        const where = { fichierPdf: { path: '$.fileId', equals: fileId } };
+        let proprietaire = null;
+
+        if (subcategory === 'ordonnances') {
+            const ordonnance = await prisma.ordonnance.findFirst({
+                where,
+                select: { medecinId: true, patientId: true, fichierPdf: true }
+            });
+            proprietaire = ordonnance && estFichierEnregistre(ordonnance.fichierPdf, filename) ? ordonnance : null;
+        } else {
+            const consultation = await prisma.consultation.findFirst({
+                where,
+                select: {
+                    fichierPdf: true,
+                    rendezVous: {
+                        select: { medecinId: true, patientId: true }
+                    }
+                }
+            });
+            proprietaire = consultation && estFichierEnregistre(consultation.fichierPdf, filename) ? consultation.rendezVous : null;
+        }
+
+        if (!proprietaire) {
+            return ApiResponse.notFound(res, 'Document non trouvé', {
+                code: 'DOCUMENT_NOT_FOUND',
+                filename
+            });
+        }
+
+        const estPatientConcerne = user.role === 'PATIENT' && user.patient && user.patient.id === proprietaire.patientId;
+        const estMedecinAuteur = user.role === 'MEDECIN' && user.medecin &&
+            user.medecin.statutValidation === 'VALIDE' && user.medecin.id === proprietaire.medecinId;
+
+        if (!estPatientConcerne && !estMedecinAuteur) {
+            return ApiResponse.forbidden(res, 'Accès non autorisé à ce document médical', {
+                code: 'DOCUMENT_ACCESS_DENIED'
+            });
+        }
+
+        // Construire le chemin de fichier sécurisé
+        const uploadsDir = path.join(__dirname, '../uploads');
+        const filePath = path.join(uploadsDir, 'documents', subcategory, filename);
+        const resolvedPath = path.resolve(filePath);
+
+        if (!resolvedPath.startsWith(path.resolve(uploadsDir))) {
+            return ApiResponse.forbidden(res, 'Tentative d\'accès non autorisée', {
+                code: 'PATH_TRAVERSAL_DENIED'
+            });
+        }
+
+        req.filePath = filePath;
+        req.resolvedPath = resolvedPath;
+        next();
+
+    } catch (error) {
+        console.error('❌ Erreur vérification accès document:', error);
+        return ApiResponse.serverError(res, 'Erreur interne lors de la vérification d\'accès');
+    }
+}
+
+// Middleware de sécurité pour les pièces jointes des tickets de support
+// Accessibles au support et au demandeur du ticket (hors notes internes)
+async function verifySupportAccess(req, res, next) {
+    try {
+        const { subcategory, filename } = req.params;
+        const user = req.user;
+
+        if (subcategory !== 'tickets' || !nomFichierValide(filename)) {
+            return ApiResponse.badRequest(res, 'Chemin de fichier invalide', {
+                code: 'INVALID_FILE_PATH'
+            });
+        }
+
+        // La pièce jointe peut appartenir au ticket lui-même ou à l'un de ses messages
+        const fileId = filename.split('.')[0];
+        const where = { piecesJointes: { array_contains: [{ fileId }] } };
+        const pieceEnregistree = (piecesJointes) => (Array.isArray(piecesJointes) ? piecesJointes : [])
+            .some(piece => piece.fileId === fileId && estFichierEnregistre(piece, filename));
+
+        const ticket = await prisma.ticketSupport.findFirst({
+            where,
+            select: { userId: true, piecesJointes: true }
+        });
+        let proprietaire = ticket && pieceEnregistree(ticket.piecesJointes) ? ticket : null;
+        let interne = false;
+
+        if (!ticket) {
+            const message = await prisma.messageTicket.findFirst({
+                where,
+                select: {
+                    interne: true,
+                    piecesJointes: true,
+                    ticket: { select: { userId: true } }
+                }
+            });
+            const enregistree = message && pieceEnregistree(message.piecesJointes);
+            proprietaire = enregistree ? message.ticket : null;
+            interne = enregistree ? message.interne : false;
+        }
+
+        if (!proprietaire) {
+            return ApiResponse.notFound(res, 'Pièce jointe non trouvée', {
+                code: 'ATTACHMENT_NOT_FOUND',
+                filename
+            });
+        }
+
+        if (user.role !== 'ADMIN' && (interne || user.id !== proprietaire.userId)) {
+            return ApiResponse.forbidden(res, 'Accès non autorisé à cette pièce jointe', {
+                code: 'ATTACHMENT_ACCESS_DENIED'
+            });
+        }
+
+        const uploadsDir = path.join(__dirname, '../uploads');
+        const filePath = path.join(uploadsDir, 'support', subcategory, filename);
+        const resolvedPath = path.resolve(filePath);
+
+        if (!resolvedPath.startsWith(path.resolve(uploadsDir))) {
+            return ApiResponse.forbidden(res, 'Tentative d\'accès non autorisée', {
+                code: 'PATH_TRAVERSAL_DENIED'
+            });
+        }
+
+        req.filePath = filePath;
+        req.resolvedPath = resolvedPath;
+        next();
+
+    } catch (error) {
+        console.error('❌ Erreur vérification accès pièce jointe:', error);
+        return ApiResponse.serverError(res, 'Erreur interne lors de la vérification d\'accès');
+    }
+}
+
+// Middleware de sécurité pour les pièces jointes de la messagerie des rendez-vous
+// Accessibles au patient et au médecin du rendez-vous, et aux admins uniquement en cas de litige
+async function verifyMessageAccess(req, res, next) {
+    try {
+        const { subcategory, filename } = req.params;
+        const user = req.user;
+
+        if (subcategory !== 'rendez-vous' || !nomFichierValide(filename)) {
+            return ApiResponse.badRequest(res, 'Chemin de fichier invalide', {
+                code: 'INVALID_FILE_PATH'
+            });
+        }
+
+        const fileId = filename.split('.')[0];
+        const message = await prisma.messageRendezVous.findFirst({
+            where: { piecesJointes: { array_contains: [{ fileId }] } },
+            select: {
+                piecesJointes: true,
+                rendezVous: {
+                    select: {
+                        id: true,
+                        patient: { select: { userId: true } },
+                        medecin: { select: { userId: true } }
+                    }
+                }
+            }
+        });
+
+        const enregistree = message && Array.isArray(message.piecesJointes) &&
+            message.piecesJointes.some(piece => piece.fileId === fileId && estFichierEnregistre(piece, filename));
+
+        if (!enregistree) {
+            return ApiResponse.notFound(res, 'Pièce jointe non trouvée', {
+                code: 'ATTACHMENT_NOT_FOUND',
+                filename
+            });
+        }
+
+        const { rendezVous } = message;
+        let autorise = [rendezVous.patient.userId, rendezVous.medecin.userId].includes(user.id);
+
+        if (!autorise && user.role === 'ADMIN') {
+            const litige = await prisma.ticketSupport.findFirst({
+                where: { rendezVousId: rendezVous.id, categorie: 'LITIGE' },
+                select: { id: true }
+            });
+            autorise = !!litige;
+        }
+
+        if (!autorise) {
+            return ApiResponse.forbidden(res, 'Accès non autorisé à cette pièce jointe', {
+                code: 'ATTACHMENT_ACCESS_DENIED'
+            });
+        }
+
+        const uploadsDir = path.join(__dirname, '../uploads');
+        const filePath = path.join(uploadsDir, 'messages', subcategory, filename);
+        const resolvedPath = path.resolve(filePath);
+
+        if (!resolvedPath.startsWith(path.resolve(uploadsDir))) {
+            return ApiResponse.forbidden(res, 'Tentative d\'accès non autorisée', {
+                code: 'PATH_TRAVERSAL_DENIED'
+            });
+        }
+
+        req.filePath = filePath;
+        req.resolvedPath = resolvedPath;
+        next();
+
+    } catch (error) {
+        console.error('❌ Erreur vérification accès pièce jointe de message:', error);
+        return ApiResponse.serverError(res, 'Erreur interne lors de la vérification d\'accès');
+    }
+}
+
 // Middleware de sécurité pour vérifier l'accès aux fichiers
 async function verifyFileAccess(req, res, next) {
     try {
         const { category, subcategory, filename } = req.params;
         const user = req.user;
 
+        // Documents médicaux : contrôle d'accès dédié (patients inclus)
+        if (category === 'documents') {
+            return verifyDocumentAccess(req, res, next);
+        }
+
+        // Pièces jointes du support : contrôle d'accès dédié (patients inclus)
+        if (category === 'support') {
+            return verifySupportAccess(req, res, next);
+        }
+
+        // Pièces jointes de la messagerie des rendez-vous : participants et litiges
+        if (category === 'messages') {
+            return verifyMessageAccess(req, res, next);
+        }
+
         // Seuls les admins et médecins validés peuvent accéder aux fichiers
         if (!user || !['ADMIN', 'MEDECIN'].includes(user.role)) {
             return ApiResponse.forbidden(res, 'Accès non autorisé aux fichiers', {
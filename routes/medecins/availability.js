@@ -4,6 +4,7 @@ const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const ListeAttenteService = require('../../services/ListeAttenteService');
 
 // Schéma de validation pour la gestion des disponibilités
 const updateAvailabilitySchema = {
@@ -88,12 +89,7 @@ router.put('/',
             // Vérification du médecin
             const medecin = await prisma.medecin.findUnique({
                 where: { userId: user.id },
-                select: { 
-                    id: true, 
-                    accepteNouveauxPatients: true,
-                    delaiMoyenReponse: true,
-                    messageIndisponibilite: true
-                }
+                select: { id: true }
             });
 
             if (!medecin) {
@@ -153,7 +149,7 @@ async function updateHoraires(horaires, medecinId, user) {
 
             if (horaire.id) {
                 // Mise à jour
-                const updated = await tx.horaireConsultation.update({
+                const updated = await tx.disponibilite.update({
                     where: { 
                         id: horaire.id,
                         medecinId: medecinId 
@@ -162,20 +158,20 @@ async function updateHoraires(horaires, medecinId, user) {
                         heureDebut: horaire.heureDebut,
                         heureFin: horaire.heureFin,
                         typeConsultation: horaire.typeConsultation,
-                        actif: horaire.actif
+                        ...(horaire.actif !== undefined && { bloque: !horaire.actif })
                     }
                 });
                 horairesUpdated.push({ action: 'updated', horaire: updated });
             } else {
                 // Création
-                const created = await tx.horaireConsultation.create({
+                const created = await tx.disponibilite.create({
                     data: {
                         medecinId,
                         jourSemaine: horaire.jourSemaine,
                         heureDebut: horaire.heureDebut,
                         heureFin: horaire.heureFin,
                         typeConsultation: horaire.typeConsultation,
-                        actif: horaire.actif !== false
+                        bloque: horaire.actif === false
                     }
                 });
                 horairesUpdated.push({ action: 'created', horaire: created });
@@ -185,11 +181,22 @@ async function updateHoraires(horaires, medecinId, user) {
         return horairesUpdated;
     });
 
+    // Les nouveaux créneaux sont proposés en priorité aux patients de la liste d'attente
+    let offresListeAttente = 0;
+    for (const { horaire } of result) {
+        try {
+            offresListeAttente += await ListeAttenteService.proposerDisponibilite(horaire);
+        } catch (listeAttenteError) {
+            console.error('Erreur liste d\'attente après mise à jour des horaires:', listeAttenteError);
+        }
+    }
+
     return {
         message: 'Horaires mis à jour avec succès',
         data: {
             horairesModifies: result.length,
             details: result,
+            offresListeAttente,
             recommendations: [
                 'Vos nouveaux horaires sont immédiatement visibles par les patients',
                 'Vérifiez que vos créneaux correspondent à votre planning réel',
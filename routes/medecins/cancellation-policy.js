@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const PolitiqueAnnulationService = require('../../services/PolitiqueAnnulationService');
+
+// Schéma de validation de la politique (mise à jour partielle : seuls les champs fournis sont remplacés)
+const politiqueSchema = {
+    fields: {
+        delaiMinimumHeures: {
+            type: 'number'
+        },
+        annulationTardive: {
+            type: 'string'
+        },
+        paliersFrais: {
+            type: 'array'
+        },
+        seuilRecidive: {
+            type: 'number'
+        },
+        confirmationRecidivistes: {
+            type: 'boolean'
+        }
+    },
+    required: [],
+    strict: true
+};
+
+const getMedecin = (userId) => prisma.medecin.findUnique({
+    where: { userId },
+    select: { id: true, politiqueAnnulation: true }
+});
+
+/**
+ * GET /medecins/cancellation-policy - Politique d'annulation applicable aux rendez-vous du médecin
+ * source indique si elle vient du médecin, de sa clinique ou des valeurs par défaut
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const medecin = await getMedecin(req.user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            const { politique, source } = await PolitiqueAnnulationService.getPolitique(prisma, medecin.id);
+
+            return ApiResponse.success(res, 'Politique d\'annulation récupérée', PolitiqueAnnulationService.format(politique, source));
+
+        } catch (error) {
+            console.error('❌ Erreur récupération politique d\'annulation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la politique d\'annulation');
+        }
+    }
+);
+
+/**
+ * PUT /medecins/cancellation-policy - Définir sa propre politique d'annulation
+ * Les champs non définis par le médecin suivent la politique de sa clinique
+ */
+router.put('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    BodyFilter.validate(politiqueSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { erreurs, politique } = PolitiqueAnnulationService.valider(req.body);
+
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Politique d\'annulation invalide', { validationErrors: erreurs });
+            }
+
+            const medecin = await getMedecin(user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            await prisma.medecin.update({
+                where: { id: medecin.id },
+                data: {
+                    politiqueAnnulation: { ...(medecin.politiqueAnnulation || {}), ...politique }
+                }
+            });
+
+            const resultat = await PolitiqueAnnulationService.getPolitique(prisma, medecin.id);
+
+            console.log(`📋 Politique d'annulation mise à jour: Dr ${user.prenom} ${user.nom}`);
+
+            return ApiResponse.success(res, 'Politique d\'annulation mise à jour', PolitiqueAnnulationService.format(resultat.politique, resultat.source));
+
+        } catch (error) {
+            console.error('❌ Erreur mise à jour politique d\'annulation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la mise à jour de la politique d\'annulation');
+        }
+    }
+);
+
+/**
+ * DELETE /medecins/cancellation-policy - Revenir à la politique de la clinique (ou par défaut)
+ */
+router.delete('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const medecin = await getMedecin(req.user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            await prisma.medecin.update({
+                where: { id: medecin.id },
+                data: { politiqueAnnulation: Prisma.DbNull }
+            });
+
+            const { politique, source } = await PolitiqueAnnulationService.getPolitique(prisma, medecin.id);
+
+            return ApiResponse.success(res, 'Politique d\'annulation réinitialisée', PolitiqueAnnulationService.format(politique, source));
+
+        } catch (error) {
+            console.error('❌ Erreur réinitialisation politique d\'annulation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la réinitialisation de la politique d\'annulation');
+        }
+    }
+);
+
+module.exports = router;
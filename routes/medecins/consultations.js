@@ -0,0 +1,510 @@
+const express = require('express');
+const router = express.Router();
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const NotificationService = require('../../services/NotificationService');
+const PdfService = require('../../services/PdfService');
+const AuditService = require('../../services/AuditService');
+const TeleconsultationService = require('../../services/TeleconsultationService');
+
+// Champs médicaux communs à la création et à la mise à jour
+const consultationFields = {
+    dureeMinutes: {
+        type: 'number',
+        min: 1,
+        max: 480
+    },
+    diagnostic: {
+        type: 'string',
+        maxLength: 5000
+    },
+    notesConsultation: {
+        type: 'string',
+        maxLength: 10000
+    },
+    examensEffectues: {
+        type: 'string',
+        maxLength: 5000
+    },
+    examensPrescrits: {
+        type: 'string',
+        maxLength: 5000
+    },
+    suiviNecessaire: {
+        type: 'boolean'
+    },
+    prochaineConsultationPrevue: {
+        type: 'date'
+    }
+};
+
+// Schéma de validation pour la clôture d'un RDV avec compte rendu
+const createConsultationSchema = {
+    fields: {
+        rendezVousId: {
+            type: 'string',
+            minLength: 1
+        },
+        ...consultationFields
+    },
+    required: ['rendezVousId', 'diagnostic'],
+    strict: true
+};
+
+// Schéma de validation pour la mise à jour d'un compte rendu
+const updateConsultationSchema = {
+    fields: consultationFields,
+    required: [],
+    strict: true
+};
+
+// Sélection commune pour les réponses
+const consultationInclude = {
+    rendezVous: {
+        select: {
+            id: true,
+            dateRendezVous: true,
+            heureDebut: true,
+            heureFin: true,
+            typeConsultation: true,
+            motifConsultation: true,
+            statut: true,
+            medecinId: true,
+            patient: {
+                select: {
+                    id: true,
+                    dateNaissance: true,
+                    sexe: true,
+                    groupeSanguin: true,
+                    user: {
+                        select: {
+                            nom: true,
+                            prenom: true
+                        }
+                    }
+                }
+            }
+        }
+    },
+    ordonnances: {
+        select: {
+            id: true,
+            numeroOrdonnance: true,
+            dateCreation: true
+        }
+    }
+};
+
+/**
+ * Reconstitue la date complète du RDV à partir de dateRendezVous et heureDebut
+ */
+const getDateDebutRdv = (rendezVous) => {
+    return new Date(`${rendezVous.dateRendezVous.toISOString().split('T')[0]}T${rendezVous.heureDebut}:00.000Z`);
+};
+
+/**
+ * Formate une consultation pour la réponse API
+ */
+const formatConsultation = (consultation) => ({
+    id: consultation.id,
+    dateConsultation: consultation.dateConsultation,
+    dureeMinutes: consultation.dureeMinutes,
+    diagnostic: consultation.diagnostic,
+    notesConsultation: consultation.notesConsultation,
+    examensEffectues: consultation.examensEffectues,
+    examensPrescrits: consultation.examensPrescrits,
+    suiviNecessaire: consultation.suiviNecessaire,
+    prochaineConsultationPrevue: consultation.prochaineConsultationPrevue,
+    documentsJoints: consultation.documentsJoints || [],
+    createdAt: consultation.createdAt,
+    rendezVous: {
+        id: consultation.rendezVous.id,
+        dateRendezVous: consultation.rendezVous.dateRendezVous,
+        heureDebut: consultation.rendezVous.heureDebut,
+        heureFin: consultation.rendezVous.heureFin,
+        typeConsultation: consultation.rendezVous.typeConsultation,
+        motifConsultation: consultation.rendezVous.motifConsultation,
+        statut: consultation.rendezVous.statut
+    },
+    patient: {
+        id: consultation.rendezVous.patient.id,
+        nom: consultation.rendezVous.patient.user.nom,
+        prenom: consultation.rendezVous.patient.user.prenom,
+        sexe: consultation.rendezVous.patient.sexe,
+        groupeSanguin: consultation.rendezVous.patient.groupeSanguin
+    },
+    ordonnances: consultation.ordonnances || []
+});
+
+/**
+ * POST /medecins/consultations - Clôturer un RDV confirmé avec son compte rendu
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    BodyFilter.validate(createConsultationSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const medecinId = user.medecin.id;
+            const {
+                rendezVousId,
+                dureeMinutes,
+                diagnostic,
+                notesConsultation,
+                examensEffectues,
+                examensPrescrits,
+                suiviNecessaire = false,
+                prochaineConsultationPrevue
+            } = req.body;
+
+            console.log(`🩺 Clôture consultation: Dr ${user.prenom} ${user.nom} - RDV ${rendezVousId}`);
+
+            const rendezVous = await prisma.rendezVous.findUnique({
+                where: { id: rendezVousId },
+                include: {
+                    consultation: { select: { id: true } },
+                    patient: {
+                        include: {
+                            user: {
+                                select: {
+                                    id: true,
+                                    nom: true,
+                                    prenom: true,
+                                    canalCommunicationPrefere: true
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            if (!rendezVous) {
+                return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+            }
+
+            if (rendezVous.medecinId !== medecinId) {
+                return ApiResponse.forbidden(res, 'Vous n\'êtes pas le médecin de ce rendez-vous');
+            }
+
+            if (rendezVous.statut !== 'CONFIRME') {
+                return ApiResponse.badRequest(res, `Seuls les rendez-vous confirmés peuvent être clôturés (statut actuel: ${rendezVous.statut})`);
+            }
+
+            if (rendezVous.consultation.length > 0) {
+                return ApiResponse.conflict(res, 'Un compte rendu existe déjà pour ce rendez-vous', {
+                    consultationId: rendezVous.consultation[0].id
+                });
+            }
+
+            const maintenant = new Date();
+            const dateDebutRdv = getDateDebutRdv(rendezVous);
+
+            if (dateDebutRdv > maintenant) {
+                return ApiResponse.badRequest(res, 'Impossible de clôturer un rendez-vous qui n\'a pas encore commencé');
+            }
+
+            if (suiviNecessaire && prochaineConsultationPrevue && prochaineConsultationPrevue <= maintenant) {
+                return ApiResponse.badRequest(res, 'La prochaine consultation prévue doit être dans le futur');
+            }
+
+            // Durée par défaut : durée du créneau réservé
+            const [hDebut, mDebut] = rendezVous.heureDebut.split(':').map(Number);
+            const [hFin, mFin] = rendezVous.heureFin.split(':').map(Number);
+            const dureeCreneau = (hFin * 60 + mFin) - (hDebut * 60 + mDebut);
+
+            const consultation = await prisma.$transaction(async (tx) => {
+                // Téléconsultation : durée réelle passée ensemble dans la salle, à défaut celle du créneau
+                const dureeTeleconsultation = await TeleconsultationService.terminer(tx, rendezVous);
+
+                const nouvelleConsultation = await tx.consultation.create({
+                    data: {
+                        rendezVousId,
+                        dateConsultation: dateDebutRdv,
+                        dureeMinutes: dureeMinutes || dureeTeleconsultation || (dureeCreneau > 0 ? dureeCreneau : null),
+                        diagnostic,
+                        notesConsultation,
+                        examensEffectues,
+                        examensPrescrits,
+                        suiviNecessaire,
+                        prochaineConsultationPrevue: suiviNecessaire ? prochaineConsultationPrevue : null
+                    },
+                    include: consultationInclude
+                });
+
+                await tx.rendezVous.update({
+                    where: { id: rendezVousId },
+                    data: { statut: 'TERMINE' }
+                });
+
+                await tx.rendezVousHistorique.create({
+                    data: {
+                        rendezVousId,
+                        statutPrecedent: rendezVous.statut,
+                        nouveauStatut: 'TERMINE',
+                        motifModification: 'Consultation terminée - compte rendu enregistré par le médecin',
+                        modifieParUserId: user.id,
+                        dateModification: maintenant
+                    }
+                });
+
+                return nouvelleConsultation;
+            });
+
+            // Notification du patient (ne doit pas faire échouer la clôture)
+            try {
+                await NotificationService.notifyConsultationTerminee(rendezVous, consultation, user);
+            } catch (notificationError) {
+                console.error('Erreur notification fin de consultation:', notificationError);
+            }
+
+            await AuditService.log(req, {
+                action: 'CREATION',
+                ressource: 'CONSULTATION',
+                ressourceId: consultation.id,
+                patientId: rendezVous.patientId,
+                motif: 'Clôture du rendez-vous avec compte rendu'
+            });
+
+            console.log(`✅ Consultation enregistrée: ${consultation.id} - RDV ${rendezVousId} TERMINE`);
+
+            return ApiResponse.created(res, 'Consultation enregistrée et rendez-vous clôturé', {
+                consultation: formatConsultation({
+                    ...consultation,
+                    rendezVous: { ...consultation.rendezVous, statut: 'TERMINE' }
+                }),
+                prochaines_etapes: [
+                    'Le patient a été notifié de la fin de la consultation',
+                    'Vous pouvez émettre une ordonnance liée à cette consultation',
+                    'Le patient peut maintenant évaluer le rendez-vous',
+                    ...(consultation.suiviNecessaire ? ['Programmez le suivi avec une série de rendez-vous (POST /v1/appointments/series avec consultationId)'] : [])
+                ]
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur clôture consultation:', error);
+
+            if (error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Un compte rendu existe déjà pour ce rendez-vous');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de l\'enregistrement de la consultation');
+        }
+    }
+);
+
+/**
+ * GET /medecins/consultations - Liste des comptes rendus du médecin
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { patientId, page = 1, limit = 20 } = req.query;
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+
+            const where = {
+                rendezVous: {
+                    medecinId: user.medecin.id,
+                    ...(patientId && { patientId })
+                }
+            };
+
+            const [consultations, total] = await Promise.all([
+                prisma.consultation.findMany({
+                    where,
+                    include: consultationInclude,
+                    orderBy: { dateConsultation: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.consultation.count({ where })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Consultations récupérées avec succès', {
+                consultations: consultations.map(formatConsultation),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste consultations:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des consultations');
+        }
+    }
+);
+
+/**
+ * GET /medecins/consultations/:id - Détail d'un compte rendu
+ */
+router.get('/:id',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    async (req, res) => {
+        try {
+            const consultation = await prisma.consultation.findUnique({
+                where: { id: req.params.id },
+                include: consultationInclude
+            });
+
+            if (!consultation) {
+                return ApiResponse.notFound(res, 'Consultation non trouvée');
+            }
+
+            if (consultation.rendezVous.medecinId !== req.user.medecin.id) {
+                return ApiResponse.forbidden(res, 'Accès réservé au médecin ayant réalisé la consultation');
+            }
+
+            await AuditService.log(req, {
+                action: 'LECTURE',
+                ressource: 'CONSULTATION',
+                ressourceId: consultation.id,
+                patientId: consultation.rendezVous.patient.id
+            });
+
+            return ApiResponse.success(res, 'Consultation récupérée avec succès', formatConsultation(consultation));
+
+        } catch (error) {
+            console.error('❌ Erreur détail consultation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la consultation');
+        }
+    }
+);
+
+/**
+ * GET /medecins/consultations/:id/pdf - Version imprimable du compte rendu
+ */
+router.get('/:id/pdf',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    async (req, res) => {
+        try {
+            const consultation = await prisma.consultation.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    rendezVous: { select: { medecinId: true, patientId: true } }
+                }
+            });
+
+            if (!consultation) {
+                return ApiResponse.notFound(res, 'Consultation non trouvée');
+            }
+
+            if (consultation.rendezVous.medecinId !== req.user.medecin.id) {
+                return ApiResponse.forbidden(res, 'Accès réservé au médecin ayant réalisé la consultation');
+            }
+
+            const fichierPdf = await PdfService.getConsultationPdf(consultation.id);
+
+            await AuditService.log(req, {
+                action: 'EXPORT',
+                ressource: 'CONSULTATION',
+                ressourceId: consultation.id,
+                patientId: consultation.rendezVous.patientId,
+                motif: 'Génération du compte rendu PDF'
+            });
+
+            return ApiResponse.success(res, 'PDF du compte rendu disponible', {
+                consultationId: consultation.id,
+                fichier: {
+                    nom_fichier: fichierPdf.nom_fichier,
+                    taille: fichierPdf.taille,
+                    genere_le: fichierPdf.genere_le,
+                    url: PdfService.getFileUrl(fichierPdf)
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur génération PDF consultation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la génération du PDF du compte rendu');
+        }
+    }
+);
+
+/**
+ * PUT /medecins/consultations/:id - Compléter ou corriger un compte rendu
+ */
+router.put('/:id',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    BodyFilter.validate(updateConsultationSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+
+            if (Object.keys(req.body).length === 0) {
+                return ApiResponse.badRequest(res, 'Aucune modification fournie');
+            }
+
+            const consultation = await prisma.consultation.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    rendezVous: { select: { medecinId: true, patientId: true } }
+                }
+            });
+
+            if (!consultation) {
+                return ApiResponse.notFound(res, 'Consultation non trouvée');
+            }
+
+            if (consultation.rendezVous.medecinId !== user.medecin.id) {
+                return ApiResponse.forbidden(res, 'Seul le médecin ayant réalisé la consultation peut la modifier');
+            }
+
+            const data = { ...req.body };
+            const suiviNecessaire = data.suiviNecessaire !== undefined ? data.suiviNecessaire : consultation.suiviNecessaire;
+
+            if (data.prochaineConsultationPrevue && data.prochaineConsultationPrevue <= new Date()) {
+                return ApiResponse.badRequest(res, 'La prochaine consultation prévue doit être dans le futur');
+            }
+
+            if (!suiviNecessaire) {
+                data.prochaineConsultationPrevue = null;
+            }
+
+            // Le PDF existant ne reflète plus le compte rendu
+            data.fichierPdf = Prisma.DbNull;
+
+            const consultationMiseAJour = await prisma.consultation.update({
+                where: { id: consultation.id },
+                data,
+                include: consultationInclude
+            });
+
+            await PdfService.deletePdf(consultation.fichierPdf, 'COMPTE_RENDU');
+
+            await AuditService.log(req, {
+                action: 'MODIFICATION',
+                ressource: 'CONSULTATION',
+                ressourceId: consultation.id,
+                patientId: consultation.rendezVous.patientId,
+                details: { champs: Object.keys(req.body) }
+            });
+
+            console.log(`✏️ Consultation modifiée: ${consultation.id} par Dr ${user.prenom} ${user.nom} - Champs: ${Object.keys(req.body).join(', ')}`);
+
+            return ApiResponse.success(res, 'Consultation mise à jour avec succès', formatConsultation(consultationMiseAJour));
+
+        } catch (error) {
+            console.error('❌ Erreur mise à jour consultation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la mise à jour de la consultation');
+        }
+    }
+);
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
 const ApiResponse = require('../../services/ApiResponse');
+const ContactMaskingService = require('../../services/ContactMaskingService');
 const AuthMiddleware = require('../../middleware/authMiddleware');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+const ComptabiliteService = require('../../services/ComptabiliteService');
 
 /**
  * GET /medecins/dashboard - Tableau de bord médecin
@@ -205,19 +209,12 @@ router.get('/',
                 take: 5
             });
 
-            // === REVENUS ESTIMÉS (si système de paiement) ===
-            const revenus = await prisma.rendezVous.aggregate({
-                where: {
-                    medecinId: medecin.id,
-                    statut: 'TERMINE',
-                    dateHeureDebut: {
-                        gte: new Date(maintenant.getFullYear(), maintenant.getMonth(), 1)
-                    }
-                },
-                _sum: {
-                    tarifPrevu: true
-                }
-            });
+            // === REVENUS (relevé des gains du mois en cours, voir GET /medecins/earnings) ===
+            const revenus = await ComptabiliteService.releve(
+                medecin.id,
+                new Date(Date.UTC(maintenant.getUTCFullYear(), maintenant.getUTCMonth(), 1)),
+                maintenant
+            );
 
             // === STATISTIQUES PAR TYPE DE CONSULTATION ===
             const [consultationsClinique, consultationsDomicile, teleconsultations] = await Promise.all([
@@ -285,6 +282,19 @@ router.get('/',
                 )
                 : null;
 
+            // Liste d'attente (patients en attente d'un créneau libéré)
+            const [listeAttente, nombreListeAttente] = await Promise.all([
+                prisma.listeAttente.findMany({
+                    where: { medecinId: medecin.id, statut: { in: ListeAttenteService.STATUTS_ACTIFS } },
+                    include: { patient: { include: { user: { select: { nom: true, prenom: true } } } } },
+                    orderBy: { createdAt: 'asc' },
+                    take: 10
+                }),
+                prisma.listeAttente.count({
+                    where: { medecinId: medecin.id, statut: { in: ListeAttenteService.STATUTS_ACTIFS } }
+                })
+            ]);
+
             // === PRÉPARATION DE LA RÉPONSE ===
             const dashboardData = {
                 medecin: {
@@ -304,8 +314,13 @@ router.get('/',
                     rdvEnAttente,
                     rdvConfirmes,
                     revenus: {
-                        moisActuel: revenus._sum.tarifPrevu || 0,
-                        devise: 'XOF'
+                        moisActuel: revenus.gainsNets,
+                        montantEncaisse: revenus.montantEncaisse,
+                        commission: revenus.commission,
+                        remboursements: revenus.remboursements,
+                        paiements: revenus.consultationsPayees,
+                        solde: revenus.soldeCloture,
+                        devise: Consts.PAIEMENT_CONFIG.devise
                     }
                 },
 
@@ -318,7 +333,7 @@ router.get('/',
                         id: rdv.id,
                         date: rdv.dateHeureDebut,
                         patient: `${rdv.patient.user.prenom} ${rdv.patient.user.nom}`,
-                        telephone: rdv.patient.user.telephone,
+                        telephone: ContactMaskingService.maskPhoneIfPermanent(rdv.patient.user.telephone),
                         typeConsultation: rdv.typeConsultation,
                         motif: rdv.motifConsultation,
                         duree: rdv.dureeEstimee || 30,
@@ -334,7 +349,7 @@ router.get('/',
                         id: demande.id,
                         dateeDemande: demande.createdAt,
                         patient: `${demande.patient.user.prenom} ${demande.patient.user.nom}`,
-                        telephone: demande.patient.user.telephone,
+                        telephone: ContactMaskingService.maskPhoneIfPermanent(demande.patient.user.telephone),
                         datesouhaitee: demande.dateHeureDebut,
                         typeConsultation: demande.typeConsultation,
                         motif: demande.motifConsultation,
@@ -346,6 +361,13 @@ router.get('/',
                     tempsReponseCible: medecin.delaiMoyenReponse ? `${medecin.delaiMoyenReponse}h` : '24h'
                 },
 
+                // Liste d'attente
+                listeAttente: {
+                    nombre: nombreListeAttente,
+                    offresEnCours: listeAttente.filter(inscription => inscription.statut === 'OFFRE_EN_COURS').length,
+                    premiers: listeAttente.map(inscription => ListeAttenteService.format(inscription))
+                },
+
                 // Performance et évaluations
                 performance: {
                     evaluations: {
@@ -375,6 +397,7 @@ router.get('/',
                     urgentes: [
                         rdvEnAttente > 5 ? `${rdvEnAttente} demandes en attente de réponse` : null,
                         rdvAujourdHui > 0 ? `${rdvAujourdHui} RDV aujourd'hui` : null,
+                        nombreListeAttente > 0 ? `${nombreListeAttente} patient(s) en liste d'attente` : null,
                         tempsReponse && tempsReponse > 24 ? `Temps de réponse élevé: ${tempsReponse}h` : null
                     ].filter(Boolean),
                     recommandations: [
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const ComptabiliteService = require('../../services/ComptabiliteService');
+
+const JOUR_MS = 24 * 60 * 60 * 1000;
+
+const dateValide = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date).getTime());
+
+/**
+ * GET /medecins/earnings - Relevé des gains du médecin sur une période (mois en cours par défaut)
+ * Consultations payées, commission de la plateforme, remboursements et versements, avec un relevé par mois
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const aujourdHui = new Date().toISOString().split('T')[0];
+            const { dateDebut = `${aujourdHui.slice(0, 7)}-01`, dateFin = aujourdHui } = req.query;
+
+            if (!dateValide(dateDebut) || !dateValide(dateFin)) {
+                return ApiResponse.badRequest(res, 'Dates invalides (format attendu: YYYY-MM-DD)');
+            }
+
+            // Dates incluses : le relevé couvre [dateDebut, dateFin + 1 jour[
+            const debut = new Date(dateDebut);
+            const fin = new Date(new Date(dateFin).getTime() + JOUR_MS);
+            const { releveMaxMois } = Consts.COMPTABILITE_CONFIG;
+
+            if (fin <= debut) {
+                return ApiResponse.badRequest(res, 'dateFin doit être postérieure ou égale à dateDebut');
+            }
+            if (ComptabiliteService.decouperParMois(debut, fin).length > releveMaxMois) {
+                return ApiResponse.badRequest(res, `La période d'un relevé est limitée à ${releveMaxMois} mois`);
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { userId: user.id },
+                select: { id: true }
+            });
+
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            const [releve, soldeActuel, contestations] = await Promise.all([
+                ComptabiliteService.releve(medecin.id, debut, fin),
+                ComptabiliteService.solde(prisma, medecin.id),
+                prisma.remboursement.aggregate({
+                    where: { statut: 'EN_ATTENTE_VALIDATION', rendezVous: { medecinId: medecin.id } },
+                    _sum: { montant: true },
+                    _count: true
+                })
+            ]);
+
+            const { periodes, operations, ...totaux } = releve;
+
+            return ApiResponse.success(res, 'Relevé des gains récupéré', {
+                devise: Consts.PAIEMENT_CONFIG.devise,
+                commissionPourcentage: Consts.COMPTABILITE_CONFIG.commissionPourcentage,
+                soldeActuel,
+                contestationsEnCours: {
+                    nombre: contestations._count,
+                    montant: Number(contestations._sum.montant || 0)
+                },
+                periode: { dateDebut, dateFin },
+                releve: totaux,
+                periodes,
+                operations
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur relevé des gains:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération du relevé des gains');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
+
+// Schéma de validation de la zone (remplacement complet : rayon ou liste de communes)
+const zoneSchema = {
+    fields: {
+        mode: {
+            type: 'string',
+            enum: ['RAYON', 'COMMUNES']
+        },
+        latitude: {
+            type: 'number'
+        },
+        longitude: {
+            type: 'number'
+        },
+        rayonKm: {
+            type: 'number'
+        },
+        fraisFixe: {
+            type: 'number'
+        },
+        fraisParKm: {
+            type: 'number'
+        },
+        communes: {
+            type: 'array'
+        }
+    },
+    required: ['mode'],
+    strict: true
+};
+
+const getMedecin = (userId) => prisma.medecin.findUnique({
+    where: { userId },
+    select: { id: true, accepteDomicile: true, zoneDomicile: true }
+});
+
+const formatReponse = (medecin, zone) => ({
+    accepteDomicile: medecin.accepteDomicile,
+    zoneDomicile: VisiteDomicileService.format(zone),
+    info: zone ? null : 'Aucune zone définie : les demandes à domicile sont acceptées quelle que soit l\'adresse, sans frais de déplacement'
+});
+
+/**
+ * GET /medecins/home-visit-zone - Zone d'intervention et frais de déplacement des visites à domicile
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const medecin = await getMedecin(req.user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            return ApiResponse.success(res, 'Zone d\'intervention récupérée', formatReponse(medecin, medecin.zoneDomicile));
+
+        } catch (error) {
+            console.error('❌ Erreur récupération zone d\'intervention:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la zone d\'intervention');
+        }
+    }
+);
+
+/**
+ * PUT /medecins/home-visit-zone - Définir sa zone d'intervention (rayon ou communes) et ses frais de déplacement
+ * Les rendez-vous déjà demandés gardent les frais calculés lors de la demande
+ */
+router.put('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    BodyFilter.validate(zoneSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { erreurs, zone } = VisiteDomicileService.valider(req.body);
+
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Zone d\'intervention invalide', { validationErrors: erreurs });
+            }
+
+            const medecin = await getMedecin(user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            await prisma.medecin.update({
+                where: { id: medecin.id },
+                data: { zoneDomicile: zone }
+            });
+
+            console.log(`🏠 Zone d'intervention mise à jour: Dr ${user.prenom} ${user.nom} (${zone.mode})`);
+
+            return ApiResponse.success(res, 'Zone d\'intervention mise à jour', formatReponse(medecin, zone));
+
+        } catch (error) {
+            console.error('❌ Erreur mise à jour zone d\'intervention:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la mise à jour de la zone d\'intervention');
+        }
+    }
+);
+
+/**
+ * DELETE /medecins/home-visit-zone - Supprimer la zone (plus de contrôle d'adresse ni de frais de déplacement)
+ */
+router.delete('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const medecin = await getMedecin(req.user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            await prisma.medecin.update({
+                where: { id: medecin.id },
+                data: { zoneDomicile: Prisma.DbNull }
+            });
+
+            return ApiResponse.success(res, 'Zone d\'intervention supprimée', formatReponse(medecin, null));
+
+        } catch (error) {
+            console.error('❌ Erreur suppression zone d\'intervention:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la suppression de la zone d\'intervention');
+        }
+    }
+);
+
+module.exports = router;
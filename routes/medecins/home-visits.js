@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const VisiteDomicileService = require('../../services/VisiteDomicileService');
+
+/**
+ * GET /medecins/home-visits - Tournée des visites à domicile d'une journée (aujourd'hui par défaut)
+ * Visites confirmées dans l'ordre des horaires, avec trajets estimés depuis le point de départ du médecin
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { date = new Date().toISOString().split('T')[0] } = req.query;
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+                return ApiResponse.badRequest(res, 'Date invalide (format attendu: YYYY-MM-DD)');
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { userId: user.id },
+                select: {
+                    id: true,
+                    zoneDomicile: true,
+                    clinique: { select: { latitude: true, longitude: true } }
+                }
+            });
+
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            const visites = await prisma.rendezVous.findMany({
+                where: {
+                    medecinId: medecin.id,
+                    typeConsultation: 'DOMICILE',
+                    dateRendezVous: new Date(date),
+                    statut: { in: ['CONFIRME', 'TERMINE'] }
+                },
+                include: {
+                    patient: {
+                        include: {
+                            user: { select: { nom: true, prenom: true, telephone: true } }
+                        }
+                    }
+                }
+            });
+
+            // Point de départ : celui de la zone d'intervention, à défaut la clinique du médecin
+            const zone = medecin.zoneDomicile;
+            const depart = zone && zone.latitude !== undefined ?
+                { latitude: zone.latitude, longitude: zone.longitude, source: 'ZONE_DOMICILE' } :
+                (medecin.clinique?.latitude && medecin.clinique?.longitude ?
+                    { latitude: Number(medecin.clinique.latitude), longitude: Number(medecin.clinique.longitude), source: 'CLINIQUE' } :
+                    null);
+
+            const tournee = VisiteDomicileService.construireTournee(visites, depart);
+
+            return ApiResponse.success(res, tournee.nombreVisites > 0 ?
+                `${tournee.nombreVisites} visite(s) à domicile le ${new Date(date).toLocaleDateString('fr-FR', { timeZone: 'UTC' })}` :
+                'Aucune visite à domicile ce jour', {
+                date,
+                ...tournee,
+                info: depart ? null : 'Définissez un point de départ (PUT /v1/medecins/home-visit-zone) pour estimer le premier trajet'
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur tournée visites à domicile:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des visites à domicile');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const OrdonnanceService = require('../../services/OrdonnanceService');
+const NotificationService = require('../../services/NotificationService');
+const PdfService = require('../../services/PdfService');
+const AuditService = require('../../services/AuditService');
+
+// Schéma de validation pour l'émission d'une ordonnance
+const createOrdonnanceSchema = {
+    fields: {
+        consultationId: {
+            type: 'string',
+            minLength: 1
+        },
+        medicaments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    nom: { type: 'string', maxLength: 200 },
+                    dosage: { type: 'string', maxLength: 100 },
+                    forme: { type: 'string', maxLength: 100 },
+                    posologie: { type: 'string', maxLength: 500 },
+                    dureeJours: { type: 'number', min: 1, max: 365 },
+                    quantite: { type: 'number', min: 1 }
+                },
+                required: ['nom', 'posologie', 'dureeJours']
+            }
+        },
+        instructionsSpeciales: {
+            type: 'string',
+            maxLength: 2000
+        },
+        dureeValiditeJours: {
+            type: 'number',
+            min: 1,
+            max: Consts.ORDONNANCE_CONFIG.validiteJoursMax
+        }
+    },
+    required: ['consultationId', 'medicaments'],
+    strict: true
+};
+
+/**
+ * Valide la liste des médicaments (le BodyFilter ne valide pas les objets imbriqués)
+ */
+const validerMedicaments = (medicaments) => {
+    const erreurs = [];
+
+    if (medicaments.length === 0) {
+        erreurs.push('Au moins un médicament est requis');
+    }
+
+    if (medicaments.length > Consts.ORDONNANCE_CONFIG.maxMedicaments) {
+        erreurs.push(`Une ordonnance ne peut pas contenir plus de ${Consts.ORDONNANCE_CONFIG.maxMedicaments} médicaments`);
+    }
+
+    medicaments.forEach((medicament, index) => {
+        const position = `medicaments[${index}]`;
+
+        if (!medicament || typeof medicament !== 'object') {
+            erreurs.push(`${position} doit être un objet`);
+            return;
+        }
+        if (typeof medicament.nom !== 'string' || medicament.nom.trim() === '') {
+            erreurs.push(`${position}.nom est obligatoire`);
+        }
+        if (typeof medicament.posologie !== 'string' || medicament.posologie.trim() === '') {
+            erreurs.push(`${position}.posologie est obligatoire`);
+        }
+        if (!Number.isInteger(medicament.dureeJours) || medicament.dureeJours < 1 || medicament.dureeJours > 365) {
+            erreurs.push(`${position}.dureeJours doit être un entier entre 1 et 365`);
+        }
+        if (medicament.quantite !== undefined && (!Number.isInteger(medicament.quantite) || medicament.quantite < 1)) {
+            erreurs.push(`${position}.quantite doit être un entier positif`);
+        }
+    });
+
+    return erreurs;
+};
+
+/**
+ * Formate une ordonnance pour la réponse API
+ */
+const formatOrdonnance = (ordonnance) => ({
+    id: ordonnance.id,
+    numeroOrdonnance: ordonnance.numeroOrdonnance,
+    consultationId: ordonnance.consultationId,
+    dateCreation: ordonnance.dateCreation,
+    dateExpiration: ordonnance.dateExpiration,
+    statut: OrdonnanceService.getStatut(ordonnance),
+    medicaments: ordonnance.medicaments,
+    dureeTraitement: ordonnance.dureeTraitement,
+    instructionsSpeciales: ordonnance.instructionsSpeciales,
+    contenuOrdonnance: ordonnance.contenuOrdonnance,
+    signatureNumerique: ordonnance.signatureNumerique,
+    codeVerification: OrdonnanceService.codeVerification(ordonnance.numeroOrdonnance),
+    verification: OrdonnanceService.cheminVerification(ordonnance.numeroOrdonnance)
+});
+
+/**
+ * POST /medecins/ordonnances - Émettre une ordonnance liée à une consultation
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    BodyFilter.validate(createOrdonnanceSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const medecinId = user.medecin.id;
+            const {
+                consultationId,
+                medicaments,
+                instructionsSpeciales = null,
+                dureeValiditeJours = Consts.ORDONNANCE_CONFIG.validiteJoursDefaut
+            } = req.body;
+
+            const erreursMedicaments = validerMedicaments(medicaments);
+            if (erreursMedicaments.length > 0) {
+                return ApiResponse.badRequest(res, 'Erreurs de validation', {
+                    validationErrors: erreursMedicaments
+                });
+            }
+
+            const consultation = await prisma.consultation.findUnique({
+                where: { id: consultationId },
+                include: {
+                    rendezVous: {
+                        select: {
+                            id: true,
+                            medecinId: true,
+                            patientId: true,
+                            statut: true,
+                            patient: {
+                                select: {
+                                    user: {
+                                        select: {
+                                            id: true,
+                                            nom: true,
+                                            prenom: true,
+                                            canalCommunicationPrefere: true
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            if (!consultation) {
+                return ApiResponse.notFound(res, 'Consultation non trouvée');
+            }
+
+            if (consultation.rendezVous.medecinId !== medecinId) {
+                return ApiResponse.forbidden(res, 'Seul le médecin ayant réalisé la consultation peut émettre une ordonnance');
+            }
+
+            // Normalisation des médicaments
+            const medicamentsNormalises = medicaments.map(medicament => ({
+                nom: medicament.nom.trim(),
+                dosage: medicament.dosage ? medicament.dosage.trim() : null,
+                forme: medicament.forme ? medicament.forme.trim() : null,
+                posologie: medicament.posologie.trim(),
+                dureeJours: medicament.dureeJours,
+                quantite: medicament.quantite || null
+            }));
+
+            const posologie = medicamentsNormalises.map(medicament => ({
+                medicament: medicament.nom,
+                posologie: medicament.posologie
+            }));
+
+            const dureeTraitement = {
+                joursMax: Math.max(...medicamentsNormalises.map(medicament => medicament.dureeJours)),
+                parMedicament: medicamentsNormalises.map(medicament => ({
+                    medicament: medicament.nom,
+                    dureeJours: medicament.dureeJours
+                }))
+            };
+
+            const dateCreation = new Date();
+            const dateExpiration = new Date(dateCreation);
+            dateExpiration.setUTCDate(dateExpiration.getUTCDate() + dureeValiditeJours);
+            dateExpiration.setUTCHours(0, 0, 0, 0);
+
+            const ordonnance = await prisma.$transaction(async (tx) => {
+                const numeroOrdonnance = await OrdonnanceService.generateNumero(tx, dateCreation);
+
+                const donnees = {
+                    consultationId,
+                    medecinId,
+                    patientId: consultation.rendezVous.patientId,
+                    contenuOrdonnance: OrdonnanceService.buildContenu(medicamentsNormalises, instructionsSpeciales),
+                    medicaments: medicamentsNormalises,
+                    posologie,
+                    dureeTraitement,
+                    instructionsSpeciales,
+                    dateCreation,
+                    dateExpiration,
+                    numeroOrdonnance
+                };
+
+                const ordonnanceCreee = await tx.ordonnance.create({
+                    data: {
+                        ...donnees,
+                        signatureNumerique: OrdonnanceService.sign(donnees)
+                    }
+                });
+
+                // Le compte rendu PDF liste les ordonnances : il doit être régénéré
+                if (consultation.fichierPdf) {
+                    await tx.consultation.update({
+                        where: { id: consultationId },
+                        data: { fichierPdf: Prisma.DbNull }
+                    });
+                }
+
+                return ordonnanceCreee;
+            });
+
+            await PdfService.deletePdf(consultation.fichierPdf, 'COMPTE_RENDU');
+
+            try {
+                await NotificationService.notifyOrdonnanceEmise(ordonnance, consultation.rendezVous.patient.user, user);
+            } catch (notificationError) {
+                console.error('Erreur notification ordonnance:', notificationError);
+            }
+
+            await AuditService.log(req, {
+                action: 'CREATION',
+                ressource: 'ORDONNANCE',
+                ressourceId: ordonnance.id,
+                patientId: ordonnance.patientId,
+                details: { numeroOrdonnance: ordonnance.numeroOrdonnance }
+            });
+
+            console.log(`💊 Ordonnance émise: ${ordonnance.numeroOrdonnance} par Dr ${user.prenom} ${user.nom} - ${medicamentsNormalises.length} médicament(s)`);
+
+            return ApiResponse.created(res, 'Ordonnance émise avec succès', formatOrdonnance(ordonnance));
+
+        } catch (error) {
+            console.error('❌ Erreur émission ordonnance:', error);
+
+            if (error.code === 'P2002') {
+                return ApiResponse.conflict(res, 'Conflit de numérotation, veuillez réessayer');
+            }
+
+            return ApiResponse.serverError(res, 'Erreur lors de l\'émission de l\'ordonnance');
+        }
+    }
+);
+
+/**
+ * GET /medecins/ordonnances/:id - Détail d'une ordonnance émise par le médecin
+ */
+router.get('/:id',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    async (req, res) => {
+        try {
+            const ordonnance = await prisma.ordonnance.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!ordonnance) {
+                return ApiResponse.notFound(res, 'Ordonnance non trouvée');
+            }
+
+            if (ordonnance.medecinId !== req.user.medecin.id) {
+                return ApiResponse.forbidden(res, 'Accès réservé au médecin prescripteur');
+            }
+
+            await AuditService.log(req, {
+                action: 'LECTURE',
+                ressource: 'ORDONNANCE',
+                ressourceId: ordonnance.id,
+                patientId: ordonnance.patientId
+            });
+
+            return ApiResponse.success(res, 'Ordonnance récupérée avec succès', {
+                ...formatOrdonnance(ordonnance),
+                signatureValide: OrdonnanceService.verifySignature(ordonnance)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur détail ordonnance:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de l\'ordonnance');
+        }
+    }
+);
+
+/**
+ * GET /medecins/ordonnances/:id/pdf - Version imprimable de l'ordonnance
+ */
+router.get('/:id/pdf',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    async (req, res) => {
+        try {
+            const ordonnance = await prisma.ordonnance.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, medecinId: true, patientId: true, numeroOrdonnance: true }
+            });
+
+            if (!ordonnance) {
+                return ApiResponse.notFound(res, 'Ordonnance non trouvée');
+            }
+
+            if (ordonnance.medecinId !== req.user.medecin.id) {
+                return ApiResponse.forbidden(res, 'Accès réservé au médecin prescripteur');
+            }
+
+            const fichierPdf = await PdfService.getOrdonnancePdf(ordonnance.id);
+
+            await AuditService.log(req, {
+                action: 'EXPORT',
+                ressource: 'ORDONNANCE',
+                ressourceId: ordonnance.id,
+                patientId: ordonnance.patientId,
+                motif: 'Génération de l\'ordonnance PDF'
+            });
+
+            return ApiResponse.success(res, 'PDF de l\'ordonnance disponible', {
+                numeroOrdonnance: ordonnance.numeroOrdonnance,
+                fichier: {
+                    nom_fichier: fichierPdf.nom_fichier,
+                    taille: fichierPdf.taille,
+                    genere_le: fichierPdf.genere_le,
+                    url: PdfService.getFileUrl(fichierPdf)
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur génération PDF ordonnance:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la génération du PDF de l\'ordonnance');
+        }
+    }
+);
+
+module.exports = router;
@@ -3,6 +3,19 @@ const router = express.Router();
 const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
+const AuditService = require('../../services/AuditService');
+const ConsentementService = require('../../services/ConsentementService');
+const OrdonnanceService = require('../../services/OrdonnanceService');
+const DossierMedicalService = require('../../services/DossierMedicalService');
+const PolitiqueAnnulationService = require('../../services/PolitiqueAnnulationService');
+const ContactMaskingService = require('../../services/ContactMaskingService');
+
+/**
+ * Reconstitue la date complète du RDV à partir de dateRendezVous et heureDebut
+ */
+const getDateDebutRdv = (rendezVous) => {
+    return new Date(`${rendezVous.dateRendezVous.toISOString().split('T')[0]}T${rendezVous.heureDebut}:00.000Z`);
+};
 
 /**
  * GET /medecins/patients - Liste des patients suivis par le médecin
@@ -55,7 +68,8 @@ router.get('/',
                 select: {
                     patientId: true,
                     statut: true,
-                    dateHeureDebut: true,
+                    dateRendezVous: true,
+                    heureDebut: true,
                     typeConsultation: true,
                     createdAt: true
                 },
@@ -73,10 +87,10 @@ router.get('/',
             if (recherche) {
                 patientWhere.user = {
                     OR: [
-                        { nom: { contains: recherche, mode: 'insensitive' } },
-                        { prenom: { contains: recherche, mode: 'insensitive' } },
+                        { nom: { contains: recherche } },
+                        { prenom: { contains: recherche } },
                         { telephone: { contains: recherche } },
-                        { email: { contains: recherche, mode: 'insensitive' } }
+                        { email: { contains: recherche } }
                     ]
                 };
             }
@@ -100,31 +114,46 @@ router.get('/',
                         where: { medecinId: medecin.id },
                         select: {
                             id: true,
-                            dateHeureDebut: true,
-                            dateHeureFin: true,
+                            dateRendezVous: true,
+                            heureDebut: true,
+                            heureFin: true,
                             statut: true,
                             typeConsultation: true,
                             motifConsultation: true,
-                            tarifPrevu: true,
+                            tarif: true,
                             createdAt: true
                         },
-                        orderBy: {
-                            dateHeureDebut: 'desc'
-                        }
+                        orderBy: [
+                            { dateRendezVous: 'desc' },
+                            { heureDebut: 'desc' }
+                        ]
                     }
                 },
                 skip: offset,
                 take: limitInt
             });
 
+            // Portées du dossier médical accordées par chaque patient
+            const porteesParPatient = await ConsentementService.getPorteesActivesParPatient(
+                medecin.id,
+                patients.map(patient => patient.id)
+            );
+
+            // Seuil de récidive de la politique d'annulation du médecin
+            const { politique } = await PolitiqueAnnulationService.getPolitique(prisma, medecin.id);
+
             // Calcul des statistiques pour chaque patient
             const patientsEnriches = await Promise.all(patients.map(async (patient) => {
-                const rendezVous = patient.rendezVous;
+                const portees = porteesParPatient.get(patient.id) || [];
+                const dossier = DossierMedicalService.getEtat(patient);
+                const rendezVous = patient.rendezVous.map(rdv => ({ ...rdv, dateHeureDebut: getDateDebutRdv(rdv) }));
                 
                 // Statistiques générales
                 const totalRendezVous = rendezVous.length;
                 const rdvTermines = rendezVous.filter(rdv => rdv.statut === 'TERMINE').length;
                 const rdvAnnules = rendezVous.filter(rdv => rdv.statut === 'ANNULE').length;
+                const rdvAbsents = rendezVous.filter(rdv => rdv.statut === 'ABSENT').length;
+                const fiabilite = await PolitiqueAnnulationService.getFiabilite(prisma, patient.id, politique);
                 const rdvFuturs = rendezVous.filter(rdv => 
                     rdv.dateHeureDebut > new Date() && 
                     ['CONFIRME', 'EN_ATTENTE'].includes(rdv.statut)
@@ -164,7 +193,7 @@ router.get('/',
                 // Revenus générés par ce patient
                 const revenus = rendezVous
                     .filter(rdv => rdv.statut === 'TERMINE')
-                    .reduce((sum, rdv) => sum + (rdv.tarifPrevu || 0), 0);
+                    .reduce((sum, rdv) => sum + Number(rdv.tarif || 0), 0);
 
                 // Calcul âge si date de naissance disponible
                 let age = null;
@@ -183,19 +212,18 @@ router.get('/',
                     },
                     select: {
                         id: true,
+                        dateConsultation: true,
                         diagnostic: true,
-                        traitementPrescrit: true,
-                        recommandations: true,
-                        createdAt: true,
+                        examensPrescrits: true,
+                        suiviNecessaire: true,
                         rendezVous: {
                             select: {
-                                dateHeureDebut: true,
                                 typeConsultation: true
                             }
                         }
                     },
                     orderBy: {
-                        createdAt: 'desc'
+                        dateConsultation: 'desc'
                     },
                     take: 5
                 });
@@ -203,18 +231,17 @@ router.get('/',
                 // Évaluations reçues de ce patient
                 const evaluations = await prisma.evaluation.findMany({
                     where: {
-                        evaluateurId: patient.user.id,
-                        evalueId: user.id,
+                        evaluateurUserId: patient.user.id,
+                        evalueUserId: user.id,
                         typeEvaluation: 'PATIENT_EVALUE_MEDECIN'
                     },
                     select: {
                         note: true,
                         commentaire: true,
-                        recommande: true,
-                        createdAt: true
+                        dateEvaluation: true
                     },
                     orderBy: {
-                        createdAt: 'desc'
+                        dateEvaluation: 'desc'
                     }
                 });
 
@@ -228,8 +255,8 @@ router.get('/',
                         id: patient.id,
                         nom: patient.user.nom,
                         prenom: patient.user.prenom,
-                        email: patient.user.email,
-                        telephone: patient.user.telephone,
+                        email: ContactMaskingService.isPermanentMaskingEnabled() ? ContactMaskingService.maskEmail(patient.user.email) : patient.user.email,
+                        telephone: ContactMaskingService.maskPhoneIfPermanent(patient.user.telephone),
                         statut: patient.user.statut,
                         dateInscription: patient.user.createdAt,
                         
@@ -239,10 +266,15 @@ router.get('/',
                         ville: patient.ville,
                         groupeSanguin: patient.groupeSanguin,
                         
-                        // Informations importantes pour le médecin
-                        allergiesConnues: !!patient.allergies,
-                        antecedenets: !!patient.antecedentsMedicaux,
-                        traitementsEnCours: !!patient.traitementsEnCours
+                        // Informations importantes pour le médecin (null sans consentement du patient)
+                        allergiesConnues: portees.includes('ALLERGIES') ? dossier.allergies.length > 0 : null,
+                        antecedenets: portees.includes('ANTECEDENTS') ? dossier.antecedentsMedicaux.length > 0 : null,
+                        traitementsEnCours: portees.includes('TRAITEMENTS') ? dossier.traitementsEnCours.length > 0 : null
+                    },
+
+                    // Consentement d'accès au dossier médical
+                    consentement: {
+                        portees
                     },
 
                     // Relation médicale
@@ -260,7 +292,9 @@ router.get('/',
                         totalRendezVous,
                         rdvTermines,
                         rdvAnnules,
+                        rdvAbsents,
                         rdvFuturs,
+                        fiabilite,
                         tauxCompletionRdv: totalRendezVous > 0 ? Math.round((rdvTermines / totalRendezVous) * 100) : 0,
                         typesConsultationPreferences: typesConsultation,
                         revenus: {
@@ -274,11 +308,11 @@ router.get('/',
                     historiqueMedical: {
                         dernieresConsultations: dernieresConsultations.map(consultation => ({
                             id: consultation.id,
-                            date: consultation.rendezVous.dateHeureDebut,
+                            date: consultation.dateConsultation,
                             type: consultation.rendezVous.typeConsultation,
                             aDiagnostic: !!consultation.diagnostic,
-                            aTraitement: !!consultation.traitementPrescrit,
-                            aRecommandations: !!consultation.recommandations
+                            aExamensPrescrits: !!consultation.examensPrescrits,
+                            suiviNecessaire: consultation.suiviNecessaire
                         })),
                         nombreConsultationsDetaillees: dernieresConsultations.length
                     },
@@ -287,11 +321,12 @@ router.get('/',
                     evaluations: {
                         nombre: evaluations.length,
                         noteMoyenne: noteMoyennePatient ? Math.round(noteMoyennePatient * 10) / 10 : null,
-                        recommandations: evaluations.filter(e => e.recommande).length,
+                        // Une note de 4 ou plus est considérée comme une recommandation
+                        recommandations: evaluations.filter(e => e.note >= 4).length,
                         derniereEvaluation: evaluations.length > 0 ? {
                             note: evaluations[0].note,
-                            date: evaluations[0].createdAt,
-                            recommande: evaluations[0].recommande
+                            date: evaluations[0].dateEvaluation,
+                            recommande: evaluations[0].note >= 4
                         } : null
                     },
 
@@ -388,6 +423,16 @@ router.get('/',
                 }
             };
 
+            // Journal d'audit : résumé médical consulté pour chaque patient listé
+            await AuditService.logMany(req, patientsFiltres.map(p => ({
+                action: 'LECTURE',
+                ressource: 'RESUME_PATIENT',
+                ressourceId: p.patient.id,
+                patientId: p.patient.id,
+                motif: 'Liste des patients suivis',
+                details: { page: pageInt }
+            })));
+
             console.log(`✅ Liste patients consultée: Dr ${user.prenom} ${user.nom} - ${patientsFiltres.length} patients trouvés`);
 
             return ApiResponse.success(res, 'Liste des patients récupérée avec succès', responseData);
@@ -399,4 +444,244 @@ router.get('/',
     }
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /medecins/patients/:patientId/medical-data - Dossier médical d'un patient suivi
+ */
+router.get('/:patientId/medical-data',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const medecinId = user.medecin.id;
+            const { patientId } = req.params;
+            const motif = typeof req.query.motif === 'string' && req.query.motif.trim()
+                ? req.query.motif.trim()
+                : 'Suivi médical';
+
+            // L'accès au dossier est limité aux portées accordées par le patient
+            const portees = await ConsentementService.getPorteesActives(patientId, medecinId);
+
+            if (portees.length === 0) {
+                await AuditService.log(req, {
+                    action: 'LECTURE',
+                    ressource: 'DONNEES_MEDICALES',
+                    ressourceId: patientId,
+                    motif,
+                    details: { refuse: true, raison: 'Aucun consentement actif' }
+                });
+                return ApiResponse.forbidden(res, 'Le patient ne vous a pas accordé l\'accès à son dossier médical. Une demande peut être envoyée depuis un rendez-vous.');
+            }
+
+            const patient = await prisma.patient.findUnique({
+                where: { id: patientId },
+                select: {
+                    id: true,
+                    dateNaissance: true,
+                    sexe: true,
+                    groupeSanguin: true,
+                    poids: true,
+                    taille: true,
+                    allergies: portees.includes('ALLERGIES'),
+                    antecedentsMedicaux: portees.includes('ANTECEDENTS'),
+                    traitementsEnCours: portees.includes('TRAITEMENTS'),
+                    user: {
+                        select: {
+                            nom: true,
+                            prenom: true
+                        }
+                    }
+                }
+            });
+
+            if (!patient) {
+                return ApiResponse.notFound(res, 'Patient non trouvé');
+            }
+
+            // Sans la portée correspondante, seuls les documents rédigés par ce médecin sont visibles
+            const consultations = await prisma.consultation.findMany({
+                where: {
+                    rendezVous: {
+                        patientId,
+                        ...(!portees.includes('CONSULTATIONS') && { medecinId })
+                    }
+                },
+                select: {
+                    id: true,
+                    dateConsultation: true,
+                    diagnostic: true,
+                    notesConsultation: true,
+                    examensEffectues: true,
+                    examensPrescrits: true,
+                    suiviNecessaire: true,
+                    prochaineConsultationPrevue: true,
+                    rendezVous: {
+                        select: {
+                            medecinId: true,
+                            medecin: {
+                                select: {
+                                    user: {
+                                        select: {
+                                            nom: true,
+                                            prenom: true
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                orderBy: { dateConsultation: 'desc' },
+                take: 20
+            });
+
+            const ordonnances = await prisma.ordonnance.findMany({
+                where: {
+                    patientId,
+                    ...(!portees.includes('ORDONNANCES') && { medecinId })
+                },
+                select: {
+                    id: true,
+                    numeroOrdonnance: true,
+                    medecinId: true,
+                    medicaments: true,
+                    dateCreation: true,
+                    dateExpiration: true,
+                    archivee: true
+                },
+                orderBy: { dateCreation: 'desc' },
+                take: 20
+            });
+
+            await AuditService.log(req, {
+                action: 'LECTURE',
+                ressource: 'DONNEES_MEDICALES',
+                ressourceId: patient.id,
+                patientId: patient.id,
+                motif,
+                details: { portees }
+            });
+
+            console.log(`🩺 Dossier médical consulté: patient ${patient.id} par Dr ${user.prenom} ${user.nom} - Motif: ${motif} - Portées: ${portees.join(', ')}`);
+
+            return ApiResponse.success(res, 'Dossier médical récupéré avec succès', {
+                patient: {
+                    id: patient.id,
+                    nom: patient.user.nom,
+                    prenom: patient.user.prenom,
+                    dateNaissance: patient.dateNaissance,
+                    sexe: patient.sexe,
+                    groupeSanguin: patient.groupeSanguin,
+                    poids: patient.poids !== null ? Number(patient.poids) : null,
+                    taille: patient.taille
+                },
+                antecedentsMedicaux: {
+                    ...(portees.includes('ALLERGIES') && { allergies: DossierMedicalService.normaliserListe('allergies', patient.allergies) }),
+                    ...(portees.includes('ANTECEDENTS') && { antecedents: DossierMedicalService.normaliserListe('antecedentsMedicaux', patient.antecedentsMedicaux) }),
+                    ...(portees.includes('TRAITEMENTS') && { traitementsEnCours: DossierMedicalService.normaliserListe('traitementsEnCours', patient.traitementsEnCours) })
+                },
+                consultations: consultations.map(({ rendezVous, ...consultation }) => ({
+                    ...consultation,
+                    redigeeParMoi: rendezVous.medecinId === medecinId,
+                    medecin: {
+                        nom: rendezVous.medecin.user.nom,
+                        prenom: rendezVous.medecin.user.prenom
+                    }
+                })),
+                ordonnances: ordonnances.map(ordonnance => ({
+                    ...ordonnance,
+                    statut: OrdonnanceService.getStatut(ordonnance),
+                    redigeeParMoi: ordonnance.medecinId === medecinId
+                })),
+                consentement: {
+                    portees
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur consultation dossier médical patient:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération du dossier médical');
+        }
+    }
+);
+
+/**
+ * GET /medecins/patients/:patientId/medical-data/history - Évolution du dossier médical d'un patient
+ */
+router.get('/:patientId/medical-data/history',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorizeValidatedMedecin(),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { patientId } = req.params;
+            const { page = 1, limit = 20 } = req.query;
+
+            const portees = await ConsentementService.getPorteesActives(patientId, user.medecin.id);
+
+            if (portees.length === 0) {
+                await AuditService.log(req, {
+                    action: 'LECTURE',
+                    ressource: 'HISTORIQUE_DOSSIER',
+                    ressourceId: patientId,
+                    details: { refuse: true, raison: 'Aucun consentement actif' }
+                });
+                return ApiResponse.forbidden(res, 'Le patient ne vous a pas accordé l\'accès à son dossier médical');
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+            const where = { patientId };
+
+            const [versions, total] = await Promise.all([
+                prisma.dossierMedicalVersion.findMany({
+                    where,
+                    include: {
+                        modifiePar: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true
+                            }
+                        }
+                    },
+                    orderBy: { version: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.dossierMedicalVersion.count({ where })
+            ]);
+
+            await AuditService.log(req, {
+                action: 'LECTURE',
+                ressource: 'HISTORIQUE_DOSSIER',
+                ressourceId: patientId,
+                patientId,
+                details: { portees }
+            });
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Historique du dossier médical récupéré avec succès', {
+                versions: versions.map(version => DossierMedicalService.formatVersion(version, portees)),
+                consentement: {
+                    portees
+                },
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur historique dossier médical patient:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de l\'historique du dossier médical');
+        }
+    }
+);
+
+module.exports = router;
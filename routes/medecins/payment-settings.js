@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+
+// Schéma de validation des paramètres de paiement
+const parametresSchema = {
+    fields: {
+        prepaiementRequis: {
+            type: 'boolean'
+        }
+    },
+    required: ['prepaiementRequis'],
+    strict: true
+};
+
+const getMedecin = (userId) => prisma.medecin.findUnique({
+    where: { userId },
+    select: { id: true, prepaiementRequis: true }
+});
+
+const formatReponse = (prepaiementRequis) => {
+    const { delaiHeures, margeAvantRdvMinutes } = Consts.PAIEMENT_CONFIG.prepaiement;
+
+    return {
+        prepaiementRequis,
+        operateurs: Consts.PAIEMENT_CONFIG.operateurs,
+        devise: Consts.PAIEMENT_CONFIG.devise,
+        info: prepaiementRequis ?
+            `Les rendez-vous acceptés sont confirmés une fois la consultation payée par le patient, dans les ${delaiHeures}h (et au plus tard ${margeAvantRdvMinutes / 60}h avant le rendez-vous), sinon ils sont annulés` :
+            'Les rendez-vous acceptés sont confirmés immédiatement, le patient peut payer en ligne ou lors de la consultation'
+    };
+};
+
+/**
+ * GET /medecins/payment-settings - Paramètres de paiement des consultations
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const medecin = await getMedecin(req.user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            return ApiResponse.success(res, 'Paramètres de paiement récupérés', formatReponse(medecin.prepaiementRequis));
+
+        } catch (error) {
+            console.error('❌ Erreur récupération paramètres de paiement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des paramètres de paiement');
+        }
+    }
+);
+
+/**
+ * PUT /medecins/payment-settings - Exiger ou non le prépaiement des consultations
+ * S'applique aux rendez-vous acceptés après la modification
+ */
+router.put('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    BodyFilter.validate(parametresSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { prepaiementRequis } = req.body;
+
+            const medecin = await getMedecin(user.id);
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            await prisma.medecin.update({
+                where: { id: medecin.id },
+                data: { prepaiementRequis }
+            });
+
+            console.log(`💳 Prépaiement ${prepaiementRequis ? 'activé' : 'désactivé'}: Dr ${user.prenom} ${user.nom}`);
+
+            return ApiResponse.success(res, 'Paramètres de paiement mis à jour', formatReponse(prepaiementRequis));
+
+        } catch (error) {
+            console.error('❌ Erreur mise à jour paramètres de paiement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la mise à jour des paramètres de paiement');
+        }
+    }
+);
+
+module.exports = router;
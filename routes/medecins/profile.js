@@ -45,6 +45,7 @@ router.get('/',
                             accepteDomicile: true,
                             accepteTeleconsultation: true,
                             accepteclinique: true,
+                            prepaiementRequis: true,
                             cliniqueId: true,
                             
                             // Statuts et paramètres
@@ -98,6 +99,7 @@ router.get('/',
                 accepteDomicile: profilComplet.medecin.accepteDomicile,
                 accepteTeleconsultation: profilComplet.medecin.accepteTeleconsultation,
                 accepteclinique: profilComplet.medecin.accepteclinique,
+                prepaiementRequis: profilComplet.medecin.prepaiementRequis,
                 statutValidation: profilComplet.medecin.statutValidation,
                 noteMoyenne: profilComplet.medecin.noteMoyenne,
                 nombreEvaluations: profilComplet.medecin.nombreEvaluations,
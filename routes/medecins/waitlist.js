@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const ListeAttenteService = require('../../services/ListeAttenteService');
+
+/**
+ * GET /medecins/waitlist - Patients en liste d'attente du médecin (ordre d'inscription)
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { typeConsultation, statut, page = 1, limit = 20 } = req.query;
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+
+            if (statut && !ListeAttenteService.STATUTS.includes(statut)) {
+                return ApiResponse.badRequest(res, `Statut invalide. Valeurs acceptées: ${ListeAttenteService.STATUTS.join(', ')}`);
+            }
+            if (typeConsultation && !['CLINIQUE', 'DOMICILE', 'TELECONSULTATION'].includes(typeConsultation)) {
+                return ApiResponse.badRequest(res, 'Type de consultation invalide');
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { userId: user.id },
+                select: { id: true }
+            });
+
+            if (!medecin) {
+                return ApiResponse.notFound(res, 'Profil médecin non trouvé');
+            }
+
+            const where = {
+                medecinId: medecin.id,
+                statut: statut || { in: ListeAttenteService.STATUTS_ACTIFS },
+                ...(typeConsultation && { typeConsultation })
+            };
+
+            const [inscriptions, total] = await Promise.all([
+                prisma.listeAttente.findMany({
+                    where,
+                    include: { patient: { include: { user: { select: { nom: true, prenom: true } } } } },
+                    orderBy: { createdAt: 'asc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.listeAttente.count({ where })
+            ]);
+
+            return ApiResponse.success(res, 'Liste d\'attente récupérée avec succès', {
+                listeAttente: inscriptions.map(inscription => ListeAttenteService.format(inscription)),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages: Math.ceil(total / limitInt),
+                    hasNext: pageInt < Math.ceil(total / limitInt),
+                    hasPrevious: pageInt > 1
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste d\'attente médecin:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de la liste d\'attente');
+        }
+    }
+);
+
+module.exports = router;
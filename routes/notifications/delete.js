@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const NotificationService = require('../../services/NotificationService');
+
+/**
+ * DELETE /notifications/:id - Supprimer une notification du centre de notifications
+ */
+router.delete('/:id',
+    AuthMiddleware.authenticate(),
+    async (req, res) => {
+        try {
+            const resultat = await NotificationService.deleteNotification(req.params.id, req.user.id);
+
+            if (resultat.count === 0) {
+                return ApiResponse.notFound(res, 'Notification non trouvée');
+            }
+
+            return ApiResponse.success(res, 'Notification supprimée');
+
+        } catch (error) {
+            console.error('❌ Erreur suppression notification:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la suppression de la notification');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const PushService = require('../../services/PushService');
+
+// Schéma de validation pour l'enregistrement d'un appareil push
+const deviceSchema = {
+    fields: {
+        plateforme: {
+            type: 'string',
+            enum: ['ANDROID', 'IOS', 'WEB']
+        },
+        token: {
+            type: 'string',
+            minLength: 10,
+            maxLength: 512
+        },
+        nom: {
+            type: 'string',
+            maxLength: 100
+        }
+    },
+    required: ['plateforme', 'token'],
+    strict: true
+};
+
+/**
+ * GET /notifications/devices - Appareils push actifs de l'utilisateur
+ */
+router.get('/devices',
+    AuthMiddleware.authenticate(),
+    async (req, res) => {
+        try {
+            const appareils = await PushService.listerAppareils(req.user.id);
+
+            return ApiResponse.success(res, 'Appareils récupérés avec succès', {
+                appareils: appareils.map(appareil => PushService.formatAppareil(appareil))
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste appareils push:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des appareils');
+        }
+    }
+);
+
+/**
+ * POST /notifications/devices - Enregistrer un appareil pour les notifications push
+ * Idempotent : un token déjà connu est mis à jour et rattaché à l'utilisateur connecté
+ */
+router.post('/devices',
+    AuthMiddleware.authenticate(),
+    BodyFilter.validate(deviceSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { plateforme, token, nom } = req.body;
+
+            const appareil = await PushService.enregistrerAppareil(user.id, { plateforme, token, nom });
+
+            console.log(`📲 Appareil ${plateforme} enregistré pour ${user.prenom} ${user.nom}`);
+
+            return ApiResponse.created(res, 'Appareil enregistré avec succès', PushService.formatAppareil(appareil));
+
+        } catch (error) {
+            console.error('❌ Erreur enregistrement appareil push:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'enregistrement de l\'appareil');
+        }
+    }
+);
+
+/**
+ * DELETE /notifications/devices/:id - Désinscrire un appareil (déconnexion de l'application)
+ */
+router.delete('/devices/:id',
+    AuthMiddleware.authenticate(),
+    async (req, res) => {
+        try {
+            const resultat = await PushService.supprimerAppareil(req.user.id, req.params.id);
+
+            if (resultat.count === 0) {
+                return ApiResponse.notFound(res, 'Appareil non trouvé');
+            }
+
+            return ApiResponse.success(res, 'Appareil supprimé');
+
+        } catch (error) {
+            console.error('❌ Erreur suppression appareil push:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la suppression de l\'appareil');
+        }
+    }
+);
+
+module.exports = router;
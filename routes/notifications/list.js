@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const NotificationService = require('../../services/NotificationService');
+
+const TYPES = ['RENDEZ_VOUS', 'VALIDATION_COMPTE', 'PAIEMENT', 'RAPPEL', 'SYSTEME'];
+
+/**
+ * GET /notifications - Centre de notifications de l'utilisateur connecté
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { type, nonLues, page = 1, limit = 20 } = req.query;
+
+            if (type && !TYPES.includes(type)) {
+                return ApiResponse.badRequest(res, `type doit être l'une des valeurs suivantes: ${TYPES.join(', ')}`);
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+
+            const [resultat, nonLuesCount] = await Promise.all([
+                NotificationService.getUserNotifications(user.id, {
+                    page: pageInt,
+                    limit: limitInt,
+                    type: type || null,
+                    nonLues: nonLues === 'true'
+                }),
+                NotificationService.getUnreadCount(user.id)
+            ]);
+
+            return ApiResponse.success(res, 'Notifications récupérées avec succès', {
+                notifications: resultat.notifications.map(notification => NotificationService.formatNotification(notification)),
+                nonLues: nonLuesCount.total,
+                pagination: resultat.pagination
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste notifications:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des notifications');
+        }
+    }
+);
+
+/**
+ * GET /notifications/unread-count - Nombre de notifications non lues
+ */
+router.get('/unread-count',
+    AuthMiddleware.authenticate(),
+    async (req, res) => {
+        try {
+            const compteur = await NotificationService.getUnreadCount(req.user.id);
+
+            return ApiResponse.success(res, 'Compteur de notifications récupéré', compteur);
+
+        } catch (error) {
+            console.error('❌ Erreur compteur notifications:', error);
+            return ApiResponse.serverError(res, 'Erreur lors du comptage des notifications');
+        }
+    }
+);
+
+module.exports = router;
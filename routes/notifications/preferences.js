@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const PreferenceNotificationService = require('../../services/PreferenceNotificationService');
+
+// Schéma de validation des préférences (mise à jour partielle : seules les parties fournies sont remplacées)
+const preferencesSchema = {
+    fields: {
+        canaux: {
+            type: 'object'
+        },
+        desactives: {
+            type: 'array'
+        },
+        heuresCalmes: {
+            type: 'object'
+        }
+    },
+    required: [],
+    strict: true
+};
+
+const SELECT_PREFERENCES = {
+    canalCommunicationPrefere: true,
+    preferencesNotifications: true
+};
+
+/**
+ * GET /notifications/preferences - Préférences de notification de l'utilisateur connecté
+ */
+router.get('/preferences',
+    AuthMiddleware.authenticate(),
+    async (req, res) => {
+        try {
+            const utilisateur = await prisma.user.findUnique({
+                where: { id: req.user.id },
+                select: SELECT_PREFERENCES
+            });
+
+            return ApiResponse.success(res, 'Préférences de notification récupérées', PreferenceNotificationService.format(utilisateur));
+
+        } catch (error) {
+            console.error('❌ Erreur récupération préférences notification:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des préférences de notification');
+        }
+    }
+);
+
+/**
+ * PUT /notifications/preferences - Canal par type, types désactivés et heures calmes
+ * S'applique aux notifications créées ensuite ; heuresCalmes: {} désactive les heures calmes
+ */
+router.put('/preferences',
+    AuthMiddleware.authenticate(),
+    BodyFilter.validate(preferencesSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { erreurs, preferences } = PreferenceNotificationService.valider(req.body);
+
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Préférences de notification invalides', { validationErrors: erreurs });
+            }
+
+            const actuel = await prisma.user.findUnique({
+                where: { id: user.id },
+                select: { preferencesNotifications: true }
+            });
+
+            const utilisateur = await prisma.user.update({
+                where: { id: user.id },
+                data: {
+                    preferencesNotifications: {
+                        ...PreferenceNotificationService.normaliser(actuel.preferencesNotifications),
+                        ...preferences
+                    }
+                },
+                select: SELECT_PREFERENCES
+            });
+
+            console.log(`🔔 Préférences de notification mises à jour par ${user.prenom} ${user.nom}`);
+
+            return ApiResponse.success(res, 'Préférences de notification mises à jour', PreferenceNotificationService.format(utilisateur));
+
+        } catch (error) {
+            console.error('❌ Erreur mise à jour préférences notification:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la mise à jour des préférences de notification');
+        }
+    }
+);
+
+module.exports = router;
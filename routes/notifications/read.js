@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const NotificationService = require('../../services/NotificationService');
+
+// Schéma de validation pour le marquage global (optionnellement limité à un type)
+const readAllSchema = {
+    fields: {
+        type: {
+            type: 'string',
+            enum: ['RENDEZ_VOUS', 'VALIDATION_COMPTE', 'PAIEMENT', 'RAPPEL', 'SYSTEME']
+        }
+    },
+    required: [],
+    strict: true
+};
+
+/**
+ * PUT /notifications/read-all - Marquer toutes les notifications comme lues
+ */
+router.put('/read-all',
+    AuthMiddleware.authenticate(),
+    BodyFilter.validate(readAllSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { type } = req.body;
+
+            const resultat = await NotificationService.markAllAsRead(user.id, type || null);
+
+            console.log(`🔔 ${resultat.count} notification(s) marquée(s) comme lue(s) par ${user.prenom} ${user.nom}${type ? ` (${type})` : ''}`);
+
+            return ApiResponse.success(res, 'Notifications marquées comme lues', {
+                notificationsMarquees: resultat.count
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur marquage notifications:', error);
+            return ApiResponse.serverError(res, 'Erreur lors du marquage des notifications');
+        }
+    }
+);
+
+/**
+ * PUT /notifications/:id/read - Marquer une notification comme lue
+ */
+router.put('/:id/read',
+    AuthMiddleware.authenticate(),
+    async (req, res) => {
+        try {
+            const resultat = await NotificationService.markAsRead(req.params.id, req.user.id);
+
+            if (resultat.count === 0) {
+                return ApiResponse.notFound(res, 'Notification non trouvée');
+            }
+
+            return ApiResponse.success(res, 'Notification marquée comme lue');
+
+        } catch (error) {
+            console.error('❌ Erreur marquage notification:', error);
+            return ApiResponse.serverError(res, 'Erreur lors du marquage de la notification');
+        }
+    }
+);
+
+module.exports = router;
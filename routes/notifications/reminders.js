@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const RappelService = require('../../services/RappelService');
+
+// Schéma de validation des délais de rappel ({ canal: [heures avant le RDV] })
+const remindersSchema = {
+    fields: {
+        delais: {
+            type: 'object'
+        }
+    },
+    required: ['delais'],
+    strict: true
+};
+
+const formatReglages = (user) => ({
+    delais: RappelService.getDelais(user),
+    personnalise: !!user.delaisRappels,
+    canauxDisponibles: Consts.RAPPEL_CONFIG.canaux,
+    delaisParDefaut: Consts.RAPPEL_CONFIG.delaisParDefaut[user.role] || []
+});
+
+/**
+ * Recale les rappels des rendez-vous confirmés à venir de l'utilisateur
+ */
+const replanifierRendezVousAVenir = async (tx, user) => {
+    const hier = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const rendezVous = await tx.rendezVous.findMany({
+        where: {
+            statut: 'CONFIRME',
+            dateRendezVous: { gte: hier },
+            OR: [
+                ...(user.patient ? [{ patientId: user.patient.id }] : []),
+                ...(user.medecin ? [{ medecinId: user.medecin.id }] : [])
+            ]
+        },
+        select: { id: true }
+    });
+
+    let rappels = 0;
+    for (const rdv of rendezVous) {
+        rappels += await RappelService.replanifier(tx, rdv.id);
+    }
+    return rappels;
+};
+
+const enregistrerReglages = async (req, res, delaisRappels) => {
+    const user = req.user;
+
+    const { utilisateur, rappelsProgrammes } = await prisma.$transaction(async (tx) => {
+        const utilisateur = await tx.user.update({
+            where: { id: user.id },
+            data: { delaisRappels },
+            select: { role: true, canalCommunicationPrefere: true, delaisRappels: true }
+        });
+        const rappelsProgrammes = (user.patient || user.medecin) ? await replanifierRendezVousAVenir(tx, user) : 0;
+        return { utilisateur, rappelsProgrammes };
+    });
+
+    console.log(`⏰ Réglages de rappel mis à jour par ${user.prenom} ${user.nom} - ${rappelsProgrammes} rappel(s) recalé(s)`);
+
+    return ApiResponse.success(res, 'Réglages de rappel mis à jour', {
+        ...formatReglages(utilisateur),
+        rappelsProgrammes
+    });
+};
+
+/**
+ * GET /notifications/reminders - Délais de rappel des rendez-vous
+ */
+router.get('/reminders',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const utilisateur = await prisma.user.findUnique({
+                where: { id: req.user.id },
+                select: { role: true, canalCommunicationPrefere: true, delaisRappels: true }
+            });
+
+            return ApiResponse.success(res, 'Réglages de rappel récupérés', formatReglages(utilisateur));
+
+        } catch (error) {
+            console.error('❌ Erreur récupération réglages rappel:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des réglages de rappel');
+        }
+    }
+);
+
+/**
+ * PUT /notifications/reminders - Définir les délais de rappel par canal
+ * Un objet vide désactive les rappels ; les rendez-vous confirmés à venir sont recalés
+ */
+router.put('/reminders',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(remindersSchema),
+    async (req, res) => {
+        try {
+            const { erreurs, delais } = RappelService.validerDelais(req.body.delais);
+
+            if (erreurs.length > 0) {
+                return ApiResponse.badRequest(res, 'Délais de rappel invalides', { validationErrors: erreurs });
+            }
+
+            return await enregistrerReglages(req, res, delais);
+
+        } catch (error) {
+            console.error('❌ Erreur mise à jour réglages rappel:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la mise à jour des réglages de rappel');
+        }
+    }
+);
+
+/**
+ * DELETE /notifications/reminders - Revenir aux délais de rappel par défaut
+ */
+router.delete('/reminders',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            return await enregistrerReglages(req, res, Prisma.DbNull);
+
+        } catch (error) {
+            console.error('❌ Erreur réinitialisation réglages rappel:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la réinitialisation des réglages de rappel');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const OrdonnanceService = require('../../services/OrdonnanceService');
+
+/**
+ * GET /ordonnances/verify/:numero - Vérification publique d'une ordonnance (pharmaciens)
+ * Le numéro étant séquentiel, le contenu n'est retourné qu'avec le code de vérification imprimé sur l'ordonnance ;
+ * un numéro seul ne donne que l'authenticité et le prescripteur
+ */
+router.get('/:numero',
+    async (req, res) => {
+        try {
+            const numero = req.params.numero.trim().toUpperCase();
+            const { code } = req.query;
+            const clientIp = req.ip || req.connection.remoteAddress;
+
+            console.log(`🔎 Vérification ordonnance: ${numero}${code ? ' (avec code)' : ''} - IP: ${clientIp}`);
+
+            const ordonnance = await prisma.ordonnance.findUnique({
+                where: { numeroOrdonnance: numero },
+                include: {
+                    medecin: {
+                        select: {
+                            numeroOrdre: true,
+                            specialites: true,
+                            user: {
+                                select: {
+                                    nom: true,
+                                    prenom: true
+                                }
+                            },
+                            clinique: {
+                                select: {
+                                    nom: true,
+                                    ville: true
+                                }
+                            }
+                        }
+                    },
+                    patient: {
+                        select: {
+                            dateNaissance: true,
+                            user: {
+                                select: {
+                                    nom: true,
+                                    prenom: true
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            if (!ordonnance) {
+                return ApiResponse.notFound(res, 'Aucune ordonnance ne correspond à ce numéro', {
+                    numeroOrdonnance: numero,
+                    authentique: false
+                });
+            }
+
+            const authentique = OrdonnanceService.verifySignature(ordonnance);
+            const prescripteur = {
+                nom: ordonnance.medecin.user.nom,
+                prenom: ordonnance.medecin.user.prenom,
+                numeroOrdre: ordonnance.medecin.numeroOrdre
+            };
+
+            if (!OrdonnanceService.verifierCode(ordonnance.numeroOrdonnance, code)) {
+                return ApiResponse.success(res, code ?
+                    'Code de vérification incorrect : seule l\'authenticité de l\'ordonnance est indiquée' :
+                    (authentique ? 'Ordonnance authentique' : 'Signature de l\'ordonnance invalide'), {
+                    numeroOrdonnance: ordonnance.numeroOrdonnance,
+                    authentique,
+                    codeVerifie: false,
+                    medecin: prescripteur
+                });
+            }
+
+            const statut = OrdonnanceService.getStatut(ordonnance);
+
+            // Données minimales : identité patient partiellement masquée
+            return ApiResponse.success(res, authentique ? 'Ordonnance authentique' : 'Signature de l\'ordonnance invalide', {
+                numeroOrdonnance: ordonnance.numeroOrdonnance,
+                authentique,
+                codeVerifie: true,
+                statut,
+                valide: authentique && statut === 'ACTIVE',
+                dateCreation: ordonnance.dateCreation,
+                dateExpiration: ordonnance.dateExpiration,
+                medecin: {
+                    ...prescripteur,
+                    specialites: ordonnance.medecin.specialites,
+                    clinique: ordonnance.medecin.clinique
+                },
+                patient: {
+                    prenom: ordonnance.patient.user.prenom,
+                    initialeNom: `${ordonnance.patient.user.nom.charAt(0)}.`,
+                    anneeNaissance: ordonnance.patient.dateNaissance ? new Date(ordonnance.patient.dateNaissance).getFullYear() : null
+                },
+                medicaments: authentique ? ordonnance.medicaments : null,
+                instructionsSpeciales: authentique ? ordonnance.instructionsSpeciales : null
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur vérification ordonnance:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la vérification de l\'ordonnance');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const ConsentementService = require('../../services/ConsentementService');
+const AuditService = require('../../services/AuditService');
+
+// Schéma de validation pour l'accord d'un consentement
+const accorderConsentementSchema = {
+    fields: {
+        portees: {
+            type: 'array'
+        },
+        dateExpiration: {
+            type: 'date'
+        }
+    },
+    required: ['portees'],
+    strict: true
+};
+
+const medecinSelect = {
+    id: true,
+    specialites: true,
+    user: {
+        select: {
+            nom: true,
+            prenom: true
+        }
+    }
+};
+
+const formatAvecMedecin = (consentement) => ({
+    ...ConsentementService.format(consentement),
+    medecin: {
+        id: consentement.medecin.id,
+        nom: consentement.medecin.user.nom,
+        prenom: consentement.medecin.user.prenom,
+        specialites: consentement.medecin.specialites
+    }
+});
+
+/**
+ * GET /patients/consentements - Consentements accordés et demandes d'accès reçues
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { statut } = req.query;
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const statutsValides = ['EN_ATTENTE', 'ACCORDE', 'REFUSE', 'REVOQUE'];
+            if (statut && !statutsValides.includes(statut)) {
+                return ApiResponse.badRequest(res, `statut doit être l'une des valeurs suivantes: ${statutsValides.join(', ')}`);
+            }
+
+            const consentements = await prisma.consentementMedical.findMany({
+                where: {
+                    patientId: user.patient.id,
+                    ...(statut && { statut })
+                },
+                include: {
+                    medecin: { select: medecinSelect }
+                },
+                orderBy: { updatedAt: 'desc' }
+            });
+
+            const resultats = consentements.map(formatAvecMedecin);
+
+            return ApiResponse.success(res, 'Consentements récupérés avec succès', {
+                consentements: resultats,
+                demandesEnAttente: resultats.filter(consentement => consentement.demandeEnCours).length,
+                porteesDisponibles: ConsentementService.PORTEES
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste consentements:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des consentements');
+        }
+    }
+);
+
+/**
+ * PUT /patients/consentements/:medecinId - Accorder ou modifier l'accès d'un médecin
+ */
+router.put('/:medecinId',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(accorderConsentementSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { medecinId } = req.params;
+            const { portees, dateExpiration } = req.body;
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const porteesUniques = [...new Set(portees)];
+            const porteesInvalides = ConsentementService.getPorteesInvalides(porteesUniques);
+            if (porteesUniques.length === 0 || porteesInvalides.length > 0) {
+                return ApiResponse.badRequest(res, `portees doit contenir au moins une des valeurs suivantes: ${ConsentementService.PORTEES.join(', ')}`, {
+                    porteesInvalides
+                });
+            }
+
+            const expiration = dateExpiration ? new Date(dateExpiration) : null;
+            if (expiration && expiration <= new Date()) {
+                return ApiResponse.badRequest(res, 'La date d\'expiration doit être dans le futur');
+            }
+
+            const medecin = await prisma.medecin.findUnique({
+                where: { id: medecinId },
+                select: { id: true, statutValidation: true }
+            });
+
+            if (!medecin || medecin.statutValidation !== 'VALIDE') {
+                return ApiResponse.notFound(res, 'Médecin non trouvé');
+            }
+
+            const maintenant = new Date();
+            const donnees = {
+                statut: 'ACCORDE',
+                portees: porteesUniques,
+                dateExpiration: expiration,
+                dateAccord: maintenant,
+                dateRevocation: null,
+                // L'accord répond à la demande éventuellement en cours
+                porteesDemandees: Prisma.DbNull,
+                motifDemande: null,
+                dateDemande: null
+            };
+
+            const consentement = await prisma.consentementMedical.upsert({
+                where: { patientId_medecinId: { patientId: user.patient.id, medecinId } },
+                create: {
+                    patientId: user.patient.id,
+                    medecinId,
+                    ...donnees
+                },
+                update: donnees,
+                include: {
+                    medecin: { select: medecinSelect }
+                }
+            });
+
+            await AuditService.log(req, {
+                action: 'MODIFICATION',
+                ressource: 'CONSENTEMENT',
+                ressourceId: consentement.id,
+                patientId: user.patient.id,
+                motif: 'Accord de consentement',
+                details: { medecinId, portees: porteesUniques, dateExpiration: expiration }
+            });
+
+            console.log(`🔓 Consentement accordé: patient ${user.patient.id} → Dr ${consentement.medecin.user.nom} [${porteesUniques.join(', ')}]`);
+
+            return ApiResponse.success(res, 'Consentement accordé avec succès', formatAvecMedecin(consentement));
+
+        } catch (error) {
+            console.error('❌ Erreur accord consentement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'accord du consentement');
+        }
+    }
+);
+
+/**
+ * PUT /patients/consentements/:medecinId/refuse - Refuser une demande d'accès en cours
+ */
+router.put('/:medecinId/refuse',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { medecinId } = req.params;
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const existant = await prisma.consentementMedical.findUnique({
+                where: { patientId_medecinId: { patientId: user.patient.id, medecinId } }
+            });
+
+            if (!existant || !existant.porteesDemandees) {
+                return ApiResponse.notFound(res, 'Aucune demande d\'accès en cours pour ce médecin');
+            }
+
+            // Un refus ne retire pas un accès déjà accordé: seule la demande est rejetée
+            const consentement = await prisma.consentementMedical.update({
+                where: { id: existant.id },
+                data: {
+                    statut: existant.statut === 'EN_ATTENTE' ? 'REFUSE' : existant.statut,
+                    dateRefus: new Date(),
+                    porteesDemandees: Prisma.DbNull,
+                    motifDemande: null,
+                    dateDemande: null
+                },
+                include: {
+                    medecin: { select: medecinSelect }
+                }
+            });
+
+            await AuditService.log(req, {
+                action: 'MODIFICATION',
+                ressource: 'CONSENTEMENT',
+                ressourceId: consentement.id,
+                patientId: user.patient.id,
+                motif: 'Refus de demande d\'accès',
+                details: { medecinId, porteesDemandees: existant.porteesDemandees }
+            });
+
+            return ApiResponse.success(res, 'Demande d\'accès refusée', formatAvecMedecin(consentement));
+
+        } catch (error) {
+            console.error('❌ Erreur refus demande consentement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors du refus de la demande d\'accès');
+        }
+    }
+);
+
+/**
+ * DELETE /patients/consentements/:medecinId - Révoquer l'accès d'un médecin
+ */
+router.delete('/:medecinId',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { medecinId } = req.params;
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const existant = await prisma.consentementMedical.findUnique({
+                where: { patientId_medecinId: { patientId: user.patient.id, medecinId } }
+            });
+
+            if (!existant || existant.statut !== 'ACCORDE') {
+                return ApiResponse.notFound(res, 'Aucun consentement accordé à ce médecin');
+            }
+
+            const consentement = await prisma.consentementMedical.update({
+                where: { id: existant.id },
+                data: {
+                    statut: 'REVOQUE',
+                    dateRevocation: new Date(),
+                    porteesDemandees: Prisma.DbNull,
+                    motifDemande: null,
+                    dateDemande: null
+                },
+                include: {
+                    medecin: { select: medecinSelect }
+                }
+            });
+
+            await AuditService.log(req, {
+                action: 'SUPPRESSION',
+                ressource: 'CONSENTEMENT',
+                ressourceId: consentement.id,
+                patientId: user.patient.id,
+                motif: 'Révocation de consentement',
+                details: { medecinId, portees: existant.portees }
+            });
+
+            console.log(`🔒 Consentement révoqué: patient ${user.patient.id} → Dr ${consentement.medecin.user.nom}`);
+
+            return ApiResponse.success(res, 'Consentement révoqué avec succès', formatAvecMedecin(consentement));
+
+        } catch (error) {
+            console.error('❌ Erreur révocation consentement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la révocation du consentement');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const PdfService = require('../../services/PdfService');
+const AuditService = require('../../services/AuditService');
+
+/**
+ * GET /patients/consultations - Comptes rendus de consultation du patient
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { page = 1, limit = 20 } = req.query;
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+
+            const where = { rendezVous: { patientId: user.patient.id } };
+
+            const [consultations, total] = await Promise.all([
+                prisma.consultation.findMany({
+                    where,
+                    include: {
+                        rendezVous: {
+                            select: {
+                                id: true,
+                                dateRendezVous: true,
+                                heureDebut: true,
+                                typeConsultation: true,
+                                medecin: {
+                                    select: {
+                                        specialites: true,
+                                        user: {
+                                            select: {
+                                                nom: true,
+                                                prenom: true
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        ordonnances: {
+                            select: {
+                                id: true,
+                                numeroOrdonnance: true
+                            }
+                        }
+                    },
+                    orderBy: { dateConsultation: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.consultation.count({ where })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Consultations récupérées avec succès', {
+                consultations: consultations.map(consultation => ({
+                    id: consultation.id,
+                    dateConsultation: consultation.dateConsultation,
+                    diagnostic: consultation.diagnostic,
+                    examensPrescrits: consultation.examensPrescrits,
+                    suiviNecessaire: consultation.suiviNecessaire,
+                    prochaineConsultationPrevue: consultation.prochaineConsultationPrevue,
+                    rendezVous: {
+                        id: consultation.rendezVous.id,
+                        dateRendezVous: consultation.rendezVous.dateRendezVous,
+                        heureDebut: consultation.rendezVous.heureDebut,
+                        typeConsultation: consultation.rendezVous.typeConsultation
+                    },
+                    medecin: {
+                        nom: consultation.rendezVous.medecin.user.nom,
+                        prenom: consultation.rendezVous.medecin.user.prenom,
+                        specialites: consultation.rendezVous.medecin.specialites
+                    },
+                    ordonnances: consultation.ordonnances
+                })),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste consultations patient:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des consultations');
+        }
+    }
+);
+
+/**
+ * GET /patients/consultations/:id/pdf - Version imprimable du compte rendu
+ */
+router.get('/:id/pdf',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+
+            const consultation = await prisma.consultation.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    rendezVous: { select: { patientId: true } }
+                }
+            });
+
+            if (!consultation || !user.patient || consultation.rendezVous.patientId !== user.patient.id) {
+                return ApiResponse.notFound(res, 'Consultation non trouvée');
+            }
+
+            const fichierPdf = await PdfService.getConsultationPdf(consultation.id);
+
+            await AuditService.log(req, {
+                action: 'EXPORT',
+                ressource: 'CONSULTATION',
+                ressourceId: consultation.id,
+                patientId: user.patient.id,
+                motif: 'Téléchargement du compte rendu par le patient'
+            });
+
+            return ApiResponse.success(res, 'PDF du compte rendu disponible', {
+                consultationId: consultation.id,
+                fichier: {
+                    nom_fichier: fichierPdf.nom_fichier,
+                    taille: fichierPdf.taille,
+                    genere_le: fichierPdf.genere_le,
+                    url: PdfService.getFileUrl(fichierPdf)
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur génération PDF consultation:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la génération du PDF du compte rendu');
+        }
+    }
+);
+
+module.exports = router;
@@ -3,6 +3,46 @@ const router = express.Router();
 const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const AuditService = require('../../services/AuditService');
+const OrdonnanceService = require('../../services/OrdonnanceService');
+const DossierMedicalService = require('../../services/DossierMedicalService');
+
+// Schéma de validation du dossier médical (le détail des entrées est validé par DossierMedicalService)
+const dossierMedicalFields = {
+    allergies: {
+        type: 'array'
+    },
+    antecedentsMedicaux: {
+        type: 'array'
+    },
+    traitementsEnCours: {
+        type: 'array'
+    },
+    groupeSanguin: {},
+    poids: {},
+    taille: {},
+    motif: {
+        type: 'string',
+        maxLength: 255
+    },
+    versionAttendue: {
+        type: 'number',
+        min: 0
+    }
+};
+
+const remplacerDossierSchema = {
+    fields: dossierMedicalFields,
+    required: ['allergies', 'antecedentsMedicaux', 'traitementsEnCours'],
+    strict: true
+};
+
+const modifierDossierSchema = {
+    fields: dossierMedicalFields,
+    required: [],
+    strict: true
+};
 
 /**
  * GET /patients/medical-data - Consulter les données médicales sensibles
@@ -32,13 +72,6 @@ router.get('/',
                     dateNaissance: true,
                     sexe: true,
 
-                    // Informations d'assurance
-                    assuranceMedicale: true,
-                    numeroAssurance: true,
-
-                    // Contact d'urgence
-                    contactUrgence: true,
-
                     // Relations pour historique médical
                     rendezVous: {
                         where: {
@@ -46,7 +79,8 @@ router.get('/',
                         },
                         select: {
                             id: true,
-                            dateHeureDebut: true,
+                            dateRendezVous: true,
+                            heureDebut: true,
                             typeConsultation: true,
                             motifConsultation: true,
                             medecin: {
@@ -57,17 +91,17 @@ router.get('/',
                                             prenom: true
                                         }
                                     },
-                                    specialitePrincipale: true
+                                    specialites: true
                                 }
                             }
                         },
-                        orderBy: {
-                            dateHeureDebut: 'desc'
-                        },
+                        orderBy: [
+                            { dateRendezVous: 'desc' },
+                            { heureDebut: 'desc' }
+                        ],
                         take: 10 // 10 dernières consultations
                     },
 
-                    // Consultations détaillées avec diagnostic
                     user: {
                         select: {
                             nom: true,
@@ -83,7 +117,7 @@ router.get('/',
                 return ApiResponse.notFound(res, 'Profil patient non trouvé');
             }
 
-            // Récupération des consultations détaillées
+            // Récupération des consultations détaillées (notes privées du médecin exclues)
             const consultations = await prisma.consultation.findMany({
                 where: {
                     rendezVous: {
@@ -93,16 +127,15 @@ router.get('/',
                 },
                 select: {
                     id: true,
+                    dateConsultation: true,
                     diagnostic: true,
-                    traitementPrescrit: true,
-                    recommandations: true,
-                    prochainRendezVous: true,
+                    examensEffectues: true,
+                    examensPrescrits: true,
+                    suiviNecessaire: true,
+                    prochaineConsultationPrevue: true,
                     documentsJoints: true,
-                    notesPrivees: true, // Chiffrées côté base
-                    createdAt: true,
                     rendezVous: {
                         select: {
-                            dateHeureDebut: true,
                             medecin: {
                                 select: {
                                     user: {
@@ -111,14 +144,14 @@ router.get('/',
                                             prenom: true
                                         }
                                     },
-                                    specialitePrincipale: true
+                                    specialites: true
                                 }
                             }
                         }
                     }
                 },
                 orderBy: {
-                    createdAt: 'desc'
+                    dateConsultation: 'desc'
                 },
                 take: 20
             });
@@ -126,56 +159,53 @@ router.get('/',
             // Récupération des prescriptions/ordonnances
             const prescriptions = await prisma.ordonnance.findMany({
                 where: {
-                    consultation: {
-                        rendezVous: {
-                            patientId: patient.id
-                        }
-                    }
+                    patientId: patient.id
                 },
                 select: {
                     id: true,
+                    numeroOrdonnance: true,
                     medicaments: true,
                     posologie: true,
                     dureeTraitement: true,
-                    instructions: true,
-                    dateEmission: true,
+                    instructionsSpeciales: true,
+                    dateCreation: true,
                     dateExpiration: true,
-                    statut: true,
-                    consultation: {
+                    archivee: true,
+                    medecin: {
                         select: {
-                            rendezVous: {
+                            user: {
                                 select: {
-                                    dateHeureDebut: true,
-                                    medecin: {
-                                        select: {
-                                            user: {
-                                                select: {
-                                                    nom: true,
-                                                    prenom: true
-                                                }
-                                            },
-                                            numeroOrdre: true
-                                        }
-                                    }
+                                    nom: true,
+                                    prenom: true
                                 }
-                            }
+                            },
+                            numeroOrdre: true
                         }
                     }
                 },
                 orderBy: {
-                    dateEmission: 'desc'
+                    dateCreation: 'desc'
                 },
                 take: 15
             });
 
+            const dossier = DossierMedicalService.getEtat(patient);
+            const poids = dossier.poids;
+
+            const derniereVersion = await prisma.dossierMedicalVersion.findFirst({
+                where: { patientId: patient.id },
+                orderBy: { version: 'desc' },
+                select: { version: true, createdAt: true }
+            });
+
             // Calculs dérivés sur les données médicales
             let calculsMedicaux = {};
 
             // Calcul IMC et classification
-            if (patient.poids && patient.taille) {
-                const imc = patient.poids / Math.pow(patient.taille / 100, 2);
+            if (poids && patient.taille) {
+                const imc = poids / Math.pow(patient.taille / 100, 2);
                 calculsMedicaux.imc = Math.round(imc * 10) / 10;
-                
+
                 if (imc < 18.5) {
                     calculsMedicaux.classificationIMC = 'Insuffisance pondérale';
                     calculsMedicaux.risqueMedical = 'Faible à modéré';
@@ -201,7 +231,7 @@ router.get('/',
             if (patient.dateNaissance) {
                 const age = Math.floor((new Date() - new Date(patient.dateNaissance)) / (365.25 * 24 * 60 * 60 * 1000));
                 calculsMedicaux.age = age;
-                
+
                 // Catégorie d'âge médicale
                 if (age < 18) {
                     calculsMedicaux.categorieAge = 'Pédiatrique';
@@ -212,26 +242,31 @@ router.get('/',
                 }
             }
 
+            const prescriptionsActives = prescriptions.filter(p => OrdonnanceService.getStatut(p) === 'ACTIVE');
+
             // Analyse des tendances de santé
             const analysesTendances = {
                 nombreConsultations: consultations.length,
-                dernièreConsultation: consultations.length > 0 ? consultations[0].createdAt : null,
-                frequenceConsultations: consultations.length > 0 ? 
+                dernièreConsultation: consultations.length > 0 ? consultations[0].dateConsultation : null,
+                frequenceConsultations: consultations.length > 0 ?
                     Math.round((consultations.length / 12) * 10) / 10 : 0, // par mois sur les 12 derniers
-                specialitesConsultees: [...new Set(patient.rendezVous.map(rdv => rdv.medecin.specialitePrincipale))],
-                prescriptionsActives: prescriptions.filter(p => p.statut === 'ACTIVE' && new Date(p.dateExpiration) > new Date()).length
+                specialitesConsultees: [...new Set(patient.rendezVous.flatMap(rdv => rdv.medecin.specialites || []))],
+                prescriptionsActives: prescriptionsActives.length
             };
 
             // Alertes médicales
             const alertesMedicales = [];
-            
-            if (patient.allergies && patient.allergies.toLowerCase().includes('pénicilline')) {
-                alertesMedicales.push({
-                    type: 'ALLERGIE_MAJEURE',
-                    message: 'Allergie à la pénicilline détectée',
-                    niveau: 'CRITIQUE'
+
+            dossier.allergies
+                .filter(allergie => ['SEVERE', 'ANAPHYLACTIQUE'].includes(allergie.severite) ||
+                    (allergie.substance || '').toLowerCase().includes('pénicilline'))
+                .forEach(allergie => {
+                    alertesMedicales.push({
+                        type: 'ALLERGIE_MAJEURE',
+                        message: `Allergie majeure: ${allergie.substance}`,
+                        niveau: 'CRITIQUE'
+                    });
                 });
-            }
 
             if (calculsMedicaux.imc && calculsMedicaux.imc > 30) {
                 alertesMedicales.push({
@@ -241,7 +276,7 @@ router.get('/',
                 });
             }
 
-            if (prescriptions.filter(p => p.statut === 'ACTIVE').length > 5) {
+            if (prescriptionsActives.length > 5) {
                 alertesMedicales.push({
                     type: 'POLYMEDICATION',
                     message: 'Nombreux traitements actifs - Risque d\'interactions',
@@ -261,13 +296,12 @@ router.get('/',
                     },
                     contact: {
                         telephone: patient.user.telephone,
-                        email: patient.user.email,
-                        contactUrgence: patient.contactUrgence
+                        email: patient.user.email
                     }
                 },
 
                 donneesAnthropometriques: {
-                    poids: patient.poids,
+                    poids,
                     taille: patient.taille,
                     imc: calculsMedicaux.imc,
                     classificationIMC: calculsMedicaux.classificationIMC,
@@ -275,48 +309,51 @@ router.get('/',
                 },
 
                 antecedentsMedicaux: {
-                    allergies: patient.allergies || 'Aucune allergie connue',
-                    antecedents: patient.antecedentsMedicaux || 'Aucun antécédent connu',
-                    traitementsActuels: patient.traitementsEnCours || 'Aucun traitement en cours'
+                    allergies: dossier.allergies,
+                    antecedents: dossier.antecedentsMedicaux,
+                    traitementsActuels: dossier.traitementsEnCours
                 },
 
-                assurance: {
-                    nom: patient.assuranceMedicale,
-                    numero: patient.numeroAssurance,
-                    statut: patient.assuranceMedicale ? 'ASSURE' : 'NON_ASSURE'
-                },
+                versionDossier: derniereVersion ? {
+                    version: derniereVersion.version,
+                    date: derniereVersion.createdAt,
+                    historique: '/v1/patients/medical-data/history'
+                } : null,
 
                 historiqueConsultations: patient.rendezVous.map(rdv => ({
-                    date: rdv.dateHeureDebut,
+                    date: rdv.dateRendezVous,
+                    heure: rdv.heureDebut,
                     medecin: `Dr ${rdv.medecin.user.prenom} ${rdv.medecin.user.nom}`,
-                    specialite: rdv.medecin.specialitePrincipale,
+                    specialites: rdv.medecin.specialites,
                     type: rdv.typeConsultation,
                     motif: rdv.motifConsultation
                 })),
 
                 consultationsDetaillees: consultations.map(consultation => ({
                     id: consultation.id,
-                    date: consultation.rendezVous.dateHeureDebut,
+                    date: consultation.dateConsultation,
                     medecin: `Dr ${consultation.rendezVous.medecin.user.prenom} ${consultation.rendezVous.medecin.user.nom}`,
-                    specialite: consultation.rendezVous.medecin.specialitePrincipale,
+                    specialites: consultation.rendezVous.medecin.specialites,
                     diagnostic: consultation.diagnostic,
-                    traitement: consultation.traitementPrescrit,
-                    recommandations: consultation.recommandations,
-                    prochainRdv: consultation.prochainRendezVous,
-                    documentsJoints: consultation.documentsJoints ? consultation.documentsJoints.split(',') : []
+                    examensEffectues: consultation.examensEffectues,
+                    examensPrescrits: consultation.examensPrescrits,
+                    suiviNecessaire: consultation.suiviNecessaire,
+                    prochainRdv: consultation.prochaineConsultationPrevue,
+                    documentsJoints: consultation.documentsJoints || []
                 })),
 
                 prescriptions: prescriptions.map(prescription => ({
                     id: prescription.id,
-                    dateEmission: prescription.dateEmission,
+                    numeroOrdonnance: prescription.numeroOrdonnance,
+                    dateEmission: prescription.dateCreation,
                     dateExpiration: prescription.dateExpiration,
-                    medecin: `Dr ${prescription.consultation.rendezVous.medecin.user.prenom} ${prescription.consultation.rendezVous.medecin.user.nom}`,
-                    numeroOrdreMedecin: prescription.consultation.rendezVous.medecin.numeroOrdre,
+                    medecin: `Dr ${prescription.medecin.user.prenom} ${prescription.medecin.user.nom}`,
+                    numeroOrdreMedecin: prescription.medecin.numeroOrdre,
                     medicaments: prescription.medicaments,
                     posologie: prescription.posologie,
                     duree: prescription.dureeTraitement,
-                    instructions: prescription.instructions,
-                    statut: prescription.statut
+                    instructions: prescription.instructionsSpeciales,
+                    statut: OrdonnanceService.getStatut(prescription)
                 })),
 
                 analyses: {
@@ -328,27 +365,17 @@ router.get('/',
                 confidentialite: {
                     niveauAcces: 'PATIENT_COMPLET',
                     derniereConsultation: new Date().toISOString(),
-                    audit: {
-                        consultePar: user.id,
-                        adresseIP: clientIp,
-                        timestamp: new Date().toISOString()
-                    }
+                    journalAcces: '/v1/patients/medical-data/access-log'
                 }
             };
 
-            // Création d'un log d'audit pour l'accès aux données médicales sensibles
-            await prisma.auditAccesDonnees.create({
-                data: {
-                    userId: user.id,
-                    typeAcces: 'CONSULTATION_DONNEES_MEDICALES',
-                    ressourceAccedee: 'medical-data',
-                    adresseIP: clientIp,
-                    userAgent: req.get('User-Agent') || 'Unknown',
-                    timestamp: new Date()
-                }
-            }).catch(error => {
-                // L'audit n'est pas critique, on log juste l'erreur
-                console.warn('⚠️ Erreur création audit:', error.message);
+            // Journal d'audit de l'accès aux données médicales sensibles
+            await AuditService.log(req, {
+                action: 'LECTURE',
+                ressource: 'DONNEES_MEDICALES',
+                ressourceId: patient.id,
+                patientId: patient.id,
+                motif: 'Consultation de son dossier par le patient'
             });
 
             console.log(`✅ Données médicales consultées: ${patient.user.prenom} ${patient.user.nom} - Consultations: ${consultations.length}, Prescriptions: ${prescriptions.length}`);
@@ -362,4 +389,236 @@ router.get('/',
     }
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Enregistre une nouvelle version du dossier médical (PUT: remplacement complet, PATCH: champs fournis)
+ */
+const enregistrerDossier = (remplacement) => async (req, res) => {
+    try {
+        const user = req.user;
+        const { motif, versionAttendue, ...donnees } = req.body;
+
+        if (!user.patient) {
+            return ApiResponse.notFound(res, 'Profil patient non trouvé');
+        }
+
+        // En remplacement complet, les mesures absentes sont effacées
+        if (remplacement) {
+            ['groupeSanguin', 'poids', 'taille'].forEach(champ => {
+                if (donnees[champ] === undefined) {
+                    donnees[champ] = null;
+                }
+            });
+        }
+
+        const { erreurs, modifications } = DossierMedicalService.valider(donnees);
+
+        if (erreurs.length > 0) {
+            return ApiResponse.badRequest(res, 'Erreurs de validation du dossier médical', {
+                validationErrors: erreurs
+            });
+        }
+
+        if (Object.keys(modifications).length === 0) {
+            return ApiResponse.badRequest(res, 'Aucune donnée médicale à mettre à jour');
+        }
+
+        const resultat = await prisma.$transaction(tx => DossierMedicalService.enregistrerModification(tx, user.patient.id, modifications, {
+            auteur: user,
+            motif,
+            versionAttendue: versionAttendue !== undefined ? Number(versionAttendue) : undefined
+        }));
+
+        if (resultat.champsModifies.length > 0) {
+            await AuditService.log(req, {
+                action: 'MODIFICATION',
+                ressource: 'DONNEES_MEDICALES',
+                ressourceId: user.patient.id,
+                patientId: user.patient.id,
+                motif: motif || 'Mise à jour du dossier par le patient',
+                details: { champs: resultat.champsModifies, version: resultat.version }
+            });
+
+            console.log(`📝 Dossier médical mis à jour: ${user.prenom} ${user.nom} - Version ${resultat.version} (${resultat.champsModifies.join(', ')})`);
+        }
+
+        return ApiResponse.success(res, resultat.champsModifies.length > 0
+            ? 'Dossier médical mis à jour avec succès'
+            : 'Aucune modification détectée', {
+            version: resultat.version,
+            champsModifies: resultat.champsModifies,
+            dossier: resultat.etat
+        });
+
+    } catch (error) {
+        console.error('❌ Erreur mise à jour dossier médical:', error);
+
+        // Modification concurrente (version attendue dépassée ou numéro de version déjà pris)
+        if (error.code === 'VERSION_CONFLICT' || error.code === 'P2002') {
+            return ApiResponse.conflict(res, 'Le dossier médical a été modifié entre-temps, rechargez-le avant de réessayer', {
+                versionCourante: error.versionCourante
+            });
+        }
+
+        return ApiResponse.serverError(res, 'Erreur lors de la mise à jour du dossier médical');
+    }
+};
+
+/**
+ * PUT /patients/medical-data - Remplacer le dossier médical
+ */
+router.put('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(remplacerDossierSchema),
+    enregistrerDossier(true)
+);
+
+/**
+ * PATCH /patients/medical-data - Modifier une partie du dossier médical
+ */
+router.patch('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(modifierDossierSchema),
+    enregistrerDossier(false)
+);
+
+/**
+ * GET /patients/medical-data/history - Historique des versions du dossier médical
+ */
+router.get('/history',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { page = 1, limit = 20 } = req.query;
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+            const where = { patientId: user.patient.id };
+
+            const [versions, total] = await Promise.all([
+                prisma.dossierMedicalVersion.findMany({
+                    where,
+                    include: {
+                        modifiePar: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true
+                            }
+                        }
+                    },
+                    orderBy: { version: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.dossierMedicalVersion.count({ where })
+            ]);
+
+            await AuditService.log(req, {
+                action: 'LECTURE',
+                ressource: 'HISTORIQUE_DOSSIER',
+                ressourceId: user.patient.id,
+                patientId: user.patient.id,
+                motif: 'Consultation de l\'historique par le patient'
+            });
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Historique du dossier médical récupéré avec succès', {
+                versions: versions.map(version => DossierMedicalService.formatVersion(version)),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur historique dossier médical:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération de l\'historique du dossier médical');
+        }
+    }
+);
+
+/**
+ * GET /patients/medical-data/access-log - Qui a consulté mon dossier médical
+ */
+router.get('/access-log',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { inclureMesAcces = 'false', page = 1, limit = 20 } = req.query;
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 100);
+
+            const where = { patientId: user.patient.id };
+            // Par défaut, seuls les accès effectués par des tiers sont listés
+            if (inclureMesAcces !== 'true') {
+                where.OR = [
+                    { userId: null },
+                    { userId: { not: user.id } }
+                ];
+            }
+
+            const [entrees, total] = await Promise.all([
+                prisma.auditLog.findMany({
+                    where,
+                    include: {
+                        user: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true,
+                                role: true
+                            }
+                        }
+                    },
+                    orderBy: { createdAt: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.auditLog.count({ where })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Journal des accès récupéré avec succès', {
+                acces: entrees.map(entree => {
+                    const { adresseIP, ...acces } = AuditService.format(entree);
+                    return acces;
+                }),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur journal des accès patient:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération du journal des accès');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const OrdonnanceService = require('../../services/OrdonnanceService');
+const PdfService = require('../../services/PdfService');
+const AuditService = require('../../services/AuditService');
+
+const STATUTS_FILTRE = ['ACTIVE', 'EXPIREE', 'ARCHIVEE', 'TOUTES'];
+
+/**
+ * GET /patients/ordonnances - Ordonnances actives et archivées du patient
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { statut = 'TOUTES', page = 1, limit = 20 } = req.query;
+
+            if (!STATUTS_FILTRE.includes(statut)) {
+                return ApiResponse.badRequest(res, `Statut invalide. Valeurs acceptées: ${STATUTS_FILTRE.join(', ')}`);
+            }
+
+            if (!user.patient) {
+                return ApiResponse.notFound(res, 'Profil patient non trouvé');
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+
+            // Le statut EXPIREE/ACTIVE dépend de la date du jour
+            const debutJour = new Date();
+            debutJour.setUTCHours(0, 0, 0, 0);
+
+            const where = { patientId: user.patient.id };
+            if (statut === 'ARCHIVEE') {
+                where.archivee = true;
+            } else if (statut === 'ACTIVE') {
+                where.archivee = false;
+                where.OR = [
+                    { dateExpiration: null },
+                    { dateExpiration: { gte: debutJour } }
+                ];
+            } else if (statut === 'EXPIREE') {
+                where.archivee = false;
+                where.dateExpiration = { lt: debutJour };
+            }
+
+            const [ordonnances, total] = await Promise.all([
+                prisma.ordonnance.findMany({
+                    where,
+                    include: {
+                        medecin: {
+                            select: {
+                                numeroOrdre: true,
+                                specialites: true,
+                                user: {
+                                    select: {
+                                        nom: true,
+                                        prenom: true
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    orderBy: { dateCreation: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.ordonnance.count({ where })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Ordonnances récupérées avec succès', {
+                ordonnances: ordonnances.map(ordonnance => ({
+                    id: ordonnance.id,
+                    numeroOrdonnance: ordonnance.numeroOrdonnance,
+                    statut: OrdonnanceService.getStatut(ordonnance),
+                    dateCreation: ordonnance.dateCreation,
+                    dateExpiration: ordonnance.dateExpiration,
+                    medicaments: ordonnance.medicaments,
+                    dureeTraitement: ordonnance.dureeTraitement,
+                    instructionsSpeciales: ordonnance.instructionsSpeciales,
+                    medecin: {
+                        nom: ordonnance.medecin.user.nom,
+                        prenom: ordonnance.medecin.user.prenom,
+                        numeroOrdre: ordonnance.medecin.numeroOrdre,
+                        specialites: ordonnance.medecin.specialites
+                    },
+                    codeVerification: OrdonnanceService.codeVerification(ordonnance.numeroOrdonnance),
+                    verification: OrdonnanceService.cheminVerification(ordonnance.numeroOrdonnance)
+                })),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                },
+                filtres: { statut }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste ordonnances patient:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des ordonnances');
+        }
+    }
+);
+
+/**
+ * GET /patients/ordonnances/:id/pdf - Version imprimable à présenter en pharmacie
+ */
+router.get('/:id/pdf',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+
+            const ordonnance = await prisma.ordonnance.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, patientId: true, numeroOrdonnance: true }
+            });
+
+            if (!ordonnance || !user.patient || ordonnance.patientId !== user.patient.id) {
+                return ApiResponse.notFound(res, 'Ordonnance non trouvée');
+            }
+
+            const fichierPdf = await PdfService.getOrdonnancePdf(ordonnance.id);
+
+            await AuditService.log(req, {
+                action: 'EXPORT',
+                ressource: 'ORDONNANCE',
+                ressourceId: ordonnance.id,
+                patientId: ordonnance.patientId,
+                motif: 'Téléchargement de l\'ordonnance par le patient'
+            });
+
+            return ApiResponse.success(res, 'PDF de l\'ordonnance disponible', {
+                numeroOrdonnance: ordonnance.numeroOrdonnance,
+                fichier: {
+                    nom_fichier: fichierPdf.nom_fichier,
+                    taille: fichierPdf.taille,
+                    genere_le: fichierPdf.genere_le,
+                    url: PdfService.getFileUrl(fichierPdf)
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur génération PDF ordonnance:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la génération du PDF de l\'ordonnance');
+        }
+    }
+);
+
+/**
+ * PUT /patients/ordonnances/:id/archive - Archiver une ordonnance (traitement terminé)
+ */
+router.put('/:id/archive',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+
+            const ordonnance = await prisma.ordonnance.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, patientId: true, archivee: true, numeroOrdonnance: true }
+            });
+
+            if (!ordonnance || !user.patient || ordonnance.patientId !== user.patient.id) {
+                return ApiResponse.notFound(res, 'Ordonnance non trouvée');
+            }
+
+            if (ordonnance.archivee) {
+                return ApiResponse.badRequest(res, 'Cette ordonnance est déjà archivée');
+            }
+
+            // L'archivage ne fait pas partie du contenu signé
+            await prisma.ordonnance.update({
+                where: { id: ordonnance.id },
+                data: { archivee: true }
+            });
+
+            console.log(`🗄️ Ordonnance archivée: ${ordonnance.numeroOrdonnance} par ${user.prenom} ${user.nom}`);
+
+            return ApiResponse.success(res, 'Ordonnance archivée avec succès', {
+                id: ordonnance.id,
+                numeroOrdonnance: ordonnance.numeroOrdonnance,
+                statut: 'ARCHIVEE'
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur archivage ordonnance:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'archivage de l\'ordonnance');
+        }
+    }
+);
+
+module.exports = router;
@@ -4,6 +4,8 @@ const prisma = require('../../prisma/client');
 const ApiResponse = require('../../services/ApiResponse');
 const AuthMiddleware = require('../../middleware/authMiddleware');
 const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const AuditService = require('../../services/AuditService');
+const DossierMedicalService = require('../../services/DossierMedicalService');
 
 /**
  * GET /patients/profile - Récupérer le profil complet du patient
@@ -418,10 +420,24 @@ router.put('/',
                 patientUpdateData.ville = patientUpdateData.ville.trim();
             }
 
+            // Les champs du dossier médical sont versionnés (le texte libre devient une entrée unique)
+            const dossierUpdateData = {};
+            const autresPatientData = {};
+            Object.keys(patientUpdateData).forEach(field => {
+                if (DossierMedicalService.CHAMPS_DOSSIER.includes(field)) {
+                    dossierUpdateData[field] = ['allergies', 'antecedentsMedicaux', 'traitementsEnCours'].includes(field)
+                        ? DossierMedicalService.normaliserListe(field, patientUpdateData[field])
+                        : patientUpdateData[field];
+                } else {
+                    autresPatientData[field] = patientUpdateData[field];
+                }
+            });
+
             // Mise à jour en transaction
             const result = await prisma.$transaction(async (tx) => {
                 let updatedUser = user;
                 let updatedPatient = user.patient;
+                let versionDossier = null;
 
                 // Mise à jour User si nécessaire
                 if (Object.keys(userUpdateData).length > 0) {
@@ -442,11 +458,18 @@ router.put('/',
                     });
                 }
 
+                if (Object.keys(dossierUpdateData).length > 0) {
+                    versionDossier = await DossierMedicalService.enregistrerModification(tx, user.patient.id, dossierUpdateData, {
+                        auteur: user,
+                        motif: 'Mise à jour via le profil patient'
+                    });
+                }
+
                 // Mise à jour Patient si nécessaire
                 if (Object.keys(patientUpdateData).length > 0) {
                     updatedPatient = await tx.patient.update({
                         where: { userId: user.id },
-                        data: patientUpdateData,
+                        data: autresPatientData,
                         select: {
                             id: true,
                             dateNaissance: true,
@@ -465,7 +488,7 @@ router.put('/',
                     });
                 }
 
-                return { updatedUser, updatedPatient };
+                return { updatedUser, updatedPatient, versionDossier };
             });
 
             // Préparation de la réponse
@@ -519,6 +542,16 @@ router.put('/',
                 ip: clientIp
             };
 
+            if (result.versionDossier && result.versionDossier.champsModifies.length > 0) {
+                await AuditService.log(req, {
+                    action: 'MODIFICATION',
+                    ressource: 'DONNEES_MEDICALES',
+                    ressourceId: result.updatedPatient.id,
+                    patientId: result.updatedPatient.id,
+                    details: { champs: result.versionDossier.champsModifies, version: result.versionDossier.version }
+                });
+            }
+
             console.log(`✅ Profil patient mis à jour: ${result.updatedUser.prenom} ${result.updatedUser.nom} - ${updateSummary.totalFieldsUpdated} champs modifiés`);
 
             return ApiResponse.success(res, 'Profil mis à jour avec succès', {
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const PaiementService = require('../../services/PaiementService');
+const LocalPaymentProvider = require('../../services/paiement/LocalPaymentProvider');
+
+// Schéma de validation de la simulation
+const simulationSchema = {
+    fields: {
+        resultat: {
+            type: 'string',
+            enum: ['REUSSI', 'ECHOUE']
+        },
+        motif: {
+            type: 'string',
+            maxLength: 200
+        }
+    },
+    required: ['resultat'],
+    strict: true
+};
+
+/**
+ * POST /payments/:id/simulate - Validation simulée d'un paiement par le patient
+ * Disponible uniquement pour les paiements traités par le simulateur local (PAYMENT_PROVIDER=local)
+ */
+router.post('/:id/simulate',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT']),
+    BodyFilter.validate(simulationSchema),
+    async (req, res) => {
+        try {
+            const { resultat, motif } = req.body;
+
+            const paiement = await prisma.paiement.findUnique({
+                where: { id: req.params.id },
+                include: { patient: { select: { userId: true } } }
+            });
+
+            if (!paiement || paiement.patient.userId !== req.user.id) {
+                return ApiResponse.notFound(res, 'Paiement non trouvé');
+            }
+
+            if (paiement.fournisseur !== LocalPaymentProvider.nom) {
+                return ApiResponse.forbidden(res, 'Seuls les paiements du simulateur local peuvent être simulés');
+            }
+
+            if (paiement.statut !== 'EN_ATTENTE' || paiement.expireLe <= new Date()) {
+                return ApiResponse.badRequest(res, `Ce paiement n'est plus en attente de validation (statut: ${paiement.statut})`);
+            }
+
+            const { paiement: paiementTraite, rendezVousConfirme } = await PaiementService.traiterNotification(
+                paiement, LocalPaymentProvider.simuler(resultat, motif));
+
+            return ApiResponse.success(res, resultat === 'REUSSI' ? 'Paiement simulé réussi' : 'Paiement simulé échoué', {
+                paiement: PaiementService.format(paiementTraite),
+                rendezVousConfirme
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur simulation paiement:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la simulation du paiement');
+        }
+    }
+);
+
+module.exports = router;
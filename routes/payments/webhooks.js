@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const ApiResponse = require('../../services/ApiResponse');
+const PaiementService = require('../../services/PaiementService');
+
+/**
+ * POST /payments/webhooks/:fournisseur - Notification de paiement d'un opérateur
+ * Sans authentification utilisateur : l'authenticité est vérifiée par le fournisseur (signature,
+ * jeton de notification ou relecture du statut auprès de l'API de l'opérateur)
+ */
+const recevoirNotification = async (req, res) => {
+    const { fournisseur } = req.params;
+
+    try {
+        const resultat = await PaiementService.recevoirWebhook(fournisseur, req);
+
+        return ApiResponse.success(res, resultat.traite ? 'Notification traitée' : 'Notification déjà prise en compte', {
+            paiementId: resultat.paiement.id,
+            statut: resultat.paiement.statut
+        });
+
+    } catch (error) {
+        if (error.message === 'FOURNISSEUR_INCONNU') {
+            return ApiResponse.notFound(res, `Fournisseur de paiement inconnu: ${fournisseur}`);
+        }
+        if (error.message === 'NOTIFICATION_INVALIDE') {
+            return ApiResponse.badRequest(res, 'Notification de paiement invalide');
+        }
+        if (error.message === 'PAIEMENT_NON_TROUVE') {
+            return ApiResponse.notFound(res, 'Paiement non trouvé');
+        }
+        if (error.message === 'SIGNATURE_INVALIDE') {
+            console.warn(`⚠️ Webhook ${fournisseur} rejeté: signature invalide (${req.ip})`);
+            return ApiResponse.unauthorized(res, 'Signature de la notification invalide');
+        }
+
+        console.error(`❌ Erreur webhook paiement ${fournisseur}:`, error);
+        return ApiResponse.serverError(res, 'Erreur lors du traitement de la notification');
+    }
+};
+
+router.post('/:fournisseur', recevoirNotification);
+router.put('/:fournisseur', recevoirNotification); // MTN MoMo rappelle en PUT
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const UploadMiddleware = require('../../middleware/uploadMiddleware');
+const TicketService = require('../../services/TicketService');
+
+// Schéma de validation pour l'ouverture d'un ticket (multipart/form-data)
+const createTicketSchema = {
+    fields: {
+        categorie: {
+            type: 'string',
+            enum: ['BUG', 'QUESTION', 'LITIGE', 'SUGGESTION', 'AUTRE']
+        },
+        priorite: {
+            type: 'string',
+            enum: ['BASSE', 'NORMALE', 'HAUTE'] // CRITIQUE réservée au support
+        },
+        sujet: {
+            type: 'string',
+            minLength: 5,
+            maxLength: 255
+        },
+        description: {
+            type: 'string',
+            minLength: 10,
+            maxLength: 5000
+        },
+        rendezVousId: {
+            type: 'string'
+        }
+    },
+    required: ['categorie', 'sujet', 'description'],
+    strict: true
+};
+
+/**
+ * POST /support/tickets - Ouvrir un ticket de support
+ */
+router.post('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    UploadMiddleware.files('piecesJointes', Consts.TICKET_CONFIG.maxPiecesJointes),
+    BodyFilter.validate(createTicketSchema),
+    async (req, res) => {
+        let piecesJointes = [];
+
+        try {
+            const user = req.user;
+            const { categorie, sujet, description, rendezVousId } = req.body;
+
+            // Les litiges sont traités en priorité haute par défaut
+            const priorite = req.body.priorite || (categorie === 'LITIGE' ? 'HAUTE' : 'NORMALE');
+
+            if (rendezVousId) {
+                if (categorie !== 'LITIGE') {
+                    return ApiResponse.badRequest(res, 'Seul un ticket de catégorie LITIGE peut être rattaché à un rendez-vous');
+                }
+
+                const rendezVous = await prisma.rendezVous.findUnique({
+                    where: { id: rendezVousId },
+                    select: { patientId: true, medecinId: true }
+                });
+
+                const estConcerne = rendezVous && (
+                    (user.patient && rendezVous.patientId === user.patient.id) ||
+                    (user.medecin && rendezVous.medecinId === user.medecin.id)
+                );
+
+                if (!estConcerne) {
+                    return ApiResponse.notFound(res, 'Rendez-vous non trouvé');
+                }
+            }
+
+            piecesJointes = await TicketService.enregistrerPiecesJointes(req.files);
+
+            const maintenant = new Date();
+            const ticket = await prisma.ticketSupport.create({
+                data: {
+                    userId: user.id,
+                    categorie,
+                    priorite,
+                    sujet,
+                    description,
+                    rendezVousId: rendezVousId || null,
+                    piecesJointes: piecesJointes.length > 0 ? piecesJointes : undefined,
+                    createdAt: maintenant,
+                    ...TicketService.calculerEcheances(priorite, maintenant)
+                }
+            });
+
+            console.log(`🎫 Ticket ouvert: ${ticket.id} par ${user.role} ${user.prenom} ${user.nom} - ${categorie}/${priorite}`);
+
+            return ApiResponse.created(res, 'Ticket de support créé avec succès', TicketService.format(ticket));
+
+        } catch (error) {
+            console.error('❌ Erreur création ticket support:', error);
+            await TicketService.supprimerPiecesJointes(piecesJointes);
+            return ApiResponse.serverError(res, 'Erreur lors de la création du ticket de support');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const TicketService = require('../../services/TicketService');
+
+/**
+ * GET /support/tickets/:id - Détail d'un ticket et de ses échanges avec le support
+ */
+router.get('/:id',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    assigneAAdmin: {
+                        select: {
+                            id: true,
+                            nom: true,
+                            prenom: true
+                        }
+                    },
+                    // Les notes internes du support ne sont jamais exposées au demandeur
+                    messages: {
+                        where: { interne: false },
+                        include: {
+                            auteur: {
+                                select: {
+                                    id: true,
+                                    nom: true,
+                                    prenom: true,
+                                    role: true
+                                }
+                            }
+                        },
+                        orderBy: { createdAt: 'asc' }
+                    }
+                }
+            });
+
+            if (!ticket || ticket.userId !== user.id) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            return ApiResponse.success(res, 'Ticket récupéré avec succès', TicketService.format(ticket));
+
+        } catch (error) {
+            console.error('❌ Erreur détail ticket support:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération du ticket');
+        }
+    }
+);
+
+module.exports = router;
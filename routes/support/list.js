@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const TicketService = require('../../services/TicketService');
+
+const STATUTS = ['OUVERT', 'EN_COURS', 'EN_ATTENTE', 'RESOLU', 'FERME'];
+const CATEGORIES = ['BUG', 'QUESTION', 'LITIGE', 'SUGGESTION', 'AUTRE'];
+
+/**
+ * GET /support/tickets - Tickets de l'utilisateur connecté
+ */
+router.get('/',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { statut, categorie, page = 1, limit = 20 } = req.query;
+
+            if (statut && !STATUTS.includes(statut)) {
+                return ApiResponse.badRequest(res, `statut doit être l'une des valeurs suivantes: ${STATUTS.join(', ')}`);
+            }
+            if (categorie && !CATEGORIES.includes(categorie)) {
+                return ApiResponse.badRequest(res, `categorie doit être l'une des valeurs suivantes: ${CATEGORIES.join(', ')}`);
+            }
+
+            const pageInt = Math.max(parseInt(page) || 1, 1);
+            const limitInt = Math.min(parseInt(limit) || 20, 50);
+
+            const where = {
+                userId: user.id,
+                ...(statut && { statut }),
+                ...(categorie && { categorie })
+            };
+
+            const [tickets, total] = await Promise.all([
+                prisma.ticketSupport.findMany({
+                    where,
+                    include: {
+                        _count: {
+                            select: {
+                                messages: { where: { interne: false } }
+                            }
+                        }
+                    },
+                    orderBy: { updatedAt: 'desc' },
+                    skip: (pageInt - 1) * limitInt,
+                    take: limitInt
+                }),
+                prisma.ticketSupport.count({ where })
+            ]);
+
+            const totalPages = Math.ceil(total / limitInt);
+
+            return ApiResponse.success(res, 'Tickets récupérés avec succès', {
+                tickets: tickets.map(ticket => TicketService.format(ticket)),
+                pagination: {
+                    page: pageInt,
+                    limit: limitInt,
+                    totalResults: total,
+                    totalPages,
+                    hasNext: pageInt < totalPages,
+                    hasPrevious: pageInt > 1
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur liste tickets support:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de la récupération des tickets');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const Consts = require('../../config/const');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const UploadMiddleware = require('../../middleware/uploadMiddleware');
+const TicketService = require('../../services/TicketService');
+
+// Schéma de validation pour un message du demandeur (multipart/form-data)
+const messageSchema = {
+    fields: {
+        message: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 5000
+        }
+    },
+    required: ['message'],
+    strict: true
+};
+
+/**
+ * POST /support/tickets/:id/messages - Répondre au support
+ */
+router.post('/:id/messages',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    UploadMiddleware.files('piecesJointes', Consts.TICKET_CONFIG.maxPiecesJointes),
+    BodyFilter.validate(messageSchema),
+    async (req, res) => {
+        let piecesJointes = [];
+
+        try {
+            const user = req.user;
+
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, userId: true, statut: true }
+            });
+
+            if (!ticket || ticket.userId !== user.id) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            if (ticket.statut === 'FERME') {
+                return ApiResponse.badRequest(res, 'Ce ticket est fermé. Ouvrez un nouveau ticket si nécessaire.');
+            }
+
+            piecesJointes = await TicketService.enregistrerPiecesJointes(req.files);
+
+            // Une réponse du demandeur relance le traitement (complément fourni ou ticket résolu rouvert)
+            const nouveauStatut = ['EN_ATTENTE', 'RESOLU'].includes(ticket.statut) ? 'EN_COURS' : ticket.statut;
+
+            const [message] = await prisma.$transaction([
+                prisma.messageTicket.create({
+                    data: {
+                        ticketId: ticket.id,
+                        auteurId: user.id,
+                        message: req.body.message,
+                        piecesJointes: piecesJointes.length > 0 ? piecesJointes : undefined
+                    },
+                    include: {
+                        auteur: {
+                            select: {
+                                id: true,
+                                nom: true,
+                                prenom: true,
+                                role: true
+                            }
+                        }
+                    }
+                }),
+                prisma.ticketSupport.update({
+                    where: { id: ticket.id },
+                    data: {
+                        statut: nouveauStatut,
+                        ...(ticket.statut === 'RESOLU' && { dateResolution: null })
+                    }
+                })
+            ]);
+
+            console.log(`💬 Message ticket ${ticket.id} par ${user.prenom} ${user.nom}${nouveauStatut !== ticket.statut ? ` - ${ticket.statut} → ${nouveauStatut}` : ''}`);
+
+            return ApiResponse.created(res, 'Message envoyé au support', {
+                ticketId: ticket.id,
+                statut: nouveauStatut,
+                message: TicketService.formatMessage(message)
+            });
+
+        } catch (error) {
+            console.error('❌ Erreur message ticket support:', error);
+            await TicketService.supprimerPiecesJointes(piecesJointes);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'envoi du message');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const prisma = require('../../prisma/client');
+const ApiResponse = require('../../services/ApiResponse');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const BodyFilter = require('../../middleware/bodyFilterMiddleware');
+const TicketService = require('../../services/TicketService');
+
+// Schéma de validation pour l'évaluation du support
+const satisfactionSchema = {
+    fields: {
+        note: {
+            type: 'number',
+            min: 1,
+            max: 5
+        },
+        commentaire: {
+            type: 'string',
+            maxLength: 1000
+        }
+    },
+    required: ['note'],
+    strict: true
+};
+
+/**
+ * PUT /support/tickets/:id/satisfaction - Évaluer la résolution et clôturer le ticket
+ */
+router.put('/:id/satisfaction',
+    AuthMiddleware.authenticate(),
+    AuthMiddleware.authorize(['PATIENT', 'MEDECIN']),
+    BodyFilter.validate(satisfactionSchema),
+    async (req, res) => {
+        try {
+            const user = req.user;
+            const { note, commentaire } = req.body;
+
+            if (!Number.isInteger(note)) {
+                return ApiResponse.badRequest(res, 'La note doit être un entier entre 1 et 5');
+            }
+
+            const ticket = await prisma.ticketSupport.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, userId: true, statut: true, satisfactionClient: true, dateFermeture: true }
+            });
+
+            if (!ticket || ticket.userId !== user.id) {
+                return ApiResponse.notFound(res, 'Ticket non trouvé');
+            }
+
+            if (!['RESOLU', 'FERME'].includes(ticket.statut)) {
+                return ApiResponse.badRequest(res, 'Le ticket ne peut être évalué qu\'une fois résolu ou fermé');
+            }
+
+            if (ticket.satisfactionClient) {
+                return ApiResponse.conflict(res, 'Ce ticket a déjà été évalué');
+            }
+
+            const ticketEvalue = await prisma.ticketSupport.update({
+                where: { id: ticket.id },
+                data: {
+                    satisfactionClient: note,
+                    commentaireSatisfaction: commentaire || null,
+                    statut: 'FERME',
+                    dateFermeture: ticket.dateFermeture || new Date()
+                }
+            });
+
+            console.log(`⭐ Ticket ${ticket.id} évalué ${note}/5 et fermé par ${user.prenom} ${user.nom}`);
+
+            return ApiResponse.success(res, 'Merci pour votre évaluation', TicketService.format(ticketEvalue));
+
+        } catch (error) {
+            console.error('❌ Erreur évaluation ticket support:', error);
+            return ApiResponse.serverError(res, 'Erreur lors de l\'évaluation du ticket');
+        }
+    }
+);
+
+module.exports = router;
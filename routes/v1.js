@@ -12,6 +12,11 @@ const adminController = require('../controllers/AdminController');
 const doctorController = require('../controllers/DoctorController');
 const appointmentController = require('../controllers/AppointmentController');
 const evaluationController = require('../controllers/EvaluationController');
+const ordonnanceController = require('../controllers/OrdonnanceController');
+const supportController = require('../controllers/SupportController');
+const notificationController = require('../controllers/NotificationController');
+const eventController = require('../controllers/EventController');
+const paymentController = require('../controllers/PaymentController');
 
 
 /**
@@ -38,13 +43,21 @@ router.get('/info', (req, res) => {
                 doctors: '/v1/doctors/*',
                 appointments: '/v1/appointments/*',
                 evaluations: '/v1/evaluations/*',
+                ordonnances: '/v1/ordonnances/*',
+                support: '/v1/support/*',
+                notifications: '/v1/notifications/*',
+                events: '/v1/events/stream',
+                payments: '/v1/payments/*',
                 admin: '/v1/admin/*'
             },
             features: {
                 authentication: 'JWT + OTP',
                 sms: 'LeTexto API',
                 database: 'MySQL + Prisma',
-                documentation: 'Swagger UI'
+                documentation: 'Swagger UI',
+                tempsReel: 'Server-Sent Events',
+                paiement: 'Mobile money (Orange Money, MTN MoMo, Moov Money, Wave)',
+                comptabilite: 'Grand livre en partie double, remboursements, relevés de gains'
             }
         }
     });
@@ -83,5 +96,10 @@ router.use('/admin', adminController);
 router.use('/doctors', doctorController);
 router.use('/appointments', appointmentController);
 router.use('/evaluations', evaluationController);
+router.use('/ordonnances', ordonnanceController);
+router.use('/support', supportController);
+router.use('/notifications', notificationController);
+router.use('/events', eventController);
+router.use('/payments', paymentController);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,88 @@
+const prisma = require('../prisma/client');
+
+/**
+ * Service de journalisation des accès aux données médicales
+ * Trace qui a lu ou modifié quel dossier, depuis quelle IP, avec quel rôle et pour quel motif
+ */
+class AuditService {
+    /**
+     * Contexte de la requête HTTP (acteur, IP, user-agent)
+     */
+    static _getContexte(req) {
+        return {
+            userId: req.user ? req.user.id : null,
+            role: req.user ? req.user.role : null,
+            adresseIP: (req.ip || (req.connection && req.connection.remoteAddress) || '').slice(0, 45) || null,
+            userAgent: (req.get('User-Agent') || 'Unknown').slice(0, 255)
+        };
+    }
+
+    static _buildEntree(req, { action, ressource, ressourceId = null, patientId = null, motif = null, details = null }) {
+        return {
+            ...this._getContexte(req),
+            action,
+            ressource,
+            ressourceId,
+            patientId,
+            motif: motif ? motif.slice(0, 255) : null,
+            details
+        };
+    }
+
+    /**
+     * Enregistre un accès. L'échec de l'audit ne bloque pas la requête mais est signalé.
+     */
+    static async log(req, entree) {
+        try {
+            return await prisma.auditLog.create({
+                data: this._buildEntree(req, entree)
+            });
+        } catch (error) {
+            console.error('❌ Erreur enregistrement audit:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Enregistre plusieurs accès en une seule requête (ex: liste de patients)
+     */
+    static async logMany(req, entrees) {
+        if (entrees.length === 0) {
+            return 0;
+        }
+
+        try {
+            const { count } = await prisma.auditLog.createMany({
+                data: entrees.map(entree => this._buildEntree(req, entree))
+            });
+            return count;
+        } catch (error) {
+            console.error('❌ Erreur enregistrement audit:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Formate une entrée d'audit pour les réponses API
+     */
+    static format(entree) {
+        return {
+            id: entree.id,
+            date: entree.createdAt,
+            action: entree.action,
+            ressource: entree.ressource,
+            ressourceId: entree.ressourceId,
+            motif: entree.motif,
+            role: entree.role,
+            adresseIP: entree.adresseIP,
+            acteur: entree.user ? {
+                id: entree.user.id,
+                nom: entree.user.nom,
+                prenom: entree.user.prenom,
+                role: entree.user.role
+            } : null
+        };
+    }
+}
+
+module.exports = AuditService;
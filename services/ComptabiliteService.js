@@ -0,0 +1,313 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+
+const arrondir = (montant) => Math.round(montant * 100) / 100;
+
+const somme = (lignes, champ) => arrondir(lignes.reduce((total, ligne) => total + Number(ligne[champ]), 0));
+
+/**
+ * Grand livre en partie double des consultations payées
+ * Comptes : TRESORERIE (fonds détenus chez les opérateurs), MEDECINS_A_PAYER (gains dus, sous-compte par médecin),
+ * COMMISSIONS (commission de la plateforme, ventilée par médecin) et REMBOURSEMENTS_A_PAYER
+ *
+ * - PAIEMENT               : débit TRESORERIE / crédit MEDECINS_A_PAYER (part du médecin) et COMMISSIONS
+ * - REMBOURSEMENT          : débit MEDECINS_A_PAYER et COMMISSIONS (dans la proportion du paiement) / crédit REMBOURSEMENTS_A_PAYER
+ * - REMBOURSEMENT_EFFECTUE : débit REMBOURSEMENTS_A_PAYER / crédit TRESORERIE
+ * - VERSEMENT              : débit MEDECINS_A_PAYER / crédit TRESORERIE
+ *
+ * Chaque écriture porte une clé unique (ex: PAIEMENT:<id>) : un événement rejoué n'est comptabilisé qu'une fois
+ */
+class ComptabiliteService {
+    static TYPES = ['PAIEMENT', 'REMBOURSEMENT', 'REMBOURSEMENT_EFFECTUE', 'VERSEMENT'];
+    static arrondir = arrondir;
+
+    /**
+     * Passe une écriture équilibrée, dans la transaction de l'événement comptabilisé
+     * @param {Array} lignes - [{ compte, medecinId, debit, credit }] (les lignes à zéro sont ignorées)
+     * @returns {Object} Écriture créée, ou celle déjà passée pour cette clé
+     */
+    static async passerEcriture(tx, { type, cle, libelle, medecinId = null, paiementId = null, remboursementId = null, versementId = null, lignes }) {
+        const existante = await tx.ecritureComptable.findUnique({ where: { cle } });
+        if (existante) {
+            return existante;
+        }
+
+        const lignesRetenues = lignes
+            .map(ligne => ({
+                compte: ligne.compte,
+                medecinId: ligne.medecinId || null,
+                debit: arrondir(ligne.debit || 0),
+                credit: arrondir(ligne.credit || 0)
+            }))
+            .filter(ligne => ligne.debit !== 0 || ligne.credit !== 0);
+
+        if (lignesRetenues.length < 2 ||
+            lignesRetenues.some(ligne => ligne.debit < 0 || ligne.credit < 0) ||
+            somme(lignesRetenues, 'debit') !== somme(lignesRetenues, 'credit')) {
+            throw new Error('ECRITURE_DESEQUILIBREE');
+        }
+
+        const dateEcriture = new Date();
+        return await tx.ecritureComptable.create({
+            data: {
+                type,
+                cle,
+                libelle: libelle.slice(0, 255),
+                medecinId,
+                paiementId,
+                remboursementId,
+                versementId,
+                dateEcriture,
+                lignes: {
+                    create: lignesRetenues.map(ligne => ({ ...ligne, dateEcriture }))
+                }
+            },
+            include: { lignes: true }
+        });
+    }
+
+    /**
+     * Répartition d'un paiement entre la commission de la plateforme et la part du médecin
+     */
+    static repartir(montant) {
+        const commission = arrondir(Number(montant) * Consts.COMPTABILITE_CONFIG.commissionPourcentage / 100);
+        return { commission, partMedecin: arrondir(Number(montant) - commission) };
+    }
+
+    static async enregistrerPaiement(tx, paiement, medecinId) {
+        const montant = Number(paiement.montant);
+        const { commission, partMedecin } = this.repartir(montant);
+
+        return await this.passerEcriture(tx, {
+            type: 'PAIEMENT',
+            cle: `PAIEMENT:${paiement.id}`,
+            libelle: `Consultation payée via ${paiement.operateur} (rendez-vous ${paiement.rendezVousId})`,
+            medecinId,
+            paiementId: paiement.id,
+            lignes: [
+                { compte: 'TRESORERIE', debit: montant },
+                { compte: 'MEDECINS_A_PAYER', medecinId, credit: partMedecin },
+                { compte: 'COMMISSIONS', medecinId, credit: commission }
+            ]
+        });
+    }
+
+    /**
+     * Remboursement dû au patient : repris sur la part du médecin et sur la commission
+     * au taux appliqué lors du paiement remboursé
+     */
+    static async enregistrerRemboursement(tx, remboursement, medecinId) {
+        const montant = Number(remboursement.montant);
+        const ecriturePaiement = await tx.ecritureComptable.findUnique({
+            where: { cle: `PAIEMENT:${remboursement.paiementId}` },
+            include: { lignes: true }
+        });
+
+        let commission = this.repartir(montant).commission;
+        if (ecriturePaiement) {
+            const encaisse = somme(ecriturePaiement.lignes.filter(ligne => ligne.compte === 'TRESORERIE'), 'debit');
+            const commissionPaiement = somme(ecriturePaiement.lignes.filter(ligne => ligne.compte === 'COMMISSIONS'), 'credit');
+            commission = encaisse > 0 ? arrondir(montant * commissionPaiement / encaisse) : 0;
+        }
+
+        return await this.passerEcriture(tx, {
+            type: 'REMBOURSEMENT',
+            cle: `REMBOURSEMENT:${remboursement.id}`,
+            libelle: `Remboursement dû au patient (rendez-vous ${remboursement.rendezVousId})`,
+            medecinId,
+            paiementId: remboursement.paiementId,
+            remboursementId: remboursement.id,
+            lignes: [
+                { compte: 'MEDECINS_A_PAYER', medecinId, debit: arrondir(montant - commission) },
+                { compte: 'COMMISSIONS', medecinId, debit: commission },
+                { compte: 'REMBOURSEMENTS_A_PAYER', credit: montant }
+            ]
+        });
+    }
+
+    static async enregistrerRemboursementEffectue(tx, remboursement, medecinId) {
+        const montant = Number(remboursement.montant);
+
+        return await this.passerEcriture(tx, {
+            type: 'REMBOURSEMENT_EFFECTUE',
+            cle: `REMBOURSEMENT_EFFECTUE:${remboursement.id}`,
+            libelle: `Remboursement versé au patient (rendez-vous ${remboursement.rendezVousId})`,
+            medecinId,
+            paiementId: remboursement.paiementId,
+            remboursementId: remboursement.id,
+            lignes: [
+                { compte: 'REMBOURSEMENTS_A_PAYER', debit: montant },
+                { compte: 'TRESORERIE', credit: montant }
+            ]
+        });
+    }
+
+    static async enregistrerVersement(tx, versement) {
+        const montant = Number(versement.montant);
+
+        return await this.passerEcriture(tx, {
+            type: 'VERSEMENT',
+            cle: `VERSEMENT:${versement.id}`,
+            libelle: `Versement au médecin${versement.operateur ? ` via ${versement.operateur}` : ''} (réf. ${versement.referenceOperateur})`,
+            medecinId: versement.medecinId,
+            versementId: versement.id,
+            lignes: [
+                { compte: 'MEDECINS_A_PAYER', medecinId: versement.medecinId, debit: montant },
+                { compte: 'TRESORERIE', credit: montant }
+            ]
+        });
+    }
+
+    /**
+     * Verrouille la ligne du médecin jusqu'à la fin de la transaction (SELECT ... FOR UPDATE) :
+     * deux versements simultanés au même médecin ne peuvent pas lire le même solde
+     */
+    static async verrouillerMedecin(tx, medecinId) {
+        await tx.$queryRaw`SELECT id FROM medecins WHERE id = ${medecinId} FOR UPDATE`;
+    }
+
+    /**
+     * Solde dû au médecin (gains nets moins versements), avant une date si précisée
+     * @param {Object} client - Client Prisma ou transaction
+     */
+    static async solde(client, medecinId, avant = null) {
+        const { _sum } = await client.ligneEcriture.aggregate({
+            where: {
+                compte: 'MEDECINS_A_PAYER',
+                medecinId,
+                ...(avant && { dateEcriture: { lt: avant } })
+            },
+            _sum: { debit: true, credit: true }
+        });
+
+        return arrondir(Number(_sum.credit || 0) - Number(_sum.debit || 0));
+    }
+
+    /**
+     * Relevé des gains d'un médecin sur [debut, fin[ : totaux de la période, relevés mensuels
+     * (mois calendaires UTC) et opérations les plus récentes
+     */
+    static async releve(medecinId, debut, fin) {
+        const [soldeOuverture, lignes] = await Promise.all([
+            this.solde(prisma, medecinId, debut),
+            prisma.ligneEcriture.findMany({
+                where: {
+                    medecinId,
+                    compte: { in: ['MEDECINS_A_PAYER', 'COMMISSIONS'] },
+                    dateEcriture: { gte: debut, lt: fin }
+                },
+                include: {
+                    ecriture: {
+                        select: { id: true, type: true, libelle: true, paiementId: true, remboursementId: true, versementId: true }
+                    }
+                },
+                orderBy: { dateEcriture: 'asc' }
+            })
+        ]);
+
+        const periodes = [];
+        let soldePeriode = soldeOuverture;
+        for (const [debutMois, finMois] of this.decouperParMois(debut, fin)) {
+            const totaux = this.totaliser(lignes.filter(ligne => ligne.dateEcriture >= debutMois && ligne.dateEcriture < finMois));
+            const soldeCloture = arrondir(soldePeriode + totaux.gainsNets - totaux.versements);
+
+            periodes.push({
+                mois: debutMois.toISOString().slice(0, 7),
+                debut: debutMois,
+                fin: finMois,
+                soldeOuverture: soldePeriode,
+                ...totaux,
+                soldeCloture
+            });
+            soldePeriode = soldeCloture;
+        }
+
+        const totaux = this.totaliser(lignes);
+
+        return {
+            debut,
+            fin,
+            soldeOuverture,
+            ...totaux,
+            soldeCloture: arrondir(soldeOuverture + totaux.gainsNets - totaux.versements),
+            periodes,
+            operations: this.operations(lignes).slice(0, Consts.COMPTABILITE_CONFIG.operationsMax)
+        };
+    }
+
+    /**
+     * Totaux d'un ensemble de lignes (sous-comptes MEDECINS_A_PAYER et COMMISSIONS d'un médecin)
+     * gainsNets = montantEncaisse - commission - remboursements
+     */
+    static totaliser(lignes) {
+        const selon = (type, compte) => lignes.filter(ligne => ligne.ecriture.type === type && ligne.compte === compte);
+        const gains = lignes.filter(ligne => ligne.compte === 'MEDECINS_A_PAYER' && ligne.ecriture.type !== 'VERSEMENT');
+
+        const montantEncaisse = arrondir(somme(selon('PAIEMENT', 'MEDECINS_A_PAYER'), 'credit') + somme(selon('PAIEMENT', 'COMMISSIONS'), 'credit'));
+        const remboursements = arrondir(somme(selon('REMBOURSEMENT', 'MEDECINS_A_PAYER'), 'debit') + somme(selon('REMBOURSEMENT', 'COMMISSIONS'), 'debit'));
+
+        return {
+            consultationsPayees: selon('PAIEMENT', 'MEDECINS_A_PAYER').length,
+            montantEncaisse,
+            commission: arrondir(somme(selon('PAIEMENT', 'COMMISSIONS'), 'credit') - somme(selon('REMBOURSEMENT', 'COMMISSIONS'), 'debit')),
+            remboursements,
+            nombreRemboursements: selon('REMBOURSEMENT', 'MEDECINS_A_PAYER').length,
+            gainsNets: arrondir(somme(gains, 'credit') - somme(gains, 'debit')),
+            versements: somme(selon('VERSEMENT', 'MEDECINS_A_PAYER'), 'debit')
+        };
+    }
+
+    /**
+     * Opérations du relevé (une par écriture, la plus récente en premier)
+     * montant : montant brut de l'opération, net : effet sur le solde du médecin
+     */
+    static operations(lignes) {
+        const parEcriture = new Map();
+
+        for (const ligne of lignes) {
+            const operation = parEcriture.get(ligne.ecriture.id) || {
+                id: ligne.ecriture.id,
+                date: ligne.dateEcriture,
+                type: ligne.ecriture.type,
+                libelle: ligne.ecriture.libelle,
+                paiementId: ligne.ecriture.paiementId,
+                remboursementId: ligne.ecriture.remboursementId,
+                versementId: ligne.ecriture.versementId,
+                montant: 0,
+                commission: 0,
+                net: 0
+            };
+
+            const mouvement = Number(ligne.credit) - Number(ligne.debit);
+            operation.montant = arrondir(operation.montant + Math.abs(mouvement));
+            if (ligne.compte === 'COMMISSIONS') {
+                operation.commission = arrondir(operation.commission + mouvement);
+            } else {
+                operation.net = arrondir(operation.net + mouvement);
+            }
+
+            parEcriture.set(ligne.ecriture.id, operation);
+        }
+
+        return [...parEcriture.values()].reverse();
+    }
+
+    /**
+     * Découpe [debut, fin[ en mois calendaires (UTC)
+     */
+    static decouperParMois(debut, fin) {
+        const mois = [];
+        let curseur = debut;
+
+        while (curseur < fin) {
+            const moisSuivant = new Date(Date.UTC(curseur.getUTCFullYear(), curseur.getUTCMonth() + 1, 1));
+            const finMois = moisSuivant < fin ? moisSuivant : fin;
+            mois.push([curseur, finMois]);
+            curseur = finMois;
+        }
+
+        return mois;
+    }
+}
+
+module.exports = ComptabiliteService;
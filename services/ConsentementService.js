@@ -0,0 +1,109 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+
+/**
+ * Portées du dossier médical qu'un patient peut ouvrir à un médecin
+ */
+const PORTEES = ['ALLERGIES', 'ANTECEDENTS', 'TRAITEMENTS', 'CONSULTATIONS', 'ORDONNANCES'];
+
+/**
+ * Service de gestion des consentements patient → médecin
+ */
+class ConsentementService {
+    static PORTEES = PORTEES;
+
+    /**
+     * Vérifie une liste de portées et retourne les valeurs inconnues
+     */
+    static getPorteesInvalides(portees) {
+        return portees.filter(portee => !PORTEES.includes(portee));
+    }
+
+    /**
+     * Un consentement est actif s'il est accordé et non expiré
+     */
+    static estActif(consentement, maintenant = new Date()) {
+        if (!consentement || consentement.statut !== 'ACCORDE') {
+            return false;
+        }
+        return !consentement.dateExpiration || new Date(consentement.dateExpiration) > maintenant;
+    }
+
+    /**
+     * Date à partir de laquelle le médecin peut de nouveau demander l'accès (null si aucune restriction)
+     * Délai courant à compter du dernier refus ou de la révocation du patient
+     */
+    static getProchaineDemandePossible(consentement, maintenant = new Date()) {
+        if (!consentement) {
+            return null;
+        }
+
+        const decisions = [
+            consentement.dateRefus,
+            consentement.statut === 'REVOQUE' ? consentement.dateRevocation : null
+        ].filter(Boolean).map(date => new Date(date).getTime());
+
+        if (decisions.length === 0) {
+            return null;
+        }
+
+        const prochaine = new Date(Math.max(...decisions) + Consts.CONSENTEMENT_CONFIG.delaiNouvelleDemandeJours * 24 * 60 * 60 * 1000);
+        return prochaine > maintenant ? prochaine : null;
+    }
+
+    /**
+     * Portées actuellement accordées par le patient au médecin ([] si aucune)
+     */
+    static async getPorteesActives(patientId, medecinId) {
+        const consentement = await prisma.consentementMedical.findUnique({
+            where: { patientId_medecinId: { patientId, medecinId } }
+        });
+
+        return this.estActif(consentement) ? (consentement.portees || []) : [];
+    }
+
+    /**
+     * Portées actives pour plusieurs patients d'un même médecin (Map patientId → portées)
+     */
+    static async getPorteesActivesParPatient(medecinId, patientIds) {
+        const consentements = await prisma.consentementMedical.findMany({
+            where: {
+                medecinId,
+                patientId: { in: patientIds },
+                statut: 'ACCORDE'
+            }
+        });
+
+        const maintenant = new Date();
+        return new Map(consentements
+            .filter(consentement => this.estActif(consentement, maintenant))
+            .map(consentement => [consentement.patientId, consentement.portees || []]));
+    }
+
+    /**
+     * Formate un consentement pour les réponses API
+     */
+    static format(consentement) {
+        const expire = consentement.statut === 'ACCORDE' && !this.estActif(consentement);
+
+        return {
+            id: consentement.id,
+            statut: expire ? 'EXPIRE' : consentement.statut,
+            actif: this.estActif(consentement),
+            portees: consentement.portees || [],
+            dateExpiration: consentement.dateExpiration,
+            dateAccord: consentement.dateAccord,
+            dateRevocation: consentement.dateRevocation,
+            dateRefus: consentement.dateRefus,
+            demandeEnCours: consentement.porteesDemandees ? {
+                portees: consentement.porteesDemandees,
+                motif: consentement.motifDemande,
+                rendezVousId: consentement.rendezVousId,
+                dateDemande: consentement.dateDemande
+            } : null,
+            updatedAt: consentement.updatedAt
+        };
+    }
+}
+
+module.exports = ConsentementService;
@@ -1,3 +1,5 @@
+const Consts = require('../config/const');
+
 /**
  * Service pour masquer partiellement les informations de contact
  * selon le statut de confirmation du rendez-vous
@@ -59,6 +61,11 @@ class ContactMaskingService {
      * @returns {boolean} True si les contacts doivent être masqués
      */
     static shouldMaskContacts(statutRendezVous, userRole) {
+        // Masquage permanent : patient et médecin échangent uniquement via la messagerie du rendez-vous
+        if (this.isPermanentMaskingEnabled()) {
+            return true;
+        }
+
         // Les contacts sont masqués tant que le médecin n'a pas confirmé
         // Statuts où les contacts restent masqués : DEMANDE, EN_ATTENTE
         // Statuts où les contacts sont visibles : CONFIRME, EN_COURS, TERMINE, ANNULE, REFUSE
@@ -68,6 +75,24 @@ class ContactMaskingService {
         return !statutsAvecContactsVisibles.includes(statutRendezVous);
     }
 
+    /**
+     * Indique si les contacts restent masqués quel que soit le statut du rendez-vous
+     * @returns {boolean} True si MESSAGERIE_CONFIG.masquerContacts est activé
+     */
+    static isPermanentMaskingEnabled() {
+        return Consts.MESSAGERIE_CONFIG.masquerContacts;
+    }
+
+    /**
+     * Masque un téléphone affiché hors de la liste des rendez-vous (réponses, tableau de bord)
+     * uniquement si le masquage permanent est activé
+     * @param {string} telephone - Le numéro de téléphone
+     * @returns {string} Le numéro, masqué si nécessaire
+     */
+    static maskPhoneIfPermanent(telephone) {
+        return this.isPermanentMaskingEnabled() ? this.maskPhone(telephone) : telephone;
+    }
+
     /**
      * Applique le masquage des contacts selon les règles métier
      * @param {Object} contactInfo - Les informations de contact
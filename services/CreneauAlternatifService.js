@@ -0,0 +1,215 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const RappelService = require('./RappelService');
+const ListeAttenteService = require('./ListeAttenteService');
+const VisiteDomicileService = require('./VisiteDomicileService');
+
+const MINUTE_MS = 60 * 1000;
+const STATUTS_RDV_OCCUPES = ['CONFIRME', 'EN_ATTENTE', 'DEMANDE'];
+
+const jourIso = (date) => new Date(date).toISOString().split('T')[0];
+const enMinutes = (heure) => {
+    const [heures, minutes] = heure.split(':').map(Number);
+    return heures * 60 + minutes;
+};
+
+/**
+ * Créneaux alternatifs proposés par le médecin lorsqu'il refuse une demande de rendez-vous
+ * Ils ne sont pas réservés : le premier qui prend le créneau l'emporte, et la proposition tombe
+ * dès que le créneau est pris par quelqu'un d'autre ou que l'échéance est passée
+ */
+class CreneauAlternatifService {
+    static STATUTS = ['PROPOSE', 'ACCEPTE', 'PRIS', 'EXPIRE'];
+
+    /**
+     * Valide les créneaux proposés avec le refus d'une demande
+     * La durée est celle de la demande refusée ; le tarif suit le type de consultation
+     * @param {Object} rendezVous - Demande refusée, avec le médecin
+     * @param {Array} creneauxAlternatifs - [{ dateHeureDebut, typeConsultation? }]
+     * @returns {Object} { erreurs, creneaux }
+     */
+    static preparer(rendezVous, creneauxAlternatifs) {
+        const { maxCreneaux, delaiMinimalAvantRdvMinutes } = Consts.CRENEAUX_ALTERNATIFS_CONFIG;
+        const erreurs = [];
+        const creneaux = [];
+        const duree = (enMinutes(rendezVous.heureFin) - enMinutes(rendezVous.heureDebut)) || 30;
+        const margeMinimale = Date.now() + delaiMinimalAvantRdvMinutes * MINUTE_MS;
+
+        if (creneauxAlternatifs.length > maxCreneaux) {
+            return { erreurs: [`${maxCreneaux} créneaux alternatifs au maximum`], creneaux };
+        }
+
+        const typeAutorise = {
+            'CLINIQUE': rendezVous.medecin.accepteclinique,
+            'DOMICILE': rendezVous.medecin.accepteDomicile,
+            'TELECONSULTATION': rendezVous.medecin.accepteTeleconsultation
+        };
+
+        creneauxAlternatifs.forEach((creneau, index) => {
+            const debut = new Date(creneau?.dateHeureDebut);
+            const typeConsultation = creneau?.typeConsultation || rendezVous.typeConsultation;
+
+            if (typeof creneau?.dateHeureDebut !== 'string' || isNaN(debut.getTime())) {
+                erreurs.push(`Créneau ${index + 1}: dateHeureDebut invalide`);
+                return;
+            }
+            if (debut.getTime() < margeMinimale) {
+                erreurs.push(`Créneau ${index + 1}: le créneau doit être au minimum ${delaiMinimalAvantRdvMinutes / 60}h à l'avance`);
+                return;
+            }
+            if (!typeAutorise[typeConsultation]) {
+                erreurs.push(`Créneau ${index + 1}: vous ne proposez pas de consultation de type ${typeConsultation}`);
+                return;
+            }
+            if (typeConsultation === 'DOMICILE' && !rendezVous.adresseConsultation) {
+                erreurs.push(`Créneau ${index + 1}: consultation à domicile impossible sans adresse du patient`);
+                return;
+            }
+
+            const fin = new Date(debut.getTime() + duree * MINUTE_MS);
+            if (jourIso(fin) !== jourIso(debut)) {
+                erreurs.push(`Créneau ${index + 1}: le rendez-vous doit se terminer le même jour`);
+                return;
+            }
+
+            const tarif = this.calculerTarif(rendezVous, typeConsultation);
+            if (tarif === null) {
+                erreurs.push(`Créneau ${index + 1}: le domicile du patient est hors de votre zone d'intervention`);
+                return;
+            }
+
+            const heureDebut = debut.toISOString().slice(11, 16);
+            if (creneaux.some(c => jourIso(c.dateRendezVous) === jourIso(debut) && c.heureDebut === heureDebut)) {
+                erreurs.push(`Créneau ${index + 1}: proposé deux fois`);
+                return;
+            }
+
+            creneaux.push({
+                dateRendezVous: new Date(jourIso(debut)),
+                heureDebut,
+                heureFin: fin.toISOString().slice(11, 16),
+                typeConsultation,
+                tarif,
+                expireLe: this.calculerExpiration(debut)
+            });
+        });
+
+        return { erreurs, creneaux };
+    }
+
+    /**
+     * Tarif de la demande refusée si le type est inchangé, sinon recalculé comme pour une demande de RDV
+     * @returns {number|null} null si le domicile de la demande est hors de la zone d'intervention
+     */
+    static calculerTarif(rendezVous, typeConsultation) {
+        if (typeConsultation === rendezVous.typeConsultation && rendezVous.tarif !== null) {
+            return Number(rendezVous.tarif);
+        }
+
+        const { couvert, tarif } = VisiteDomicileService.calculerTarif(rendezVous.medecin, typeConsultation, {
+            latitude: rendezVous.latitudeDomicile,
+            longitude: rendezVous.longitudeDomicile,
+            commune: rendezVous.communeDomicile
+        });
+        return couvert ? tarif : null;
+    }
+
+    /**
+     * Échéance : délai de réponse, et au plus tard la marge minimale avant le créneau
+     */
+    static calculerExpiration(debut) {
+        const { delaiReponseHeures, delaiMinimalAvantRdvMinutes } = Consts.CRENEAUX_ALTERNATIFS_CONFIG;
+        return new Date(Math.min(
+            Date.now() + delaiReponseHeures * 60 * MINUTE_MS,
+            debut.getTime() - delaiMinimalAvantRdvMinutes * MINUTE_MS
+        ));
+    }
+
+    /**
+     * Le créneau est-il pris (rendez-vous du médecin, offre de liste d'attente ou autre rendez-vous du patient) ?
+     */
+    static async creneauPris(client, creneau, patientId) {
+        if (await ListeAttenteService.creneauOccupe(client, {
+            medecinId: creneau.proposeParMedecinId,
+            dateRendezVous: creneau.dateRendezVous,
+            heureDebut: creneau.heureDebut,
+            heureFin: creneau.heureFin
+        })) {
+            return true;
+        }
+
+        const rendezVousPatient = await client.rendezVous.findFirst({
+            where: {
+                patientId,
+                dateRendezVous: creneau.dateRendezVous,
+                statut: { in: STATUTS_RDV_OCCUPES },
+                heureDebut: { lt: creneau.heureFin },
+                heureFin: { gt: creneau.heureDebut }
+            },
+            select: { id: true }
+        });
+
+        return !!rendezVousPatient;
+    }
+
+    /**
+     * Créneaux alternatifs d'une demande refusée, après clôture de ceux pris entre-temps
+     */
+    static async lister(rendezVousRefuse) {
+        const creneaux = await prisma.creneauAlternatif.findMany({
+            where: { rendezVousRefuseId: rendezVousRefuse.id },
+            orderBy: [{ dateRendezVous: 'asc' }, { heureDebut: 'asc' }]
+        });
+
+        const maintenant = new Date();
+        for (const creneau of creneaux) {
+            if (creneau.statut !== 'PROPOSE' || creneau.expireLe <= maintenant) {
+                continue;
+            }
+            if (await this.creneauPris(prisma, creneau, rendezVousRefuse.patientId)) {
+                await prisma.creneauAlternatif.updateMany({
+                    where: { id: creneau.id, statut: 'PROPOSE' },
+                    data: { statut: 'PRIS' }
+                });
+                creneau.statut = 'PRIS';
+            }
+        }
+
+        return creneaux;
+    }
+
+    /**
+     * Créneaux alternatifs dont l'échéance est passée (tâche du worker)
+     */
+    static async expirer() {
+        const { count } = await prisma.creneauAlternatif.updateMany({
+            where: { statut: 'PROPOSE', expireLe: { lte: new Date() } },
+            data: { statut: 'EXPIRE' }
+        });
+
+        if (count > 0) {
+            console.log(`⏳ ${count} créneau(x) alternatif(s) expiré(s)`);
+        }
+        return count;
+    }
+
+    static format(creneau) {
+        const disponible = creneau.statut === 'PROPOSE' && creneau.expireLe > new Date();
+
+        return {
+            id: creneau.id,
+            dateRendezVous: creneau.dateRendezVous,
+            heureDebut: creneau.heureDebut,
+            heureFin: creneau.heureFin,
+            dateHeureDebut: RappelService.getDateHeureDebut(creneau),
+            typeConsultation: creneau.typeConsultation,
+            tarif: creneau.tarif !== null ? Number(creneau.tarif) : null,
+            statut: creneau.statut === 'PROPOSE' && !disponible ? 'EXPIRE' : creneau.statut,
+            disponible,
+            expireLe: creneau.expireLe,
+            rendezVousId: creneau.rendezVousId
+        };
+    }
+}
+
+module.exports = CreneauAlternatifService;
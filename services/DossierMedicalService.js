@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+
+const SEVERITES_ALLERGIE = ['LEGERE', 'MODEREE', 'SEVERE', 'ANAPHYLACTIQUE'];
+const TYPES_ANTECEDENT = ['MEDICAL', 'CHIRURGICAL', 'FAMILIAL', 'AUTRE'];
+const GROUPES_SANGUINS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Champs versionnés du dossier médical
+const CHAMPS_DOSSIER = ['allergies', 'antecedentsMedicaux', 'traitementsEnCours', 'groupeSanguin', 'poids', 'taille'];
+const CHAMPS_LISTES = ['allergies', 'antecedentsMedicaux', 'traitementsEnCours'];
+
+// Champ principal de chaque type d'entrée, utilisé pour reprendre le texte libre historique
+const CHAMP_PRINCIPAL = {
+    allergies: 'substance',
+    antecedentsMedicaux: 'libelle',
+    traitementsEnCours: 'medicament'
+};
+
+// Portée de consentement nécessaire pour voir chaque liste
+const PORTEE_PAR_CHAMP = {
+    allergies: 'ALLERGIES',
+    antecedentsMedicaux: 'ANTECEDENTS',
+    traitementsEnCours: 'TRAITEMENTS'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Service du dossier médical structuré et de son historique de versions
+ * Allergies, antécédents et traitements sont stockés chiffrés sous forme de listes d'entrées
+ */
+class DossierMedicalService {
+    static SEVERITES_ALLERGIE = SEVERITES_ALLERGIE;
+    static TYPES_ANTECEDENT = TYPES_ANTECEDENT;
+    static CHAMPS_DOSSIER = CHAMPS_DOSSIER;
+
+    /**
+     * Convertit une valeur stockée en liste d'entrées
+     * Le texte libre saisi avant la structuration devient une entrée unique marquée TEXTE_LIBRE
+     */
+    static normaliserListe(champ, valeur) {
+        if (valeur === null || valeur === undefined || valeur === '') {
+            return [];
+        }
+        if (Array.isArray(valeur)) {
+            return valeur;
+        }
+        if (typeof valeur === 'string') {
+            return [{ id: null, [CHAMP_PRINCIPAL[champ]]: valeur.trim(), origine: 'TEXTE_LIBRE' }];
+        }
+        return [valeur];
+    }
+
+    /**
+     * État courant du dossier à partir d'un enregistrement Patient ou d'une version
+     */
+    static getEtat(source) {
+        return {
+            allergies: this.normaliserListe('allergies', source.allergies),
+            antecedentsMedicaux: this.normaliserListe('antecedentsMedicaux', source.antecedentsMedicaux),
+            traitementsEnCours: this.normaliserListe('traitementsEnCours', source.traitementsEnCours),
+            groupeSanguin: source.groupeSanguin || null,
+            poids: source.poids !== null && source.poids !== undefined ? Number(source.poids) : null,
+            taille: source.taille !== null && source.taille !== undefined ? source.taille : null
+        };
+    }
+
+    static _texte(entree, champ, index, erreurs, { requis = false, max = 200 } = {}) {
+        const valeur = entree[champ];
+        if (valeur === undefined || valeur === null || valeur === '') {
+            if (requis) {
+                erreurs.push(`${index}.${champ} est obligatoire`);
+            }
+            return null;
+        }
+        if (typeof valeur !== 'string') {
+            erreurs.push(`${index}.${champ} doit être une chaîne de caractères`);
+            return null;
+        }
+        if (valeur.trim().length > max) {
+            erreurs.push(`${index}.${champ} ne peut pas dépasser ${max} caractères`);
+        }
+        return valeur.trim();
+    }
+
+    static _date(entree, champ, index, erreurs, { requis = false } = {}) {
+        const valeur = entree[champ];
+        if (valeur === undefined || valeur === null || valeur === '') {
+            if (requis) {
+                erreurs.push(`${index}.${champ} est obligatoire`);
+            }
+            return null;
+        }
+        if (typeof valeur !== 'string' || !DATE_PATTERN.test(valeur) || isNaN(new Date(valeur).getTime())) {
+            erreurs.push(`${index}.${champ} doit être une date au format AAAA-MM-JJ`);
+            return null;
+        }
+        return valeur;
+    }
+
+    static _id(entree) {
+        return typeof entree.id === 'string' && entree.id ? entree.id : crypto.randomUUID();
+    }
+
+    static _validerAllergie(entree, index, erreurs) {
+        const severite = entree.severite;
+        if (!SEVERITES_ALLERGIE.includes(severite)) {
+            erreurs.push(`${index}.severite doit être l'une des valeurs suivantes: ${SEVERITES_ALLERGIE.join(', ')}`);
+        }
+
+        return {
+            id: this._id(entree),
+            substance: this._texte(entree, 'substance', index, erreurs, { requis: true }),
+            severite,
+            reaction: this._texte(entree, 'reaction', index, erreurs, { max: 500 }),
+            notes: this._texte(entree, 'notes', index, erreurs, { max: 1000 })
+        };
+    }
+
+    static _validerAntecedent(entree, index, erreurs) {
+        const anneeCourante = new Date().getFullYear();
+        const annee = entree.annee;
+        if (!Number.isInteger(annee) || annee < 1900 || annee > anneeCourante) {
+            erreurs.push(`${index}.annee doit être une année entre 1900 et ${anneeCourante}`);
+        }
+
+        const type = entree.type === undefined || entree.type === null ? 'MEDICAL' : entree.type;
+        if (!TYPES_ANTECEDENT.includes(type)) {
+            erreurs.push(`${index}.type doit être l'une des valeurs suivantes: ${TYPES_ANTECEDENT.join(', ')}`);
+        }
+
+        return {
+            id: this._id(entree),
+            libelle: this._texte(entree, 'libelle', index, erreurs, { requis: true }),
+            type,
+            annee,
+            notes: this._texte(entree, 'notes', index, erreurs, { max: 1000 })
+        };
+    }
+
+    static _validerTraitement(entree, index, erreurs) {
+        const dateDebut = this._date(entree, 'dateDebut', index, erreurs, { requis: true });
+        const dateFin = this._date(entree, 'dateFin', index, erreurs);
+        if (dateDebut && dateFin && dateFin < dateDebut) {
+            erreurs.push(`${index}.dateFin doit être postérieure ou égale à dateDebut`);
+        }
+
+        return {
+            id: this._id(entree),
+            medicament: this._texte(entree, 'medicament', index, erreurs, { requis: true }),
+            dosage: this._texte(entree, 'dosage', index, erreurs, { requis: true, max: 100 }),
+            frequence: this._texte(entree, 'frequence', index, erreurs, { max: 100 }),
+            dateDebut,
+            dateFin,
+            notes: this._texte(entree, 'notes', index, erreurs, { max: 1000 })
+        };
+    }
+
+    /**
+     * Valide et normalise les champs du dossier fournis par le client
+     * Retourne { erreurs, modifications } ; seules les clés présentes sont reprises
+     */
+    static valider(donnees) {
+        const erreurs = [];
+        const modifications = {};
+        const validateurs = {
+            allergies: this._validerAllergie,
+            antecedentsMedicaux: this._validerAntecedent,
+            traitementsEnCours: this._validerTraitement
+        };
+
+        CHAMPS_LISTES.forEach(champ => {
+            if (donnees[champ] === undefined) {
+                return;
+            }
+            if (!Array.isArray(donnees[champ])) {
+                erreurs.push(`${champ} doit être un tableau`);
+                return;
+            }
+            if (donnees[champ].length > 50) {
+                erreurs.push(`${champ} ne peut pas contenir plus de 50 entrées`);
+                return;
+            }
+
+            modifications[champ] = donnees[champ].map((entree, i) => {
+                if (!entree || typeof entree !== 'object' || Array.isArray(entree)) {
+                    erreurs.push(`${champ}[${i}] doit être un objet`);
+                    return null;
+                }
+                return validateurs[champ].call(this, entree, `${champ}[${i}]`, erreurs);
+            });
+        });
+
+        if (donnees.groupeSanguin !== undefined) {
+            if (donnees.groupeSanguin !== null && !GROUPES_SANGUINS.includes(donnees.groupeSanguin)) {
+                erreurs.push(`groupeSanguin doit être l'une des valeurs suivantes: ${GROUPES_SANGUINS.join(', ')}`);
+            }
+            modifications.groupeSanguin = donnees.groupeSanguin;
+        }
+
+        if (donnees.poids !== undefined) {
+            const poids = donnees.poids === null ? null : Number(donnees.poids);
+            if (poids !== null && (!Number.isFinite(poids) || poids < 1 || poids > 500)) {
+                erreurs.push('poids doit être compris entre 1 et 500 kg');
+            }
+            modifications.poids = poids !== null ? Math.round(poids * 100) / 100 : null;
+        }
+
+        if (donnees.taille !== undefined) {
+            const taille = donnees.taille === null ? null : Number(donnees.taille);
+            if (taille !== null && (!Number.isInteger(taille) || taille < 30 || taille > 250)) {
+                erreurs.push('taille doit être un entier compris entre 30 et 250 cm');
+            }
+            modifications.taille = taille;
+        }
+
+        return { erreurs, modifications };
+    }
+
+    static _estRenseigne(etat) {
+        return CHAMPS_DOSSIER.some(champ => CHAMPS_LISTES.includes(champ) ? etat[champ].length > 0 : etat[champ] !== null);
+    }
+
+    /**
+     * Applique une modification du dossier et enregistre la nouvelle version
+     * Doit être appelé dans une transaction Prisma (la lecture de la dernière version et l'écriture restent cohérentes)
+     */
+    static async enregistrerModification(tx, patientId, modifications, { auteur, motif = null, versionAttendue } = {}) {
+        const patient = await tx.patient.findUnique({
+            where: { id: patientId },
+            select: Object.fromEntries(CHAMPS_DOSSIER.map(champ => [champ, true]))
+        });
+
+        const derniere = await tx.dossierMedicalVersion.findFirst({
+            where: { patientId },
+            orderBy: { version: 'desc' },
+            select: { version: true }
+        });
+        let versionCourante = derniere ? derniere.version : 0;
+
+        if (versionAttendue !== undefined && versionAttendue !== versionCourante) {
+            const error = new Error('Le dossier médical a été modifié entre-temps');
+            error.code = 'VERSION_CONFLICT';
+            error.versionCourante = versionCourante;
+            throw error;
+        }
+
+        const avant = this.getEtat(patient);
+        const apres = { ...avant, ...modifications };
+        const champsModifies = CHAMPS_DOSSIER.filter(champ =>
+            champ in modifications && JSON.stringify(avant[champ]) !== JSON.stringify(apres[champ])
+        );
+
+        if (champsModifies.length === 0) {
+            return { version: versionCourante, champsModifies, etat: avant };
+        }
+
+        // La première modification historisée conserve l'état antérieur du dossier
+        if (versionCourante === 0 && this._estRenseigne(avant)) {
+            versionCourante = 1;
+            await tx.dossierMedicalVersion.create({
+                data: {
+                    patientId,
+                    version: versionCourante,
+                    ...avant,
+                    champsModifies: [],
+                    motif: 'État initial du dossier'
+                }
+            });
+        }
+
+        await tx.patient.update({
+            where: { id: patientId },
+            data: Object.fromEntries(champsModifies.map(champ => [champ, apres[champ]]))
+        });
+
+        const version = await tx.dossierMedicalVersion.create({
+            data: {
+                patientId,
+                version: versionCourante + 1,
+                ...apres,
+                champsModifies,
+                modifieParUserId: auteur ? auteur.id : null,
+                roleAuteur: auteur ? auteur.role : null,
+                motif: motif ? motif.slice(0, 255) : null
+            }
+        });
+
+        return { version: version.version, champsModifies, etat: apres };
+    }
+
+    /**
+     * Formate une version pour les réponses API
+     * Avec des portées de consentement, les listes non autorisées sont masquées
+     */
+    static formatVersion(version, portees = null) {
+        const etat = this.getEtat(version);
+
+        if (portees) {
+            CHAMPS_LISTES.forEach(champ => {
+                if (!portees.includes(PORTEE_PAR_CHAMP[champ])) {
+                    delete etat[champ];
+                }
+            });
+        }
+
+        return {
+            version: version.version,
+            date: version.createdAt,
+            champsModifies: portees
+                ? version.champsModifies.filter(champ => !PORTEE_PAR_CHAMP[champ] || portees.includes(PORTEE_PAR_CHAMP[champ]))
+                : version.champsModifies,
+            motif: version.motif,
+            auteur: version.modifiePar ? {
+                id: version.modifiePar.id,
+                nom: version.modifiePar.nom,
+                prenom: version.modifiePar.prenom,
+                role: version.roleAuteur
+            } : null,
+            dossier: etat
+        };
+    }
+}
+
+module.exports = DossierMedicalService;
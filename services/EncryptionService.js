@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const Consts = require('../config/const');
+
+// Champs marqués "Chiffré" dans prisma/schema.prisma
+// Les champs chiffrés ne peuvent pas être utilisés dans les filtres (where, orderBy)
+const ENCRYPTED_FIELDS = {
+    Patient: ['allergies', 'antecedentsMedicaux', 'traitementsEnCours'],
+    Consultation: ['diagnostic', 'notesConsultation', 'examensEffectues', 'examensPrescrits'],
+    Ordonnance: ['contenuOrdonnance', 'medicaments', 'posologie'],
+    DossierMedicalVersion: ['allergies', 'antecedentsMedicaux', 'traitementsEnCours'],
+    MessageRendezVous: ['contenu']
+};
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+// Format stocké : enc:v1:<idClé>:<iv>:<tag>:<données> (base64)
+const ENCRYPTED_PATTERN = /^enc:v1:([A-Za-z0-9_-]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+/**
+ * Service de chiffrement applicatif des données médicales (AES-256-GCM)
+ * Utilisé de manière transparente par l'extension Prisma de prisma/client.js
+ */
+class EncryptionService {
+    static ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+
+    static _keyring = null;
+    static _models = null;
+
+    /**
+     * Charge les clés depuis Consts.FIELD_ENCRYPTION_KEYS ("id:secret,id:secret")
+     * La première clé est la clé active, les suivantes servent uniquement au déchiffrement
+     */
+    static _getKeyring() {
+        if (this._keyring) {
+            return this._keyring;
+        }
+
+        if (!Consts.FIELD_ENCRYPTION_KEYS) {
+            throw new Error('Clés de chiffrement des données médicales non configurées (FIELD_ENCRYPTION_KEYS_*)');
+        }
+
+        const keys = new Map();
+        let activeKeyId = null;
+
+        Consts.FIELD_ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+            const separateur = entry.indexOf(':');
+            const id = entry.slice(0, separateur);
+            const secret = entry.slice(separateur + 1);
+
+            if (separateur <= 0 || !/^[A-Za-z0-9_-]+$/.test(id) || secret.length < 32) {
+                throw new Error(`Clé de chiffrement invalide "${id || entry.slice(0, 8)}" : format attendu id:secret (32 caractères minimum)`);
+            }
+
+            keys.set(id, Buffer.from(crypto.hkdfSync('sha256', secret, 'malaika-field-encryption', id, 32)));
+            activeKeyId = activeKeyId || id;
+        });
+
+        if (!activeKeyId) {
+            throw new Error('Aucune clé de chiffrement valide dans FIELD_ENCRYPTION_KEYS');
+        }
+
+        this._keyring = { activeKeyId, keys };
+        return this._keyring;
+    }
+
+    static getActiveKeyId() {
+        return this._getKeyring().activeKeyId;
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+    }
+
+    /**
+     * Identifiant de la clé ayant chiffré une valeur (null si valeur en clair)
+     */
+    static getKeyId(value) {
+        const match = typeof value === 'string' ? value.match(ENCRYPTED_PATTERN) : null;
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Indique si une valeur doit être (re)chiffrée : en clair ou chiffrée avec une ancienne clé
+     */
+    static needsReencryption(value) {
+        if (value === null || value === undefined) {
+            return false;
+        }
+        return this.getKeyId(value) !== this.getActiveKeyId();
+    }
+
+    /**
+     * Chiffre une valeur (texte ou JSON) avec la clé active
+     */
+    static encrypt(value) {
+        const { activeKeyId, keys } = this._getKeyring();
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+
+        // Les valeurs sont sérialisées en JSON pour restituer aussi bien du texte que des objets
+        const donnees = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return [
+            'enc',
+            VERSION,
+            activeKeyId,
+            iv.toString('base64'),
+            cipher.getAuthTag().toString('base64'),
+            donnees.toString('base64')
+        ].join(':');
+    }
+
+    /**
+     * Déchiffre une valeur ; les valeurs en clair (avant migration) sont retournées telles quelles
+     */
+    static decrypt(value) {
+        const match = typeof value === 'string' ? value.match(ENCRYPTED_PATTERN) : null;
+        if (!match) {
+            return value;
+        }
+
+        const [, keyId, iv, tag, donnees] = match;
+        const key = this._getKeyring().keys.get(keyId);
+
+        if (!key) {
+            throw new Error(`Clé de chiffrement "${keyId}" introuvable : conservez les anciennes clés dans FIELD_ENCRYPTION_KEYS jusqu'à la fin de la migration`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+        const clair = Buffer.concat([decipher.update(Buffer.from(donnees, 'base64')), decipher.final()]);
+        return JSON.parse(clair.toString('utf8'));
+    }
+
+    /**
+     * Champs relationnels et types scalaires de chaque modèle (depuis le DMMF Prisma)
+     */
+    static _getModel(modelName) {
+        if (!this._models) {
+            this._models = {};
+            Prisma.dmmf.datamodel.models.forEach(model => {
+                this._models[model.name] = {
+                    relations: Object.fromEntries(model.fields.filter(field => field.kind === 'object').map(field => [field.name, field.type])),
+                    types: Object.fromEntries(model.fields.filter(field => field.kind === 'scalar').map(field => [field.name, field.type]))
+                };
+            });
+        }
+        return this._models[modelName] || { relations: {}, types: {} };
+    }
+
+    static _encryptValue(value, type) {
+        if (value === null || value === undefined || value === Prisma.DbNull || value === Prisma.JsonNull) {
+            return value;
+        }
+
+        // Opération { set: valeur } sur un champ texte
+        if (type === 'String' && typeof value === 'object' && 'set' in value) {
+            return { ...value, set: this._encryptValue(value.set, type) };
+        }
+
+        return this.isEncrypted(value) ? value : this.encrypt(value);
+    }
+
+    /**
+     * Chiffre les champs sensibles d'un objet "data", y compris dans les écritures imbriquées
+     */
+    static encryptData(modelName, data) {
+        if (Array.isArray(data)) {
+            return data.map(item => this.encryptData(modelName, item));
+        }
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+
+        const champs = ENCRYPTED_FIELDS[modelName] || [];
+        const { relations, types } = this._getModel(modelName);
+        const resultat = { ...data };
+
+        Object.keys(data).forEach(cle => {
+            if (champs.includes(cle)) {
+                resultat[cle] = this._encryptValue(data[cle], types[cle]);
+            } else if (relations[cle] && data[cle] && typeof data[cle] === 'object') {
+                resultat[cle] = this._encryptNestedWrite(relations[cle], data[cle]);
+            }
+        });
+
+        return resultat;
+    }
+
+    /**
+     * Écritures imbriquées : create, createMany, connectOrCreate, update, updateMany, upsert
+     */
+    static _encryptNestedWrite(modelName, operations) {
+        const pourChaque = (valeur, transformer) => Array.isArray(valeur) ? valeur.map(transformer) : transformer(valeur);
+        // update accepte soit directement les données (relation 1-1), soit { where, data }
+        const avecData = (valeur) => valeur && typeof valeur === 'object' && 'data' in valeur
+            ? { ...valeur, data: this.encryptData(modelName, valeur.data) }
+            : this.encryptData(modelName, valeur);
+        const resultat = { ...operations };
+
+        if (operations.create) {
+            resultat.create = this.encryptData(modelName, operations.create);
+        }
+        if (operations.createMany) {
+            resultat.createMany = avecData(operations.createMany);
+        }
+        if (operations.connectOrCreate) {
+            resultat.connectOrCreate = pourChaque(operations.connectOrCreate, item => ({
+                ...item,
+                create: this.encryptData(modelName, item.create)
+            }));
+        }
+        if (operations.update) {
+            resultat.update = pourChaque(operations.update, avecData);
+        }
+        if (operations.updateMany) {
+            resultat.updateMany = pourChaque(operations.updateMany, avecData);
+        }
+        if (operations.upsert) {
+            resultat.upsert = pourChaque(operations.upsert, item => ({
+                ...item,
+                create: this.encryptData(modelName, item.create),
+                update: this.encryptData(modelName, item.update)
+            }));
+        }
+
+        return resultat;
+    }
+
+    /**
+     * Prépare les arguments d'une requête Prisma avant exécution
+     */
+    static encryptArgs(modelName, operation, args) {
+        if (!args) {
+            return args;
+        }
+
+        switch (operation) {
+            case 'create':
+            case 'createMany':
+            case 'createManyAndReturn':
+            case 'update':
+            case 'updateMany':
+            case 'updateManyAndReturn':
+                return args.data ? { ...args, data: this.encryptData(modelName, args.data) } : args;
+            case 'upsert':
+                return {
+                    ...args,
+                    create: this.encryptData(modelName, args.create),
+                    update: this.encryptData(modelName, args.update)
+                };
+            default:
+                return args;
+        }
+    }
+
+    /**
+     * Déchiffre un résultat Prisma, y compris les relations incluses
+     */
+    static decryptResult(modelName, result) {
+        if (Array.isArray(result)) {
+            return result.map(item => this.decryptResult(modelName, item));
+        }
+        if (!result || typeof result !== 'object' || result instanceof Date) {
+            return result;
+        }
+
+        const champs = ENCRYPTED_FIELDS[modelName] || [];
+        const { relations } = this._getModel(modelName);
+
+        Object.keys(result).forEach(cle => {
+            if (champs.includes(cle)) {
+                result[cle] = this.decrypt(result[cle]);
+            } else if (relations[cle]) {
+                result[cle] = this.decryptResult(relations[cle], result[cle]);
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = EncryptionService;
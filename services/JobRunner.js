@@ -0,0 +1,76 @@
+/**
+ * Exécution périodique des tâches de fond (processus worker)
+ *
+ * - Une tâche n'est jamais relancée tant que son exécution précédente n'est pas terminée
+ * - L'arrêt attend la fin des exécutions en cours
+ * - La sûreté entre plusieurs processus repose sur les tâches elles-mêmes (réservation en base)
+ */
+class JobRunner {
+    static jobs = new Map();
+    static enCours = new Set();
+    static arrete = false;
+
+    /**
+     * Enregistrer une tâche
+     * @param {string} nom - Nom de la tâche (logs)
+     * @param {number} intervalleMs - Délai entre la fin d'une exécution et le début de la suivante
+     * @param {Function} tache - Fonction asynchrone à exécuter
+     */
+    static register(nom, intervalleMs, tache) {
+        if (this.jobs.has(nom)) {
+            throw new Error(`Tâche ${nom} déjà enregistrée`);
+        }
+        this.jobs.set(nom, { nom, intervalleMs, tache, timer: null, derniereExecution: null });
+    }
+
+    static start() {
+        this.arrete = false;
+        for (const job of this.jobs.values()) {
+            console.log(`⏱️ Tâche ${job.nom} planifiée toutes les ${Math.round(job.intervalleMs / 1000)}s`);
+            this._planifier(job, 0);
+        }
+    }
+
+    static _planifier(job, delai) {
+        if (this.arrete) {
+            return;
+        }
+        job.timer = setTimeout(() => this._executer(job), delai);
+    }
+
+    static async _executer(job) {
+        const execution = (async () => {
+            const debut = Date.now();
+            try {
+                await job.tache();
+            } catch (error) {
+                console.error(`❌ Erreur tâche ${job.nom}:`, error);
+            } finally {
+                job.derniereExecution = new Date();
+                const duree = Date.now() - debut;
+                if (duree > job.intervalleMs) {
+                    console.warn(`⚠️ Tâche ${job.nom} plus longue que son intervalle (${duree}ms)`);
+                }
+            }
+        })();
+
+        this.enCours.add(execution);
+        await execution;
+        this.enCours.delete(execution);
+
+        this._planifier(job, job.intervalleMs);
+    }
+
+    /**
+     * Arrêter la planification et attendre la fin des exécutions en cours
+     */
+    static async stop() {
+        this.arrete = true;
+        for (const job of this.jobs.values()) {
+            clearTimeout(job.timer);
+        }
+        await Promise.all([...this.enCours]);
+    }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,362 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const NotificationService = require('./NotificationService');
+const RappelService = require('./RappelService');
+const TempsReelService = require('./TempsReelService');
+const ReservationTemporaireService = require('./ReservationTemporaireService');
+
+const MINUTE_MS = 60 * 1000;
+const JOUR_MS = 24 * 60 * MINUTE_MS;
+const JOURS = ['DIMANCHE', 'LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI'];
+const STATUTS_RDV_OCCUPES = ['CONFIRME', 'EN_ATTENTE', 'DEMANDE'];
+
+const jourIso = (date) => new Date(date).toISOString().split('T')[0];
+const cleCreneau = (creneau) => `${jourIso(creneau.dateRendezVous)} ${creneau.heureDebut}`;
+
+const enHeure = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const enMinutes = (heure) => {
+    const [heures, minutes] = heure.split(':').map(Number);
+    return heures * 60 + minutes;
+};
+
+/**
+ * Liste d'attente des médecins complets
+ * Quand un créneau se libère (annulation, report, nouvelle disponibilité), il est proposé au premier
+ * patient éligible (ordre d'inscription) pour une durée limitée ; sans réponse, il passe au suivant
+ */
+class ListeAttenteService {
+    static STATUTS = ['ACTIVE', 'OFFRE_EN_COURS', 'SATISFAITE', 'EXPIREE', 'ANNULEE'];
+    static STATUTS_ACTIFS = ['ACTIVE', 'OFFRE_EN_COURS'];
+
+    /**
+     * Offres en cours sur la période, au format des rendez-vous (pour le calcul des créneaux libres)
+     */
+    static async offresEnCours(medecinId, debut, fin, client = prisma) {
+        const offres = await client.listeAttente.findMany({
+            where: {
+                medecinId,
+                statut: 'OFFRE_EN_COURS',
+                offreExpireLe: { gt: new Date() },
+                offreDateRendezVous: { gte: debut, lt: fin }
+            },
+            select: { id: true, offreDateRendezVous: true, offreHeureDebut: true, offreHeureFin: true }
+        });
+
+        return offres.map(offre => ({
+            listeAttenteId: offre.id,
+            dateRendezVous: offre.offreDateRendezVous,
+            heureDebut: offre.offreHeureDebut,
+            heureFin: offre.offreHeureFin
+        }));
+    }
+
+    /**
+     * Le créneau est-il actuellement proposé à un patient de la liste d'attente ?
+     * @param {string} exclureListeAttenteId - Offre à ignorer (celle que l'on est en train de réserver)
+     */
+    static async creneauOffert(client, { medecinId, dateRendezVous, heureDebut, heureFin }, exclureListeAttenteId = null) {
+        const offre = await client.listeAttente.findFirst({
+            where: {
+                medecinId,
+                statut: 'OFFRE_EN_COURS',
+                offreExpireLe: { gt: new Date() },
+                offreDateRendezVous: dateRendezVous,
+                offreHeureDebut: { lt: heureFin },
+                offreHeureFin: { gt: heureDebut },
+                ...(exclureListeAttenteId && { id: { not: exclureListeAttenteId } })
+            },
+            select: { id: true }
+        });
+
+        return !!offre;
+    }
+
+    /**
+     * Un créneau est-il pris (rendez-vous actif, offre de liste d'attente ou réservation temporaire en cours) ?
+     */
+    static async creneauOccupe(client, creneau, exclureListeAttenteId = null) {
+        const rendezVous = await client.rendezVous.findFirst({
+            where: {
+                medecinId: creneau.medecinId,
+                dateRendezVous: creneau.dateRendezVous,
+                statut: { in: STATUTS_RDV_OCCUPES },
+                heureDebut: { lt: creneau.heureFin },
+                heureFin: { gt: creneau.heureDebut }
+            },
+            select: { id: true }
+        });
+
+        return !!rendezVous ||
+            await this.creneauOffert(client, creneau, exclureListeAttenteId) ||
+            await ReservationTemporaireService.creneauRetenu(client, creneau);
+    }
+
+    /**
+     * Proposer un créneau libéré au premier patient éligible
+     * Éligible : inscription ACTIVE chez ce médecin, même type de consultation, date dans la fenêtre,
+     * créneau non refusé auparavant et patient sans autre rendez-vous sur ce créneau
+     * @param {Object} creneau - { medecinId, typeConsultation, dateRendezVous, heureDebut, heureFin }
+     * @returns {Object|null} Inscription ayant reçu l'offre
+     */
+    static async proposerCreneau(creneau, { exclus = [] } = {}) {
+        const { dureeOffreMinutes, delaiMinimalAvantRdvMinutes } = Consts.LISTE_ATTENTE_CONFIG;
+        const dateRendezVous = new Date(jourIso(creneau.dateRendezVous));
+        const debut = RappelService.getDateHeureDebut({ dateRendezVous, heureDebut: creneau.heureDebut });
+
+        // L'offre doit expirer assez tôt pour laisser au patient le délai minimal de réservation
+        const offreExpireLe = new Date(Math.min(
+            Date.now() + dureeOffreMinutes * MINUTE_MS,
+            debut.getTime() - delaiMinimalAvantRdvMinutes * MINUTE_MS
+        ));
+        if (offreExpireLe.getTime() - Date.now() < 10 * MINUTE_MS) {
+            return null;
+        }
+
+        if (await this.creneauOccupe(prisma, { ...creneau, dateRendezVous })) {
+            return null;
+        }
+
+        const candidats = await prisma.listeAttente.findMany({
+            where: {
+                medecinId: creneau.medecinId,
+                typeConsultation: creneau.typeConsultation,
+                statut: 'ACTIVE',
+                dateDebut: { lte: dateRendezVous },
+                dateFin: { gte: dateRendezVous },
+                ...(exclus.length > 0 && { id: { notIn: exclus } })
+            },
+            orderBy: { createdAt: 'asc' },
+            take: 20
+        });
+
+        for (const candidat of candidats) {
+            if ((candidat.creneauxRefuses || []).includes(cleCreneau({ ...creneau, dateRendezVous }))) {
+                continue;
+            }
+
+            const dejaPris = await prisma.rendezVous.findFirst({
+                where: {
+                    patientId: candidat.patientId,
+                    dateRendezVous,
+                    statut: { in: STATUTS_RDV_OCCUPES },
+                    heureDebut: { lt: creneau.heureFin },
+                    heureFin: { gt: creneau.heureDebut }
+                },
+                select: { id: true }
+            });
+            if (dejaPris) {
+                continue;
+            }
+
+            // Mise à jour conditionnelle : une inscription ne reçoit qu'une offre à la fois
+            const { count } = await prisma.listeAttente.updateMany({
+                where: { id: candidat.id, statut: 'ACTIVE' },
+                data: {
+                    statut: 'OFFRE_EN_COURS',
+                    offreDateRendezVous: dateRendezVous,
+                    offreHeureDebut: creneau.heureDebut,
+                    offreHeureFin: creneau.heureFin,
+                    offreExpireLe
+                }
+            });
+            if (count === 0) {
+                continue;
+            }
+
+            const inscription = await prisma.listeAttente.findUnique({
+                where: { id: candidat.id },
+                include: {
+                    patient: { include: { user: { select: { id: true, canalCommunicationPrefere: true } } } },
+                    medecin: { include: { user: { select: { nom: true } } } }
+                }
+            });
+
+            await this._notifierOffre(inscription);
+            console.log(`⏳ Créneau ${cleCreneau({ dateRendezVous, heureDebut: creneau.heureDebut })} proposé à l'inscription ${inscription.id}`);
+            return inscription;
+        }
+
+        return null;
+    }
+
+    static async _notifierOffre(inscription) {
+        const date = new Date(inscription.offreDateRendezVous).toLocaleDateString('fr-FR');
+        const expiration = new Date(inscription.offreExpireLe).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' });
+
+        try {
+            await NotificationService.createAndSendNotification({
+                userId: inscription.patient.user.id,
+                typeNotification: 'RENDEZ_VOUS',
+                titre: '⏳ Un créneau s\'est libéré',
+                message: `Un créneau est disponible avec le Dr ${inscription.medecin.user.nom} le ${date} à ${inscription.offreHeureDebut}. Réservez-le avant ${expiration}, passé ce délai il sera proposé au patient suivant.`,
+                canal: inscription.patient.user.canalCommunicationPrefere || 'EMAIL',
+                priorite: 'HAUTE',
+                donneesSupplementaires: {
+                    listeAttenteId: inscription.id,
+                    medecinId: inscription.medecinId,
+                    dateRendezVous: jourIso(inscription.offreDateRendezVous),
+                    heureDebut: inscription.offreHeureDebut,
+                    offreExpireLe: inscription.offreExpireLe
+                }
+            });
+        } catch (notificationError) {
+            console.error('Erreur notification offre liste d\'attente:', notificationError);
+        }
+
+        await TempsReelService.publier(inscription.patient.user.id, TempsReelService.TYPES.LISTE_ATTENTE_OFFRE, this.format(inscription));
+    }
+
+    /**
+     * Proposer les créneaux d'une disponibilité ajoutée (ou débloquée) aux patients en attente
+     * @returns {number} Nombre d'offres envoyées
+     */
+    static async proposerDisponibilite(disponibilite) {
+        if (disponibilite.bloque) {
+            return 0;
+        }
+
+        const inscriptions = await prisma.listeAttente.findMany({
+            where: {
+                medecinId: disponibilite.medecinId,
+                typeConsultation: disponibilite.typeConsultation,
+                statut: 'ACTIVE'
+            },
+            select: { dateFin: true }
+        });
+        if (inscriptions.length === 0) {
+            return 0;
+        }
+
+        const horizon = Math.min(
+            Date.now() + Consts.LISTE_ATTENTE_CONFIG.horizonDisponibiliteJours * JOUR_MS,
+            Math.max(...inscriptions.map(inscription => new Date(inscription.dateFin).getTime())) + JOUR_MS
+        );
+        const duree = disponibilite.dureeCreneauMinutes || 30;
+        let offres = 0;
+
+        for (let jour = new Date(jourIso(new Date())); jour.getTime() < horizon && offres < inscriptions.length; jour = new Date(jour.getTime() + JOUR_MS)) {
+            const concerne = disponibilite.dateSpecifique
+                ? jourIso(disponibilite.dateSpecifique) === jourIso(jour)
+                : disponibilite.jourSemaine === JOURS[jour.getUTCDay()];
+            if (!concerne) {
+                continue;
+            }
+
+            for (let minutes = enMinutes(disponibilite.heureDebut); minutes + duree <= enMinutes(disponibilite.heureFin); minutes += duree) {
+                const offre = await this.proposerCreneau({
+                    medecinId: disponibilite.medecinId,
+                    typeConsultation: disponibilite.typeConsultation,
+                    dateRendezVous: jour,
+                    heureDebut: enHeure(minutes),
+                    heureFin: enHeure(minutes + duree)
+                });
+                if (offre) {
+                    offres++;
+                }
+            }
+        }
+
+        return offres;
+    }
+
+    static _creneauOffert(inscription) {
+        return {
+            medecinId: inscription.medecinId,
+            typeConsultation: inscription.typeConsultation,
+            dateRendezVous: inscription.offreDateRendezVous,
+            heureDebut: inscription.offreHeureDebut,
+            heureFin: inscription.offreHeureFin
+        };
+    }
+
+    static _reinitialiserOffre() {
+        return {
+            offreDateRendezVous: null,
+            offreHeureDebut: null,
+            offreHeureFin: null,
+            offreExpireLe: null
+        };
+    }
+
+    /**
+     * Refus de l'offre : l'inscription reste active, le créneau passe au patient suivant
+     */
+    static async declinerOffre(inscription) {
+        const creneau = this._creneauOffert(inscription);
+
+        await prisma.listeAttente.update({
+            where: { id: inscription.id },
+            data: {
+                statut: 'ACTIVE',
+                ...this._reinitialiserOffre(),
+                creneauxRefuses: [...(inscription.creneauxRefuses || []), cleCreneau(creneau)]
+            }
+        });
+
+        return await this.proposerCreneau(creneau, { exclus: [inscription.id] });
+    }
+
+    /**
+     * Offres sans réponse : l'inscription expire et le créneau est proposé au suivant (tâche du worker)
+     * Les inscriptions dont la fenêtre de dates est dépassée expirent également
+     */
+    static async expirerOffres() {
+        const maintenant = new Date();
+        const offresExpirees = await prisma.listeAttente.findMany({
+            where: { statut: 'OFFRE_EN_COURS', offreExpireLe: { lte: maintenant } },
+            take: 100
+        });
+
+        let reproposees = 0;
+        for (const inscription of offresExpirees) {
+            const { count } = await prisma.listeAttente.updateMany({
+                where: { id: inscription.id, statut: 'OFFRE_EN_COURS' },
+                data: { statut: 'EXPIREE' }
+            });
+            if (count === 1 && await this.proposerCreneau(this._creneauOffert(inscription), { exclus: [inscription.id] })) {
+                reproposees++;
+            }
+        }
+
+        const { count: fenetresDepassees } = await prisma.listeAttente.updateMany({
+            where: { statut: 'ACTIVE', dateFin: { lt: new Date(jourIso(maintenant)) } },
+            data: { statut: 'EXPIREE' }
+        });
+
+        if (offresExpirees.length > 0 || fenetresDepassees > 0) {
+            console.log(`⏳ Liste d'attente: ${offresExpirees.length} offre(s) expirée(s), ${reproposees} reproposée(s), ${fenetresDepassees} inscription(s) hors fenêtre`);
+        }
+        return offresExpirees.length;
+    }
+
+    static format(inscription) {
+        return {
+            id: inscription.id,
+            medecinId: inscription.medecinId,
+            typeConsultation: inscription.typeConsultation,
+            dateDebut: inscription.dateDebut,
+            dateFin: inscription.dateFin,
+            motifConsultation: inscription.motifConsultation,
+            statut: inscription.statut,
+            offre: inscription.statut === 'OFFRE_EN_COURS' ? {
+                dateRendezVous: inscription.offreDateRendezVous,
+                heureDebut: inscription.offreHeureDebut,
+                heureFin: inscription.offreHeureFin,
+                expireLe: inscription.offreExpireLe
+            } : null,
+            rendezVousId: inscription.rendezVousId,
+            medecin: inscription.medecin?.user ? {
+                nom: inscription.medecin.user.nom,
+                prenom: inscription.medecin.user.prenom
+            } : undefined,
+            patient: inscription.patient?.user?.nom ? {
+                id: inscription.patientId,
+                nom: inscription.patient.user.nom,
+                prenom: inscription.patient.user.prenom
+            } : undefined,
+            createdAt: inscription.createdAt
+        };
+    }
+}
+
+module.exports = ListeAttenteService;
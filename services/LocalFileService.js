@@ -13,6 +13,9 @@ class LocalFileService {
         this.uploadsDir = path.join(__dirname, '../uploads');
         this.medecinsDir = path.join(this.uploadsDir, 'medecins');
         this.photosDir = path.join(this.uploadsDir, 'photos');
+        this.documentsDir = path.join(this.uploadsDir, 'documents');
+        this.supportDir = path.join(this.uploadsDir, 'support');
+        this.messagesDir = path.join(this.uploadsDir, 'messages');
         this.allowedMimeTypes = [
             'application/pdf',
             'image/jpeg',
@@ -36,7 +39,14 @@ class LocalFileService {
                 path.join(this.medecinsDir, 'autres'),
                 this.photosDir,
                 path.join(this.photosDir, 'profil'),
-                path.join(this.photosDir, 'cabinet')
+                path.join(this.photosDir, 'cabinet'),
+                this.documentsDir,
+                path.join(this.documentsDir, 'ordonnances'),
+                path.join(this.documentsDir, 'consultations'),
+                this.supportDir,
+                path.join(this.supportDir, 'tickets'),
+                this.messagesDir,
+                path.join(this.messagesDir, 'rendez-vous')
             ];
 
             for (const dir of dirs) {
@@ -94,6 +104,10 @@ class LocalFileService {
             'CERTIFICATION': 'certifications',
             'PHOTO_PROFIL': 'profil',
             'PHOTO_CABINET': 'cabinet',
+            'ORDONNANCE': 'ordonnances',
+            'COMPTE_RENDU': 'consultations',
+            'PIECE_JOINTE_TICKET': 'tickets',
+            'PIECE_JOINTE_MESSAGE': 'rendez-vous',
             'AUTRE': 'autres'
         };
         return typeMap[type] || 'autres';
@@ -103,6 +117,15 @@ class LocalFileService {
         if (type === 'PHOTO_PROFIL' || type === 'PHOTO_CABINET') {
             return this.photosDir;
         }
+        if (type === 'ORDONNANCE' || type === 'COMPTE_RENDU') {
+            return this.documentsDir;
+        }
+        if (type === 'PIECE_JOINTE_TICKET') {
+            return this.supportDir;
+        }
+        if (type === 'PIECE_JOINTE_MESSAGE') {
+            return this.messagesDir;
+        }
         return this.medecinsDir;
     }
 
@@ -157,7 +180,7 @@ class LocalFileService {
                 type,
                 libelle,
                 filePath: filePath, // Chemin absolu pour usage interne
-                relativePath: path.join('uploads', baseDirectory === this.photosDir ? 'photos' : 'medecins', subdirectory, filename), // Chemin relatif pour URLs
+                relativePath: path.join('uploads', path.basename(baseDirectory), subdirectory, filename), // Chemin relatif pour URLs
                 uploadDate: new Date().toISOString()
             };
 
@@ -184,8 +207,8 @@ class LocalFileService {
             let baseDirectories = [];
             let subdirectories = [];
 
-            if (type === 'PHOTO_PROFIL' || type === 'PHOTO_CABINET') {
-                baseDirectories = [this.photosDir];
+            if (type === 'PHOTO_PROFIL' || type === 'PHOTO_CABINET' || type === 'ORDONNANCE' || type === 'COMPTE_RENDU' || type === 'PIECE_JOINTE_TICKET' || type === 'PIECE_JOINTE_MESSAGE') {
+                baseDirectories = [this.getBaseDirectory(type)];
                 subdirectories = [this.getSubdirectory(type)];
             } else if (type === 'AUTRE') {
                 // Rechercher dans tous les dossiers
@@ -0,0 +1,163 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const LocalFileService = require('./LocalFileService');
+const NotificationService = require('./NotificationService');
+const RappelService = require('./RappelService');
+
+const JOUR_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Messagerie patient-médecin rattachée à un rendez-vous
+ * Le contenu des messages est chiffré (données médicales), les pièces jointes passent par LocalFileService
+ */
+class MessagerieRendezVousService {
+    static INCLUDE_AUTEUR = {
+        auteur: {
+            select: {
+                id: true,
+                nom: true,
+                prenom: true,
+                role: true
+            }
+        }
+    };
+
+    /**
+     * L'utilisateur est-il le patient ou le médecin du rendez-vous ?
+     * @param {Object} rendezVous - Avec patient.userId et medecin.userId
+     */
+    static estParticipant(rendezVous, user) {
+        return [rendezVous.patient.userId, rendezVous.medecin.userId].includes(user.id);
+    }
+
+    /**
+     * Écriture possible sur un rendez-vous confirmé, ou terminé depuis moins de delaiApresRdvJours
+     * @returns {{ autorise: boolean, motif: string|null }}
+     */
+    static peutEcrire(rendezVous) {
+        const { statutsEcriture, delaiApresRdvJours } = Consts.MESSAGERIE_CONFIG;
+
+        if (!statutsEcriture.includes(rendezVous.statut)) {
+            return {
+                autorise: false,
+                motif: `La messagerie est ouverte une fois le rendez-vous confirmé (statut actuel: ${rendezVous.statut})`
+            };
+        }
+
+        if (rendezVous.statut === 'TERMINE' &&
+            Date.now() - RappelService.getDateHeureDebut(rendezVous).getTime() > delaiApresRdvJours * JOUR_MS) {
+            return {
+                autorise: false,
+                motif: `La messagerie est fermée ${delaiApresRdvJours} jours après le rendez-vous : prenez un nouveau rendez-vous si nécessaire`
+            };
+        }
+
+        return { autorise: true, motif: null };
+    }
+
+    static async enregistrerPiecesJointes(files = []) {
+        const pieces = [];
+
+        try {
+            for (const file of files) {
+                const fichier = await LocalFileService.uploadFile(file.buffer, file.originalname, file.mimetype, 'PIECE_JOINTE_MESSAGE');
+                pieces.push({
+                    fileId: fichier.fileId,
+                    nom_fichier: fichier.originalName,
+                    file_path: fichier.relativePath,
+                    taille: fichier.size,
+                    mime_type: fichier.mimeType,
+                    upload_date: fichier.uploadDate
+                });
+            }
+        } catch (error) {
+            await this.supprimerPiecesJointes(pieces);
+            throw error;
+        }
+
+        return pieces;
+    }
+
+    static async supprimerPiecesJointes(pieces = []) {
+        for (const piece of pieces) {
+            try {
+                await LocalFileService.deleteFile(piece.fileId, 'PIECE_JOINTE_MESSAGE');
+            } catch (error) {
+                console.error(`⚠️ Pièce jointe ${piece.fileId} non supprimée:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Notifie le destinataire d'un nouveau message
+     * Une seule notification tant que les messages précédents de l'auteur n'ont pas été lus
+     * Ne lève jamais d'erreur : l'envoi du message ne doit pas échouer à cause de la notification
+     */
+    static async notifierDestinataire(rendezVous, auteur, message) {
+        try {
+            const dejaNonLus = await prisma.messageRendezVous.count({
+                where: {
+                    rendezVousId: rendezVous.id,
+                    auteurId: auteur.id,
+                    luLe: null,
+                    id: { not: message.id }
+                }
+            });
+            if (dejaNonLus > 0) {
+                return;
+            }
+
+            const destinataire = auteur.role === 'MEDECIN' ? rendezVous.patient.user : rendezVous.medecin.user;
+            const expediteur = auteur.role === 'MEDECIN' ? `Le Dr ${auteur.nom}` : `${auteur.prenom} ${auteur.nom}`;
+
+            await NotificationService.createAndSendNotification({
+                userId: destinataire.id,
+                typeNotification: 'RENDEZ_VOUS',
+                titre: '💬 Nouveau message',
+                message: `${expediteur} vous a écrit au sujet du rendez-vous du ${RappelService.getDateHeureDebut(rendezVous).toLocaleDateString('fr-FR')} à ${rendezVous.heureDebut}.`,
+                canal: destinataire.canalCommunicationPrefere || 'EMAIL',
+                priorite: 'NORMALE',
+                donneesSupplementaires: {
+                    rendezVousId: rendezVous.id,
+                    messageId: message.id
+                }
+            });
+        } catch (error) {
+            console.error('Erreur notification nouveau message:', error);
+        }
+    }
+
+    static formatPiecesJointes(pieces) {
+        return (pieces || []).map(piece => ({
+            fileId: piece.fileId,
+            nom_fichier: piece.nom_fichier,
+            taille: piece.taille,
+            mime_type: piece.mime_type,
+            upload_date: piece.upload_date,
+            url: LocalFileService.generateFileUrl(piece.file_path)
+        }));
+    }
+
+    /**
+     * @param {string} userId - Lecteur du fil (null pour un admin : pas de notion d'auteur)
+     */
+    static formatMessage(message, userId = null) {
+        return {
+            id: message.id,
+            contenu: message.contenu,
+            date: message.createdAt,
+            auteur: message.auteur ? {
+                id: message.auteur.id,
+                nom: message.auteur.nom,
+                prenom: message.auteur.prenom,
+                role: message.auteur.role
+            } : null,
+            estAuteur: userId ? message.auteurId === userId : undefined,
+            piecesJointes: this.formatPiecesJointes(message.piecesJointes),
+            lu: !!message.luLe,
+            luLe: message.luLe
+        };
+    }
+}
+
+module.exports = MessagerieRendezVousService;
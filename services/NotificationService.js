@@ -1,11 +1,18 @@
+const os = require('os');
 const prisma = require('../prisma/client');
+const Consts = require('../config/const');
 const EmailService = require('./EmailService');
 const SmsService = require('./SmsService');
+const RappelService = require('./RappelService');
+const PushService = require('./PushService');
+const PreferenceNotificationService = require('./PreferenceNotificationService');
+const TempsReelService = require('./TempsReelService');
 
 class NotificationService {
 
     /**
      * Créer une notification en base de données
+     * Les préférences du destinataire (canal par type, types désactivés, heures calmes) sont appliquées ici
      */
     static async createNotification({
         userId,
@@ -18,21 +25,26 @@ class NotificationService {
         dateEnvoiPrevue = null
     }) {
         try {
-            const notification = await prisma.notification.create({
-                data: {
-                    userId,
-                    typeNotification,
-                    titre,
-                    message,
-                    canal,
-                    statut: 'EN_ATTENTE',
-                    priorite,
-                    donneesSupplementaires,
-                    dateEnvoiPrevue,
-                    tentativesEnvoi: 0
-                }
+            const destinataire = await prisma.user.findUnique({
+                where: { id: userId },
+                select: { preferencesNotifications: true }
+            });
+
+            const data = PreferenceNotificationService.appliquer(destinataire?.preferencesNotifications, {
+                userId,
+                typeNotification,
+                titre,
+                message,
+                canal,
+                statut: 'EN_ATTENTE',
+                priorite,
+                donneesSupplementaires,
+                dateEnvoiPrevue,
+                tentativesEnvoi: 0
             });
 
+            const notification = await prisma.notification.create({ data });
+
             console.log(`📧 Notification créée: ${notification.id} pour user ${userId}`);
             return notification;
 
@@ -42,11 +54,188 @@ class NotificationService {
         }
     }
 
+    /**
+     * Identifiant du processus courant pour la réservation des notifications
+     * (plusieurs instances de l'API en cluster + le worker peuvent traiter la même file)
+     */
+    static _identifiantProcessus() {
+        return `${os.hostname()}:${process.pid}`.slice(0, 100);
+    }
+
+    /**
+     * Conditions d'une notification prête à être envoyée
+     */
+    static _whereEnvoyable(maintenant = new Date()) {
+        return {
+            statut: { in: ['EN_ATTENTE', 'ECHEC'] },
+            tentativesEnvoi: { lt: Consts.NOTIFICATION_WORKER_CONFIG.maxTentatives },
+            AND: [
+                { OR: [{ dateEnvoiPrevue: null }, { dateEnvoiPrevue: { lte: maintenant } }] },
+                { OR: [{ prochaineTentative: null }, { prochaineTentative: { lte: maintenant } }] },
+                { OR: [{ reserveeJusqua: null }, { reserveeJusqua: { lt: maintenant } }] }
+            ]
+        };
+    }
+
+    /**
+     * Réserver une notification pour ce processus
+     * La mise à jour conditionnelle est atomique : un seul processus obtient count = 1
+     */
+    static async _reserver(notificationId) {
+        const maintenant = new Date();
+        const { count } = await prisma.notification.updateMany({
+            where: {
+                id: notificationId,
+                ...this._whereEnvoyable(maintenant)
+            },
+            data: {
+                reserveePar: this._identifiantProcessus(),
+                reserveeJusqua: new Date(maintenant.getTime() + Consts.NOTIFICATION_WORKER_CONFIG.dureeReservationSecondes * 1000),
+                tentativesEnvoi: { increment: 1 },
+                dateEnvoiReel: maintenant
+            }
+        });
+        return count === 1;
+    }
+
+    /**
+     * Délai avant la prochaine tentative (backoff exponentiel plafonné)
+     */
+    static _delaiAvantTentative(tentativesEffectuees) {
+        const { backoffBaseSecondes, backoffMaxSecondes } = Consts.NOTIFICATION_WORKER_CONFIG;
+        const delai = Math.min(backoffBaseSecondes * Math.pow(2, Math.max(tentativesEffectuees - 1, 0)), backoffMaxSecondes);
+        return delai * 1000;
+    }
+
+    /**
+     * Enregistrer le résultat d'une tentative et libérer la réservation
+     * Après maxTentatives échecs, la notification passe en ABANDONNE (dead-letter)
+     */
+    static async _terminerTentative(notificationId, success, errorMessage = null) {
+        const notification = await prisma.notification.findUnique({
+            where: { id: notificationId },
+            select: { tentativesEnvoi: true }
+        });
+
+        const data = {
+            reserveePar: null,
+            reserveeJusqua: null
+        };
+
+        if (success) {
+            Object.assign(data, { statut: 'ENVOYE', prochaineTentative: null, derniereErreur: null });
+        } else if (notification.tentativesEnvoi >= Consts.NOTIFICATION_WORKER_CONFIG.maxTentatives) {
+            Object.assign(data, { statut: 'ABANDONNE', prochaineTentative: null, derniereErreur: errorMessage });
+            console.error(`🪦 Notification ${notificationId} abandonnée après ${notification.tentativesEnvoi} tentatives: ${errorMessage}`);
+        } else {
+            Object.assign(data, {
+                statut: 'ECHEC',
+                prochaineTentative: new Date(Date.now() + this._delaiAvantTentative(notification.tentativesEnvoi)),
+                derniereErreur: errorMessage
+            });
+        }
+
+        await prisma.notification.update({
+            where: { id: notificationId },
+            data
+        });
+    }
+
+    /**
+     * Ordre de repli des canaux : push → SMS → email, en suivant le canal préféré de l'utilisateur
+     * - PUSH ou canal préféré : push (si un appareil est actif), puis le canal préféré, puis l'autre
+     * - Autre canal explicitement demandé : ce canal, puis ceux qui le suivent
+     * - IN_APP : aucun envoi externe
+     */
+    static async _chaineCanaux(notification) {
+        if (notification.canal === 'IN_APP') {
+            return ['IN_APP'];
+        }
+
+        const prefere = notification.user.canalCommunicationPrefere || 'EMAIL';
+        const ordre = ['PUSH', prefere, prefere === 'SMS' ? 'EMAIL' : 'SMS'];
+        const depart = ['PUSH', prefere].includes(notification.canal) ? 0 : ordre.indexOf(notification.canal);
+
+        if (depart === -1) {
+            return [notification.canal];
+        }
+
+        const chaine = ordre.slice(depart);
+        if (chaine[0] === 'PUSH' && !(await PushService.aDesAppareilsActifs(notification.userId))) {
+            chaine.shift();
+        }
+        return chaine;
+    }
+
+    /**
+     * Envoyer une notification sur un canal donné
+     * @returns {{ success: boolean, error?: string }}
+     */
+    static async _envoyerViaCanal(canal, notification) {
+        if (canal === 'EMAIL') {
+            // Préparer les variables pour le template
+            const templateVariables = {
+                nom: notification.user.nom,
+                prenom: notification.user.prenom,
+                titre: notification.titre,
+                message: notification.message,
+                // Ajouter les données supplémentaires directement aux variables
+                ...(notification.donneesSupplementaires || {})
+            };
+
+            const emailResult = await EmailService.sendNotificationEmail({
+                to: notification.user.email,
+                subject: notification.titre,
+                templateName: this._getEmailTemplate(notification.typeNotification),
+                variables: templateVariables
+            });
+            return { success: emailResult.success, error: emailResult.error };
+        }
+
+        if (canal === 'SMS') {
+            const smsResult = await SmsService.sendSms(
+                notification.user.telephone,
+                `${notification.titre}\n${notification.message}`
+            );
+            return { success: smsResult.success, error: smsResult.message };
+        }
+
+        if (canal === 'PUSH') {
+            return await PushService.envoyer(notification.userId, {
+                titre: notification.titre,
+                message: notification.message,
+                prioritaire: notification.priorite === 'HAUTE',
+                donnees: {
+                    notificationId: notification.id,
+                    type: notification.typeNotification,
+                    ...(notification.donneesSupplementaires || {})
+                }
+            });
+        }
+
+        if (canal === 'IN_APP') {
+            // La notification enregistrée est affichée par le centre de notifications
+            return { success: true };
+        }
+
+        return { success: false, error: `Canal ${canal} non pris en charge` };
+    }
+
     /**
      * Envoyer une notification immédiatement
+     * Sans effet si elle est programmée plus tard, déjà envoyée ou en cours d'envoi par un autre processus
      */
     static async sendNotification(notificationId) {
+        let reservee = false;
+
         try {
+            reservee = await this._reserver(notificationId);
+
+            if (!reservee) {
+                console.log(`⚠️ Notification ${notificationId} non envoyable (déjà traitée, programmée ou réservée)`);
+                return false;
+            }
+
             const notification = await prisma.notification.findUnique({
                 where: { id: notificationId },
                 include: {
@@ -62,116 +251,93 @@ class NotificationService {
                 }
             });
 
-            if (!notification) {
-                throw new Error('Notification introuvable');
-            }
-
-            if (notification.statut !== 'EN_ATTENTE') {
-                console.log(`⚠️ Notification ${notificationId} déjà traitée (statut: ${notification.statut})`);
+            // Rappel devenu sans objet (rendez-vous annulé ou déplacé)
+            if (!(await RappelService.estToujoursValide(prisma, notification))) {
+                await prisma.notification.delete({ where: { id: notificationId } });
+                console.log(`🗑️ Rappel ${notificationId} supprimé : rendez-vous annulé ou déplacé`);
                 return false;
             }
 
-            // Marquer comme tentative d'envoi
-            await prisma.notification.update({
-                where: { id: notificationId },
-                data: {
-                    tentativesEnvoi: notification.tentativesEnvoi + 1,
-                    dateEnvoiReel: new Date()
-                }
-            });
-
-            let success = false;
-            let errorMessage = null;
+            // Première tentative : la notification apparaît dans le centre, on prévient les clients connectés
+            if (notification.tentativesEnvoi === 1) {
+                await TempsReelService.publier(notification.userId, TempsReelService.TYPES.NOTIFICATION, this.formatNotification(notification));
+            }
 
-            // Choisir le canal d'envoi
-            const canalUtilise = notification.canal || notification.user.canalCommunicationPrefere || 'EMAIL';
+            // Essayer les canaux dans l'ordre de repli jusqu'au premier envoi réussi
+            const canaux = await this._chaineCanaux(notification);
+            const erreurs = [];
+            let canalUtilise = null;
 
-            if (canalUtilise === 'EMAIL') {
-                // Préparer les variables pour le template
-                const templateVariables = {
-                    nom: notification.user.nom,
-                    prenom: notification.user.prenom,
-                    titre: notification.titre,
-                    message: notification.message,
-                    // Ajouter les données supplémentaires directement aux variables
-                    ...(notification.donneesSupplementaires || {})
-                };
-
-                const emailResult = await EmailService.sendNotificationEmail({
-                    to: notification.user.email,
-                    subject: notification.titre,
-                    templateName: this._getEmailTemplate(notification.typeNotification),
-                    variables: templateVariables
-                });
-                success = emailResult.success;
-                errorMessage = emailResult.error;
-
-            } else if (canalUtilise === 'SMS') {
-                const smsResult = await SmsService.sendSms(
-                    notification.user.telephone,
-                    `${notification.titre}\n${notification.message}`
-                );
-                success = smsResult.success;
-                errorMessage = smsResult.message;
+            for (const canal of canaux) {
+                const resultat = await this._envoyerViaCanal(canal, notification);
+                if (resultat.success) {
+                    canalUtilise = canal;
+                    break;
+                }
+                erreurs.push(`${canal}: ${resultat.error || 'Échec d\'envoi'}`);
             }
 
-            // Mettre à jour le statut
-            await prisma.notification.update({
-                where: { id: notificationId },
-                data: {
-                    statut: success ? 'ENVOYE' : 'ECHEC',
-                    ...(errorMessage && { donneesSupplementaires: { error: errorMessage } })
-                }
-            });
+            const success = canalUtilise !== null;
+            await this._terminerTentative(notificationId, success, success ? null : erreurs.join(' | '));
 
-            console.log(`${success ? '✅' : '❌'} Notification ${notificationId} ${success ? 'envoyée' : 'échouée'} via ${canalUtilise}`);
+            console.log(`${success ? '✅' : '❌'} Notification ${notificationId} ${success ? `envoyée via ${canalUtilise}` : `échouée (${canaux.join(' → ')})`}`);
             return success;
 
         } catch (error) {
             console.error(`Erreur envoi notification ${notificationId}:`, error);
 
-            // Marquer comme échec
-            await prisma.notification.update({
-                where: { id: notificationId },
-                data: {
-                    statut: 'ECHEC',
-                    donneesSupplementaires: { error: error.message }
+            if (reservee) {
+                try {
+                    await this._terminerTentative(notificationId, false, error.message);
+                } catch (updateError) {
+                    console.error(`Erreur mise à jour notification ${notificationId}:`, updateError);
                 }
-            });
+            }
 
             return false;
         }
     }
 
     /**
-     * Traiter toutes les notifications en attente
+     * Traiter un lot de notifications envoyables
+     * Chaque notification est réservée individuellement : plusieurs processus peuvent traiter la file en parallèle
      */
-    static async processQueuedNotifications() {
-        try {
-            const notifications = await prisma.notification.findMany({
-                where: {
-                    statut: 'EN_ATTENTE',
-                    OR: [
-                        { dateEnvoiPrevue: null },
-                        { dateEnvoiPrevue: { lte: new Date() } }
-                    ]
-                },
-                orderBy: [
-                    { priorite: 'desc' },
-                    { createdAt: 'asc' }
-                ],
-                take: 50 // Traiter par batch
-            });
-
-            console.log(`🔄 Traitement de ${notifications.length} notifications en attente`);
+    static async _traiterLot(where) {
+        const notifications = await prisma.notification.findMany({
+            where: {
+                ...this._whereEnvoyable(),
+                ...where
+            },
+            select: { id: true },
+            orderBy: [
+                { priorite: 'desc' },
+                { createdAt: 'asc' }
+            ],
+            take: Consts.NOTIFICATION_WORKER_CONFIG.tailleLot
+        });
 
-            for (const notification of notifications) {
-                await this.sendNotification(notification.id);
-                // Petite pause pour éviter la surcharge
-                await new Promise(resolve => setTimeout(resolve, 100));
+        let envoyees = 0;
+        for (const notification of notifications) {
+            if (await this.sendNotification(notification.id)) {
+                envoyees++;
             }
+            // Petite pause pour éviter la surcharge
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
 
-            return notifications.length;
+        return { traitees: notifications.length, envoyees };
+    }
+
+    /**
+     * Traiter les notifications en attente dont la date d'envoi est atteinte
+     */
+    static async processQueuedNotifications() {
+        try {
+            const resultat = await this._traiterLot({ statut: 'EN_ATTENTE' });
+            if (resultat.traitees > 0) {
+                console.log(`🔄 ${resultat.traitees} notification(s) en attente traitée(s), ${resultat.envoyees} envoyée(s)`);
+            }
+            return resultat.traitees;
 
         } catch (error) {
             console.error('Erreur traitement queue notifications:', error);
@@ -231,8 +397,12 @@ class NotificationService {
         });
     }
 
-    static async notifyRendezVousAnnule(rendezVous, motifAnnulation, annulePar) {
-        const dateRdv = new Date(rendezVous.dateHeureDebut);
+    /**
+     * Notifie l'autre partie de l'annulation d'un rendez-vous
+     * @param {Object} annulation - Conséquences selon la politique d'annulation { tardive, frais }
+     */
+    static async notifyRendezVousAnnule(rendezVous, motifAnnulation, annulePar, annulation = {}) {
+        const dateRdv = RappelService.getDateHeureDebut(rendezVous);
         const estPatientProprietaire = annulePar === 'PATIENT';
 
         const destinataire = estPatientProprietaire ?
@@ -242,22 +412,29 @@ class NotificationService {
             `${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom}` :
             `Dr ${rendezVous.medecin.user.nom}`;
 
-        const message = `Le rendez-vous du ${dateRdv.toLocaleDateString('fr-FR')} à ${dateRdv.toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'})} avec ${expediteur} a été annulé. Motif: ${motifAnnulation}`;
-
         const heuresAvantRdv = (dateRdv - new Date()) / (1000 * 60 * 60);
+        const tardive = !!annulation.tardive;
+
+        let message = `Le rendez-vous du ${dateRdv.toLocaleDateString('fr-FR')} à ${rendezVous.heureDebut} avec ${expediteur} a été annulé. Motif: ${motifAnnulation}`;
+        if (tardive) {
+            message += ` Annulation tardive (${Math.max(Math.round(heuresAvantRdv), 0)}h avant le rendez-vous)` +
+                (annulation.frais > 0 ? `, frais d'annulation: ${annulation.frais} XOF.` : '.');
+        }
 
         return await this.createAndSendNotification({
             userId: destinataire.id,
             typeNotification: 'RENDEZ_VOUS',
-            titre: '🚫 Rendez-vous annulé',
+            titre: tardive ? '🚫 Rendez-vous annulé tardivement' : '🚫 Rendez-vous annulé',
             message,
             canal: destinataire.canalCommunicationPrefere || 'EMAIL',
-            priorite: heuresAvantRdv < 24 ? 'HAUTE' : 'NORMALE',
+            priorite: tardive || heuresAvantRdv < 24 ? 'HAUTE' : 'NORMALE',
             donneesSupplementaires: {
                 rendezVousId: rendezVous.id,
                 annulePar,
                 motifAnnulation,
-                heuresAvantRdv: Math.round(heuresAvantRdv)
+                heuresAvantRdv: Math.round(heuresAvantRdv),
+                annulationTardive: tardive,
+                fraisAnnulation: annulation.frais || 0
             }
         });
     }
@@ -287,6 +464,103 @@ class NotificationService {
         });
     }
 
+    static async notifyConsultationTerminee(rendezVous, consultation, medecinUser) {
+        const dateRdv = new Date(consultation.dateConsultation);
+        const message = `Votre consultation du ${dateRdv.toLocaleDateString('fr-FR')} avec le Dr ${medecinUser.nom} est terminée. Le compte rendu est disponible dans votre dossier médical.${consultation.suiviNecessaire ? ' Un suivi a été recommandé par votre médecin.' : ''}`;
+
+        return await this.createAndSendNotification({
+            userId: rendezVous.patient.user.id,
+            typeNotification: 'RENDEZ_VOUS',
+            titre: '🩺 Consultation terminée',
+            message,
+            canal: rendezVous.patient.user.canalCommunicationPrefere || 'EMAIL',
+            priorite: 'NORMALE',
+            donneesSupplementaires: {
+                rendezVousId: rendezVous.id,
+                consultationId: consultation.id,
+                suiviNecessaire: consultation.suiviNecessaire,
+                prochaineConsultationPrevue: consultation.prochaineConsultationPrevue
+            }
+        });
+    }
+
+    static async notifyOrdonnanceEmise(ordonnance, patientUser, medecinUser) {
+        const message = `Le Dr ${medecinUser.nom} vous a prescrit une ordonnance (n° ${ordonnance.numeroOrdonnance}), valable jusqu'au ${new Date(ordonnance.dateExpiration).toLocaleDateString('fr-FR')}. Présentez ce numéro à votre pharmacien.`;
+
+        return await this.createAndSendNotification({
+            userId: patientUser.id,
+            typeNotification: 'RENDEZ_VOUS',
+            titre: '💊 Nouvelle ordonnance',
+            message,
+            canal: patientUser.canalCommunicationPrefere || 'EMAIL',
+            priorite: 'NORMALE',
+            donneesSupplementaires: {
+                ordonnanceId: ordonnance.id,
+                numeroOrdonnance: ordonnance.numeroOrdonnance,
+                consultationId: ordonnance.consultationId
+            }
+        });
+    }
+
+    static async notifyDemandeConsentement(consentement, patientUser, medecinUser) {
+        const message = `Le Dr ${medecinUser.nom} demande l'accès à votre dossier médical (${consentement.porteesDemandees.join(', ').toLowerCase()}). Motif: ${consentement.motifDemande}. Vous pouvez accepter ou refuser cette demande depuis votre espace patient.`;
+
+        return await this.createAndSendNotification({
+            userId: patientUser.id,
+            typeNotification: 'RENDEZ_VOUS',
+            titre: '🔐 Demande d\'accès à votre dossier médical',
+            message,
+            canal: patientUser.canalCommunicationPrefere || 'EMAIL',
+            priorite: 'NORMALE',
+            donneesSupplementaires: {
+                consentementId: consentement.id,
+                medecinId: consentement.medecinId,
+                rendezVousId: consentement.rendezVousId,
+                porteesDemandees: consentement.porteesDemandees
+            }
+        });
+    }
+
+    static async notifyReponseTicket(ticket, demandeur) {
+        return await this.createAndSendNotification({
+            userId: demandeur.id,
+            typeNotification: 'SYSTEME',
+            titre: '💬 Réponse du support',
+            message: `L'équipe support a répondu à votre demande "${ticket.sujet}". Consultez la réponse depuis votre espace.`,
+            canal: demandeur.canalCommunicationPrefere || 'EMAIL',
+            priorite: 'NORMALE',
+            donneesSupplementaires: {
+                ticketId: ticket.id,
+                statut: ticket.statut
+            }
+        });
+    }
+
+    static async notifyStatutTicket(ticket, demandeur) {
+        const messages = {
+            EN_ATTENTE: `L'équipe support attend un complément d'information de votre part concernant "${ticket.sujet}".`,
+            RESOLU: `Votre demande "${ticket.sujet}" a été résolue. N'hésitez pas à évaluer la qualité de notre réponse.`,
+            FERME: `Votre demande "${ticket.sujet}" a été clôturée.`
+        };
+
+        if (!messages[ticket.statut]) {
+            return null;
+        }
+
+        return await this.createAndSendNotification({
+            userId: demandeur.id,
+            typeNotification: 'SYSTEME',
+            titre: '🎫 Mise à jour de votre demande de support',
+            message: messages[ticket.statut],
+            canal: demandeur.canalCommunicationPrefere || 'EMAIL',
+            priorite: 'NORMALE',
+            donneesSupplementaires: {
+                ticketId: ticket.id,
+                statut: ticket.statut
+            }
+        });
+    }
+
     static async notifyCongesMedicaux(userId, nomMedecin, rendezVousAnnules) {
         const message = `Votre rendez-vous avec Dr ${nomMedecin} a été annulé en raison d'un congé médical. Veuillez reprendre rendez-vous.`;
 
@@ -399,40 +673,70 @@ Vous faites maintenant partie d'une communauté qui facilite l'accès aux soins
      * Méthodes utilitaires
      */
 
+    /**
+     * Conditions communes du centre de notifications in-app
+     * Les notifications programmées n'apparaissent qu'à leur date d'envoi prévue
+     */
+    static _whereCentre(userId, { type = null, nonLues = false } = {}) {
+        const where = {
+            userId,
+            OR: [
+                { dateEnvoiPrevue: null },
+                { dateEnvoiPrevue: { lte: new Date() } }
+            ]
+        };
+        if (type) where.typeNotification = type;
+        if (nonLues) where.dateLecture = null;
+        return where;
+    }
+
     static async getUserNotifications(userId, options = {}) {
-        const { page = 1, limit = 20, statut = null, type = null } = options;
+        const { page = 1, limit = 20, statut = null, type = null, nonLues = false } = options;
 
-        const where = { userId };
+        const where = this._whereCentre(userId, { type, nonLues });
         if (statut) where.statut = statut;
-        if (type) where.typeNotification = type;
 
-        const notifications = await prisma.notification.findMany({
-            where,
-            orderBy: { createdAt: 'desc' },
-            skip: (page - 1) * limit,
-            take: limit
-        });
+        const [notifications, total] = await Promise.all([
+            prisma.notification.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            prisma.notification.count({ where })
+        ]);
 
-        const total = await prisma.notification.count({ where });
+        const totalPages = Math.ceil(total / limit);
 
         return {
             notifications,
             pagination: {
                 page,
                 limit,
-                total,
-                pages: Math.ceil(total / limit)
+                totalResults: total,
+                totalPages,
+                hasNext: page < totalPages,
+                hasPrevious: page > 1
             }
         };
     }
 
+    /**
+     * Nombre de notifications non lues (total et par type)
+     */
     static async getUnreadCount(userId) {
-        return await prisma.notification.count({
-            where: {
-                userId,
-                statut: { in: ['EN_ATTENTE', 'ENVOYE'] }
-            }
+        const groupes = await prisma.notification.groupBy({
+            by: ['typeNotification'],
+            where: this._whereCentre(userId, { nonLues: true }),
+            _count: { _all: true }
         });
+
+        const parType = Object.fromEntries(groupes.map(groupe => [groupe.typeNotification, groupe._count._all]));
+
+        return {
+            total: groupes.reduce((somme, groupe) => somme + groupe._count._all, 0),
+            parType
+        };
     }
 
     static async markAsRead(notificationId, userId) {
@@ -448,24 +752,57 @@ Vous faites maintenant partie d'une communauté qui facilite l'accès aux soins
         });
     }
 
-    static async retryFailedNotifications() {
-        const failedNotifications = await prisma.notification.findMany({
+    static async markAllAsRead(userId, type = null) {
+        return await prisma.notification.updateMany({
+            where: this._whereCentre(userId, { type, nonLues: true }),
+            data: {
+                statut: 'LU',
+                dateLecture: new Date()
+            }
+        });
+    }
+
+    static async deleteNotification(notificationId, userId) {
+        return await prisma.notification.deleteMany({
             where: {
-                statut: 'ECHEC',
-                tentativesEnvoi: { lt: 3 }, // Max 3 tentatives
-                createdAt: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Dans les 24h
-            },
-            orderBy: { priorite: 'desc' },
-            take: 20
+                id: notificationId,
+                userId
+            }
         });
+    }
+
+    /**
+     * Formater une notification pour le centre de notifications
+     */
+    static formatNotification(notification) {
+        return {
+            id: notification.id,
+            type: notification.typeNotification,
+            titre: notification.titre,
+            message: notification.message,
+            priorite: notification.priorite,
+            lue: !!notification.dateLecture,
+            dateLecture: notification.dateLecture,
+            donnees: notification.donneesSupplementaires,
+            createdAt: notification.createdAt
+        };
+    }
 
-        console.log(`🔄 Retry de ${failedNotifications.length} notifications échouées`);
+    /**
+     * Relancer les notifications en échec dont le délai de backoff est écoulé
+     */
+    static async retryFailedNotifications() {
+        try {
+            const resultat = await this._traiterLot({ statut: 'ECHEC' });
+            if (resultat.traitees > 0) {
+                console.log(`🔄 Retry de ${resultat.traitees} notification(s) échouée(s), ${resultat.envoyees} envoyée(s)`);
+            }
+            return resultat.traitees;
 
-        for (const notification of failedNotifications) {
-            await this.sendNotification(notification.id);
+        } catch (error) {
+            console.error('Erreur retry notifications:', error);
+            throw error;
         }
-
-        return failedNotifications.length;
     }
 
     /**
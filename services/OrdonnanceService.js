@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const Consts = require('../config/const');
+
+/**
+ * Service de gestion des ordonnances électroniques
+ * Numérotation séquentielle, signature numérique et vérification d'authenticité
+ */
+class OrdonnanceService {
+    /**
+     * Génère le prochain numéro d'ordonnance (ex: ORD-2025-000042)
+     * Doit être appelé dans une transaction Prisma pour rester cohérent avec la création
+     */
+    static async generateNumero(tx, date = new Date()) {
+        const annee = date.getFullYear();
+        const cle = `ORDONNANCE_${annee}`;
+
+        const sequence = await this._incrementSequence(tx, cle);
+        const numero = String(sequence.valeur).padStart(6, '0');
+
+        return `${Consts.ORDONNANCE_CONFIG.prefixe}-${annee}-${numero}`;
+    }
+
+    /**
+     * Incrémente atomiquement un compteur (UPDATE ... SET valeur = valeur + 1)
+     */
+    static async _incrementSequence(tx, cle) {
+        try {
+            return await tx.sequenceNumerotation.update({
+                where: { cle },
+                data: { valeur: { increment: 1 } }
+            });
+        } catch (error) {
+            if (error.code !== 'P2025') {
+                throw error;
+            }
+        }
+
+        // Première ordonnance de l'année : création du compteur
+        try {
+            return await tx.sequenceNumerotation.create({
+                data: { cle, valeur: 1 }
+            });
+        } catch (error) {
+            // Compteur créé entre-temps par une requête concurrente
+            if (error.code === 'P2002') {
+                return await tx.sequenceNumerotation.update({
+                    where: { cle },
+                    data: { valeur: { increment: 1 } }
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Construit la représentation canonique signée d'une ordonnance
+     * Toute modification d'un de ces champs invalide la signature
+     */
+    static _canonicalPayload(ordonnance) {
+        const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+        return this._stableStringify({
+            numeroOrdonnance: ordonnance.numeroOrdonnance,
+            consultationId: ordonnance.consultationId,
+            medecinId: ordonnance.medecinId,
+            patientId: ordonnance.patientId,
+            contenuOrdonnance: ordonnance.contenuOrdonnance,
+            medicaments: ordonnance.medicaments || null,
+            posologie: ordonnance.posologie || null,
+            dureeTraitement: ordonnance.dureeTraitement || null,
+            instructionsSpeciales: ordonnance.instructionsSpeciales || null,
+            dateCreation: toIso(ordonnance.dateCreation),
+            dateExpiration: ordonnance.dateExpiration ? toIso(ordonnance.dateExpiration).split('T')[0] : null
+        });
+    }
+
+    /**
+     * JSON.stringify avec clés triées : MySQL réordonne les clés des colonnes JSON
+     */
+    static _stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this._stableStringify(item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${this._stableStringify(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * Secret de signature des ordonnances et de leurs codes de vérification
+     */
+    static _secretSignature() {
+        const secret = Consts.ORDONNANCE_SIGNATURE_SECRET;
+
+        // Partagé avec le secret JWT, il permettrait de forger des jetons d'accès à l'API (et inversement)
+        if (!secret || secret === Consts.JWT_SECRET) {
+            throw new Error('Configuration signature des ordonnances manquante : ORDONNANCE_SECRET_* doit être défini et distinct du secret JWT');
+        }
+
+        return secret;
+    }
+
+    /**
+     * Calcule la signature HMAC-SHA256 d'une ordonnance
+     */
+    static sign(ordonnance) {
+        return crypto
+            .createHmac('sha256', this._secretSignature())
+            .update(this._canonicalPayload(ordonnance))
+            .digest('hex');
+    }
+
+    /**
+     * Vérifie que la signature stockée correspond au contenu de l'ordonnance
+     */
+    static verifySignature(ordonnance) {
+        if (!ordonnance.signatureNumerique) {
+            return false;
+        }
+
+        const attendue = Buffer.from(this.sign(ordonnance), 'hex');
+        const stockee = Buffer.from(ordonnance.signatureNumerique, 'hex');
+
+        return attendue.length === stockee.length && crypto.timingSafeEqual(attendue, stockee);
+    }
+
+    /**
+     * Code de vérification imprimé sur l'ordonnance (12 caractères dérivés du secret de signature)
+     * Le numéro étant séquentiel, seul ce code donne accès au contenu de l'ordonnance
+     */
+    static codeVerification(numeroOrdonnance) {
+        return crypto
+            .createHmac('sha256', this._secretSignature())
+            .update(`VERIFICATION:${numeroOrdonnance}`)
+            .digest('hex')
+            .slice(0, 12)
+            .toUpperCase();
+    }
+
+    /**
+     * Vérifie un code saisi ou scanné (tirets, espaces et casse ignorés)
+     */
+    static verifierCode(numeroOrdonnance, code) {
+        if (typeof code !== 'string') {
+            return false;
+        }
+
+        const attendu = Buffer.from(this.codeVerification(numeroOrdonnance));
+        const saisi = Buffer.from(code.replace(/[\s-]/g, '').toUpperCase());
+
+        return attendu.length === saisi.length && crypto.timingSafeEqual(attendu, saisi);
+    }
+
+    /**
+     * Lien de vérification (avec le code) destiné au pharmacien
+     */
+    static cheminVerification(numeroOrdonnance) {
+        return `/v1/ordonnances/verify/${numeroOrdonnance}?code=${this.codeVerification(numeroOrdonnance)}`;
+    }
+
+    /**
+     * Détermine le statut d'une ordonnance : ACTIVE, EXPIREE ou ARCHIVEE
+     */
+    static getStatut(ordonnance, maintenant = new Date()) {
+        if (ordonnance.archivee) {
+            return 'ARCHIVEE';
+        }
+
+        if (ordonnance.dateExpiration) {
+            // La date d'expiration est incluse (valable jusqu'à la fin de la journée)
+            const finValidite = new Date(ordonnance.dateExpiration);
+            finValidite.setUTCHours(23, 59, 59, 999);
+            if (finValidite < maintenant) {
+                return 'EXPIREE';
+            }
+        }
+
+        return 'ACTIVE';
+    }
+
+    /**
+     * Génère le texte de l'ordonnance à partir de la liste des médicaments
+     */
+    static buildContenu(medicaments, instructionsSpeciales = null) {
+        const lignes = medicaments.map((medicament, index) => {
+            const details = [
+                medicament.dosage,
+                medicament.forme,
+                medicament.quantite ? `Qté: ${medicament.quantite}` : null
+            ].filter(Boolean).join(' - ');
+
+            return `${index + 1}. ${medicament.nom}${details ? ` (${details})` : ''}\n   ${medicament.posologie} pendant ${medicament.dureeJours} jour(s)`;
+        });
+
+        if (instructionsSpeciales) {
+            lignes.push(`\nInstructions: ${instructionsSpeciales}`);
+        }
+
+        return lignes.join('\n');
+    }
+}
+
+module.exports = OrdonnanceService;
@@ -0,0 +1,529 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const RappelService = require('./RappelService');
+const TempsReelService = require('./TempsReelService');
+const TeleconsultationService = require('./TeleconsultationService');
+const ListeAttenteService = require('./ListeAttenteService');
+const ComptabiliteService = require('./ComptabiliteService');
+const RemboursementService = require('./RemboursementService');
+const PartiesRendezVousService = require('./PartiesRendezVousService');
+const { LocalPaymentProvider, FOURNISSEURS_OPERATEURS, getFournisseurParNom } = require('./paiement/fournisseurs');
+
+const MINUTE_MS = 60 * 1000;
+const { INCLUDE_PARTIES } = PartiesRendezVousService;
+
+/**
+ * Paiement mobile money des consultations
+ * Un fournisseur expose initier(paiement) -> { referenceFournisseur, urlPaiement, instructions, donnees },
+ * identifierWebhook(req) -> { id } | { referenceFournisseur } | null,
+ * verifierWebhook(req, paiement) et consulterStatut(paiement) -> { statut, motif, donnees }
+ * (verifierWebhook retourne null si l'authenticité de la notification n'est pas établie),
+ * et si l'opérateur le permet rembourser(paiement, remboursement) (voir RemboursementService)
+ *
+ * Quand le médecin exige le prépaiement, le rendez-vous accepté reste EN_ATTENTE (créneau retenu) jusqu'au
+ * paiement qui le confirme ; sans paiement à l'échéance, il est annulé par le worker
+ */
+class PaiementService {
+    static STATUTS = ['EN_ATTENTE', 'REUSSI', 'ECHOUE', 'EXPIRE', 'ANNULE'];
+
+    /**
+     * Fournisseur chargé des paiements d'un opérateur
+     */
+    static getFournisseur(operateur) {
+        const { fournisseur, simulateurAutorise } = Consts.PAIEMENT_CONFIG;
+
+        if (!fournisseur) {
+            throw new Error('Configuration paiement manquante : PAYMENT_PROVIDER doit valoir local ou operateurs');
+        }
+        if (fournisseur === 'local') {
+            if (!simulateurAutorise) {
+                throw new Error('Le simulateur de paiement (PAYMENT_PROVIDER=local) est interdit en production');
+            }
+            return LocalPaymentProvider;
+        }
+        if (fournisseur === 'operateurs' && FOURNISSEURS_OPERATEURS[operateur]) {
+            return FOURNISSEURS_OPERATEURS[operateur];
+        }
+        throw new Error(`Fournisseur de paiement inconnu: ${fournisseur}`);
+    }
+
+    /**
+     * Fournisseur destinataire d'un webhook (/v1/payments/webhooks/:fournisseur)
+     */
+    static getFournisseurParNom(nom) {
+        return getFournisseurParNom(nom);
+    }
+
+    /**
+     * Le médecin exige-t-il le paiement avant de confirmer ce rendez-vous ?
+     */
+    static prepaiementExige(medecin, tarif) {
+        return !!medecin.prepaiementRequis && Number(tarif) > 0;
+    }
+
+    /**
+     * Échéance du prépaiement d'un rendez-vous accepté maintenant
+     * @returns {Date|null} null si le rendez-vous est trop proche pour attendre le paiement
+     */
+    static calculerEcheance(rendezVous) {
+        const { delaiHeures, margeAvantRdvMinutes, delaiMinimalMinutes } = Consts.PAIEMENT_CONFIG.prepaiement;
+        const echeance = new Date(Math.min(
+            Date.now() + delaiHeures * 60 * MINUTE_MS,
+            RappelService.getDateHeureDebut(rendezVous).getTime() - margeAvantRdvMinutes * MINUTE_MS
+        ));
+
+        return echeance.getTime() - Date.now() >= delaiMinimalMinutes * MINUTE_MS ? echeance : null;
+    }
+
+    /**
+     * Le patient peut-il payer ce rendez-vous ? (en attente de prépaiement, confirmé ou terminé)
+     * @returns {{ autorise: boolean, motif: string|null }}
+     */
+    static peutPayer(rendezVous) {
+        if (!(Number(rendezVous.tarif) > 0)) {
+            return { autorise: false, motif: 'Ce rendez-vous n\'a pas de tarif à régler' };
+        }
+
+        if (rendezVous.statut === 'EN_ATTENTE') {
+            if (!rendezVous.echeancePaiement) {
+                return { autorise: false, motif: 'Le rendez-vous doit d\'abord être accepté par le médecin' };
+            }
+            if (rendezVous.echeancePaiement <= new Date()) {
+                return { autorise: false, motif: 'Le délai de paiement de ce rendez-vous est dépassé' };
+            }
+            return { autorise: true, motif: null };
+        }
+
+        if (!['CONFIRME', 'TERMINE'].includes(rendezVous.statut)) {
+            return {
+                autorise: false,
+                motif: `Un rendez-vous ${rendezVous.statut.toLowerCase()} ne peut pas être payé`
+            };
+        }
+
+        return { autorise: true, motif: null };
+    }
+
+    /**
+     * Numéro mobile money au format international sans "+" (ex: 2250700000000)
+     * Un numéro ivoirien à 10 chiffres reçoit l'indicatif 225
+     */
+    static normaliserTelephone(telephone) {
+        const chiffres = String(telephone).replace(/[\s+\-.]/g, '');
+        return chiffres.length === 10 ? `225${chiffres}` : chiffres;
+    }
+
+    /**
+     * Crée le paiement et le transmet à l'opérateur
+     * En cas d'échec de l'opérateur, le paiement est enregistré comme ECHOUE et l'erreur est relancée
+     * @returns {Object} { paiement, instructions }
+     */
+    static async initier(rendezVous, { operateur, telephone }) {
+        const fournisseur = this.getFournisseur(operateur);
+        const expiration = Date.now() + Consts.PAIEMENT_CONFIG.expirationMinutes * MINUTE_MS;
+
+        const paiement = await prisma.paiement.create({
+            data: {
+                rendezVousId: rendezVous.id,
+                patientId: rendezVous.patientId,
+                montant: rendezVous.tarif,
+                devise: Consts.PAIEMENT_CONFIG.devise,
+                operateur,
+                fournisseur: fournisseur.nom,
+                telephone: this.normaliserTelephone(telephone),
+                expireLe: new Date(rendezVous.echeancePaiement ?
+                    Math.min(expiration, rendezVous.echeancePaiement.getTime()) : expiration)
+            }
+        });
+
+        try {
+            const initiation = await fournisseur.initier(paiement);
+
+            const paiementInitie = await prisma.paiement.update({
+                where: { id: paiement.id },
+                data: {
+                    referenceFournisseur: initiation.referenceFournisseur,
+                    urlPaiement: initiation.urlPaiement,
+                    donneesFournisseur: initiation.donnees || undefined
+                }
+            });
+
+            return { paiement: paiementInitie, instructions: initiation.instructions };
+
+        } catch (error) {
+            const detail = error.response && error.response.data ? JSON.stringify(error.response.data) : error.message;
+            console.error(`❌ Paiement ${paiement.id} refusé par ${fournisseur.nom}:`, detail);
+
+            await prisma.paiement.update({
+                where: { id: paiement.id },
+                data: {
+                    statut: 'ECHOUE',
+                    motifEchec: `Opérateur indisponible: ${error.message}`.slice(0, 255)
+                }
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Notification d'un opérateur (webhook)
+     * Lève FOURNISSEUR_INCONNU, NOTIFICATION_INVALIDE, PAIEMENT_NON_TROUVE ou SIGNATURE_INVALIDE
+     */
+    static async recevoirWebhook(nomFournisseur, req) {
+        const fournisseur = this.getFournisseurParNom(nomFournisseur);
+        if (!fournisseur) {
+            throw new Error('FOURNISSEUR_INCONNU');
+        }
+
+        const identifiant = fournisseur.identifierWebhook(req);
+        if (!identifiant) {
+            throw new Error('NOTIFICATION_INVALIDE');
+        }
+
+        const paiement = await prisma.paiement.findUnique({ where: identifiant });
+        if (!paiement || paiement.fournisseur !== fournisseur.nom) {
+            throw new Error('PAIEMENT_NON_TROUVE');
+        }
+
+        const notification = await fournisseur.verifierWebhook(req, paiement);
+        if (!notification) {
+            throw new Error('SIGNATURE_INVALIDE');
+        }
+
+        return await this.traiterNotification(paiement, notification);
+    }
+
+    /**
+     * Applique le statut annoncé par l'opérateur (idempotent : une notification rejouée est sans effet)
+     * Un paiement réussi l'emporte sur l'état local (expiré, annulé) : le patient a été débité
+     * @returns {Object} { paiement, traite, rendezVousConfirme }
+     */
+    static async traiterNotification(paiement, { statut, motif = null, donnees = null }) {
+        if (statut === 'EN_ATTENTE' || statut === paiement.statut) {
+            return { paiement, traite: false, rendezVousConfirme: false };
+        }
+
+        const donneesFournisseur = donnees ? { ...(paiement.donneesFournisseur || {}), ...donnees } : undefined;
+
+        if (statut === 'REUSSI') {
+            // Le paiement est comptabilisé (part du médecin, commission) avec son changement de statut
+            const traite = await prisma.$transaction(async (tx) => {
+                const { count } = await tx.paiement.updateMany({
+                    where: { id: paiement.id, statut: { not: 'REUSSI' } },
+                    data: { statut: 'REUSSI', payeLe: new Date(), motifEchec: null, donneesFournisseur }
+                });
+                if (count === 0) {
+                    return false;
+                }
+
+                const rendezVous = await tx.rendezVous.findUnique({
+                    where: { id: paiement.rendezVousId },
+                    select: { medecinId: true }
+                });
+                await ComptabiliteService.enregistrerPaiement(tx, paiement, rendezVous.medecinId);
+                return true;
+            });
+            if (!traite) {
+                return { paiement, traite: false, rendezVousConfirme: false };
+            }
+
+            const rendezVousConfirme = await this._apresPaiement(paiement.id);
+            return {
+                paiement: await prisma.paiement.findUnique({ where: { id: paiement.id } }),
+                traite: true,
+                rendezVousConfirme
+            };
+        }
+
+        const { count } = await prisma.paiement.updateMany({
+            where: { id: paiement.id, statut: 'EN_ATTENTE' },
+            data: {
+                statut: 'ECHOUE',
+                motifEchec: (motif || 'Paiement refusé par l\'opérateur').slice(0, 255),
+                donneesFournisseur
+            }
+        });
+        if (count === 0) {
+            return { paiement, traite: false, rendezVousConfirme: false };
+        }
+
+        const paiementEchoue = await prisma.paiement.findUnique({
+            where: { id: paiement.id },
+            include: { rendezVous: { include: INCLUDE_PARTIES } }
+        });
+        const rendezVous = paiementEchoue.rendezVous;
+
+        await PartiesRendezVousService.notifier(rendezVous.patient.user, 'PAIEMENT', {
+            titre: 'Paiement échoué ❌',
+            message: `Le paiement de ${Number(paiementEchoue.montant)} ${paiementEchoue.devise} pour le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} n'a pas abouti (${paiementEchoue.motifEchec}).` +
+                (rendezVous.echeancePaiement ? ` Vous pouvez réessayer jusqu'au ${rendezVous.echeancePaiement.toLocaleString('fr-FR')}, sans quoi le rendez-vous sera annulé.` : ''),
+            priorite: 'HAUTE',
+            donnees: { rendezVousId: rendezVous.id, paiementId: paiement.id }
+        });
+
+        await TempsReelService.publier(rendezVous.patient.user.id, TempsReelService.TYPES.PAIEMENT, {
+            rendezVousId: rendezVous.id,
+            paiement: this.format(paiementEchoue)
+        });
+
+        console.log(`💳 Paiement ${paiement.id} échoué: ${paiementEchoue.motifEchec}`);
+        return { paiement: paiementEchoue, traite: true, rendezVousConfirme: false };
+    }
+
+    /**
+     * Paiement réussi : confirmation du rendez-vous en attente de prépaiement, notifications
+     * Un paiement reçu pour un rendez-vous annulé, refusé ou déjà payé est remboursé intégralement
+     * @returns {boolean} Rendez-vous confirmé par ce paiement
+     */
+    static async _apresPaiement(paiementId) {
+        const paiement = await prisma.paiement.findUnique({
+            where: { id: paiementId },
+            include: { rendezVous: { include: INCLUDE_PARTIES } }
+        });
+        const rendezVous = paiement.rendezVous;
+        const montant = `${Number(paiement.montant)} ${paiement.devise}`;
+
+        const dejaPaye = await prisma.paiement.count({
+            where: { rendezVousId: rendezVous.id, statut: 'REUSSI', id: { not: paiement.id } }
+        }) > 0;
+
+        let rendezVousConfirme = false;
+        let statutRendezVous = rendezVous.statut;
+        if (rendezVous.statut === 'EN_ATTENTE' && rendezVous.echeancePaiement) {
+            rendezVousConfirme = await prisma.$transaction(async (tx) => {
+                const { count } = await tx.rendezVous.updateMany({
+                    where: { id: rendezVous.id, statut: 'EN_ATTENTE' },
+                    data: { statut: 'CONFIRME', echeancePaiement: null }
+                });
+                if (count === 0) {
+                    // Annulé entre-temps (échéance du prépaiement, patient, médecin) : statut relu pour le remboursement
+                    const actuel = await tx.rendezVous.findUnique({ where: { id: rendezVous.id }, select: { statut: true } });
+                    statutRendezVous = actuel.statut;
+                    return false;
+                }
+
+                await tx.rendezVousHistorique.create({
+                    data: {
+                        rendezVousId: rendezVous.id,
+                        statutPrecedent: 'EN_ATTENTE',
+                        nouveauStatut: 'CONFIRME',
+                        motifModification: `Confirmé après paiement de la consultation (${montant} via ${paiement.operateur})`,
+                        modifieParUserId: rendezVous.patient.user.id,
+                        dateModification: new Date()
+                    }
+                });
+
+                await RappelService.planifier(tx, rendezVous.id);
+                return true;
+            });
+        }
+
+        if (rendezVousConfirme) {
+            await TeleconsultationService.preparerSalle(rendezVous.id);
+
+            await PartiesRendezVousService.notifier(rendezVous.patient.user, 'PAIEMENT', {
+                titre: 'Rendez-vous confirmé ✅',
+                message: `Paiement de ${montant} reçu. Votre rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} avec le Dr ${rendezVous.medecin.user.nom} est confirmé.`,
+                donnees: { rendezVousId: rendezVous.id, paiementId }
+            });
+            await PartiesRendezVousService.notifier(rendezVous.medecin.user, 'PAIEMENT', {
+                titre: 'Consultation payée',
+                message: `${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom} a payé la consultation du ${PartiesRendezVousService.libelleCreneau(rendezVous)} : le rendez-vous est confirmé.`,
+                donnees: { rendezVousId: rendezVous.id, paiementId }
+            });
+        } else if (['ANNULE', 'REFUSE'].includes(statutRendezVous) || dejaPaye) {
+            const remboursement = await prisma.$transaction(async (tx) => RemboursementService.creer(tx, {
+                paiement,
+                medecinId: rendezVous.medecinId,
+                montant: await RemboursementService.montantRemboursable(tx, paiement),
+                origine: dejaPaye ? 'PAIEMENT_EN_DOUBLE' : 'RENDEZ_VOUS_INACTIF',
+                motif: dejaPaye ?
+                    'Second paiement reçu pour une consultation déjà payée' :
+                    `Paiement reçu pour un rendez-vous ${statutRendezVous === 'ANNULE' ? 'annulé' : 'refusé'}`
+            }));
+            console.log(`💸 Paiement ${paiementId} reçu pour le RDV ${rendezVous.id} (${dejaPaye ? 'déjà payé' : statutRendezVous}) : remboursement ${remboursement.id}`);
+
+            await PartiesRendezVousService.notifier(rendezVous.patient.user, 'PAIEMENT', {
+                titre: 'Paiement reçu',
+                message: dejaPaye ?
+                    `Votre paiement de ${montant} a été reçu alors que la consultation du ${PartiesRendezVousService.libelleCreneau(rendezVous)} était déjà payée : il vous sera remboursé.` :
+                    `Votre paiement de ${montant} a été reçu alors que le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} n'est plus actif : il vous sera remboursé.`,
+                priorite: 'HAUTE',
+                donnees: { rendezVousId: rendezVous.id, paiementId }
+            });
+
+            await RemboursementService.effectuer(remboursement.id);
+        } else {
+            await PartiesRendezVousService.notifier(rendezVous.patient.user, 'PAIEMENT', {
+                titre: 'Paiement reçu ✅',
+                message: `Votre paiement de ${montant} pour le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} a bien été reçu.`,
+                donnees: { rendezVousId: rendezVous.id, paiementId }
+            });
+        }
+
+        await TempsReelService.publierRendezVous(TempsReelService.TYPES.PAIEMENT, rendezVous.id, {
+            paiement: this.format(paiement),
+            rendezVousConfirme
+        });
+
+        console.log(`💳 Paiement ${paiementId} réussi: ${montant} via ${paiement.operateur}${rendezVousConfirme ? ` - RDV ${rendezVous.id} confirmé` : ''}`);
+        return rendezVousConfirme;
+    }
+
+    /**
+     * Paiements en cours d'un rendez-vous annulé (dans la transaction d'annulation)
+     */
+    static async annulerEnAttente(tx, rendezVousId) {
+        await tx.paiement.updateMany({
+            where: { rendezVousId, statut: 'EN_ATTENTE' },
+            data: { statut: 'ANNULE' }
+        });
+    }
+
+    /**
+     * Tâche du worker :
+     * - paiements arrivés à échéance : statut relu auprès de l'opérateur (notification perdue), sinon EXPIRE
+     * - rendez-vous en attente de prépaiement dont l'échéance est passée : annulés, créneau libéré
+     */
+    static async expirer() {
+        const paiements = await prisma.paiement.findMany({
+            where: { statut: 'EN_ATTENTE', expireLe: { lte: new Date() } },
+            take: 100
+        });
+
+        let expires = 0;
+        for (const paiement of paiements) {
+            try {
+                const fournisseur = this.getFournisseurParNom(paiement.fournisseur);
+                const etat = paiement.referenceFournisseur ? await fournisseur.consulterStatut(paiement) : null;
+                if (etat && etat.statut !== 'EN_ATTENTE') {
+                    await this.traiterNotification(paiement, etat);
+                    continue;
+                }
+            } catch (error) {
+                console.error(`⚠️ Statut du paiement ${paiement.id} non vérifié auprès de l'opérateur:`, error.message);
+            }
+
+            const { count } = await prisma.paiement.updateMany({
+                where: { id: paiement.id, statut: 'EN_ATTENTE' },
+                data: { statut: 'EXPIRE', motifEchec: 'Paiement non validé dans le délai imparti' }
+            });
+            expires += count;
+        }
+
+        const rendezVousImpayes = await prisma.rendezVous.findMany({
+            where: { statut: 'EN_ATTENTE', echeancePaiement: { lte: new Date() } },
+            include: INCLUDE_PARTIES,
+            take: 100
+        });
+
+        let annules = 0;
+        for (const rendezVous of rendezVousImpayes) {
+            try {
+                if (await this._annulerImpaye(rendezVous)) {
+                    annules++;
+                }
+            } catch (error) {
+                console.error(`⚠️ Rendez-vous impayé ${rendezVous.id} non traité:`, error.message);
+            }
+        }
+
+        if (expires > 0 || annules > 0) {
+            console.log(`⏳ Paiements: ${expires} paiement(s) expiré(s), ${annules} rendez-vous annulé(s) faute de prépaiement`);
+        }
+        return expires + annules;
+    }
+
+    /**
+     * Annule un rendez-vous non payé à l'échéance du prépaiement
+     * Un paiement réussi dont la confirmation a échoué (erreur après sa comptabilisation) confirme le rendez-vous au lieu de l'annuler
+     * @returns {boolean} Rendez-vous annulé
+     */
+    static async _annulerImpaye(rendezVous) {
+        const paiementReussi = await prisma.paiement.findFirst({
+            where: { rendezVousId: rendezVous.id, statut: 'REUSSI' },
+            select: { id: true }
+        });
+        if (paiementReussi) {
+            await this._apresPaiement(paiementReussi.id);
+            return false;
+        }
+
+        const annule = await prisma.$transaction(async (tx) => {
+            // Sans paiement réussi entre-temps (sinon _apresPaiement le confirme ou le rembourse)
+            const { count } = await tx.rendezVous.updateMany({
+                where: { id: rendezVous.id, statut: 'EN_ATTENTE', echeancePaiement: { lte: new Date() }, paiements: { none: { statut: 'REUSSI' } } },
+                data: { statut: 'ANNULE', echeancePaiement: null }
+            });
+            if (count === 0) {
+                return false;
+            }
+
+            await tx.rendezVousHistorique.create({
+                data: {
+                    rendezVousId: rendezVous.id,
+                    statutPrecedent: 'EN_ATTENTE',
+                    nouveauStatut: 'ANNULE',
+                    motifModification: 'Annulé automatiquement : consultation non payée à l\'échéance du prépaiement',
+                    modifieParUserId: rendezVous.patient.user.id,
+                    dateModification: new Date()
+                }
+            });
+
+            await this.annulerEnAttente(tx, rendezVous.id);
+            return true;
+        });
+        if (!annule) {
+            return false;
+        }
+
+        await PartiesRendezVousService.notifier(rendezVous.patient.user, 'PAIEMENT', {
+            titre: 'Rendez-vous annulé ⚠️',
+            message: `Votre rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} avec le Dr ${rendezVous.medecin.user.nom} a été annulé : la consultation n'a pas été payée dans le délai demandé par le médecin.`,
+            priorite: 'HAUTE',
+            donnees: { rendezVousId: rendezVous.id }
+        });
+        await PartiesRendezVousService.notifier(rendezVous.medecin.user, 'PAIEMENT', {
+            titre: 'Rendez-vous annulé (non payé)',
+            message: `Le rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} avec ${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom} a été annulé faute de paiement. Le créneau est de nouveau disponible.`,
+            donnees: { rendezVousId: rendezVous.id }
+        });
+
+        // Le créneau libéré est proposé au premier patient de la liste d'attente
+        try {
+            await ListeAttenteService.proposerCreneau({
+                medecinId: rendezVous.medecinId,
+                typeConsultation: rendezVous.typeConsultation,
+                dateRendezVous: rendezVous.dateRendezVous,
+                heureDebut: rendezVous.heureDebut,
+                heureFin: rendezVous.heureFin
+            });
+        } catch (listeAttenteError) {
+            console.error('Erreur liste d\'attente après annulation pour non-paiement:', listeAttenteError);
+        }
+
+        await TempsReelService.publierRendezVous(TempsReelService.TYPES.RENDEZ_VOUS_ANNULE, rendezVous.id, { annulePar: 'SYSTEME', motif: 'PREPAIEMENT_NON_RECU' });
+        return true;
+    }
+
+    static format(paiement) {
+        return {
+            id: paiement.id,
+            rendezVousId: paiement.rendezVousId,
+            montant: Number(paiement.montant),
+            devise: paiement.devise,
+            operateur: paiement.operateur,
+            fournisseur: paiement.fournisseur,
+            telephone: paiement.telephone,
+            statut: paiement.statut,
+            referenceFournisseur: paiement.referenceFournisseur,
+            urlPaiement: paiement.statut === 'EN_ATTENTE' ? paiement.urlPaiement : null,
+            motifEchec: paiement.motifEchec,
+            expireLe: paiement.expireLe,
+            payeLe: paiement.payeLe,
+            createdAt: paiement.createdAt
+        };
+    }
+}
+
+module.exports = PaiementService;
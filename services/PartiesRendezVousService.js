@@ -0,0 +1,53 @@
+const NotificationService = require('./NotificationService');
+
+// Sélection commune des parties d'un rendez-vous (notifications, autorisations)
+const INCLUDE_PARTIES = {
+    patient: {
+        include: {
+            user: { select: { id: true, nom: true, prenom: true, telephone: true, canalCommunicationPrefere: true } }
+        }
+    },
+    medecin: {
+        include: {
+            user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+        }
+    }
+};
+
+/**
+ * Parties d'un rendez-vous (patient et médecin) : chargement, notification et libellé du créneau
+ * communs aux paiements, remboursements et reprogrammations
+ */
+class PartiesRendezVousService {
+    static INCLUDE_PARTIES = INCLUDE_PARTIES;
+
+    /**
+     * Notifie une partie du rendez-vous sans faire échouer l'action en cours
+     * @param {Object} destinataire - Utilisateur { id, canalCommunicationPrefere }
+     * @param {string} typeNotification - PAIEMENT, RENDEZ_VOUS...
+     */
+    static async notifier(destinataire, typeNotification, { titre, message, priorite = 'NORMALE', donnees = {} }) {
+        try {
+            await NotificationService.createAndSendNotification({
+                userId: destinataire.id,
+                typeNotification,
+                titre,
+                message,
+                canal: destinataire.canalCommunicationPrefere || 'EMAIL',
+                priorite,
+                donneesSupplementaires: donnees
+            });
+        } catch (notificationError) {
+            console.error(`Erreur notification ${typeNotification.toLowerCase()}:`, notificationError);
+        }
+    }
+
+    /**
+     * Date et heure d'un rendez-vous ou d'un créneau proposé ("21/07/2025 à 09:00")
+     */
+    static libelleCreneau(creneau) {
+        return `${new Date(creneau.dateRendezVous).toLocaleDateString('fr-FR', { timeZone: 'UTC' })} à ${creneau.heureDebut}`;
+    }
+}
+
+module.exports = PartiesRendezVousService;
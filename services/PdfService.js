@@ -0,0 +1,415 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const LocalFileService = require('./LocalFileService');
+const OrdonnanceService = require('./OrdonnanceService');
+
+// Charte graphique alignée sur templates/email/base.html
+const COULEURS = {
+    primaire: '#009787',
+    primaireFonce: '#007a6b',
+    accent: '#EE702B',
+    texte: '#000000',
+    texteSecondaire: '#6c757d',
+    bordure: '#e9ecef'
+};
+
+const LOGO_PATH = path.join(__dirname, '../public/images/logo.png');
+
+/**
+ * Service de génération des documents imprimables (ordonnances, comptes rendus)
+ * Les PDF sont générés une seule fois puis stockés via LocalFileService
+ */
+class PdfService {
+    static _logo = null;
+
+    /**
+     * Logo redimensionné une seule fois (l'original fait plusieurs Mo)
+     */
+    static async _getLogo() {
+        if (!this._logo) {
+            this._logo = await sharp(LOGO_PATH)
+                .resize({ width: 360 })
+                .png()
+                .toBuffer();
+        }
+        return this._logo;
+    }
+
+    static getVerificationUrl(numeroOrdonnance) {
+        return `${process.env.BASE_URL || 'http://localhost:3000'}${OrdonnanceService.cheminVerification(numeroOrdonnance)}`;
+    }
+
+    static _formatDate(date) {
+        return date ? new Date(date).toLocaleDateString('fr-FR', { timeZone: 'UTC' }) : '-';
+    }
+
+    /**
+     * Collecte le flux d'un document PDFKit ; la promesse est résolue après doc.end()
+     */
+    static _toBuffer(doc) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+    }
+
+    /**
+     * En-tête commun : bandeau aux couleurs de la plateforme, logo et bloc médecin
+     */
+    static async _drawHeader(doc, titre, medecin) {
+        const largeur = doc.page.width;
+
+        doc.rect(0, 0, largeur, 110).fill(COULEURS.primaire);
+        doc.image(await this._getLogo(), 50, 22, { height: 66 });
+
+        doc.fillColor('#FFFFFF')
+            .font('Helvetica-Bold')
+            .fontSize(18)
+            .text(titre, 200, 35, { width: largeur - 250, align: 'right' })
+            .font('Helvetica')
+            .fontSize(10)
+            .text('Votre santé, notre priorité', 200, 62, { width: largeur - 250, align: 'right' });
+
+        // Bloc médecin
+        const clinique = medecin.clinique;
+        doc.fillColor(COULEURS.texte)
+            .font('Helvetica-Bold')
+            .fontSize(12)
+            .text(`Dr ${medecin.user.prenom} ${medecin.user.nom}`, 50, 130);
+
+        doc.font('Helvetica')
+            .fontSize(9)
+            .fillColor(COULEURS.texteSecondaire)
+            .text(Array.isArray(medecin.specialites) ? medecin.specialites.join(', ') : '')
+            .text(`N° d'ordre : ${medecin.numeroOrdre}`);
+
+        if (clinique) {
+            doc.text(clinique.nom)
+                .text(`${clinique.adresse}, ${clinique.ville}`);
+            if (clinique.telephone) {
+                doc.text(`Tél. : ${clinique.telephone}`);
+            }
+        } else if (medecin.user.telephone) {
+            doc.text(`Tél. : ${medecin.user.telephone}`);
+        }
+
+        doc.moveDown(1.5);
+    }
+
+    /**
+     * Bloc d'identification du patient
+     */
+    static _drawPatient(doc, patient, dateDocument) {
+        const y = doc.y;
+
+        doc.rect(50, y, doc.page.width - 100, 48).fill('#f8f9fa');
+        doc.fillColor(COULEURS.texte)
+            .font('Helvetica-Bold')
+            .fontSize(10)
+            .text(`Patient : ${patient.user.prenom} ${patient.user.nom}`, 62, y + 10)
+            .font('Helvetica')
+            .fontSize(9)
+            .text(`Né(e) le : ${this._formatDate(patient.dateNaissance)}${patient.sexe ? `  -  Sexe : ${patient.sexe}` : ''}`, 62, y + 26);
+
+        doc.text(`Date : ${this._formatDate(dateDocument)}`, 62, y + 10, {
+            width: doc.page.width - 136,
+            align: 'right'
+        });
+
+        doc.x = 50;
+        doc.y = y + 64;
+    }
+
+    static _drawSection(doc, titre, contenu) {
+        if (!contenu) {
+            return;
+        }
+
+        doc.fillColor(COULEURS.primaire)
+            .font('Helvetica-Bold')
+            .fontSize(11)
+            .text(titre, 50)
+            .moveDown(0.3)
+            .fillColor(COULEURS.texte)
+            .font('Helvetica')
+            .fontSize(10)
+            .text(contenu, { width: doc.page.width - 100 })
+            .moveDown(1);
+    }
+
+    /**
+     * Pied de page : mention de la plateforme sur chaque page
+     */
+    static _drawFooter(doc, mention) {
+        const range = doc.bufferedPageRange();
+
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            const y = doc.page.height - 60;
+            // Écriture dans la marge basse sans déclencher de saut de page
+            doc.page.margins.bottom = 0;
+
+            doc.moveTo(50, y).lineTo(doc.page.width - 50, y).strokeColor(COULEURS.bordure).stroke();
+            doc.fillColor(COULEURS.primaire)
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .text('Malaika - Plateforme Médecins-Patients', 50, y + 8, { width: doc.page.width - 100, align: 'center', lineBreak: false });
+            doc.fillColor(COULEURS.texteSecondaire)
+                .font('Helvetica')
+                .text(`${mention}  -  Page ${i - range.start + 1}/${range.count}`, 50, y + 20, { width: doc.page.width - 100, align: 'center', lineBreak: false });
+        }
+    }
+
+    static _createDocument(titre) {
+        return new PDFDocument({
+            size: 'A4',
+            margins: { top: 50, bottom: 70, left: 50, right: 50 },
+            bufferPages: true,
+            info: {
+                Title: titre,
+                Author: Consts.APP_NAME,
+                Creator: Consts.APP_NAME
+            }
+        });
+    }
+
+    /**
+     * Génère le PDF d'une ordonnance (avec QR code de vérification)
+     */
+    static async generateOrdonnancePdf(ordonnance) {
+        const doc = this._createDocument(`Ordonnance ${ordonnance.numeroOrdonnance}`);
+        const bufferPromise = this._toBuffer(doc);
+
+        await this._drawHeader(doc, 'ORDONNANCE', ordonnance.medecin);
+        this._drawPatient(doc, ordonnance.patient, ordonnance.dateCreation);
+
+        doc.fillColor(COULEURS.accent)
+            .font('Helvetica-Bold')
+            .fontSize(10)
+            .text(`N° ${ordonnance.numeroOrdonnance}`, 50)
+            .fillColor(COULEURS.texteSecondaire)
+            .font('Helvetica')
+            .fontSize(9)
+            .text(`Valable jusqu'au ${this._formatDate(ordonnance.dateExpiration)}`)
+            .moveDown(1);
+
+        (ordonnance.medicaments || []).forEach((medicament, index) => {
+            const details = [medicament.dosage, medicament.forme, medicament.quantite ? `Qté : ${medicament.quantite}` : null]
+                .filter(Boolean)
+                .join(' - ');
+
+            doc.fillColor(COULEURS.texte)
+                .font('Helvetica-Bold')
+                .fontSize(11)
+                .text(`${index + 1}. ${medicament.nom}${details ? `  (${details})` : ''}`, 50)
+                .font('Helvetica')
+                .fontSize(10)
+                .text(`${medicament.posologie} pendant ${medicament.dureeJours} jour(s)`, 66)
+                .moveDown(0.6);
+        });
+
+        doc.moveDown(0.5);
+        this._drawSection(doc, 'Instructions', ordonnance.instructionsSpeciales);
+
+        // QR code de vérification pour le pharmacien
+        const verificationUrl = this.getVerificationUrl(ordonnance.numeroOrdonnance);
+        const qrCode = await QRCode.toBuffer(verificationUrl, { type: 'png', margin: 1, width: 240 });
+
+        if (doc.y > doc.page.height - 240) {
+            doc.addPage();
+        }
+
+        const yQr = doc.y + 10;
+        doc.image(qrCode, 50, yQr, { width: 100 });
+        doc.fillColor(COULEURS.texte)
+            .font('Helvetica-Bold')
+            .fontSize(9)
+            .text('Vérification de l\'ordonnance', 165, yQr + 10)
+            .font('Helvetica')
+            .fillColor(COULEURS.texteSecondaire)
+            .text('Scannez ce QR code ou consultez :', 165, yQr + 26)
+            .fillColor(COULEURS.primaire)
+            .text(verificationUrl, 165, yQr + 40, { width: doc.page.width - 215, link: verificationUrl })
+            .fillColor(COULEURS.texteSecondaire)
+            .fontSize(7)
+            .text(`Code de vérification : ${OrdonnanceService.codeVerification(ordonnance.numeroOrdonnance)}`, 165, yQr + 66, { width: doc.page.width - 215 })
+            .text(`Signature : ${ordonnance.signatureNumerique || '-'}`, 165, yQr + 78, { width: doc.page.width - 215 });
+
+        doc.fillColor(COULEURS.texte)
+            .font('Helvetica')
+            .fontSize(10)
+            .text(`Dr ${ordonnance.medecin.user.prenom} ${ordonnance.medecin.user.nom}`, 50, yQr + 20, {
+                width: doc.page.width - 100,
+                align: 'right'
+            });
+
+        this._drawFooter(doc, `Ordonnance ${ordonnance.numeroOrdonnance}`);
+        doc.end();
+
+        return bufferPromise;
+    }
+
+    /**
+     * Génère le PDF d'un compte rendu de consultation
+     */
+    static async generateConsultationPdf(consultation) {
+        const { rendezVous } = consultation;
+        const doc = this._createDocument('Compte rendu de consultation');
+        const bufferPromise = this._toBuffer(doc);
+
+        await this._drawHeader(doc, 'COMPTE RENDU', rendezVous.medecin);
+        this._drawPatient(doc, rendezVous.patient, consultation.dateConsultation);
+
+        this._drawSection(doc, 'Motif de consultation', rendezVous.motifConsultation);
+        this._drawSection(doc, 'Diagnostic', consultation.diagnostic);
+        this._drawSection(doc, 'Examens effectués', consultation.examensEffectues);
+        this._drawSection(doc, 'Examens prescrits', consultation.examensPrescrits);
+
+        if (consultation.suiviNecessaire) {
+            this._drawSection(doc, 'Suivi', consultation.prochaineConsultationPrevue
+                ? `Prochaine consultation prévue le ${this._formatDate(consultation.prochaineConsultationPrevue)}`
+                : 'Un suivi est nécessaire');
+        }
+
+        if (consultation.ordonnances && consultation.ordonnances.length > 0) {
+            this._drawSection(doc, 'Ordonnances associées', consultation.ordonnances
+                .map(ordonnance => `${ordonnance.numeroOrdonnance} - vérifiable sur ${this.getVerificationUrl(ordonnance.numeroOrdonnance)}`)
+                .join('\n'));
+        }
+
+        this._drawFooter(doc, 'Document confidentiel - Compte rendu de consultation');
+        doc.end();
+
+        return bufferPromise;
+    }
+
+    /**
+     * Métadonnées stockées en base (même format que les documents des médecins)
+     */
+    static _buildFichierPdf(fichier) {
+        return {
+            fileId: fichier.fileId,
+            nom_fichier: fichier.filename,
+            file_path: fichier.relativePath,
+            taille: fichier.size,
+            mime_type: fichier.mimeType,
+            genere_le: fichier.uploadDate
+        };
+    }
+
+    /**
+     * Retourne le PDF d'une ordonnance, en le générant au premier appel
+     * L'ordonnance étant signée et immuable, le fichier n'est jamais régénéré
+     */
+    static async getOrdonnancePdf(ordonnanceId) {
+        const ordonnance = await prisma.ordonnance.findUnique({
+            where: { id: ordonnanceId },
+            include: {
+                medecin: {
+                    include: {
+                        user: { select: { nom: true, prenom: true, telephone: true } },
+                        clinique: true
+                    }
+                },
+                patient: {
+                    include: {
+                        user: { select: { nom: true, prenom: true } }
+                    }
+                }
+            }
+        });
+
+        if (ordonnance.fichierPdf) {
+            return ordonnance.fichierPdf;
+        }
+
+        const buffer = await this.generateOrdonnancePdf(ordonnance);
+        const fichier = await LocalFileService.uploadFile(buffer, `${ordonnance.numeroOrdonnance}.pdf`, 'application/pdf', 'ORDONNANCE');
+        const fichierPdf = this._buildFichierPdf(fichier);
+
+        await prisma.ordonnance.update({
+            where: { id: ordonnance.id },
+            data: { fichierPdf }
+        });
+
+        console.log(`📄 PDF ordonnance généré: ${ordonnance.numeroOrdonnance}`);
+        return fichierPdf;
+    }
+
+    /**
+     * Retourne le PDF d'un compte rendu, en le générant s'il n'existe pas
+     * (le fichier est invalidé à chaque modification de la consultation)
+     */
+    static async getConsultationPdf(consultationId) {
+        const consultation = await prisma.consultation.findUnique({
+            where: { id: consultationId },
+            include: {
+                rendezVous: {
+                    include: {
+                        medecin: {
+                            include: {
+                                user: { select: { nom: true, prenom: true, telephone: true } },
+                                clinique: true
+                            }
+                        },
+                        patient: {
+                            include: {
+                                user: { select: { nom: true, prenom: true } }
+                            }
+                        }
+                    }
+                },
+                ordonnances: {
+                    select: { numeroOrdonnance: true },
+                    orderBy: { dateCreation: 'asc' }
+                }
+            }
+        });
+
+        if (consultation.fichierPdf) {
+            return consultation.fichierPdf;
+        }
+
+        const buffer = await this.generateConsultationPdf(consultation);
+        const fichier = await LocalFileService.uploadFile(buffer, `compte-rendu-${consultation.id}.pdf`, 'application/pdf', 'COMPTE_RENDU');
+        const fichierPdf = this._buildFichierPdf(fichier);
+
+        await prisma.consultation.update({
+            where: { id: consultation.id },
+            data: { fichierPdf }
+        });
+
+        console.log(`📄 PDF compte rendu généré: consultation ${consultation.id}`);
+        return fichierPdf;
+    }
+
+    /**
+     * Supprime un PDF devenu obsolète (erreurs ignorées, le fichier sera régénéré)
+     */
+    static async deletePdf(fichierPdf, type) {
+        if (!fichierPdf || !fichierPdf.fileId) {
+            return;
+        }
+
+        try {
+            await LocalFileService.deleteFile(fichierPdf.fileId, type);
+        } catch (error) {
+            console.warn(`⚠️ Suppression PDF obsolète impossible (${fichierPdf.fileId}):`, error.message);
+        }
+    }
+
+    /**
+     * URL d'accès via la route sécurisée /files
+     */
+    static getFileUrl(fichierPdf) {
+        return LocalFileService.generateFileUrl(fichierPdf.file_path);
+    }
+}
+
+module.exports = PdfService;
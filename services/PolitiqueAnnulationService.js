@@ -0,0 +1,217 @@
+const Consts = require('../config/const');
+
+const JOUR_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Politique d'annulation des rendez-vous et suivi de la fiabilité des patients
+ * La politique applicable est celle du médecin, à défaut celle de sa clinique, à défaut celle de la plateforme
+ */
+class PolitiqueAnnulationService {
+
+    /**
+     * Politique complète (valeurs par défaut pour les parties non renseignées)
+     */
+    static normaliser(politique, base = Consts.POLITIQUE_ANNULATION_CONFIG.parDefaut) {
+        const valeurs = politique && typeof politique === 'object' ? politique : {};
+        return { ...base, ...valeurs };
+    }
+
+    /**
+     * Politique applicable à un médecin
+     * @param {Object} client - Client Prisma ou transaction
+     * @returns {Object} { politique, source: 'MEDECIN' | 'CLINIQUE' | 'DEFAUT' }
+     */
+    static async getPolitique(client, medecinId) {
+        const medecin = await client.medecin.findUnique({
+            where: { id: medecinId },
+            select: {
+                politiqueAnnulation: true,
+                clinique: { select: { politiqueAnnulation: true } }
+            }
+        });
+
+        const politiqueClinique = medecin?.clinique?.politiqueAnnulation;
+        const base = this.normaliser(politiqueClinique);
+
+        if (medecin?.politiqueAnnulation) {
+            return { politique: this.normaliser(medecin.politiqueAnnulation, base), source: 'MEDECIN' };
+        }
+        return { politique: base, source: politiqueClinique ? 'CLINIQUE' : 'DEFAUT' };
+    }
+
+    /**
+     * Valide une mise à jour partielle de politique
+     * Retourne { erreurs, politique } où politique ne contient que les parties fournies
+     */
+    static valider(donnees) {
+        const { actionsAnnulationTardive, delaiMinimumMaxHeures, maxPaliers } = Consts.POLITIQUE_ANNULATION_CONFIG;
+        const erreurs = [];
+        const politique = {};
+        const champsConnus = ['delaiMinimumHeures', 'annulationTardive', 'paliersFrais', 'seuilRecidive', 'confirmationRecidivistes'];
+
+        const inconnus = Object.keys(donnees).filter(champ => !champsConnus.includes(champ));
+        if (inconnus.length > 0) {
+            erreurs.push(`Champs non reconnus: ${inconnus.join(', ')}`);
+        }
+
+        if (donnees.delaiMinimumHeures !== undefined) {
+            const delai = donnees.delaiMinimumHeures;
+            if (!Number.isInteger(delai) || delai < 0 || delai > delaiMinimumMaxHeures) {
+                erreurs.push(`delaiMinimumHeures doit être un nombre entier d'heures entre 0 et ${delaiMinimumMaxHeures}`);
+            } else {
+                politique.delaiMinimumHeures = delai;
+            }
+        }
+
+        if (donnees.annulationTardive !== undefined) {
+            if (!actionsAnnulationTardive.includes(donnees.annulationTardive)) {
+                erreurs.push(`annulationTardive doit être l'une des valeurs suivantes: ${actionsAnnulationTardive.join(', ')}`);
+            } else {
+                politique.annulationTardive = donnees.annulationTardive;
+            }
+        }
+
+        if (donnees.paliersFrais !== undefined) {
+            const paliers = donnees.paliersFrais;
+            const palierValide = (palier) => palier && typeof palier === 'object' &&
+                Number.isInteger(palier.heuresAvant) && palier.heuresAvant >= 0 &&
+                typeof palier.pourcentage === 'number' && palier.pourcentage >= 0 && palier.pourcentage <= 100;
+
+            if (!Array.isArray(paliers) || paliers.length === 0 || paliers.length > maxPaliers || !paliers.every(palierValide)) {
+                erreurs.push(`paliersFrais doit contenir de 1 à ${maxPaliers} paliers { heuresAvant: entier >= 0, pourcentage: 0-100 }`);
+            } else if (new Set(paliers.map(palier => palier.heuresAvant)).size !== paliers.length) {
+                erreurs.push('paliersFrais ne peut pas contenir deux paliers avec le même heuresAvant');
+            } else {
+                politique.paliersFrais = paliers
+                    .map(({ heuresAvant, pourcentage }) => ({ heuresAvant, pourcentage }))
+                    .sort((a, b) => b.heuresAvant - a.heuresAvant);
+            }
+        }
+
+        if (donnees.seuilRecidive !== undefined) {
+            if (!Number.isInteger(donnees.seuilRecidive) || donnees.seuilRecidive < 1 || donnees.seuilRecidive > 20) {
+                erreurs.push('seuilRecidive doit être un nombre entier entre 1 et 20');
+            } else {
+                politique.seuilRecidive = donnees.seuilRecidive;
+            }
+        }
+
+        if (donnees.confirmationRecidivistes !== undefined) {
+            if (typeof donnees.confirmationRecidivistes !== 'boolean') {
+                erreurs.push('confirmationRecidivistes doit être un booléen');
+            } else {
+                politique.confirmationRecidivistes = donnees.confirmationRecidivistes;
+            }
+        }
+
+        return { erreurs, politique };
+    }
+
+    /**
+     * Conséquences d'une annulation par le patient selon la politique
+     * Les paliers sont triés du plus lointain au plus proche : le palier retenu est le premier dont heuresAvant est atteint
+     * @returns {Object} { tardive, autorisee, frais, pourcentage, message }
+     */
+    static evaluerAnnulation(politique, heuresAvantRdv, tarif) {
+        const montant = Number(tarif || 0);
+
+        if (heuresAvantRdv >= politique.delaiMinimumHeures) {
+            return {
+                tardive: false,
+                autorisee: true,
+                frais: 0,
+                pourcentage: 0,
+                message: `Annulation gratuite (plus de ${politique.delaiMinimumHeures}h à l'avance)`
+            };
+        }
+
+        if (politique.annulationTardive === 'INTERDITE') {
+            return {
+                tardive: true,
+                autorisee: false,
+                frais: 0,
+                pourcentage: 0,
+                message: `Annulation impossible moins de ${politique.delaiMinimumHeures}h avant le rendez-vous. Contactez le médecin.`
+            };
+        }
+
+        if (politique.annulationTardive === 'AUTORISEE') {
+            return {
+                tardive: true,
+                autorisee: true,
+                frais: 0,
+                pourcentage: 0,
+                message: `Annulation tardive (moins de ${politique.delaiMinimumHeures}h à l'avance), sans frais`
+            };
+        }
+
+        const palier = [...politique.paliersFrais]
+            .sort((a, b) => b.heuresAvant - a.heuresAvant)
+            .find(p => heuresAvantRdv >= p.heuresAvant);
+        const pourcentage = palier ? palier.pourcentage : 0;
+
+        return {
+            tardive: true,
+            autorisee: true,
+            frais: Math.round(montant * pourcentage) / 100,
+            pourcentage,
+            message: `Annulation tardive (moins de ${politique.delaiMinimumHeures}h à l'avance): ${pourcentage}% du tarif`
+        };
+    }
+
+    /**
+     * Enregistre un incident sur le patient (idempotent par rendez-vous et type)
+     */
+    static async enregistrerIncident(tx, { patientId, rendezVousId, type, heuresAvantRdv = null, fraisAppliques = null, signaleParUserId }) {
+        return await tx.incidentRendezVous.upsert({
+            where: { rendezVousId_type: { rendezVousId, type } },
+            update: {},
+            create: {
+                patientId,
+                rendezVousId,
+                type,
+                heuresAvantRdv: heuresAvantRdv !== null ? Math.round(heuresAvantRdv * 10) / 10 : null,
+                fraisAppliques,
+                signaleParUserId
+            }
+        });
+    }
+
+    /**
+     * Fiabilité d'un patient sur la période de récidive
+     * @param {Object} politique - Politique du médecin concerné (seuil de récidive)
+     */
+    static async getFiabilite(client, patientId, politique) {
+        const { periodeRecidiveJours } = Consts.POLITIQUE_ANNULATION_CONFIG;
+        const depuis = new Date(Date.now() - periodeRecidiveJours * JOUR_MS);
+
+        const incidents = await client.incidentRendezVous.groupBy({
+            by: ['type'],
+            where: { patientId, createdAt: { gte: depuis } },
+            _count: { _all: true }
+        });
+
+        const compte = (type) => incidents.find(incident => incident.type === type)?._count._all || 0;
+        const annulationsTardives = compte('ANNULATION_TARDIVE');
+        const absences = compte('ABSENCE');
+
+        return {
+            annulationsTardives,
+            absences,
+            periodeJours: periodeRecidiveJours,
+            recidiviste: annulationsTardives + absences >= politique.seuilRecidive,
+            confirmationRequise: politique.confirmationRecidivistes && annulationsTardives + absences >= politique.seuilRecidive
+        };
+    }
+
+    static format(politique, source) {
+        return {
+            ...politique,
+            source,
+            actionsAnnulationTardive: Consts.POLITIQUE_ANNULATION_CONFIG.actionsAnnulationTardive,
+            periodeRecidiveJours: Consts.POLITIQUE_ANNULATION_CONFIG.periodeRecidiveJours
+        };
+    }
+}
+
+module.exports = PolitiqueAnnulationService;
@@ -0,0 +1,148 @@
+const Consts = require('../config/const');
+
+const HEURE_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const enMinutes = (heure) => {
+    const [heures, minutes] = heure.split(':').map(Number);
+    return heures * 60 + minutes;
+};
+
+/**
+ * Préférences de notification par utilisateur : canal par type, types désactivés et heures calmes
+ * Les heures calmes sont exprimées en heure de Côte d'Ivoire (UTC)
+ */
+class PreferenceNotificationService {
+
+    /**
+     * Préférences complètes (valeurs par défaut pour les parties non renseignées)
+     */
+    static normaliser(preferences) {
+        const prefs = preferences && typeof preferences === 'object' ? preferences : {};
+        return {
+            canaux: prefs.canaux || {},
+            desactives: prefs.desactives || [],
+            heuresCalmes: prefs.heuresCalmes || null
+        };
+    }
+
+    /**
+     * Valide une mise à jour partielle des préférences
+     * Retourne { erreurs, preferences } où preferences ne contient que les parties fournies
+     */
+    static valider(donnees) {
+        const { typesAvecCanal, typesDesactivables, canaux } = Consts.PREFERENCES_NOTIFICATION_CONFIG;
+        const erreurs = [];
+        const preferences = {};
+
+        if (donnees.canaux !== undefined) {
+            preferences.canaux = {};
+            Object.entries(donnees.canaux).forEach(([type, canal]) => {
+                if (!typesAvecCanal.includes(type)) {
+                    erreurs.push(type === 'RAPPEL'
+                        ? 'Les canaux des rappels se règlent via /notifications/reminders'
+                        : `canaux.${type}: type inconnu. Types acceptés: ${typesAvecCanal.join(', ')}`);
+                } else if (!canaux.includes(canal)) {
+                    erreurs.push(`canaux.${type} doit être l'une des valeurs suivantes: ${canaux.join(', ')}`);
+                } else {
+                    preferences.canaux[type] = canal;
+                }
+            });
+        }
+
+        if (donnees.desactives !== undefined) {
+            const inconnus = donnees.desactives.filter(type => !typesDesactivables.includes(type));
+            if (inconnus.length > 0) {
+                erreurs.push(`Types non désactivables: ${inconnus.join(', ')}. Types désactivables: ${typesDesactivables.join(', ')}`);
+            } else {
+                preferences.desactives = [...new Set(donnees.desactives)];
+            }
+        }
+
+        if (donnees.heuresCalmes !== undefined) {
+            const { debut, fin, ...autres } = donnees.heuresCalmes;
+
+            if (!debut && !fin && Object.keys(autres).length === 0) {
+                // Objet vide : heures calmes désactivées
+                preferences.heuresCalmes = null;
+            } else if (!HEURE_REGEX.test(debut || '') || !HEURE_REGEX.test(fin || '') || Object.keys(autres).length > 0) {
+                erreurs.push('heuresCalmes doit être de la forme { debut: "HH:MM", fin: "HH:MM" }');
+            } else if (debut === fin) {
+                erreurs.push('heuresCalmes.debut et heuresCalmes.fin doivent être différents');
+            } else {
+                preferences.heuresCalmes = { debut, fin };
+            }
+        }
+
+        return { erreurs, preferences };
+    }
+
+    /**
+     * Fin des heures calmes si la date y tombe, sinon null
+     * Gère les plages qui passent minuit (ex. 22:00 → 07:00)
+     */
+    static finHeuresCalmes(date, heuresCalmes) {
+        if (!heuresCalmes) {
+            return null;
+        }
+
+        const debut = enMinutes(heuresCalmes.debut);
+        const fin = enMinutes(heuresCalmes.fin);
+        const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+
+        const dansLaPlage = debut < fin
+            ? minutes >= debut && minutes < fin
+            : minutes >= debut || minutes < fin;
+
+        if (!dansLaPlage) {
+            return null;
+        }
+
+        const reprise = new Date(date);
+        reprise.setUTCHours(Math.floor(fin / 60), fin % 60, 0, 0);
+        if (minutes >= fin) {
+            reprise.setUTCDate(reprise.getUTCDate() + 1);
+        }
+        return reprise;
+    }
+
+    /**
+     * Applique les préférences du destinataire à une notification avant sa création
+     * - type désactivé : conservée dans le centre de notifications uniquement (IN_APP)
+     * - canal choisi pour le type : remplace le canal demandé (sauf IN_APP)
+     * - SMS non urgent pendant les heures calmes : envoi différé à la fin de la plage
+     * @returns {Object} Notification avec canal et dateEnvoiPrevue ajustés
+     */
+    static appliquer(preferences, notification) {
+        const prefs = this.normaliser(preferences);
+        const { typeNotification, priorite } = notification;
+        let { canal, dateEnvoiPrevue } = notification;
+
+        if (prefs.desactives.includes(typeNotification)) {
+            canal = 'IN_APP';
+        } else if (prefs.canaux[typeNotification] && canal !== 'IN_APP') {
+            canal = prefs.canaux[typeNotification];
+        }
+
+        if (canal === 'SMS' && priorite !== 'HAUTE') {
+            const reprise = this.finHeuresCalmes(dateEnvoiPrevue ? new Date(dateEnvoiPrevue) : new Date(), prefs.heuresCalmes);
+            if (reprise) {
+                dateEnvoiPrevue = reprise;
+            }
+        }
+
+        return { ...notification, canal, dateEnvoiPrevue };
+    }
+
+    static format(user) {
+        const { typesAvecCanal, typesDesactivables, canaux } = Consts.PREFERENCES_NOTIFICATION_CONFIG;
+        return {
+            ...this.normaliser(user.preferencesNotifications),
+            canalParDefaut: user.canalCommunicationPrefere,
+            typesAvecCanal,
+            typesDesactivables,
+            canauxDisponibles: canaux
+        };
+    }
+}
+
+module.exports = PreferenceNotificationService;
@@ -0,0 +1,130 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const LocalPushProvider = require('./push/LocalPushProvider');
+const FcmPushProvider = require('./push/FcmPushProvider');
+
+const FOURNISSEURS = {
+    local: LocalPushProvider,
+    fcm: FcmPushProvider
+};
+
+/**
+ * Notifications push : appareils enregistrés et envoi via le fournisseur configuré
+ * Un fournisseur expose envoyer(appareil, { titre, message, donnees, prioritaire })
+ * et retourne { success, tokenInvalide, error }
+ */
+class PushService {
+
+    static getFournisseur() {
+        const fournisseur = FOURNISSEURS[Consts.PUSH_CONFIG.fournisseur];
+        if (!fournisseur) {
+            throw new Error(`Fournisseur push inconnu: ${Consts.PUSH_CONFIG.fournisseur}`);
+        }
+        return fournisseur;
+    }
+
+    /**
+     * Enregistre un appareil (ou le réattribue si le token était lié à un autre compte)
+     * Au-delà du nombre maximal d'appareils, les plus anciens sont désactivés
+     */
+    static async enregistrerAppareil(userId, { plateforme, token, nom = null }) {
+        const appareil = await prisma.appareilNotification.upsert({
+            where: { token },
+            create: { userId, plateforme, token, nom },
+            update: { userId, plateforme, nom, actif: true }
+        });
+
+        const anciens = await prisma.appareilNotification.findMany({
+            where: { userId, actif: true },
+            orderBy: { updatedAt: 'desc' },
+            skip: Consts.PUSH_CONFIG.maxAppareilsParUtilisateur,
+            select: { id: true }
+        });
+
+        if (anciens.length > 0) {
+            await prisma.appareilNotification.updateMany({
+                where: { id: { in: anciens.map(ancien => ancien.id) } },
+                data: { actif: false }
+            });
+        }
+
+        return appareil;
+    }
+
+    static async listerAppareils(userId) {
+        return await prisma.appareilNotification.findMany({
+            where: { userId, actif: true },
+            orderBy: { updatedAt: 'desc' }
+        });
+    }
+
+    static async supprimerAppareil(userId, appareilId) {
+        return await prisma.appareilNotification.deleteMany({
+            where: { id: appareilId, userId }
+        });
+    }
+
+    static async aDesAppareilsActifs(userId) {
+        const nombre = await prisma.appareilNotification.count({
+            where: { userId, actif: true }
+        });
+        return nombre > 0;
+    }
+
+    /**
+     * Envoie un push à tous les appareils actifs de l'utilisateur
+     * Réussi si au moins un appareil l'a accepté ; les tokens rejetés par le fournisseur sont désactivés
+     */
+    static async envoyer(userId, contenu) {
+        const appareils = await this.listerAppareils(userId);
+
+        if (appareils.length === 0) {
+            return { success: false, error: 'Aucun appareil push actif' };
+        }
+
+        const fournisseur = this.getFournisseur();
+        const resultats = await Promise.all(appareils.map(async (appareil) => ({
+            appareil,
+            ...(await fournisseur.envoyer(appareil, contenu))
+        })));
+
+        const reussis = resultats.filter(resultat => resultat.success).map(resultat => resultat.appareil.id);
+        const invalides = resultats.filter(resultat => resultat.tokenInvalide).map(resultat => resultat.appareil.id);
+
+        if (reussis.length > 0) {
+            await prisma.appareilNotification.updateMany({
+                where: { id: { in: reussis } },
+                data: { derniereUtilisation: new Date() }
+            });
+        }
+
+        if (invalides.length > 0) {
+            await prisma.appareilNotification.updateMany({
+                where: { id: { in: invalides } },
+                data: { actif: false }
+            });
+            console.log(`📵 ${invalides.length} appareil(s) push désactivé(s) pour user ${userId}`);
+        }
+
+        const echecs = resultats.filter(resultat => !resultat.success);
+        return {
+            success: reussis.length > 0,
+            appareils: reussis.length,
+            error: reussis.length > 0 ? null : (echecs[0].error || 'Échec d\'envoi push')
+        };
+    }
+
+    static formatAppareil(appareil) {
+        return {
+            id: appareil.id,
+            plateforme: appareil.plateforme,
+            nom: appareil.nom,
+            token: `${appareil.token.slice(0, 12)}…`,
+            derniereUtilisation: appareil.derniereUtilisation,
+            createdAt: appareil.createdAt,
+            updatedAt: appareil.updatedAt
+        };
+    }
+}
+
+module.exports = PushService;
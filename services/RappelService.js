@@ -0,0 +1,215 @@
+const Consts = require('../config/const');
+const PreferenceNotificationService = require('./PreferenceNotificationService');
+
+const HEURE_MS = 60 * 60 * 1000;
+
+const SELECT_DESTINATAIRE = {
+    id: true,
+    role: true,
+    nom: true,
+    prenom: true,
+    canalCommunicationPrefere: true,
+    delaisRappels: true,
+    preferencesNotifications: true
+};
+
+/**
+ * Rappels automatiques de rendez-vous
+ * Les rappels sont des notifications RAPPEL programmées (dateEnvoiPrevue), envoyées par le worker
+ */
+class RappelService {
+
+    /**
+     * Date et heure de début d'un rendez-vous (dateRendezVous + heureDebut)
+     */
+    static getDateHeureDebut(rendezVous) {
+        const jour = new Date(rendezVous.dateRendezVous).toISOString().split('T')[0];
+        return new Date(`${jour}T${rendezVous.heureDebut}:00.000Z`);
+    }
+
+    /**
+     * Délais de rappel d'un utilisateur par canal
+     */
+    static getDelais(user) {
+        if (user.delaisRappels && typeof user.delaisRappels === 'object') {
+            return user.delaisRappels;
+        }
+
+        const delais = Consts.RAPPEL_CONFIG.delaisParDefaut[user.role] || [];
+        return delais.length > 0 ? { [user.canalCommunicationPrefere || 'EMAIL']: delais } : {};
+    }
+
+    /**
+     * Valide des délais de rappel saisis par l'utilisateur
+     * Retourne { erreurs, delais } avec des délais dédoublonnés et triés (du plus lointain au plus proche)
+     */
+    static validerDelais(donnees) {
+        const { canaux, delaiMinHeures, delaiMaxHeures, maxDelaisParCanal } = Consts.RAPPEL_CONFIG;
+        const erreurs = [];
+        const delais = {};
+
+        if (!donnees || typeof donnees !== 'object' || Array.isArray(donnees)) {
+            return { erreurs: ['delais doit être un objet { canal: [heures] }'], delais };
+        }
+
+        Object.entries(donnees).forEach(([canal, heures]) => {
+            if (!canaux.includes(canal)) {
+                erreurs.push(`Canal ${canal} non supporté. Canaux acceptés: ${canaux.join(', ')}`);
+                return;
+            }
+            if (!Array.isArray(heures)) {
+                erreurs.push(`delais.${canal} doit être un tableau d'heures`);
+                return;
+            }
+
+            const uniques = [...new Set(heures)];
+            if (uniques.length > maxDelaisParCanal) {
+                erreurs.push(`delais.${canal} ne peut pas contenir plus de ${maxDelaisParCanal} rappels`);
+                return;
+            }
+            if (uniques.some(h => !Number.isInteger(h) || h < delaiMinHeures || h > delaiMaxHeures)) {
+                erreurs.push(`delais.${canal} doit contenir des heures entières entre ${delaiMinHeures} et ${delaiMaxHeures}`);
+                return;
+            }
+
+            if (uniques.length > 0) {
+                delais[canal] = uniques.sort((a, b) => b - a);
+            }
+        });
+
+        return { erreurs, delais };
+    }
+
+    static _libelleDelai(heures) {
+        if (heures % 24 === 0) {
+            const jours = heures / 24;
+            return jours === 1 ? 'demain' : `dans ${jours} jours`;
+        }
+        return `dans ${heures}h`;
+    }
+
+    /**
+     * Programme les rappels du patient et du médecin d'un rendez-vous confirmé
+     * Les rappels dont l'heure d'envoi est déjà passée sont ignorés, de même que ceux des utilisateurs ayant désactivé les rappels
+     * Les heures calmes diffèrent les SMS, sans jamais les repousser après le début du rendez-vous
+     * @param {Object} tx - Client Prisma ou transaction
+     * @param {string} rendezVousId
+     * @returns {number} Nombre de rappels programmés
+     */
+    static async planifier(tx, rendezVousId) {
+        const rendezVous = await tx.rendezVous.findUnique({
+            where: { id: rendezVousId },
+            include: {
+                patient: { include: { user: { select: SELECT_DESTINATAIRE } } },
+                medecin: { include: { user: { select: SELECT_DESTINATAIRE } } }
+            }
+        });
+
+        if (!rendezVous || rendezVous.statut !== 'CONFIRME') {
+            return 0;
+        }
+
+        const debut = this.getDateHeureDebut(rendezVous);
+        const maintenant = Date.now();
+        const date = debut.toLocaleDateString('fr-FR');
+        const heure = rendezVous.heureDebut;
+        const rappels = [];
+
+        const destinataires = [
+            {
+                user: rendezVous.patient.user,
+                message: (libelle) => `Rappel : votre rendez-vous avec Dr ${rendezVous.medecin.user.nom} a lieu ${libelle}, le ${date} à ${heure}.`
+            },
+            {
+                user: rendezVous.medecin.user,
+                message: (libelle) => `Rappel : rendez-vous avec ${rendezVous.patient.user.prenom} ${rendezVous.patient.user.nom} ${libelle}, le ${date} à ${heure}.`
+            }
+        ];
+
+        for (const { user, message } of destinataires) {
+            if (PreferenceNotificationService.normaliser(user.preferencesNotifications).desactives.includes('RAPPEL')) {
+                continue;
+            }
+
+            for (const [canal, heures] of Object.entries(this.getDelais(user))) {
+                for (const delai of heures) {
+                    const dateEnvoiPrevue = new Date(debut.getTime() - delai * HEURE_MS);
+                    if (dateEnvoiPrevue.getTime() <= maintenant) {
+                        continue;
+                    }
+
+                    const rappel = PreferenceNotificationService.appliquer(user.preferencesNotifications, {
+                        userId: user.id,
+                        typeNotification: 'RAPPEL',
+                        titre: '⏰ Rappel de rendez-vous',
+                        message: message(this._libelleDelai(delai)),
+                        canal,
+                        statut: 'EN_ATTENTE',
+                        priorite: delai <= 2 ? 'HAUTE' : 'NORMALE',
+                        dateEnvoiPrevue,
+                        donneesSupplementaires: {
+                            rendezVousId: rendezVous.id,
+                            delaiHeures: delai,
+                            dateRendezVous: debut.toISOString()
+                        }
+                    });
+
+                    if (rappel.dateEnvoiPrevue >= debut) {
+                        rappel.dateEnvoiPrevue = dateEnvoiPrevue;
+                    }
+                    rappels.push(rappel);
+                }
+            }
+        }
+
+        if (rappels.length > 0) {
+            await tx.notification.createMany({ data: rappels });
+        }
+
+        return rappels.length;
+    }
+
+    /**
+     * Supprime les rappels non encore envoyés d'un rendez-vous
+     * @returns {number} Nombre de rappels supprimés
+     */
+    static async annuler(tx, rendezVousId) {
+        const { count } = await tx.notification.deleteMany({
+            where: {
+                typeNotification: 'RAPPEL',
+                statut: { in: ['EN_ATTENTE', 'ECHEC'] },
+                donneesSupplementaires: { path: '$.rendezVousId', equals: rendezVousId }
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Recale les rappels après un changement de date ou de statut du rendez-vous
+     */
+    static async replanifier(tx, rendezVousId) {
+        await this.annuler(tx, rendezVousId);
+        return await this.planifier(tx, rendezVousId);
+    }
+
+    /**
+     * Vérifie au moment de l'envoi qu'un rappel concerne toujours un rendez-vous confirmé à la même heure
+     * (filet de sécurité si le rendez-vous a été modifié sans recaler les rappels)
+     */
+    static async estToujoursValide(tx, notification) {
+        const donnees = notification.donneesSupplementaires || {};
+        if (notification.typeNotification !== 'RAPPEL' || !donnees.rendezVousId) {
+            return true;
+        }
+
+        const rendezVous = await tx.rendezVous.findUnique({
+            where: { id: donnees.rendezVousId },
+            select: { statut: true, dateRendezVous: true, heureDebut: true }
+        });
+
+        return !!rendezVous && rendezVous.statut === 'CONFIRME' &&
+            this.getDateHeureDebut(rendezVous).toISOString() === donnees.dateRendezVous;
+    }
+}
+
+module.exports = RappelService;
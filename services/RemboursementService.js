@@ -0,0 +1,367 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const TempsReelService = require('./TempsReelService');
+const ComptabiliteService = require('./ComptabiliteService');
+const PartiesRendezVousService = require('./PartiesRendezVousService');
+const { FOURNISSEURS, getFournisseurParNom } = require('./paiement/fournisseurs');
+
+const { arrondir } = ComptabiliteService;
+
+const INCLUDE_REMBOURSEMENT = {
+    paiement: true,
+    rendezVous: {
+        select: {
+            id: true,
+            medecinId: true,
+            dateRendezVous: true,
+            heureDebut: true,
+            patient: {
+                select: { user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } } }
+            },
+            medecin: {
+                select: { user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } } }
+            }
+        }
+    }
+};
+
+/**
+ * Remboursements des consultations payées
+ * - rendez-vous payé puis annulé : montant payé moins les frais de la politique d'annulation (intégral si le médecin annule)
+ * - paiement reçu pour un rendez-vous déjà annulé ou refusé, ou déjà payé : intégral
+ * - contestation du patient (frais retenus, consultation contestée) : soumise à la décision d'un administrateur
+ *
+ * Un remboursement dû (A_EFFECTUER) est comptabilisé aussitôt, puis effectué par l'opérateur si son fournisseur
+ * expose rembourser(paiement, remboursement) (null : opération non prise en charge), sinon par un administrateur
+ * depuis le portail de l'opérateur. Les échecs de l'opérateur sont retentés par le worker jusqu'à tentativesMax.
+ */
+class RemboursementService {
+    static STATUTS = ['EN_ATTENTE_VALIDATION', 'A_EFFECTUER', 'REMBOURSE', 'REJETE'];
+    static INCLUDE = INCLUDE_REMBOURSEMENT;
+
+    /**
+     * Montant encore remboursable d'un paiement réussi (les contestations rejetées ne comptent pas)
+     * @param {Object} client - Client Prisma ou transaction
+     */
+    static async montantRemboursable(client, paiement) {
+        const { _sum } = await client.remboursement.aggregate({
+            where: { paiementId: paiement.id, statut: { not: 'REJETE' } },
+            _sum: { montant: true }
+        });
+
+        return Math.max(0, arrondir(Number(paiement.montant) - Number(_sum.montant || 0)));
+    }
+
+    /**
+     * Crée un remboursement : dû (et comptabilisé) immédiatement, ou soumis à validation pour une contestation
+     */
+    static async creer(tx, { paiement, medecinId, montant, origine, motif, demandeParUserId = null }) {
+        const statut = origine === 'CONTESTATION' ? 'EN_ATTENTE_VALIDATION' : 'A_EFFECTUER';
+
+        const remboursement = await tx.remboursement.create({
+            data: {
+                paiementId: paiement.id,
+                rendezVousId: paiement.rendezVousId,
+                montant,
+                devise: paiement.devise,
+                origine,
+                motif: motif.slice(0, 1000),
+                statut,
+                demandeParUserId
+            }
+        });
+
+        if (statut === 'A_EFFECTUER') {
+            await ComptabiliteService.enregistrerRemboursement(tx, remboursement, medecinId);
+        }
+
+        return remboursement;
+    }
+
+    /**
+     * Remboursements d'un rendez-vous payé que l'on annule (dans la transaction d'annulation)
+     * @param {number} montantRetenu - Frais d'annulation conservés selon la politique
+     * @param {boolean} contestation - Le patient conteste les frais : leur remboursement est soumis à un administrateur
+     * @returns {Array} Remboursements créés (aucun si le rendez-vous n'a pas été payé)
+     */
+    static async preparerApresAnnulation(tx, rendezVous, { montantRetenu = 0, contestation = false, motif, demandeParUserId = null }) {
+        const paiements = await tx.paiement.findMany({
+            where: { rendezVousId: rendezVous.id, statut: 'REUSSI' },
+            orderBy: { payeLe: 'asc' }
+        });
+
+        const remboursements = [];
+        let resteARetenir = Number(montantRetenu) || 0;
+
+        for (const paiement of paiements) {
+            const remboursable = await this.montantRemboursable(tx, paiement);
+            const retenu = Math.min(resteARetenir, remboursable);
+            resteARetenir = arrondir(resteARetenir - retenu);
+
+            if (remboursable - retenu > 0) {
+                remboursements.push(await this.creer(tx, {
+                    paiement,
+                    medecinId: rendezVous.medecinId,
+                    montant: arrondir(remboursable - retenu),
+                    origine: 'ANNULATION',
+                    motif,
+                    demandeParUserId
+                }));
+            }
+
+            if (contestation && retenu > 0) {
+                remboursements.push(await this.creer(tx, {
+                    paiement,
+                    medecinId: rendezVous.medecinId,
+                    montant: retenu,
+                    origine: 'CONTESTATION',
+                    motif: `Contestation des frais d'annulation retenus - ${motif}`,
+                    demandeParUserId
+                }));
+            }
+        }
+
+        return remboursements;
+    }
+
+    /**
+     * Tente le remboursement par l'opérateur (ne lève pas d'erreur)
+     * @returns {Object} Remboursement à jour
+     */
+    static async effectuer(remboursementId) {
+        const remboursement = await prisma.remboursement.findUnique({
+            where: { id: remboursementId },
+            include: INCLUDE_REMBOURSEMENT
+        });
+
+        if (!remboursement || remboursement.statut !== 'A_EFFECTUER') {
+            return remboursement;
+        }
+
+        const fournisseur = getFournisseurParNom(remboursement.paiement.fournisseur);
+        if (!fournisseur || typeof fournisseur.rembourser !== 'function') {
+            return remboursement;
+        }
+
+        try {
+            const resultat = await fournisseur.rembourser(remboursement.paiement, remboursement);
+
+            if (!resultat) {
+                // Opération non prise en charge par l'API de l'opérateur : plus de tentative automatique
+                return await prisma.remboursement.update({
+                    where: { id: remboursement.id },
+                    data: {
+                        tentatives: Consts.PAIEMENT_CONFIG.remboursement.tentativesMax,
+                        motifEchec: 'Remboursement non pris en charge par l\'API de l\'opérateur : à effectuer manuellement'
+                    }
+                });
+            }
+
+            return await this.marquerRembourse(remboursement, {
+                referenceFournisseur: resultat.referenceFournisseur,
+                donnees: resultat.donnees
+            });
+
+        } catch (error) {
+            const detail = error.response && error.response.data ? JSON.stringify(error.response.data) : error.message;
+            console.error(`❌ Remboursement ${remboursement.id} refusé par ${fournisseur.nom}:`, detail);
+
+            return await prisma.remboursement.update({
+                where: { id: remboursement.id },
+                data: {
+                    tentatives: { increment: 1 },
+                    motifEchec: `Opérateur: ${error.message}`.slice(0, 255)
+                }
+            });
+        }
+    }
+
+    /**
+     * Remboursement versé au patient (par l'opérateur ou manuellement par un administrateur)
+     * @param {Object} remboursement - Avec INCLUDE
+     * @returns {Object} Remboursement à jour
+     */
+    static async marquerRembourse(remboursement, { referenceFournisseur = null, donnees = null, decideParUserId = null, commentaireAdmin = null } = {}) {
+        const maintenant = new Date();
+
+        const rembourse = await prisma.$transaction(async (tx) => {
+            const { count } = await tx.remboursement.updateMany({
+                where: { id: remboursement.id, statut: 'A_EFFECTUER' },
+                data: {
+                    statut: 'REMBOURSE',
+                    rembourseLe: maintenant,
+                    referenceFournisseur,
+                    motifEchec: null,
+                    donneesFournisseur: donnees || undefined,
+                    ...(decideParUserId && { decideParUserId, decideLe: maintenant }),
+                    ...(commentaireAdmin && { commentaireAdmin })
+                }
+            });
+            if (count === 0) {
+                return false;
+            }
+
+            await ComptabiliteService.enregistrerRemboursementEffectue(tx, remboursement, remboursement.rendezVous.medecinId);
+            return true;
+        });
+
+        const remboursementAJour = await prisma.remboursement.findUnique({ where: { id: remboursement.id } });
+        if (!rembourse) {
+            return remboursementAJour;
+        }
+
+        const montant = `${Number(remboursement.montant)} ${remboursement.devise}`;
+        await PartiesRendezVousService.notifier(remboursement.rendezVous.patient.user, 'PAIEMENT', {
+            titre: 'Remboursement effectué 💸',
+            message: `${montant} vous ont été remboursés sur votre compte mobile money (${remboursement.paiement.telephone}) pour le rendez-vous du ${PartiesRendezVousService.libelleCreneau(remboursement.rendezVous)}.`,
+            donnees: { rendezVousId: remboursement.rendezVousId, remboursementId: remboursement.id }
+        });
+
+        await TempsReelService.publierRendezVous(TempsReelService.TYPES.REMBOURSEMENT, remboursement.rendezVousId, {
+            remboursement: this.format(remboursementAJour)
+        });
+
+        console.log(`💸 Remboursement ${remboursement.id} effectué: ${montant}${decideParUserId ? ' (manuel)' : ` via ${remboursement.paiement.fournisseur}`}`);
+        return remboursementAJour;
+    }
+
+    /**
+     * Décision d'un administrateur sur une contestation
+     * @param {number|null} montant - Montant accordé (par défaut le montant demandé)
+     * Lève REMBOURSEMENT_NON_TROUVE, DECISION_DEJA_PRISE ou MONTANT_INVALIDE
+     * @returns {Object} Remboursement à jour
+     */
+    static async statuer(remboursementId, admin, { decision, montant = null, commentaire }) {
+        const remboursement = await prisma.remboursement.findUnique({
+            where: { id: remboursementId },
+            include: INCLUDE_REMBOURSEMENT
+        });
+
+        if (!remboursement) {
+            throw new Error('REMBOURSEMENT_NON_TROUVE');
+        }
+        if (remboursement.statut !== 'EN_ATTENTE_VALIDATION') {
+            throw new Error('DECISION_DEJA_PRISE');
+        }
+
+        const maintenant = new Date();
+        const approuve = decision === 'APPROUVER';
+
+        await prisma.$transaction(async (tx) => {
+            let montantAccorde = Number(remboursement.montant);
+
+            if (approuve && montant !== null) {
+                // La contestation elle-même est comptée dans les remboursements du paiement
+                const plafond = arrondir(await this.montantRemboursable(tx, remboursement.paiement) + Number(remboursement.montant));
+                if (montant <= 0 || montant > plafond) {
+                    throw new Error('MONTANT_INVALIDE');
+                }
+                montantAccorde = montant;
+            }
+
+            const { count } = await tx.remboursement.updateMany({
+                where: { id: remboursement.id, statut: 'EN_ATTENTE_VALIDATION' },
+                data: {
+                    statut: approuve ? 'A_EFFECTUER' : 'REJETE',
+                    montant: montantAccorde,
+                    decideParUserId: admin.id,
+                    decideLe: maintenant,
+                    commentaireAdmin: commentaire
+                }
+            });
+            if (count === 0) {
+                throw new Error('DECISION_DEJA_PRISE');
+            }
+
+            if (approuve) {
+                await ComptabiliteService.enregistrerRemboursement(tx, { ...remboursement, montant: montantAccorde }, remboursement.rendezVous.medecinId);
+            }
+        });
+
+        const remboursementDecide = await prisma.remboursement.findUnique({ where: { id: remboursement.id } });
+        const montantAccorde = `${Number(remboursementDecide.montant)} ${remboursementDecide.devise}`;
+        const libelle = PartiesRendezVousService.libelleCreneau(remboursement.rendezVous);
+
+        if (approuve) {
+            await PartiesRendezVousService.notifier(remboursement.rendezVous.patient.user, 'PAIEMENT', {
+                titre: 'Demande de remboursement acceptée ✅',
+                message: `Votre demande de remboursement pour le rendez-vous du ${libelle} est acceptée : ${montantAccorde} vous seront remboursés. ${commentaire}`,
+                donnees: { rendezVousId: remboursement.rendezVousId, remboursementId: remboursement.id }
+            });
+            await PartiesRendezVousService.notifier(remboursement.rendezVous.medecin.user, 'PAIEMENT', {
+                titre: 'Remboursement accordé à un patient',
+                message: `Après examen de sa contestation, ${montantAccorde} sont remboursés à ${remboursement.rendezVous.patient.user.prenom} ${remboursement.rendezVous.patient.user.nom} pour le rendez-vous du ${libelle}. Ce montant est déduit de vos gains.`,
+                donnees: { rendezVousId: remboursement.rendezVousId, remboursementId: remboursement.id }
+            });
+        } else {
+            await PartiesRendezVousService.notifier(remboursement.rendezVous.patient.user, 'PAIEMENT', {
+                titre: 'Demande de remboursement refusée',
+                message: `Votre demande de remboursement pour le rendez-vous du ${libelle} n'a pas été acceptée. ${commentaire}`,
+                donnees: { rendezVousId: remboursement.rendezVousId, remboursementId: remboursement.id }
+            });
+        }
+
+        await TempsReelService.publierRendezVous(TempsReelService.TYPES.REMBOURSEMENT, remboursement.rendezVousId, {
+            remboursement: this.format(remboursementDecide)
+        });
+
+        console.log(`⚖️ Contestation ${remboursement.id} ${approuve ? `acceptée (${montantAccorde})` : 'rejetée'} par ${admin.prenom} ${admin.nom}`);
+
+        return approuve ? await this.effectuer(remboursement.id) : remboursementDecide;
+    }
+
+    /**
+     * Tâche du worker : remboursements dus dont l'opérateur accepte les remboursements automatiques
+     * (première tentative des annulations en série, nouvelles tentatives après un échec)
+     */
+    static async relancer() {
+        const fournisseursAutomatiques = FOURNISSEURS
+            .filter(fournisseur => typeof fournisseur.rembourser === 'function')
+            .map(fournisseur => fournisseur.nom);
+
+        const remboursements = await prisma.remboursement.findMany({
+            where: {
+                statut: 'A_EFFECTUER',
+                tentatives: { lt: Consts.PAIEMENT_CONFIG.remboursement.tentativesMax },
+                paiement: { fournisseur: { in: fournisseursAutomatiques } }
+            },
+            select: { id: true },
+            orderBy: { createdAt: 'asc' },
+            take: 50
+        });
+
+        let effectues = 0;
+        for (const { id } of remboursements) {
+            const remboursement = await this.effectuer(id);
+            if (remboursement && remboursement.statut === 'REMBOURSE') {
+                effectues++;
+            }
+        }
+
+        if (remboursements.length > 0) {
+            console.log(`💸 Remboursements: ${effectues}/${remboursements.length} effectué(s) par les opérateurs`);
+        }
+        return effectues;
+    }
+
+    static format(remboursement) {
+        return {
+            id: remboursement.id,
+            paiementId: remboursement.paiementId,
+            rendezVousId: remboursement.rendezVousId,
+            montant: Number(remboursement.montant),
+            devise: remboursement.devise,
+            origine: remboursement.origine,
+            motif: remboursement.motif,
+            statut: remboursement.statut,
+            commentaireAdmin: remboursement.commentaireAdmin,
+            decideLe: remboursement.decideLe,
+            referenceFournisseur: remboursement.referenceFournisseur,
+            motifEchec: remboursement.motifEchec,
+            rembourseLe: remboursement.rembourseLe,
+            createdAt: remboursement.createdAt
+        };
+    }
+}
+
+module.exports = RemboursementService;
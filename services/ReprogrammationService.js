@@ -0,0 +1,237 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const RappelService = require('./RappelService');
+const TempsReelService = require('./TempsReelService');
+const ListeAttenteService = require('./ListeAttenteService');
+const ReservationTemporaireService = require('./ReservationTemporaireService');
+const PartiesRendezVousService = require('./PartiesRendezVousService');
+
+const MINUTE_MS = 60 * 1000;
+const STATUTS_RDV_OCCUPES = ['CONFIRME', 'EN_ATTENTE', 'DEMANDE'];
+
+const jourIso = (date) => new Date(date).toISOString().split('T')[0];
+
+const { INCLUDE_PARTIES } = PartiesRendezVousService;
+
+/**
+ * Reprogrammation des rendez-vous par accord des deux parties
+ * Une partie propose un ou plusieurs créneaux, l'autre en accepte un, refuse ou contre-propose avant l'échéance.
+ * Le rendez-vous conserve son créneau d'origine tant que la proposition n'est pas acceptée.
+ */
+class ReprogrammationService {
+    static STATUTS = ['EN_ATTENTE', 'ACCEPTEE', 'REFUSEE', 'CONTRE_PROPOSEE', 'RETIREE', 'EXPIREE', 'ANNULEE'];
+
+    /**
+     * Convertit les dates/heures de début proposées en créneaux (dateRendezVous, heureDebut, heureFin)
+     * @param {string[]} datesHeuresDebut - Dates ISO
+     * @returns {Object} { erreurs, creneaux }
+     */
+    static preparerCreneaux(datesHeuresDebut, dureeMinutes) {
+        const { maxCreneaux, margeAvantRdvMinutes } = Consts.REPROGRAMMATION_CONFIG;
+        const erreurs = [];
+        const creneaux = [];
+        const margeMinimale = Date.now() + margeAvantRdvMinutes * MINUTE_MS;
+
+        if (!Array.isArray(datesHeuresDebut) || datesHeuresDebut.length === 0 || datesHeuresDebut.length > maxCreneaux) {
+            return { erreurs: [`Proposez de 1 à ${maxCreneaux} créneaux`], creneaux };
+        }
+
+        datesHeuresDebut.forEach((valeur, index) => {
+            const debut = new Date(valeur);
+            if (typeof valeur !== 'string' || isNaN(debut.getTime())) {
+                erreurs.push(`Créneau ${index + 1}: date invalide`);
+                return;
+            }
+            if (debut.getTime() < margeMinimale) {
+                erreurs.push(`Créneau ${index + 1}: la nouvelle date doit être au minimum ${margeAvantRdvMinutes / 60}h à l'avance`);
+                return;
+            }
+
+            const fin = new Date(debut.getTime() + dureeMinutes * MINUTE_MS);
+            if (jourIso(fin) !== jourIso(debut)) {
+                erreurs.push(`Créneau ${index + 1}: le rendez-vous doit se terminer le même jour`);
+                return;
+            }
+
+            const creneau = {
+                dateRendezVous: jourIso(debut),
+                heureDebut: debut.toISOString().slice(11, 16),
+                heureFin: fin.toISOString().slice(11, 16)
+            };
+            if (creneaux.some(c => c.dateRendezVous === creneau.dateRendezVous && c.heureDebut === creneau.heureDebut)) {
+                erreurs.push(`Créneau ${index + 1}: proposé deux fois`);
+                return;
+            }
+            creneaux.push(creneau);
+        });
+
+        creneaux.sort((a, b) => `${a.dateRendezVous} ${a.heureDebut}`.localeCompare(`${b.dateRendezVous} ${b.heureDebut}`));
+        return { erreurs, creneaux };
+    }
+
+    /**
+     * Un créneau proposé est-il pris (rendez-vous du médecin ou du patient, offre de liste d'attente, réservation temporaire) ?
+     * Le rendez-vous reprogrammé lui-même est ignoré
+     */
+    static async creneauIndisponible(client, rendezVous, creneau) {
+        const dateRendezVous = new Date(creneau.dateRendezVous);
+
+        const conflit = await client.rendezVous.findFirst({
+            where: {
+                id: { not: rendezVous.id },
+                OR: [{ medecinId: rendezVous.medecinId }, { patientId: rendezVous.patientId }],
+                dateRendezVous,
+                statut: { in: STATUTS_RDV_OCCUPES },
+                heureDebut: { lt: creneau.heureFin },
+                heureFin: { gt: creneau.heureDebut }
+            },
+            select: { id: true }
+        });
+
+        const creneauMedecin = {
+            medecinId: rendezVous.medecinId,
+            dateRendezVous,
+            heureDebut: creneau.heureDebut,
+            heureFin: creneau.heureFin
+        };
+
+        return !!conflit ||
+            await ListeAttenteService.creneauOffert(client, creneauMedecin) ||
+            await ReservationTemporaireService.creneauRetenu(client, creneauMedecin);
+    }
+
+    /**
+     * Échéance de réponse : au plus tard quelques heures avant le créneau d'origine, qui reste réservé jusque-là
+     * @returns {Date|null} null si le rendez-vous d'origine est trop proche pour attendre une réponse
+     */
+    static calculerExpiration(rendezVous) {
+        const { delaiReponseHeures, margeAvantRdvMinutes, delaiReponseMinimalMinutes } = Consts.REPROGRAMMATION_CONFIG;
+        const expireLe = new Date(Math.min(
+            Date.now() + delaiReponseHeures * 60 * MINUTE_MS,
+            RappelService.getDateHeureDebut(rendezVous).getTime() - margeAvantRdvMinutes * MINUTE_MS
+        ));
+
+        return expireLe.getTime() - Date.now() < delaiReponseMinimalMinutes * MINUTE_MS ? null : expireLe;
+    }
+
+    /**
+     * Proposition en attente d'un rendez-vous (une seule à la fois)
+     */
+    static async propositionEnCours(client, rendezVousId) {
+        return await client.propositionReprogrammation.findFirst({
+            where: { rendezVousId, statut: 'EN_ATTENTE', expireLe: { gt: new Date() } },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
+    /**
+     * Nombre de contre-propositions déjà faites dans l'échange menant à cette proposition
+     */
+    static async compterContrePropositions(client, proposition) {
+        let compte = 0;
+        let courante = proposition;
+        while (courante?.propositionPrecedenteId) {
+            compte++;
+            courante = await client.propositionReprogrammation.findUnique({
+                where: { id: courante.propositionPrecedenteId },
+                select: { propositionPrecedenteId: true }
+            });
+        }
+        return compte;
+    }
+
+    /**
+     * Trace une étape de la reprogrammation dans l'historique du rendez-vous
+     * Le rendez-vous reste confirmé à chaque étape : seul son créneau change à l'acceptation
+     */
+    static async historiser(tx, rendezVous, userId, motif) {
+        await tx.rendezVousHistorique.create({
+            data: {
+                rendezVousId: rendezVous.id,
+                statutPrecedent: rendezVous.statut,
+                nouveauStatut: rendezVous.statut,
+                motifModification: motif,
+                modifieParUserId: userId,
+                dateModification: new Date()
+            }
+        });
+    }
+
+    /**
+     * Propositions sans réponse à l'échéance : le rendez-vous garde son créneau d'origine (tâche du worker)
+     */
+    static async expirerPropositions() {
+        const propositions = await prisma.propositionReprogrammation.findMany({
+            where: { statut: 'EN_ATTENTE', expireLe: { lte: new Date() } },
+            include: { rendezVous: { include: INCLUDE_PARTIES } },
+            take: 100
+        });
+
+        let expirees = 0;
+        for (const proposition of propositions) {
+            const rendezVous = proposition.rendezVous;
+
+            const expiree = await prisma.$transaction(async (tx) => {
+                const { count } = await tx.propositionReprogrammation.updateMany({
+                    where: { id: proposition.id, statut: 'EN_ATTENTE' },
+                    data: { statut: 'EXPIREE' }
+                });
+                if (count === 0) {
+                    return false;
+                }
+
+                await this.historiser(tx, rendezVous, proposition.proposeParUserId,
+                    'Proposition de reprogrammation expirée sans réponse, créneau d\'origine maintenu');
+                return true;
+            });
+            if (!expiree) {
+                continue;
+            }
+            expirees++;
+
+            const message = `La proposition de reprogrammation du rendez-vous du ${PartiesRendezVousService.libelleCreneau(rendezVous)} n'a pas reçu de réponse à temps. Le rendez-vous est maintenu à son horaire d'origine.`;
+            for (const destinataire of [rendezVous.patient.user, rendezVous.medecin.user]) {
+                await PartiesRendezVousService.notifier(destinataire, 'RENDEZ_VOUS', {
+                    titre: 'Reprogrammation expirée',
+                    message,
+                    donnees: { rendezVousId: rendezVous.id, propositionId: proposition.id }
+                });
+            }
+
+            await TempsReelService.publierRendezVous(TempsReelService.TYPES.REPROGRAMMATION_PROPOSITION, rendezVous.id, {
+                propositionId: proposition.id,
+                statutProposition: 'EXPIREE'
+            });
+        }
+
+        if (expirees > 0) {
+            console.log(`🔄 ${expirees} proposition(s) de reprogrammation expirée(s)`);
+        }
+        return expirees;
+    }
+
+    static format(proposition) {
+        return {
+            id: proposition.id,
+            rendezVousId: proposition.rendezVousId,
+            proposePar: proposition.roleProposant,
+            proposeParUserId: proposition.proposeParUserId,
+            creneaux: (proposition.creneaux || []).map((creneau, index) => ({ index, ...creneau })),
+            typeConsultation: proposition.typeConsultation,
+            adresseConsultation: proposition.adresseConsultation,
+            tarif: proposition.tarif !== null ? Number(proposition.tarif) : null,
+            fraisReprogrammation: Number(proposition.fraisReprogrammation || 0),
+            motif: proposition.motif,
+            statut: proposition.statut,
+            expireLe: proposition.expireLe,
+            creneauRetenu: proposition.creneauRetenu !== null && proposition.creneauRetenu !== undefined ?
+                proposition.creneaux[proposition.creneauRetenu] : null,
+            motifReponse: proposition.motifReponse,
+            dateReponse: proposition.dateReponse,
+            propositionPrecedenteId: proposition.propositionPrecedenteId,
+            createdAt: proposition.createdAt
+        };
+    }
+}
+
+module.exports = ReprogrammationService;
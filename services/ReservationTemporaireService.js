@@ -0,0 +1,121 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const RappelService = require('./RappelService');
+
+const jourIso = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Réservations temporaires de créneaux
+ * Le patient retient un créneau quelques minutes le temps de finaliser sa demande ; un index unique
+ * (médecin, date, heure de début) empêche deux réservations actives sur le même créneau.
+ * À l'échéance, la réservation n'est plus prise en compte et le créneau redevient disponible.
+ */
+class ReservationTemporaireService {
+    static STATUTS = ['ACTIVE', 'CONFIRMEE', 'LIBEREE', 'EXPIREE'];
+
+    /**
+     * Le créneau est-il retenu par une réservation active ?
+     * @param {string} exclurePatientId - Les réservations de ce patient sont ignorées (il peut réserver son propre créneau)
+     */
+    static async creneauRetenu(client, { medecinId, dateRendezVous, heureDebut, heureFin }, exclurePatientId = null) {
+        const reservation = await client.reservationTemporaire.findFirst({
+            where: {
+                medecinId,
+                statut: 'ACTIVE',
+                expireLe: { gt: new Date() },
+                dateRendezVous,
+                heureDebut: { lt: heureFin },
+                heureFin: { gt: heureDebut },
+                ...(exclurePatientId && { patientId: { not: exclurePatientId } })
+            },
+            select: { id: true }
+        });
+
+        return !!reservation;
+    }
+
+    /**
+     * Réservations actives sur la période, au format des rendez-vous (pour le calcul des créneaux libres)
+     */
+    static async enCours(medecinId, debut, fin, client = prisma) {
+        return await client.reservationTemporaire.findMany({
+            where: {
+                medecinId,
+                statut: 'ACTIVE',
+                expireLe: { gt: new Date() },
+                dateRendezVous: { gte: debut, lt: fin }
+            },
+            select: { dateRendezVous: true, heureDebut: true, heureFin: true }
+        });
+    }
+
+    /**
+     * Libère l'index unique des réservations échues sur un créneau, avant d'en créer une nouvelle
+     */
+    static async libererEchues(client, { medecinId, dateRendezVous, heureDebut }) {
+        await client.reservationTemporaire.updateMany({
+            where: {
+                medecinId,
+                dateRendezVous,
+                heureDebutActive: heureDebut,
+                expireLe: { lte: new Date() }
+            },
+            data: { statut: 'EXPIREE', heureDebutActive: null }
+        });
+    }
+
+    /**
+     * Rattache la réservation au rendez-vous créé (dans la transaction de la demande)
+     * @returns {boolean} false si la réservation a expiré ou a été libérée entre-temps
+     */
+    static async confirmer(tx, reservationId, rendezVousId) {
+        const { count } = await tx.reservationTemporaire.updateMany({
+            where: { id: reservationId, statut: 'ACTIVE', expireLe: { gt: new Date() } },
+            data: { statut: 'CONFIRMEE', heureDebutActive: null, rendezVousId }
+        });
+
+        return count > 0;
+    }
+
+    /**
+     * Réservations arrivées à échéance (tâche du worker)
+     */
+    static async expirer() {
+        const { count } = await prisma.reservationTemporaire.updateMany({
+            where: { statut: 'ACTIVE', expireLe: { lte: new Date() } },
+            data: { statut: 'EXPIREE', heureDebutActive: null }
+        });
+
+        if (count > 0) {
+            console.log(`⏳ ${count} réservation(s) temporaire(s) de créneau expirée(s)`);
+        }
+        return count;
+    }
+
+    /**
+     * Échéance d'une nouvelle réservation
+     */
+    static calculerExpiration() {
+        return new Date(Date.now() + Consts.RESERVATION_TEMPORAIRE_CONFIG.dureeMinutes * 60 * 1000);
+    }
+
+    static format(reservation) {
+        const active = reservation.statut === 'ACTIVE' && reservation.expireLe > new Date();
+
+        return {
+            id: reservation.id,
+            medecinId: reservation.medecinId,
+            typeConsultation: reservation.typeConsultation,
+            dateRendezVous: jourIso(reservation.dateRendezVous),
+            heureDebut: reservation.heureDebut,
+            heureFin: reservation.heureFin,
+            dateHeureDebut: RappelService.getDateHeureDebut(reservation),
+            statut: reservation.statut === 'ACTIVE' && !active ? 'EXPIREE' : reservation.statut,
+            expireLe: reservation.expireLe,
+            secondesRestantes: active ? Math.ceil((reservation.expireLe - Date.now()) / 1000) : 0,
+            rendezVousId: reservation.rendezVousId
+        };
+    }
+}
+
+module.exports = ReservationTemporaireService;
@@ -0,0 +1,421 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const NotificationService = require('./NotificationService');
+const RappelService = require('./RappelService');
+const ListeAttenteService = require('./ListeAttenteService');
+const ReservationTemporaireService = require('./ReservationTemporaireService');
+const PaiementService = require('./PaiementService');
+const RemboursementService = require('./RemboursementService');
+
+const MINUTE_MS = 60 * 1000;
+const JOUR_MS = 24 * 60 * MINUTE_MS;
+const JOURS = ['DIMANCHE', 'LUNDI', 'MARDI', 'MERCREDI', 'JEUDI', 'VENDREDI', 'SAMEDI'];
+const STATUTS_RDV_OCCUPES = ['CONFIRME', 'EN_ATTENTE', 'DEMANDE'];
+
+const jourIso = (date) => new Date(date).toISOString().split('T')[0];
+const enHeure = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const enMinutes = (heure) => {
+    const [heures, minutes] = heure.split(':').map(Number);
+    return heures * 60 + minutes;
+};
+
+// Série avec ses parties et ses occurrences
+const INCLUDE_SERIE = {
+    patient: {
+        include: {
+            user: { select: { id: true, nom: true, prenom: true, canalCommunicationPrefere: true } }
+        }
+    },
+    medecin: {
+        include: {
+            user: { select: { id: true, nom: true, prenom: true, statut: true, canalCommunicationPrefere: true } }
+        }
+    },
+    rendezVous: { orderBy: { numeroOccurrence: 'asc' } }
+};
+
+// Motifs de conflit signalés pour chaque occurrence
+const CONFLITS = {
+    DELAI_INSUFFISANT: 'Occurrence trop proche ou passée',
+    HORS_DISPONIBILITE: 'Le médecin n\'a pas de disponibilité pour ce type de consultation à cette date et heure',
+    MEDECIN_INDISPONIBLE: 'Le médecin a déjà un rendez-vous sur ce créneau',
+    PATIENT_INDISPONIBLE: 'Le patient a déjà un rendez-vous sur ce créneau'
+};
+
+/**
+ * Séries de rendez-vous récurrents pour le suivi des patients chroniques
+ * Chaque occurrence est un rendez-vous à part entière (rappels, annulation, reprogrammation) rattaché à la série ;
+ * les occurrences sont vérifiées une à une (disponibilités, conflits) et les conflits signalés par occurrence
+ */
+class SerieRendezVousService {
+    static STATUTS = ['ACTIVE', 'ANNULEE'];
+    static UNITES = ['SEMAINE', 'MOIS'];
+    static CONFLITS = CONFLITS;
+    static STATUTS_MODIFIABLES = STATUTS_RDV_OCCUPES;
+    static INCLUDE_SERIE = INCLUDE_SERIE;
+
+    static async getSerie(serieId) {
+        return await prisma.serieRendezVous.findUnique({
+            where: { id: serieId },
+            include: INCLUDE_SERIE
+        });
+    }
+
+    /**
+     * Valide les paramètres de récurrence
+     * @param {Object} parametres - { dateDebut, heureDebut, dureeMinutes, intervalle, uniteIntervalle, nombreOccurrences }
+     * @returns {string[]} Erreurs
+     */
+    static valider(parametres) {
+        const { minOccurrences, maxOccurrences, intervalleMax, horizonMaxJours } = Consts.SERIE_RENDEZ_VOUS_CONFIG;
+        const erreurs = [];
+
+        if (!Number.isInteger(parametres.nombreOccurrences) || parametres.nombreOccurrences < minOccurrences || parametres.nombreOccurrences > maxOccurrences) {
+            erreurs.push(`nombreOccurrences doit être un entier entre ${minOccurrences} et ${maxOccurrences}`);
+        }
+        if (!Number.isInteger(parametres.intervalle) || parametres.intervalle < 1 || parametres.intervalle > intervalleMax[parametres.uniteIntervalle]) {
+            erreurs.push(`intervalle doit être un entier entre 1 et ${intervalleMax[parametres.uniteIntervalle]} (${parametres.uniteIntervalle === 'MOIS' ? 'mois' : 'semaines'})`);
+        }
+        if (enMinutes(parametres.heureDebut) + parametres.dureeMinutes > 24 * 60) {
+            erreurs.push('Chaque rendez-vous doit se terminer le même jour');
+        }
+        if (erreurs.length > 0) {
+            return erreurs;
+        }
+
+        const occurrences = this.calculerOccurrences(parametres);
+        const etendue = occurrences[occurrences.length - 1].dateRendezVous - occurrences[0].dateRendezVous;
+        if (etendue > horizonMaxJours * JOUR_MS) {
+            erreurs.push(`La dernière occurrence doit avoir lieu au plus tard ${horizonMaxJours} jours après la première`);
+        }
+
+        return erreurs;
+    }
+
+    /**
+     * Dates et horaires des occurrences de la série
+     * Pour une récurrence mensuelle, le jour du mois est conservé (ramené au dernier jour des mois plus courts)
+     * @returns {Array} [{ numeroOccurrence, dateRendezVous, heureDebut, heureFin }]
+     */
+    static calculerOccurrences({ dateDebut, heureDebut, dureeMinutes, intervalle, uniteIntervalle, nombreOccurrences }) {
+        const premiere = new Date(jourIso(dateDebut));
+        const heureFin = enHeure(enMinutes(heureDebut) + dureeMinutes);
+        const occurrences = [];
+
+        for (let rang = 0; rang < nombreOccurrences; rang++) {
+            let date;
+            if (uniteIntervalle === 'MOIS') {
+                const mois = premiere.getUTCMonth() + rang * intervalle;
+                const dernierJour = new Date(Date.UTC(premiere.getUTCFullYear(), mois + 1, 0)).getUTCDate();
+                date = new Date(Date.UTC(premiere.getUTCFullYear(), mois, Math.min(premiere.getUTCDate(), dernierJour)));
+            } else {
+                date = new Date(premiere.getTime() + rang * intervalle * 7 * JOUR_MS);
+            }
+
+            occurrences.push({ numeroOccurrence: rang + 1, dateRendezVous: date, heureDebut, heureFin });
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Disponibilité du médecin couvrant l'occurrence : plage récurrente du jour ou plage à date précise,
+     * à condition qu'aucune plage bloquée (congé, absence) ne la recouvre
+     * @param {Array} disponibilites - Toutes les disponibilités du médecin, bloquées comprises
+     * @returns {Object|null} Disponibilité retenue
+     */
+    static disponibiliteCompatible(disponibilites, typeConsultation, occurrence) {
+        const jour = jourIso(occurrence.dateRendezVous);
+        const concerne = (dispo) => dispo.dateSpecifique
+            ? jourIso(dispo.dateSpecifique) === jour
+            : dispo.jourSemaine === JOURS[new Date(occurrence.dateRendezVous).getUTCDay()];
+
+        const bloquee = disponibilites.some(dispo =>
+            dispo.bloque && concerne(dispo) &&
+            dispo.heureDebut < occurrence.heureFin &&
+            dispo.heureFin > occurrence.heureDebut
+        );
+        if (bloquee) {
+            return null;
+        }
+
+        return disponibilites.find(dispo =>
+            !dispo.bloque && concerne(dispo) &&
+            dispo.typeConsultation === typeConsultation &&
+            dispo.heureDebut <= occurrence.heureDebut &&
+            dispo.heureFin >= occurrence.heureFin
+        ) || null;
+    }
+
+    /**
+     * Conflit éventuel d'une occurrence
+     * @param {Object} contexte - { medecinId, patientId, typeConsultation, disponibilites }
+     * @param {string[]} exclureRendezVousIds - Occurrences déjà en place que l'on est en train de déplacer
+     * @returns {Object} { conflit: code|null, disponibiliteId }
+     */
+    static async verifierOccurrence(client, contexte, occurrence, exclureRendezVousIds = []) {
+        const { margeAvantRdvMinutes } = Consts.SERIE_RENDEZ_VOUS_CONFIG;
+
+        if (RappelService.getDateHeureDebut(occurrence).getTime() < Date.now() + margeAvantRdvMinutes * MINUTE_MS) {
+            return { conflit: 'DELAI_INSUFFISANT', disponibiliteId: null };
+        }
+
+        const disponibilite = this.disponibiliteCompatible(contexte.disponibilites, contexte.typeConsultation, occurrence);
+        if (!disponibilite) {
+            return { conflit: 'HORS_DISPONIBILITE', disponibiliteId: null };
+        }
+
+        const rendezVous = await client.rendezVous.findFirst({
+            where: {
+                ...(exclureRendezVousIds.length > 0 && { id: { notIn: exclureRendezVousIds } }),
+                OR: [{ medecinId: contexte.medecinId }, { patientId: contexte.patientId }],
+                dateRendezVous: occurrence.dateRendezVous,
+                statut: { in: STATUTS_RDV_OCCUPES },
+                heureDebut: { lt: occurrence.heureFin },
+                heureFin: { gt: occurrence.heureDebut }
+            },
+            select: { medecinId: true }
+        });
+
+        if (rendezVous) {
+            return {
+                conflit: rendezVous.medecinId === contexte.medecinId ? 'MEDECIN_INDISPONIBLE' : 'PATIENT_INDISPONIBLE',
+                disponibiliteId: null
+            };
+        }
+
+        // Créneau libéré actuellement proposé à un patient de la liste d'attente, ou retenu par un autre patient
+        const creneauMedecin = { medecinId: contexte.medecinId, ...occurrence };
+        if (await ListeAttenteService.creneauOffert(client, creneauMedecin) ||
+            await ReservationTemporaireService.creneauRetenu(client, creneauMedecin, contexte.patientId)) {
+            return { conflit: 'MEDECIN_INDISPONIBLE', disponibiliteId: null };
+        }
+
+        return { conflit: null, disponibiliteId: disponibilite.id };
+    }
+
+    /**
+     * Vérifie chaque occurrence et construit le rapport (une ligne par occurrence)
+     * @returns {Array} Occurrences avec conflit (code et message) et disponibiliteId
+     */
+    static async verifierOccurrences(client, contexte, occurrences, exclureRendezVousIds = []) {
+        const rapport = [];
+        for (const occurrence of occurrences) {
+            const { conflit, disponibiliteId } = await this.verifierOccurrence(client, contexte, occurrence, exclureRendezVousIds);
+            rapport.push({ ...occurrence, disponibiliteId, conflit, messageConflit: conflit ? CONFLITS[conflit] : null });
+        }
+        return rapport;
+    }
+
+    /**
+     * Échéance du prépaiement d'une occurrence confirmée par le médecin
+     * @returns {Date|null} null sans prépaiement exigé ou si l'occurrence est trop proche pour attendre le paiement
+     */
+    static echeancePaiement(medecin, tarif, occurrence) {
+        return PaiementService.prepaiementExige(medecin, tarif) ? PaiementService.calculerEcheance(occurrence) : null;
+    }
+
+    /**
+     * Crée le rendez-vous d'une occurrence (dans la transaction de création ou de modification de la série)
+     * Une occurrence confirmée reste EN_ATTENTE jusqu'à son paiement si le médecin exige le prépaiement
+     * @param {Object} options - { statut, tarification, medecin, cliniqueId, modifieParUserId, motifModification }
+     * tarification : résultat de VisiteDomicileService.calculerTarif pour le type et le domicile de la série
+     */
+    static async creerOccurrence(tx, serie, occurrence, options) {
+        const echeancePaiement = options.statut === 'CONFIRME' ?
+            this.echeancePaiement(options.medecin, options.tarification.tarif, occurrence) : null;
+        const statut = echeancePaiement ? 'EN_ATTENTE' : options.statut;
+
+        const rendezVous = await tx.rendezVous.create({
+            data: {
+                patientId: serie.patientId,
+                medecinId: serie.medecinId,
+                disponibiliteId: occurrence.disponibiliteId,
+                serieId: serie.id,
+                numeroOccurrence: occurrence.numeroOccurrence,
+                dateRendezVous: occurrence.dateRendezVous,
+                heureDebut: occurrence.heureDebut,
+                heureFin: occurrence.heureFin,
+                typeConsultation: serie.typeConsultation,
+                statut,
+                echeancePaiement,
+                motifConsultation: serie.motifConsultation,
+                niveauUrgence: 'SUIVI_ROUTINE',
+                tarif: options.tarification.tarif,
+                adresseConsultation: serie.typeConsultation === 'DOMICILE' ? serie.adresseConsultation : null,
+                ...options.tarification.champsDomicile,
+                ...(serie.typeConsultation === 'CLINIQUE' && options.cliniqueId && { cliniqueId: options.cliniqueId })
+            }
+        });
+
+        await tx.rendezVousHistorique.create({
+            data: {
+                rendezVousId: rendezVous.id,
+                statutPrecedent: null,
+                nouveauStatut: statut,
+                motifModification: `Occurrence ${occurrence.numeroOccurrence}/${serie.nombreOccurrences} de la série de suivi - ${options.motifModification}` +
+                    (echeancePaiement ? ', en attente du paiement' : ''),
+                modifieParUserId: options.modifieParUserId,
+                dateModification: new Date()
+            }
+        });
+
+        // Rappels à la confirmation (au paiement en cas de prépaiement)
+        if (statut === 'CONFIRME') {
+            await RappelService.planifier(tx, rendezVous.id);
+        }
+
+        return rendezVous;
+    }
+
+    /**
+     * Annule le rendez-vous d'une occurrence (annulation ou raccourcissement de la série)
+     * Une occurrence payée est remboursée intégralement (annulée dans le respect du préavis),
+     * le remboursement étant effectué par le worker
+     */
+    static async annulerOccurrence(tx, rendezVous, modifieParUserId, motifModification) {
+        await tx.rendezVous.update({
+            where: { id: rendezVous.id },
+            data: { statut: 'ANNULE', echeancePaiement: null }
+        });
+
+        await PaiementService.annulerEnAttente(tx, rendezVous.id);
+        await RemboursementService.preparerApresAnnulation(tx, rendezVous, {
+            motif: motifModification,
+            demandeParUserId: modifieParUserId
+        });
+
+        await tx.rendezVousHistorique.create({
+            data: {
+                rendezVousId: rendezVous.id,
+                statutPrecedent: rendezVous.statut,
+                nouveauStatut: 'ANNULE',
+                motifModification,
+                modifieParUserId,
+                dateModification: new Date()
+            }
+        });
+
+        await RappelService.annuler(tx, rendezVous.id);
+
+        // Une reprogrammation en attente de réponse devient sans objet
+        await tx.propositionReprogrammation.updateMany({
+            where: { rendezVousId: rendezVous.id, statut: 'EN_ATTENTE' },
+            data: { statut: 'ANNULEE' }
+        });
+    }
+
+    /**
+     * Une occurrence peut-elle encore être modifiée ou annulée avec la série ?
+     * @param {number} delaiHeures - Préavis minimal (politique d'annulation pour le patient)
+     */
+    static occurrenceModifiable(rendezVous, delaiHeures) {
+        return STATUTS_RDV_OCCUPES.includes(rendezVous.statut) &&
+            RappelService.getDateHeureDebut(rendezVous).getTime() - Date.now() >= delaiHeures * 60 * MINUTE_MS;
+    }
+
+    /**
+     * Propose les créneaux libérés (occurrences annulées ou déplacées) à la liste d'attente
+     */
+    static async libererCreneaux(serie, creneaux) {
+        for (const creneau of creneaux) {
+            try {
+                await ListeAttenteService.proposerCreneau({
+                    medecinId: serie.medecinId,
+                    typeConsultation: creneau.typeConsultation,
+                    dateRendezVous: creneau.dateRendezVous,
+                    heureDebut: creneau.heureDebut,
+                    heureFin: creneau.heureFin
+                });
+            } catch (listeAttenteError) {
+                console.error('Erreur liste d\'attente après modification de série:', listeAttenteError);
+            }
+        }
+    }
+
+    /**
+     * Notifie l'autre partie de la série
+     * @param {Object} auteur - Utilisateur à l'origine de l'action
+     */
+    static async notifier(serie, auteur, { titre, message, priorite = 'NORMALE', donnees = {} }) {
+        const destinataire = auteur.role === 'MEDECIN' ? serie.patient.user : serie.medecin.user;
+
+        try {
+            await NotificationService.createAndSendNotification({
+                userId: destinataire.id,
+                typeNotification: 'RENDEZ_VOUS',
+                titre,
+                message,
+                canal: destinataire.canalCommunicationPrefere || 'EMAIL',
+                priorite,
+                donneesSupplementaires: { serieId: serie.id, ...donnees }
+            });
+        } catch (notificationError) {
+            console.error('Erreur notification série de rendez-vous:', notificationError);
+        }
+    }
+
+    static libelleRecurrence(serie) {
+        let frequence;
+        if (serie.uniteIntervalle === 'MOIS') {
+            frequence = serie.intervalle > 1 ? `tous les ${serie.intervalle} mois` : 'chaque mois';
+        } else {
+            frequence = serie.intervalle > 1 ? `toutes les ${serie.intervalle} semaines` : 'chaque semaine';
+        }
+        return `${frequence}, ${serie.nombreOccurrences} occurrences`;
+    }
+
+    static formatOccurrence(occurrence) {
+        return {
+            numeroOccurrence: occurrence.numeroOccurrence,
+            dateRendezVous: jourIso(occurrence.dateRendezVous),
+            heureDebut: occurrence.heureDebut,
+            heureFin: occurrence.heureFin,
+            dateHeureDebut: RappelService.getDateHeureDebut(occurrence),
+            ...(occurrence.id && { rendezVousId: occurrence.id, statut: occurrence.statut, echeancePaiement: occurrence.echeancePaiement || null }),
+            ...(occurrence.conflit !== undefined && {
+                disponible: !occurrence.conflit,
+                conflit: occurrence.conflit,
+                messageConflit: occurrence.messageConflit
+            })
+        };
+    }
+
+    static format(serie) {
+        const rendezVous = [...(serie.rendezVous || [])].sort((a, b) => a.numeroOccurrence - b.numeroOccurrence);
+        const maintenant = Date.now();
+        const prochaine = rendezVous.find(rdv =>
+            STATUTS_RDV_OCCUPES.includes(rdv.statut) && RappelService.getDateHeureDebut(rdv).getTime() > maintenant
+        );
+
+        return {
+            id: serie.id,
+            statut: serie.statut,
+            typeConsultation: serie.typeConsultation,
+            intervalle: serie.intervalle,
+            uniteIntervalle: serie.uniteIntervalle,
+            nombreOccurrences: serie.nombreOccurrences,
+            recurrence: this.libelleRecurrence(serie),
+            dateDebut: jourIso(serie.dateDebut),
+            heureDebut: serie.heureDebut,
+            dureeMinutes: serie.dureeMinutes,
+            motifConsultation: serie.motifConsultation,
+            adresseConsultation: serie.adresseConsultation,
+            communeDomicile: serie.communeDomicile,
+            consultationId: serie.consultationId,
+            roleCreateur: serie.roleCreateur,
+            motifAnnulation: serie.motifAnnulation,
+            ...(serie.patient && {
+                patient: { id: serie.patient.id, nom: serie.patient.user.nom, prenom: serie.patient.user.prenom }
+            }),
+            ...(serie.medecin && {
+                medecin: { id: serie.medecin.id, nom: serie.medecin.user.nom, prenom: serie.medecin.user.prenom }
+            }),
+            prochaineOccurrence: prochaine ? this.formatOccurrence(prochaine) : null,
+            occurrences: rendezVous.map(rdv => this.formatOccurrence(rdv)),
+            createdAt: serie.createdAt
+        };
+    }
+}
+
+module.exports = SerieRendezVousService;
@@ -0,0 +1,272 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+const LocalVideoProvider = require('./video/LocalVideoProvider');
+
+const FOURNISSEURS = {
+    local: LocalVideoProvider
+};
+
+const dateHeure = (rendezVous, heure) => {
+    const jour = new Date(rendezVous.dateRendezVous).toISOString().split('T')[0];
+    return new Date(`${jour}T${heure}:00.000Z`);
+};
+
+/**
+ * Téléconsultations : salle virtuelle créée à la confirmation du rendez-vous, liens de connexion limités
+ * à la fenêtre du rendez-vous, et suivi des connexions pour la durée réelle de la consultation
+ * Un fournisseur vidéo expose creerSalle(rendezVous) → { salleId, urlSalle },
+ * genererLienConnexion(session, participant, { ouverture, fermeture }) → url et fermerSalle(session)
+ */
+class TeleconsultationService {
+    static STATUTS_OUVERTS = ['PLANIFIEE', 'EN_COURS'];
+
+    static getFournisseur() {
+        const fournisseur = FOURNISSEURS[Consts.TELECONSULTATION_CONFIG.fournisseur];
+        if (!fournisseur) {
+            throw new Error(`Fournisseur vidéo inconnu: ${Consts.TELECONSULTATION_CONFIG.fournisseur}`);
+        }
+        return fournisseur;
+    }
+
+    /**
+     * Fenêtre pendant laquelle la salle peut être rejointe
+     */
+    static fenetreConnexion(rendezVous) {
+        const { ouvertureAvantMinutes, fermetureApresMinutes } = Consts.TELECONSULTATION_CONFIG;
+
+        return {
+            ouverture: new Date(dateHeure(rendezVous, rendezVous.heureDebut).getTime() - ouvertureAvantMinutes * 60 * 1000),
+            fermeture: new Date(dateHeure(rendezVous, rendezVous.heureFin).getTime() + fermetureApresMinutes * 60 * 1000)
+        };
+    }
+
+    /**
+     * Session du rendez-vous, la salle étant créée chez le fournisseur si elle n'existe pas encore
+     */
+    static async obtenirSession(rendezVous) {
+        const existante = await prisma.sessionTeleconsultation.findUnique({
+            where: { rendezVousId: rendezVous.id }
+        });
+        if (existante) {
+            return existante;
+        }
+
+        const fournisseur = this.getFournisseur();
+        const { salleId, urlSalle } = await fournisseur.creerSalle(rendezVous);
+
+        try {
+            return await prisma.sessionTeleconsultation.create({
+                data: {
+                    rendezVousId: rendezVous.id,
+                    fournisseur: fournisseur.nom,
+                    salleId,
+                    urlSalle
+                }
+            });
+        } catch (error) {
+            // Salle créée entre-temps par une requête concurrente
+            if (error.code === 'P2002') {
+                return await prisma.sessionTeleconsultation.findUnique({
+                    where: { rendezVousId: rendezVous.id }
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Crée la salle d'un rendez-vous de téléconsultation confirmé
+     * Ne lève jamais d'erreur : la salle sera créée à la première connexion si le fournisseur est indisponible
+     */
+    static async preparerSalle(rendezVousId) {
+        try {
+            const rendezVous = await prisma.rendezVous.findUnique({
+                where: { id: rendezVousId },
+                select: { id: true, statut: true, typeConsultation: true, medecinId: true, dateRendezVous: true, heureDebut: true, heureFin: true }
+            });
+
+            if (!rendezVous || rendezVous.typeConsultation !== 'TELECONSULTATION' || rendezVous.statut !== 'CONFIRME') {
+                return null;
+            }
+
+            const session = await this.obtenirSession(rendezVous);
+            console.log(`🎥 Salle de téléconsultation prête: RDV ${rendezVousId} (${session.fournisseur})`);
+            return session;
+        } catch (error) {
+            console.error(`⚠️ Salle de téléconsultation non créée pour le RDV ${rendezVousId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Lien de connexion personnel, valable jusqu'à la fermeture de la salle
+     */
+    static async genererLien(session, rendezVous, user) {
+        const fenetre = this.fenetreConnexion(rendezVous);
+
+        return await FOURNISSEURS[session.fournisseur].genererLienConnexion(session, {
+            id: user.id,
+            role: user.role,
+            nomAffiche: user.role === 'MEDECIN' ? `Dr ${user.prenom} ${user.nom}` : `${user.prenom} ${user.nom}`
+        }, fenetre);
+    }
+
+    /**
+     * Durée passée ensemble par le médecin et le patient, à partir des connexions et déconnexions
+     * Une reconnexion sans déconnexion préalable (coupure réseau) ne compte qu'une fois
+     * @param {Date} jusqua - Fin des présences encore ouvertes
+     */
+    static calculerPresence(evenements, jusqua = new Date()) {
+        const presents = { PATIENT: new Set(), MEDECIN: new Set() };
+        let ensembleDepuis = null;
+        let debutEffectif = null;
+        let finEffective = null;
+        let dureeMs = 0;
+
+        [...evenements]
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(evenement => {
+                const date = new Date(evenement.createdAt);
+                if (evenement.type === 'CONNEXION') {
+                    presents[evenement.role].add(evenement.userId);
+                } else {
+                    presents[evenement.role].delete(evenement.userId);
+                }
+
+                const ensemble = presents.PATIENT.size > 0 && presents.MEDECIN.size > 0;
+                if (ensemble && !ensembleDepuis) {
+                    ensembleDepuis = date;
+                    debutEffectif = debutEffectif || date;
+                } else if (!ensemble && ensembleDepuis) {
+                    dureeMs += date - ensembleDepuis;
+                    finEffective = date;
+                    ensembleDepuis = null;
+                }
+            });
+
+        if (ensembleDepuis && jusqua > ensembleDepuis) {
+            dureeMs += jusqua - ensembleDepuis;
+            finEffective = jusqua;
+        }
+
+        return {
+            medecinConnecte: presents.MEDECIN.size > 0,
+            patientConnecte: presents.PATIENT.size > 0,
+            debutEffectif,
+            finEffective,
+            dureeMinutes: Math.round(dureeMs / 60000)
+        };
+    }
+
+    /**
+     * Enregistre la connexion ou la déconnexion d'un participant et met à jour la durée effective
+     */
+    static async enregistrerEvenement(session, rendezVous, user, type) {
+        await prisma.evenementTeleconsultation.create({
+            data: { sessionId: session.id, userId: user.id, role: user.role, type }
+        });
+
+        const evenements = await prisma.evenementTeleconsultation.findMany({
+            where: { sessionId: session.id },
+            orderBy: { createdAt: 'asc' }
+        });
+        const presence = this.calculerPresence(evenements, this.finPresence(rendezVous));
+
+        const sessionMiseAJour = await prisma.sessionTeleconsultation.update({
+            where: { id: session.id },
+            data: {
+                ...(session.statut === 'PLANIFIEE' && { statut: 'EN_COURS' }),
+                debutEffectif: presence.debutEffectif,
+                finEffective: presence.finEffective,
+                dureeEffectiveMinutes: presence.dureeMinutes
+            }
+        });
+
+        return { session: { ...sessionMiseAJour, evenements }, presence };
+    }
+
+    /**
+     * Clôture la session avec la consultation (dans la transaction du compte rendu)
+     * @returns {number|null} Durée réelle en minutes, null sans présence simultanée des deux participants
+     */
+    static async terminer(tx, rendezVous) {
+        const session = await tx.sessionTeleconsultation.findUnique({
+            where: { rendezVousId: rendezVous.id },
+            include: { evenements: true }
+        });
+
+        if (!session || !this.STATUTS_OUVERTS.includes(session.statut)) {
+            return null;
+        }
+
+        const presence = this.calculerPresence(session.evenements, this.finPresence(rendezVous));
+
+        await tx.sessionTeleconsultation.update({
+            where: { id: session.id },
+            data: {
+                statut: 'TERMINEE',
+                debutEffectif: presence.debutEffectif,
+                finEffective: presence.finEffective,
+                dureeEffectiveMinutes: presence.dureeMinutes
+            }
+        });
+
+        return presence.debutEffectif && presence.dureeMinutes > 0 ? presence.dureeMinutes : null;
+    }
+
+    /**
+     * Ferme la salle d'un rendez-vous annulé
+     * Ne lève jamais d'erreur : l'annulation ne doit pas échouer à cause du fournisseur vidéo
+     */
+    static async fermerSalle(rendezVousId) {
+        try {
+            const session = await prisma.sessionTeleconsultation.findUnique({
+                where: { rendezVousId }
+            });
+            if (!session || !this.STATUTS_OUVERTS.includes(session.statut)) {
+                return;
+            }
+
+            await prisma.sessionTeleconsultation.update({
+                where: { id: session.id },
+                data: { statut: 'ANNULEE' }
+            });
+            await FOURNISSEURS[session.fournisseur].fermerSalle(session);
+        } catch (error) {
+            console.error(`⚠️ Salle de téléconsultation du RDV ${rendezVousId} non fermée:`, error.message);
+        }
+    }
+
+    /**
+     * Les présences encore ouvertes s'arrêtent au plus tard à la fermeture de la salle
+     */
+    static finPresence(rendezVous) {
+        const { fermeture } = this.fenetreConnexion(rendezVous);
+        const maintenant = new Date();
+        return maintenant < fermeture ? maintenant : fermeture;
+    }
+
+    static format(session, rendezVous) {
+        const { ouverture, fermeture } = this.fenetreConnexion(rendezVous);
+        const maintenant = new Date();
+        const presence = session.evenements ?
+            this.calculerPresence(session.evenements, this.finPresence(rendezVous)) : null;
+
+        return {
+            id: session.id,
+            rendezVousId: session.rendezVousId,
+            fournisseur: session.fournisseur,
+            statut: session.statut,
+            ouverture,
+            fermeture,
+            salleOuverte: this.STATUTS_OUVERTS.includes(session.statut) && maintenant >= ouverture && maintenant <= fermeture,
+            medecinConnecte: presence ? presence.medecinConnecte : null,
+            patientConnecte: presence ? presence.patientConnecte : null,
+            debutEffectif: session.debutEffectif,
+            finEffective: session.finEffective,
+            dureeEffectiveMinutes: presence && session.statut !== 'TERMINEE' ? presence.dureeMinutes : session.dureeEffectiveMinutes
+        };
+    }
+}
+
+module.exports = TeleconsultationService;
@@ -0,0 +1,278 @@
+const prisma = require('../prisma/client');
+const Consts = require('../config/const');
+
+// Connexions SSE ouvertes sur cette instance : userId -> Set<res>
+const connexions = new Map();
+
+// Événements déjà écrits sur chaque connexion (le rejeu et la scrutation peuvent se chevaucher) : res -> { envoyes, rejeuEnCours }
+const etatsConnexion = new WeakMap();
+
+let dernierId = null;
+let minuteurScrutation = null;
+let scrutationEnCours = false;
+
+/**
+ * Événements temps réel (Server-Sent Events)
+ * Les événements sont écrits dans une table partagée : chaque instance du cluster (et le worker)
+ * peut publier, et chaque instance diffuse à ses propres clients connectés
+ */
+class TempsReelService {
+    static TYPES = {
+        RENDEZ_VOUS_CREE: 'RENDEZ_VOUS_CREE',
+        RENDEZ_VOUS_REPONDU: 'RENDEZ_VOUS_REPONDU',
+        RENDEZ_VOUS_ANNULE: 'RENDEZ_VOUS_ANNULE',
+        RENDEZ_VOUS_REPORTE: 'RENDEZ_VOUS_REPORTE',
+        RENDEZ_VOUS_ABSENT: 'RENDEZ_VOUS_ABSENT',
+        REPROGRAMMATION_PROPOSITION: 'REPROGRAMMATION_PROPOSITION',
+        NOTIFICATION: 'NOTIFICATION',
+        EVALUATION: 'EVALUATION',
+        LISTE_ATTENTE_OFFRE: 'LISTE_ATTENTE_OFFRE',
+        TELECONSULTATION_PRESENCE: 'TELECONSULTATION_PRESENCE',
+        MESSAGE_RENDEZ_VOUS: 'MESSAGE_RENDEZ_VOUS',
+        MESSAGES_LUS: 'MESSAGES_LUS',
+        PAIEMENT: 'PAIEMENT',
+        REMBOURSEMENT: 'REMBOURSEMENT'
+    };
+
+    /**
+     * Publier un événement pour un ou plusieurs utilisateurs
+     * Ne lève jamais d'erreur : le temps réel ne doit pas faire échouer l'action métier
+     */
+    static async publier(userIds, type, donnees = {}) {
+        const destinataires = [...new Set((Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean))];
+        if (destinataires.length === 0) {
+            return;
+        }
+
+        try {
+            await prisma.evenementTempsReel.createMany({
+                data: destinataires.map(userId => ({ userId, type, donnees }))
+            });
+        } catch (error) {
+            console.error(`⚠️ Événement temps réel ${type} non publié:`, error.message);
+        }
+    }
+
+    /**
+     * Publier un événement de rendez-vous au patient et au médecin concernés
+     */
+    static async publierRendezVous(type, rendezVousId, donnees = {}) {
+        try {
+            const rendezVous = await prisma.rendezVous.findUnique({
+                where: { id: rendezVousId },
+                select: {
+                    id: true,
+                    statut: true,
+                    dateRendezVous: true,
+                    heureDebut: true,
+                    heureFin: true,
+                    typeConsultation: true,
+                    patient: { select: { userId: true } },
+                    medecin: { select: { userId: true } }
+                }
+            });
+
+            if (!rendezVous) {
+                return;
+            }
+
+            await this.publier([rendezVous.patient.userId, rendezVous.medecin.userId], type, {
+                rendezVousId: rendezVous.id,
+                statut: rendezVous.statut,
+                dateRendezVous: rendezVous.dateRendezVous,
+                heureDebut: rendezVous.heureDebut,
+                heureFin: rendezVous.heureFin,
+                typeConsultation: rendezVous.typeConsultation,
+                ...donnees
+            });
+        } catch (error) {
+            console.error(`⚠️ Événement temps réel ${type} non publié:`, error.message);
+        }
+    }
+
+    static _ecrire(res, evenement) {
+        const etat = etatsConnexion.get(res);
+        const id = evenement.id.toString();
+        if (res.writableEnded || (etat && etat.envoyes.has(id))) {
+            return;
+        }
+        if (etat) {
+            etat.envoyes.add(id);
+        }
+        res.write(`id: ${evenement.id}\nevent: ${evenement.type}\ndata: ${JSON.stringify({
+            ...(evenement.donnees || {}),
+            date: evenement.createdAt
+        })}\n\n`);
+    }
+
+    /**
+     * Ouvrir un flux SSE pour l'utilisateur authentifié
+     * Après une reconnexion, les événements manqués (header Last-Event-ID) sont rejoués ; la connexion est
+     * enregistrée avant le rejeu pour ne rien perdre de ce qui est publié pendant celui-ci
+     */
+    static async ouvrirFlux(req, res) {
+        const userId = req.user.id;
+        const { heartbeatSecondes, maxConnexionsParUtilisateur, tailleLot } = Consts.TEMPS_REEL_CONFIG;
+
+        const clientsUtilisateur = connexions.get(userId) || new Set();
+        if (clientsUtilisateur.size >= maxConnexionsParUtilisateur) {
+            // Fermer la plus ancienne connexion (onglet oublié, appareil déconnecté)
+            const plusAncienne = clientsUtilisateur.values().next().value;
+            plusAncienne.end();
+            clientsUtilisateur.delete(plusAncienne);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Désactive la mise en tampon nginx
+        });
+        res.write(`retry: 5000\n\n`);
+
+        let ferme = false;
+        const heartbeat = setInterval(() => {
+            if (!res.writableEnded) {
+                res.write(': ping\n\n');
+            }
+        }, heartbeatSecondes * 1000);
+
+        const etat = { envoyes: new Set(), rejeuEnCours: true };
+        etatsConnexion.set(res, etat);
+        clientsUtilisateur.add(res);
+        connexions.set(userId, clientsUtilisateur);
+
+        req.on('close', () => {
+            ferme = true;
+            clearInterval(heartbeat);
+            clientsUtilisateur.delete(res);
+            if (clientsUtilisateur.size === 0 && connexions.get(userId) === clientsUtilisateur) {
+                connexions.delete(userId);
+            }
+            if (connexions.size === 0) {
+                this._arreterScrutation();
+            }
+        });
+
+        const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+        try {
+            if (lastEventId && /^\d+$/.test(lastEventId)) {
+                const manques = await prisma.evenementTempsReel.findMany({
+                    where: { userId, id: { gt: BigInt(lastEventId) } },
+                    orderBy: { id: 'asc' },
+                    take: tailleLot
+                });
+                manques.forEach(evenement => this._ecrire(res, evenement));
+            }
+        } finally {
+            etat.rejeuEnCours = false;
+        }
+
+        if (ferme) {
+            return;
+        }
+
+        await this._demarrerScrutation();
+
+        console.log(`📡 Flux temps réel ouvert: ${req.user.prenom} ${req.user.nom} (${clientsUtilisateur.size} connexion(s))`);
+    }
+
+    /**
+     * La scrutation ne tourne que tant qu'au moins un client est connecté à cette instance
+     */
+    static async _demarrerScrutation() {
+        if (minuteurScrutation) {
+            return;
+        }
+
+        const { _max } = await prisma.evenementTempsReel.aggregate({
+            where: { createdAt: { lte: this._borneScrutation() } },
+            _max: { id: true }
+        });
+        if (minuteurScrutation) {
+            return;
+        }
+
+        dernierId = _max.id || BigInt(0);
+        minuteurScrutation = setInterval(() => this._scruter(), Consts.TEMPS_REEL_CONFIG.intervalleScrutationMs);
+    }
+
+    static _arreterScrutation() {
+        if (minuteurScrutation) {
+            clearInterval(minuteurScrutation);
+            minuteurScrutation = null;
+        }
+    }
+
+    /**
+     * Événements lisibles par la scrutation : publiés depuis au moins delaiScrutationMs
+     * Un identifiant est attribué à l'insertion mais visible à la validation : sans ce retard, un événement validé
+     * après un identifiant plus grand serait sauté par le curseur
+     */
+    static _borneScrutation() {
+        return new Date(Date.now() - Consts.TEMPS_REEL_CONFIG.delaiScrutationMs);
+    }
+
+    /**
+     * Lire les nouveaux événements des utilisateurs connectés à cette instance et les diffuser
+     */
+    static async _scruter() {
+        if (scrutationEnCours || connexions.size === 0) {
+            return;
+        }
+        scrutationEnCours = true;
+
+        try {
+            const evenements = await prisma.evenementTempsReel.findMany({
+                where: {
+                    id: { gt: dernierId },
+                    createdAt: { lte: this._borneScrutation() },
+                    userId: { in: [...connexions.keys()] }
+                },
+                orderBy: { id: 'asc' },
+                take: Consts.TEMPS_REEL_CONFIG.tailleLot
+            });
+
+            for (const evenement of evenements) {
+                (connexions.get(evenement.userId) || []).forEach(res => this._ecrire(res, evenement));
+                dernierId = evenement.id;
+            }
+
+            // Identifiants derrière le curseur : la scrutation ne les relira pas, le rejeu terminé non plus
+            for (const clients of connexions.values()) {
+                for (const res of clients) {
+                    const etat = etatsConnexion.get(res);
+                    if (!etat || etat.rejeuEnCours) {
+                        continue;
+                    }
+                    for (const id of etat.envoyes) {
+                        if (BigInt(id) <= dernierId) {
+                            etat.envoyes.delete(id);
+                        }
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('⚠️ Erreur scrutation événements temps réel:', error.message);
+        } finally {
+            scrutationEnCours = false;
+        }
+    }
+
+    /**
+     * Supprimer les événements au-delà de la durée de rétention (tâche du worker)
+     */
+    static async purger() {
+        const limite = new Date(Date.now() - Consts.TEMPS_REEL_CONFIG.retentionMinutes * 60 * 1000);
+        const { count } = await prisma.evenementTempsReel.deleteMany({
+            where: { createdAt: { lt: limite } }
+        });
+
+        if (count > 0) {
+            console.log(`🧹 ${count} événement(s) temps réel purgé(s)`);
+        }
+        return count;
+    }
+}
+
+module.exports = TempsReelService;
@@ -0,0 +1,168 @@
+const Consts = require('../config/const');
+const LocalFileService = require('./LocalFileService');
+
+const STATUTS_OUVERTS = ['OUVERT', 'EN_COURS', 'EN_ATTENTE'];
+
+// Workflow des statuts : EN_ATTENTE = en attente d'une réponse du demandeur
+const TRANSITIONS = {
+    OUVERT: ['EN_COURS', 'EN_ATTENTE', 'RESOLU', 'FERME'],
+    EN_COURS: ['EN_ATTENTE', 'RESOLU', 'FERME'],
+    EN_ATTENTE: ['EN_COURS', 'RESOLU', 'FERME'],
+    RESOLU: ['EN_COURS', 'FERME'],
+    FERME: []
+};
+
+const HEURE_MS = 60 * 60 * 1000;
+
+/**
+ * Service du support : workflow des tickets, délais SLA et pièces jointes
+ */
+class TicketService {
+    static STATUTS_OUVERTS = STATUTS_OUVERTS;
+    static TRANSITIONS = TRANSITIONS;
+
+    static peutTransitionner(statutActuel, nouveauStatut) {
+        return (TRANSITIONS[statutActuel] || []).includes(nouveauStatut);
+    }
+
+    /**
+     * Échéances de première réponse et de résolution à partir de la création du ticket
+     */
+    static calculerEcheances(priorite, dateCreation = new Date()) {
+        const sla = Consts.TICKET_CONFIG.sla[priorite] || Consts.TICKET_CONFIG.sla.NORMALE;
+        const debut = new Date(dateCreation).getTime();
+
+        return {
+            dateEcheanceReponse: new Date(debut + sla.premiereReponseHeures * HEURE_MS),
+            dateEcheanceResolution: new Date(debut + sla.resolutionHeures * HEURE_MS)
+        };
+    }
+
+    /**
+     * État des minuteurs SLA d'un ticket
+     */
+    static getSla(ticket, maintenant = new Date()) {
+        const minuteur = (echeance, dateAtteinte) => {
+            if (!echeance) {
+                return null;
+            }
+            const reference = dateAtteinte ? new Date(dateAtteinte) : maintenant;
+            return {
+                echeance,
+                atteintLe: dateAtteinte || null,
+                depasse: reference > new Date(echeance),
+                minutesRestantes: dateAtteinte ? null : Math.round((new Date(echeance) - maintenant) / 60000)
+            };
+        };
+
+        return {
+            premiereReponse: minuteur(ticket.dateEcheanceReponse, ticket.datePremiereReponse),
+            resolution: minuteur(ticket.dateEcheanceResolution, ticket.dateResolution || ticket.dateFermeture)
+        };
+    }
+
+    /**
+     * Enregistre les fichiers reçus par multer et retourne leurs métadonnées
+     * En cas d'échec, les fichiers déjà écrits sont supprimés
+     */
+    static async enregistrerPiecesJointes(files = []) {
+        const pieces = [];
+
+        try {
+            for (const file of files) {
+                const fichier = await LocalFileService.uploadFile(file.buffer, file.originalname, file.mimetype, 'PIECE_JOINTE_TICKET');
+                pieces.push({
+                    fileId: fichier.fileId,
+                    nom_fichier: fichier.originalName,
+                    file_path: fichier.relativePath,
+                    taille: fichier.size,
+                    mime_type: fichier.mimeType,
+                    upload_date: fichier.uploadDate
+                });
+            }
+        } catch (error) {
+            await this.supprimerPiecesJointes(pieces);
+            throw error;
+        }
+
+        return pieces;
+    }
+
+    static async supprimerPiecesJointes(pieces = []) {
+        for (const piece of pieces) {
+            try {
+                await LocalFileService.deleteFile(piece.fileId, 'PIECE_JOINTE_TICKET');
+            } catch (error) {
+                console.error(`⚠️ Pièce jointe ${piece.fileId} non supprimée:`, error.message);
+            }
+        }
+    }
+
+    static formatPiecesJointes(pieces) {
+        return (pieces || []).map(piece => ({
+            fileId: piece.fileId,
+            nom_fichier: piece.nom_fichier,
+            taille: piece.taille,
+            mime_type: piece.mime_type,
+            upload_date: piece.upload_date,
+            url: LocalFileService.generateFileUrl(piece.file_path)
+        }));
+    }
+
+    static formatMessage(message) {
+        return {
+            id: message.id,
+            message: message.message,
+            interne: message.interne,
+            date: message.createdAt,
+            auteur: message.auteur ? {
+                id: message.auteur.id,
+                nom: message.auteur.nom,
+                prenom: message.auteur.prenom,
+                role: message.auteur.role
+            } : null,
+            piecesJointes: this.formatPiecesJointes(message.piecesJointes)
+        };
+    }
+
+    /**
+     * Formate un ticket pour les réponses API (messages inclus s'ils ont été chargés)
+     */
+    static format(ticket) {
+        return {
+            id: ticket.id,
+            sujet: ticket.sujet,
+            description: ticket.description,
+            categorie: ticket.categorie,
+            priorite: ticket.priorite,
+            statut: ticket.statut,
+            rendezVousId: ticket.rendezVousId,
+            resolution: ticket.resolution,
+            dateResolution: ticket.dateResolution,
+            dateFermeture: ticket.dateFermeture,
+            satisfaction: ticket.satisfactionClient ? {
+                note: ticket.satisfactionClient,
+                commentaire: ticket.commentaireSatisfaction
+            } : null,
+            sla: this.getSla(ticket),
+            piecesJointes: this.formatPiecesJointes(ticket.piecesJointes),
+            demandeur: ticket.user ? {
+                id: ticket.user.id,
+                nom: ticket.user.nom,
+                prenom: ticket.user.prenom,
+                role: ticket.user.role
+            } : undefined,
+            assigneA: ticket.assigneAAdmin ? {
+                id: ticket.assigneAAdmin.id,
+                nom: ticket.assigneAAdmin.nom,
+                prenom: ticket.assigneAAdmin.prenom
+            } : null,
+            messages: ticket.messages ? ticket.messages.map(message => this.formatMessage(message)) : undefined,
+            nombreMessages: ticket._count ? ticket._count.messages : undefined,
+            createdAt: ticket.createdAt,
+            updatedAt: ticket.updatedAt
+        };
+    }
+}
+
+module.exports = TicketService;
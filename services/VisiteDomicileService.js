@@ -0,0 +1,302 @@
+const Consts = require('../config/const');
+const ContactMaskingService = require('./ContactMaskingService');
+
+const arrondir = (valeur, decimales = 2) => Math.round(valeur * 10 ** decimales) / 10 ** decimales;
+
+const enMinutes = (heure) => {
+    const [heures, minutes] = heure.split(':').map(Number);
+    return heures * 60 + minutes;
+};
+
+// Comparaison des communes sans tenir compte de la casse ni des accents ("Yopougon" = "yopougon", "Adjamé" = "Adjame")
+const normaliserCommune = (nom) => String(nom).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+/**
+ * Visites à domicile : zone d'intervention du médecin, frais de déplacement et tournée du jour
+ * La zone est soit un rayon autour d'un point de départ (frais fixes + frais au kilomètre),
+ * soit une liste de communes desservies avec un forfait par commune
+ */
+class VisiteDomicileService {
+
+    /**
+     * Distance à vol d'oiseau entre deux points géographiques (formule Haversine), en km
+     */
+    static calculerDistanceKm(lat1, lon1, lat2, lon2) {
+        const R = 6371; // Rayon de la Terre en km
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                  Math.sin(dLon/2) * Math.sin(dLon/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        return R * c;
+    }
+
+    /**
+     * Valide une zone d'intervention complète (elle remplace la zone existante)
+     * Retourne { erreurs, zone }
+     */
+    static valider(donnees) {
+        const { modes, rayonMaxKm, maxCommunes, fraisMax } = Consts.VISITE_DOMICILE_CONFIG;
+        const erreurs = [];
+        const montantValide = (montant) => typeof montant === 'number' && montant >= 0 && montant <= fraisMax;
+        const coordonneesFournies = donnees.latitude !== undefined || donnees.longitude !== undefined;
+
+        if (!modes.includes(donnees.mode)) {
+            erreurs.push(`mode doit être l'une des valeurs suivantes: ${modes.join(', ')}`);
+            return { erreurs, zone: null };
+        }
+
+        const zone = { mode: donnees.mode };
+
+        // Point de départ : obligatoire pour un rayon, facultatif pour des communes (il sert alors à la tournée)
+        if (donnees.mode === 'RAYON' || coordonneesFournies) {
+            const { latitude, longitude } = donnees;
+            if (typeof latitude !== 'number' || latitude < -90 || latitude > 90 ||
+                typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+                erreurs.push('latitude et longitude du point de départ sont requises (-90 à 90, -180 à 180)');
+            } else {
+                zone.latitude = latitude;
+                zone.longitude = longitude;
+            }
+        }
+
+        if (donnees.mode === 'RAYON') {
+            if (typeof donnees.rayonKm !== 'number' || donnees.rayonKm <= 0 || donnees.rayonKm > rayonMaxKm) {
+                erreurs.push(`rayonKm doit être compris entre 0 et ${rayonMaxKm} km`);
+            } else {
+                zone.rayonKm = donnees.rayonKm;
+            }
+
+            if (donnees.fraisParKm === undefined || !montantValide(donnees.fraisParKm)) {
+                erreurs.push(`fraisParKm est requis (montant entre 0 et ${fraisMax})`);
+            } else {
+                zone.fraisParKm = donnees.fraisParKm;
+            }
+
+            if (donnees.fraisFixe !== undefined && !montantValide(donnees.fraisFixe)) {
+                erreurs.push(`fraisFixe doit être un montant entre 0 et ${fraisMax}`);
+            } else {
+                zone.fraisFixe = donnees.fraisFixe || 0;
+            }
+
+            if (donnees.communes !== undefined) {
+                erreurs.push('communes ne s\'applique qu\'au mode COMMUNES');
+            }
+        } else {
+            const communes = donnees.communes;
+            const communeValide = (commune) => commune && typeof commune === 'object' &&
+                typeof commune.nom === 'string' && commune.nom.trim().length > 0 && commune.nom.length <= 100 &&
+                montantValide(commune.frais);
+
+            if (!Array.isArray(communes) || communes.length === 0 || communes.length > maxCommunes || !communes.every(communeValide)) {
+                erreurs.push(`communes doit contenir de 1 à ${maxCommunes} communes { nom, frais: montant entre 0 et ${fraisMax} }`);
+            } else if (new Set(communes.map(commune => normaliserCommune(commune.nom))).size !== communes.length) {
+                erreurs.push('communes ne peut pas contenir deux fois la même commune');
+            } else {
+                zone.communes = communes.map(({ nom, frais }) => ({ nom: nom.trim(), frais }));
+            }
+
+            if (donnees.rayonKm !== undefined || donnees.fraisParKm !== undefined || donnees.fraisFixe !== undefined) {
+                erreurs.push('rayonKm, fraisParKm et fraisFixe ne s\'appliquent qu\'au mode RAYON');
+            }
+        }
+
+        return { erreurs, zone };
+    }
+
+    /**
+     * Le domicile du patient est-il desservi, et pour quels frais de déplacement ?
+     * Sans zone définie, le médecin se déplace partout sans frais de déplacement
+     * @param {Object} domicile - { latitude, longitude, commune }
+     * @returns {Object} { couvert, motif, distanceKm, fraisDeplacement, commune }
+     */
+    static evaluer(zone, { latitude, longitude, commune } = {}) {
+        const coordonnees = typeof latitude === 'number' && typeof longitude === 'number';
+        const distanceKm = zone && zone.latitude !== undefined && coordonnees ?
+            arrondir(this.calculerDistanceKm(zone.latitude, zone.longitude, latitude, longitude)) : null;
+
+        if (!zone) {
+            return { couvert: true, motif: null, distanceKm, fraisDeplacement: 0, commune: commune || null };
+        }
+
+        if (zone.mode === 'RAYON') {
+            if (!coordonnees) {
+                return { couvert: false, motif: 'Les coordonnées du domicile (latitudeDomicile, longitudeDomicile) sont requises pour vérifier la zone d\'intervention du médecin', distanceKm };
+            }
+            if (distanceKm > zone.rayonKm) {
+                return {
+                    couvert: false,
+                    motif: `Le domicile est à ${distanceKm} km du point de départ du médecin, qui se déplace dans un rayon de ${zone.rayonKm} km`,
+                    distanceKm
+                };
+            }
+            return {
+                couvert: true,
+                motif: null,
+                distanceKm,
+                fraisDeplacement: Math.round((zone.fraisFixe || 0) + distanceKm * zone.fraisParKm),
+                commune: commune || null
+            };
+        }
+
+        if (!commune) {
+            return { couvert: false, motif: `La commune du domicile (communeDomicile) est requise. Communes desservies: ${this.libelleCommunes(zone)}`, distanceKm };
+        }
+
+        const communeDesservie = zone.communes.find(candidate => normaliserCommune(candidate.nom) === normaliserCommune(commune));
+        if (!communeDesservie) {
+            return {
+                couvert: false,
+                motif: `Le médecin ne se déplace pas à ${commune}. Communes desservies: ${this.libelleCommunes(zone)}`,
+                distanceKm
+            };
+        }
+
+        return {
+            couvert: true,
+            motif: null,
+            distanceKm,
+            fraisDeplacement: communeDesservie.frais,
+            commune: communeDesservie.nom
+        };
+    }
+
+    /**
+     * Tarif d'une consultation : base, +50% à domicile plus les frais de déplacement, -20% en téléconsultation
+     * À domicile, le domicile doit être dans la zone d'intervention du médecin (sinon couvert = false et motif)
+     * @param {Object} medecin - Avec tarifConsultationBase et zoneDomicile
+     * @param {Object} domicile - { latitude, longitude, commune } (Decimal acceptés, comme relus en base)
+     * @returns {Object} { couvert, motif, tarif, visiteDomicile, champsDomicile } - champsDomicile à enregistrer sur le rendez-vous
+     */
+    static calculerTarif(medecin, typeConsultation, domicile = {}) {
+        const tarifBase = Number(medecin.tarifConsultationBase || 0);
+
+        if (typeConsultation !== 'DOMICILE') {
+            return {
+                couvert: true,
+                motif: null,
+                tarif: typeConsultation === 'TELECONSULTATION' ? tarifBase * 0.8 : tarifBase,
+                visiteDomicile: null,
+                champsDomicile: { latitudeDomicile: null, longitudeDomicile: null, communeDomicile: null, distanceDomicileKm: null, fraisDeplacement: null }
+            };
+        }
+
+        const enNombre = (valeur) => valeur === null || valeur === undefined ? undefined : Number(valeur);
+        const latitude = enNombre(domicile.latitude);
+        const longitude = enNombre(domicile.longitude);
+        const visiteDomicile = this.evaluer(medecin.zoneDomicile, { latitude, longitude, commune: domicile.commune || undefined });
+
+        if (!visiteDomicile.couvert) {
+            return { couvert: false, motif: visiteDomicile.motif, tarif: null, visiteDomicile, champsDomicile: null };
+        }
+
+        return {
+            couvert: true,
+            motif: null,
+            tarif: tarifBase * 1.5 + visiteDomicile.fraisDeplacement,
+            visiteDomicile,
+            champsDomicile: {
+                latitudeDomicile: latitude ?? null,
+                longitudeDomicile: longitude ?? null,
+                communeDomicile: visiteDomicile.commune,
+                distanceDomicileKm: visiteDomicile.distanceKm,
+                fraisDeplacement: visiteDomicile.fraisDeplacement
+            }
+        };
+    }
+
+    static libelleCommunes(zone) {
+        return zone.communes.map(commune => commune.nom).join(', ');
+    }
+
+    /**
+     * Tournée du jour : visites dans l'ordre des horaires, avec pour chacune la distance et le temps de trajet
+     * estimés depuis l'étape précédente (le point de départ pour la première) et une alerte si le trajet
+     * ne tient pas entre la fin de la visite précédente et le début de celle-ci
+     * @param {Object|null} depart - { latitude, longitude } ou null si le médecin n'a pas de point de départ
+     */
+    static construireTournee(rendezVous, depart) {
+        const { vitesseMoyenneKmH, coefficientDetour } = Consts.VISITE_DOMICILE_CONFIG;
+        const visites = [...rendezVous].sort((a, b) => enMinutes(a.heureDebut) - enMinutes(b.heureDebut));
+
+        let position = depart;
+        let finPrecedente = null;
+        let distanceTotaleKm = 0;
+
+        const etapes = visites.map((rdv, index) => {
+            const destination = rdv.latitudeDomicile !== null && rdv.longitudeDomicile !== null ?
+                { latitude: Number(rdv.latitudeDomicile), longitude: Number(rdv.longitudeDomicile) } : null;
+
+            let distanceKm = null;
+            let trajetMinutes = null;
+            if (position && destination) {
+                distanceKm = arrondir(this.calculerDistanceKm(position.latitude, position.longitude, destination.latitude, destination.longitude) * coefficientDetour, 1);
+                trajetMinutes = Math.round(distanceKm / vitesseMoyenneKmH * 60);
+                distanceTotaleKm += distanceKm;
+            }
+
+            const margeMinutes = finPrecedente !== null ? enMinutes(rdv.heureDebut) - finPrecedente : null;
+            const alerte = trajetMinutes !== null && margeMinutes !== null && trajetMinutes > margeMinutes ?
+                `Trajet estimé à ${trajetMinutes} min pour ${Math.max(margeMinutes, 0)} min entre les deux visites` :
+                (!destination ? 'Coordonnées du domicile inconnues : trajet non estimé' : null);
+
+            position = destination || null;
+            finPrecedente = enMinutes(rdv.heureFin);
+
+            return {
+                ordre: index + 1,
+                rendezVousId: rdv.id,
+                heureDebut: rdv.heureDebut,
+                heureFin: rdv.heureFin,
+                statut: rdv.statut,
+                patient: rdv.patient ? {
+                    nom: rdv.patient.user.nom,
+                    prenom: rdv.patient.user.prenom,
+                    telephone: ContactMaskingService.maskPhoneIfPermanent(rdv.patient.user.telephone)
+                } : null,
+                adresse: rdv.adresseConsultation,
+                commune: rdv.communeDomicile,
+                latitude: destination ? destination.latitude : null,
+                longitude: destination ? destination.longitude : null,
+                motifConsultation: rdv.motifConsultation,
+                fraisDeplacement: rdv.fraisDeplacement !== null ? Number(rdv.fraisDeplacement) : null,
+                trajet: {
+                    distanceKm,
+                    dureeMinutes: trajetMinutes,
+                    margeMinutes
+                },
+                alerte
+            };
+        });
+
+        return {
+            depart,
+            nombreVisites: etapes.length,
+            distanceTotaleKm: arrondir(distanceTotaleKm, 1),
+            dureeTrajetTotaleMinutes: etapes.reduce((total, etape) => total + (etape.trajet.dureeMinutes || 0), 0),
+            fraisDeplacementTotal: etapes.reduce((total, etape) => total + (etape.fraisDeplacement || 0), 0),
+            alertes: etapes.filter(etape => etape.alerte).length,
+            etapes
+        };
+    }
+
+    /**
+     * Zone telle que présentée au médecin (publique = sans le point de départ, pour les patients)
+     */
+    static format(zone, { publique = false } = {}) {
+        if (!zone) {
+            return null;
+        }
+
+        return {
+            mode: zone.mode,
+            ...(!publique && zone.latitude !== undefined && { latitude: zone.latitude, longitude: zone.longitude }),
+            ...(zone.mode === 'RAYON' ?
+                { rayonKm: zone.rayonKm, fraisFixe: zone.fraisFixe || 0, fraisParKm: zone.fraisParKm } :
+                { communes: zone.communes })
+        };
+    }
+}
+
+module.exports = VisiteDomicileService;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const Consts = require('../../config/const');
+const { hmacSha256, egaliteSure, corpsBrut } = require('./signature');
+
+const STATUTS_SIMULES = ['REUSSI', 'ECHOUE'];
+
+/**
+ * Simulateur de paiement mobile money (développement et tests, refusé en production), pour tous les opérateurs
+ * Aucun appel réseau : le paiement reste en attente jusqu'à sa validation simulée, soit par
+ * POST /v1/payments/:id/simulate, soit par un webhook signé avec PAYMENT_LOCAL_SECRET :
+ * corps { reference, statut: REUSSI|ECHOUE, motif }, en-tête X-Signature = HMAC-SHA256 hexadécimal du corps
+ */
+class LocalPaymentProvider {
+    static nom = 'local';
+
+    static async initier(paiement) {
+        const reference = `SIM-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+        console.log(`💳 [paiement local] ${paiement.operateur} ${paiement.telephone} : ${paiement.montant} ${paiement.devise} (${reference})`);
+
+        return {
+            referenceFournisseur: reference,
+            urlPaiement: null,
+            instructions: `Paiement simulé : validez-le avec POST /v1/payments/${paiement.id}/simulate`,
+            donnees: null
+        };
+    }
+
+    static signer(corps) {
+        const { secret } = Consts.PAIEMENT_CONFIG.local;
+        if (!secret) {
+            throw new Error('Configuration du simulateur de paiement manquante : PAYMENT_LOCAL_SECRET');
+        }
+        return hmacSha256(secret, corps);
+    }
+
+    static identifierWebhook(req) {
+        return req.body && typeof req.body.reference === 'string' ? { referenceFournisseur: req.body.reference } : null;
+    }
+
+    static async verifierWebhook(req) {
+        // Aucun paiement simulé ne peut être validé en production
+        if (!Consts.PAIEMENT_CONFIG.simulateurAutorise) {
+            return null;
+        }
+        if (!egaliteSure(this.signer(corpsBrut(req)), req.get('X-Signature'))) {
+            return null;
+        }
+
+        return this.simuler(req.body.statut, req.body.motif);
+    }
+
+    /**
+     * Résultat simulé de la validation par le patient
+     */
+    static simuler(statut, motif = null) {
+        const statutFinal = STATUTS_SIMULES.includes(statut) ? statut : 'ECHOUE';
+        return {
+            statut: statutFinal,
+            motif: statutFinal === 'ECHOUE' ? (motif || 'Paiement refusé (simulation)') : null,
+            donnees: { simulation: true, statut: statutFinal }
+        };
+    }
+
+    // Pas d'état distant : seul le webhook ou la simulation fait évoluer le paiement
+    static async consulterStatut() {
+        return { statut: 'EN_ATTENTE', motif: null, donnees: null };
+    }
+
+    // Remboursement simulé, immédiat
+    static async rembourser(paiement, remboursement) {
+        const reference = `SIM-RMB-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+        console.log(`💸 [paiement local] Remboursement ${paiement.operateur} ${paiement.telephone} : ${remboursement.montant} ${remboursement.devise} (${reference})`);
+
+        return { referenceFournisseur: reference, donnees: { simulation: true } };
+    }
+}
+
+module.exports = LocalPaymentProvider;
@@ -0,0 +1,83 @@
+const axios = require('axios');
+const Consts = require('../../config/const');
+const { hmacSha256, egaliteSure, corpsBrut } = require('./signature');
+
+const STATUTS = {
+    SUCCESS: 'REUSSI',
+    FAILED: 'ECHOUE',
+    CANCELLED: 'ECHOUE'
+};
+
+/**
+ * Moov Money (passerelle marchande Moov Africa) : demande de paiement poussée sur le téléphone du patient
+ * L'URL de l'API, le jeton et le secret de signature sont remis à l'ouverture du compte marchand ;
+ * les notifications portent l'en-tête X-Moov-Signature (HMAC-SHA256 hexadécimal du corps)
+ */
+class MoovMoneyProvider {
+    static nom = 'moov_money';
+
+    static _config() {
+        const config = Consts.PAIEMENT_CONFIG.moovMoney;
+        if (!config.urlApi || !config.jeton || !config.secretWebhook) {
+            throw new Error('Configuration Moov Money manquante');
+        }
+        return config;
+    }
+
+    static async initier(paiement) {
+        const { urlApi, jeton } = this._config();
+
+        const response = await axios.post(`${urlApi}/payments`, {
+            reference: paiement.id,
+            msisdn: paiement.telephone,
+            amount: Number(paiement.montant),
+            currency: paiement.devise,
+            description: 'Paiement consultation',
+            callbackUrl: `${Consts.PAIEMENT_CONFIG.urlWebhook}/${this.nom}`
+        }, {
+            headers: { Authorization: `Bearer ${jeton}` },
+            timeout: 15000
+        });
+
+        return {
+            referenceFournisseur: response.data.transactionId,
+            urlPaiement: null,
+            instructions: 'Validez la demande de paiement reçue sur votre téléphone avec votre code secret Moov Money',
+            donnees: null
+        };
+    }
+
+    static identifierWebhook(req) {
+        return req.body && typeof req.body.transactionId === 'string' ? { referenceFournisseur: req.body.transactionId } : null;
+    }
+
+    static async verifierWebhook(req) {
+        const { secretWebhook } = this._config();
+        if (!egaliteSure(hmacSha256(secretWebhook, corpsBrut(req)), req.get('X-Moov-Signature'))) {
+            return null;
+        }
+
+        return this._resultat(req.body);
+    }
+
+    static async consulterStatut(paiement) {
+        const { urlApi, jeton } = this._config();
+        const response = await axios.get(`${urlApi}/payments/${paiement.referenceFournisseur}`, {
+            headers: { Authorization: `Bearer ${jeton}` },
+            timeout: 10000
+        });
+
+        return this._resultat(response.data);
+    }
+
+    static _resultat(transaction) {
+        const statut = STATUTS[transaction.status] || 'EN_ATTENTE';
+        return {
+            statut,
+            motif: statut === 'ECHOUE' ? `Paiement Moov Money refusé${transaction.message ? `: ${transaction.message}` : ''}` : null,
+            donnees: { status: transaction.status, transactionId: transaction.transactionId || null }
+        };
+    }
+}
+
+module.exports = MoovMoneyProvider;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Consts = require('../../config/const');
+
+// Statuts MTN MoMo (Collection - RequestToPay)
+const STATUTS = {
+    SUCCESSFUL: 'REUSSI',
+    FAILED: 'ECHOUE',
+    REJECTED: 'ECHOUE',
+    TIMEOUT: 'ECHOUE'
+};
+
+/**
+ * MTN Mobile Money (API Collection) : demande de paiement poussée sur le téléphone du patient,
+ * qui la valide avec son code secret
+ * Le rappel (X-Callback-Url) n'est pas signé : il ne sert que de déclencheur, le statut faisant foi
+ * est relu auprès de l'API authentifiée
+ */
+class MtnMomoProvider {
+    static nom = 'mtn_momo';
+    static _accessToken = null;
+    static _accessTokenExpiration = 0;
+
+    static _config() {
+        const config = Consts.PAIEMENT_CONFIG.mtnMomo;
+        if (!config.cleAbonnement || !config.apiUser || !config.apiKey) {
+            throw new Error('Configuration MTN MoMo manquante');
+        }
+        return config;
+    }
+
+    static async _getAccessToken() {
+        if (this._accessToken && Date.now() < this._accessTokenExpiration - 60000) {
+            return this._accessToken;
+        }
+
+        const { urlApi, cleAbonnement, apiUser, apiKey } = this._config();
+        const response = await axios.post(`${urlApi}/collection/token/`, null, {
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${apiUser}:${apiKey}`).toString('base64')}`,
+                'Ocp-Apim-Subscription-Key': cleAbonnement
+            },
+            timeout: 10000
+        });
+
+        this._accessToken = response.data.access_token;
+        this._accessTokenExpiration = Date.now() + response.data.expires_in * 1000;
+        return this._accessToken;
+    }
+
+    static async _headers() {
+        const { environnement, cleAbonnement } = this._config();
+        return {
+            Authorization: `Bearer ${await this._getAccessToken()}`,
+            'X-Target-Environment': environnement,
+            'Ocp-Apim-Subscription-Key': cleAbonnement
+        };
+    }
+
+    static async initier(paiement) {
+        const { urlApi, devise } = this._config();
+        const reference = crypto.randomUUID();
+
+        await axios.post(`${urlApi}/collection/v1_0/requesttopay`, {
+            amount: String(Number(paiement.montant)),
+            currency: devise,
+            externalId: paiement.id,
+            payer: { partyIdType: 'MSISDN', partyId: paiement.telephone },
+            payerMessage: 'Paiement consultation',
+            payeeNote: `Rendez-vous ${paiement.rendezVousId}`
+        }, {
+            headers: {
+                ...(await this._headers()),
+                'X-Reference-Id': reference,
+                'X-Callback-Url': `${Consts.PAIEMENT_CONFIG.urlWebhook}/${this.nom}`
+            },
+            timeout: 15000
+        });
+
+        return {
+            referenceFournisseur: reference,
+            urlPaiement: null,
+            instructions: 'Validez la demande de paiement reçue sur votre téléphone avec votre code secret MTN MoMo',
+            donnees: null
+        };
+    }
+
+    static identifierWebhook(req) {
+        if (req.body && typeof req.body.referenceId === 'string') {
+            return { referenceFournisseur: req.body.referenceId };
+        }
+        return req.body && typeof req.body.externalId === 'string' ? { id: req.body.externalId } : null;
+    }
+
+    static async verifierWebhook(req, paiement) {
+        return await this.consulterStatut(paiement);
+    }
+
+    static async consulterStatut(paiement) {
+        const { urlApi } = this._config();
+        const response = await axios.get(`${urlApi}/collection/v1_0/requesttopay/${paiement.referenceFournisseur}`, {
+            headers: await this._headers(),
+            timeout: 10000
+        });
+
+        const reason = response.data.reason;
+        return {
+            statut: STATUTS[response.data.status] || 'EN_ATTENTE',
+            motif: response.data.status === 'SUCCESSFUL' ? null :
+                (reason ? `Paiement MTN MoMo refusé: ${typeof reason === 'string' ? reason : reason.code || reason.message}` : null),
+            donnees: {
+                status: response.data.status,
+                financialTransactionId: response.data.financialTransactionId || null
+            }
+        };
+    }
+}
+
+module.exports = MtnMomoProvider;
@@ -0,0 +1,118 @@
+const axios = require('axios');
+const Consts = require('../../config/const');
+const { egaliteSure } = require('./signature');
+
+// Statuts Orange Money Web Payment
+const STATUTS = {
+    SUCCESS: 'REUSSI',
+    FAILED: 'ECHOUE',
+    EXPIRED: 'ECHOUE'
+};
+
+/**
+ * Orange Money (API Web Payment) : le patient valide le paiement sur la page Orange Money (urlPaiement)
+ * La notification n'est pas signée : elle porte le notif_token remis à l'initiation, que l'on compare
+ * à celui conservé avec le paiement (identifié par le paramètre ?paiement= de notif_url)
+ */
+class OrangeMoneyProvider {
+    static nom = 'orange_money';
+    static _accessToken = null;
+    static _accessTokenExpiration = 0;
+
+    static _config() {
+        const config = Consts.PAIEMENT_CONFIG.orangeMoney;
+        if (!config.authorizationHeader || !config.merchantKey) {
+            throw new Error('Configuration Orange Money manquante');
+        }
+        return config;
+    }
+
+    /**
+     * Jeton OAuth2 (client credentials), mis en cache jusqu'à une minute avant son expiration
+     */
+    static async _getAccessToken() {
+        if (this._accessToken && Date.now() < this._accessTokenExpiration - 60000) {
+            return this._accessToken;
+        }
+
+        const { urlApi, authorizationHeader } = this._config();
+        const response = await axios.post(`${urlApi}/oauth/v3/token`, 'grant_type=client_credentials', {
+            headers: {
+                Authorization: authorizationHeader,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            timeout: 10000
+        });
+
+        this._accessToken = response.data.access_token;
+        this._accessTokenExpiration = Date.now() + response.data.expires_in * 1000;
+        return this._accessToken;
+    }
+
+    static async initier(paiement) {
+        const { urlApi, pays, merchantKey, devise } = this._config();
+        const { urlRetour, urlWebhook } = Consts.PAIEMENT_CONFIG;
+        const accessToken = await this._getAccessToken();
+
+        const response = await axios.post(`${urlApi}/orange-money-webpay/${pays}/v1/webpayment`, {
+            merchant_key: merchantKey,
+            currency: devise,
+            order_id: paiement.id,
+            amount: Number(paiement.montant),
+            return_url: `${urlRetour}/${paiement.rendezVousId}?paiement=${paiement.id}`,
+            cancel_url: `${urlRetour}/${paiement.rendezVousId}?paiement=${paiement.id}&annule=1`,
+            notif_url: `${urlWebhook}/${this.nom}?paiement=${paiement.id}`,
+            lang: 'fr',
+            reference: 'Consultation'
+        }, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            timeout: 15000
+        });
+
+        return {
+            referenceFournisseur: response.data.pay_token,
+            urlPaiement: response.data.payment_url,
+            instructions: 'Validez le paiement sur la page Orange Money',
+            donnees: { notifToken: response.data.notif_token }
+        };
+    }
+
+    static identifierWebhook(req) {
+        return typeof req.query.paiement === 'string' ? { id: req.query.paiement } : null;
+    }
+
+    static async verifierWebhook(req, paiement) {
+        const notifToken = paiement.donneesFournisseur && paiement.donneesFournisseur.notifToken;
+        if (!req.body || !egaliteSure(notifToken, req.body.notif_token)) {
+            return null;
+        }
+
+        return {
+            statut: STATUTS[req.body.status] || 'EN_ATTENTE',
+            motif: STATUTS[req.body.status] === 'ECHOUE' ? `Paiement Orange Money ${String(req.body.status).toLowerCase()}` : null,
+            donnees: { txnid: req.body.txnid || null, status: req.body.status }
+        };
+    }
+
+    static async consulterStatut(paiement) {
+        const { urlApi, pays } = this._config();
+        const accessToken = await this._getAccessToken();
+
+        const response = await axios.post(`${urlApi}/orange-money-webpay/${pays}/v1/transactionstatus`, {
+            order_id: paiement.id,
+            amount: Number(paiement.montant),
+            pay_token: paiement.referenceFournisseur
+        }, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            timeout: 10000
+        });
+
+        return {
+            statut: STATUTS[response.data.status] || 'EN_ATTENTE',
+            motif: STATUTS[response.data.status] === 'ECHOUE' ? `Paiement Orange Money ${String(response.data.status).toLowerCase()}` : null,
+            donnees: { txnid: response.data.txnid || null, status: response.data.status }
+        };
+    }
+}
+
+module.exports = OrangeMoneyProvider;
@@ -0,0 +1,122 @@
+const axios = require('axios');
+const Consts = require('../../config/const');
+const { hmacSha256, egaliteSure, corpsBrut } = require('./signature');
+
+/**
+ * Wave (API Checkout) : le patient valide le paiement dans l'application Wave ouverte par urlPaiement
+ * Les webhooks portent l'en-tête Wave-Signature "t=<horodatage>,v1=<signature>" où la signature est
+ * le HMAC-SHA256 hexadécimal de l'horodatage suivi du corps brut ; un horodatage trop ancien est rejeté
+ */
+class WaveProvider {
+    static nom = 'wave';
+
+    static _config() {
+        const config = Consts.PAIEMENT_CONFIG.wave;
+        if (!config.cleApi || !config.secretWebhook) {
+            throw new Error('Configuration Wave manquante');
+        }
+        return config;
+    }
+
+    static async initier(paiement) {
+        const { urlApi, cleApi } = this._config();
+        const urlRetour = `${Consts.PAIEMENT_CONFIG.urlRetour}/${paiement.rendezVousId}?paiement=${paiement.id}`;
+
+        const response = await axios.post(`${urlApi}/v1/checkout/sessions`, {
+            amount: String(Number(paiement.montant)),
+            currency: paiement.devise,
+            client_reference: paiement.id,
+            restrict_payer_mobile: `+${paiement.telephone}`,
+            success_url: urlRetour,
+            error_url: `${urlRetour}&annule=1`
+        }, {
+            headers: {
+                Authorization: `Bearer ${cleApi}`,
+                'Idempotency-Key': paiement.id
+            },
+            timeout: 15000
+        });
+
+        return {
+            referenceFournisseur: response.data.id,
+            urlPaiement: response.data.wave_launch_url,
+            instructions: 'Validez le paiement dans l\'application Wave',
+            donnees: null
+        };
+    }
+
+    static identifierWebhook(req) {
+        const session = req.body && req.body.data;
+        return session && typeof session.id === 'string' ? { referenceFournisseur: session.id } : null;
+    }
+
+    static async verifierWebhook(req) {
+        const { secretWebhook, toleranceSignatureSecondes } = this._config();
+        const elements = (req.get('Wave-Signature') || '').split(',').map(element => element.trim().split('='));
+        const horodatage = (elements.find(([cle]) => cle === 't') || [])[1];
+        const signatures = elements.filter(([cle]) => cle === 'v1').map(([, valeur]) => valeur);
+
+        if (!horodatage || Math.abs(Date.now() / 1000 - Number(horodatage)) > toleranceSignatureSecondes) {
+            return null;
+        }
+
+        const attendue = hmacSha256(secretWebhook, horodatage + corpsBrut(req));
+        if (!signatures.some(signature => egaliteSure(attendue, signature))) {
+            return null;
+        }
+
+        const session = req.body.data;
+        if (req.body.type === 'checkout.session.payment_failed') {
+            return {
+                statut: 'ECHOUE',
+                motif: `Paiement Wave refusé${session.last_payment_error ? `: ${session.last_payment_error.message}` : ''}`,
+                donnees: { type: req.body.type, transactionId: session.transaction_id || null }
+            };
+        }
+
+        return this._resultat(session, req.body.type);
+    }
+
+    static async consulterStatut(paiement) {
+        const { urlApi, cleApi } = this._config();
+        const response = await axios.get(`${urlApi}/v1/checkout/sessions/${paiement.referenceFournisseur}`, {
+            headers: { Authorization: `Bearer ${cleApi}` },
+            timeout: 10000
+        });
+
+        return this._resultat(response.data);
+    }
+
+    /**
+     * Remboursement de la session de paiement (intégral uniquement) : un remboursement partiel
+     * retourne null et sera effectué manuellement depuis le portail Wave Business
+     */
+    static async rembourser(paiement, remboursement) {
+        if (Number(remboursement.montant) !== Number(paiement.montant)) {
+            return null;
+        }
+
+        const { urlApi, cleApi } = this._config();
+        await axios.post(`${urlApi}/v1/checkout/sessions/${paiement.referenceFournisseur}/refund`, null, {
+            headers: {
+                Authorization: `Bearer ${cleApi}`,
+                'Idempotency-Key': remboursement.id
+            },
+            timeout: 15000
+        });
+
+        return { referenceFournisseur: paiement.referenceFournisseur, donnees: { sessionRemboursee: paiement.referenceFournisseur } };
+    }
+
+    static _resultat(session, type = null) {
+        if (session.payment_status === 'succeeded') {
+            return { statut: 'REUSSI', motif: null, donnees: { type, transactionId: session.transaction_id || null } };
+        }
+        if (session.checkout_status === 'expired') {
+            return { statut: 'ECHOUE', motif: 'Session de paiement Wave expirée', donnees: { type, transactionId: null } };
+        }
+        return { statut: 'EN_ATTENTE', motif: null, donnees: { type, transactionId: null } };
+    }
+}
+
+module.exports = WaveProvider;
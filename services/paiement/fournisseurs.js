@@ -0,0 +1,27 @@
+const LocalPaymentProvider = require('./LocalPaymentProvider');
+const OrangeMoneyProvider = require('./OrangeMoneyProvider');
+const MtnMomoProvider = require('./MtnMomoProvider');
+const MoovMoneyProvider = require('./MoovMoneyProvider');
+const WaveProvider = require('./WaveProvider');
+
+// Fournisseur de chaque opérateur lorsque PAYMENT_PROVIDER=operateurs
+const FOURNISSEURS_OPERATEURS = {
+    ORANGE_MONEY: OrangeMoneyProvider,
+    MTN_MOMO: MtnMomoProvider,
+    MOOV_MONEY: MoovMoneyProvider,
+    WAVE: WaveProvider
+};
+
+const FOURNISSEURS = [LocalPaymentProvider, ...Object.values(FOURNISSEURS_OPERATEURS)];
+
+/**
+ * Fournisseur ayant traité un paiement (champ fournisseur du paiement, segment des webhooks)
+ */
+const getFournisseurParNom = (nom) => FOURNISSEURS.find(fournisseur => fournisseur.nom === nom) || null;
+
+module.exports = {
+    LocalPaymentProvider,
+    FOURNISSEURS_OPERATEURS,
+    FOURNISSEURS,
+    getFournisseurParNom
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+/**
+ * Outils de vérification des notifications signées par les opérateurs de paiement
+ */
+const hmacSha256 = (secret, contenu) => crypto.createHmac('sha256', secret).update(contenu).digest('hex');
+
+// Comparaison à temps constant (pas de fuite de la signature attendue par le temps de réponse)
+const egaliteSure = (attendue, recue) => {
+    if (typeof attendue !== 'string' || typeof recue !== 'string') {
+        return false;
+    }
+    const a = Buffer.from(attendue);
+    const b = Buffer.from(recue);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Corps brut de la requête, tel que signé par l'opérateur (conservé par express.json dans app.js)
+const corpsBrut = (req) => req.rawBody ? req.rawBody.toString('utf8') : '';
+
+module.exports = { hmacSha256, egaliteSure, corpsBrut };
@@ -0,0 +1,102 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const Consts = require('../../config/const');
+
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Codes d'erreur FCM indiquant que le token n'est plus valide
+const ERREURS_TOKEN_INVALIDE = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+
+/**
+ * Fournisseur push Firebase Cloud Messaging (API HTTP v1)
+ * Couvre Android, iOS (via APNs) et le web push avec un même token FCM
+ */
+class FcmPushProvider {
+    static nom = 'fcm';
+    static _accessToken = null;
+    static _accessTokenExpiration = 0;
+
+    /**
+     * Jeton OAuth2 du compte de service, mis en cache jusqu'à une minute avant son expiration
+     */
+    static async _getAccessToken() {
+        if (this._accessToken && Date.now() < this._accessTokenExpiration - 60000) {
+            return this._accessToken;
+        }
+
+        const { clientEmail, privateKey } = Consts.PUSH_CONFIG.fcm;
+        const maintenant = Math.floor(Date.now() / 1000);
+
+        const assertion = jwt.sign({
+            iss: clientEmail,
+            scope: SCOPE,
+            aud: TOKEN_URL,
+            iat: maintenant,
+            exp: maintenant + 3600
+        }, privateKey, { algorithm: 'RS256' });
+
+        const response = await axios.post(TOKEN_URL, new URLSearchParams({
+            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+            assertion
+        }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000
+        });
+
+        this._accessToken = response.data.access_token;
+        this._accessTokenExpiration = Date.now() + response.data.expires_in * 1000;
+        return this._accessToken;
+    }
+
+    static async envoyer(appareil, contenu) {
+        const { projectId, clientEmail, privateKey } = Consts.PUSH_CONFIG.fcm;
+
+        if (!projectId || !clientEmail || !privateKey) {
+            return { success: false, error: 'Configuration FCM manquante' };
+        }
+
+        // FCM n'accepte que des chaînes dans le bloc data
+        const data = {};
+        Object.entries(contenu.donnees || {}).forEach(([cle, valeur]) => {
+            if (valeur !== null && valeur !== undefined) {
+                data[cle] = typeof valeur === 'string' ? valeur : JSON.stringify(valeur);
+            }
+        });
+
+        try {
+            const accessToken = await this._getAccessToken();
+
+            await axios.post(`https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`, {
+                message: {
+                    token: appareil.token,
+                    notification: {
+                        title: contenu.titre,
+                        body: contenu.message
+                    },
+                    data,
+                    android: { priority: contenu.prioritaire ? 'high' : 'normal' },
+                    apns: { headers: { 'apns-priority': contenu.prioritaire ? '10' : '5' } }
+                }
+            }, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: 10000
+            });
+
+            return { success: true };
+
+        } catch (error) {
+            const statut = error.response?.data?.error?.status;
+            const details = error.response?.data?.error?.details || [];
+            const codeFcm = details.find(detail => detail.errorCode)?.errorCode || statut;
+
+            return {
+                success: false,
+                tokenInvalide: ERREURS_TOKEN_INVALIDE.includes(codeFcm) || error.response?.status === 404,
+                error: error.response?.data?.error?.message || error.message
+            };
+        }
+    }
+}
+
+module.exports = FcmPushProvider;
@@ -0,0 +1,26 @@
+/**
+ * Fournisseur push local (développement et tests)
+ * Aucun appel réseau : les envois sont journalisés et conservés en mémoire
+ * Un token commençant par "invalide" simule un appareil désinscrit
+ */
+class LocalPushProvider {
+    static nom = 'local';
+    static envois = [];
+
+    static async envoyer(appareil, contenu) {
+        if (appareil.token.startsWith('invalide')) {
+            return { success: false, tokenInvalide: true, error: 'Token non enregistré' };
+        }
+
+        this.envois.push({ token: appareil.token, plateforme: appareil.plateforme, ...contenu, date: new Date() });
+        console.log(`📲 [push local] ${appareil.plateforme} ${appareil.token.slice(0, 12)}… : ${contenu.titre}`);
+
+        return { success: true };
+    }
+
+    static vider() {
+        this.envois = [];
+    }
+}
+
+module.exports = LocalPushProvider;
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Consts = require('../../config/const');
+
+/**
+ * Fournisseur vidéo auto-hébergé (serveur Jitsi Meet avec authentification par jeton)
+ * Aucun appel réseau : la salle existe dès qu'un participant muni d'un jeton valide la rejoint.
+ * Le jeton porte la salle, l'identité du participant et sa fenêtre de validité (nbf / exp),
+ * vérifiées par le serveur vidéo avec le secret partagé
+ */
+class LocalVideoProvider {
+    static nom = 'local';
+
+    static async creerSalle() {
+        const salleId = `malaika-${crypto.randomBytes(12).toString('hex')}`;
+
+        return {
+            salleId,
+            urlSalle: `${Consts.TELECONSULTATION_CONFIG.local.urlBase}/${salleId}`
+        };
+    }
+
+    static async genererLienConnexion(session, participant, { ouverture, fermeture }) {
+        const { urlBase, appId, secret } = Consts.TELECONSULTATION_CONFIG.local;
+
+        // Le serveur vidéo détient ce secret : il ne doit jamais permettre de signer des jetons d'accès à l'API
+        if (!secret || secret === Consts.JWT_SECRET) {
+            throw new Error('Configuration visio locale manquante : VIDEO_JWT_SECRET doit être défini et distinct du secret JWT');
+        }
+
+        const jeton = jwt.sign({
+            aud: appId,
+            iss: appId,
+            sub: new URL(urlBase).hostname,
+            room: session.salleId,
+            nbf: Math.floor(ouverture.getTime() / 1000),
+            exp: Math.floor(fermeture.getTime() / 1000),
+            context: {
+                user: {
+                    id: participant.id,
+                    name: participant.nomAffiche,
+                    moderator: participant.role === 'MEDECIN'
+                }
+            }
+        }, secret);
+
+        return `${session.urlSalle}?jwt=${jeton}`;
+    }
+
+    static async fermerSalle(session) {
+        // Sans jeton valide la salle n'est plus accessible : rien à supprimer côté serveur
+        console.log(`🎥 [visio locale] Salle ${session.salleId} fermée`);
+    }
+}
+
+module.exports = LocalVideoProvider;
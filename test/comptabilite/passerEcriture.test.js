@@ -0,0 +1,93 @@
+jest.mock('../../prisma/client', () => ({}));
+
+const ComptabiliteService = require('../../services/ComptabiliteService');
+
+// Transaction simulée : écritures conservées en mémoire, indexées par clé
+const creerTransaction = () => {
+    const ecritures = new Map();
+    return {
+        ecritures,
+        ecritureComptable: {
+            findUnique: jest.fn(async ({ where }) => ecritures.get(where.cle) || null),
+            create: jest.fn(async ({ data }) => {
+                const ecriture = { id: `ecriture-${ecritures.size + 1}`, ...data, lignes: data.lignes.create };
+                ecritures.set(data.cle, ecriture);
+                return ecriture;
+            })
+        }
+    };
+};
+
+const ecriture = (lignes, cle = 'TEST:1') => ({ type: 'PAIEMENT', cle, libelle: 'Écriture de test', medecinId: 'medecin-1', lignes });
+
+describe('ComptabiliteService.passerEcriture', () => {
+    test('passe une écriture équilibrée et ignore les lignes à zéro', async () => {
+        const tx = creerTransaction();
+
+        const resultat = await ComptabiliteService.passerEcriture(tx, ecriture([
+            { compte: 'TRESORERIE', debit: 15000 },
+            { compte: 'MEDECINS_A_PAYER', medecinId: 'medecin-1', credit: 13500 },
+            { compte: 'COMMISSIONS', medecinId: 'medecin-1', credit: 1500 },
+            { compte: 'REMBOURSEMENTS_A_PAYER', credit: 0 }
+        ]));
+
+        expect(resultat.lignes).toHaveLength(3);
+        expect(resultat.lignes.map(ligne => [ligne.compte, ligne.debit, ligne.credit])).toEqual([
+            ['TRESORERIE', 15000, 0],
+            ['MEDECINS_A_PAYER', 0, 13500],
+            ['COMMISSIONS', 0, 1500]
+        ]);
+    });
+
+    test('accepte un équilibre obtenu après arrondi au centime', async () => {
+        const tx = creerTransaction();
+
+        await expect(ComptabiliteService.passerEcriture(tx, ecriture([
+            { compte: 'TRESORERIE', debit: 0.1 + 0.2 },
+            { compte: 'MEDECINS_A_PAYER', medecinId: 'medecin-1', credit: 0.3 }
+        ]))).resolves.toBeDefined();
+    });
+
+    test('refuse une écriture déséquilibrée', async () => {
+        const tx = creerTransaction();
+
+        await expect(ComptabiliteService.passerEcriture(tx, ecriture([
+            { compte: 'TRESORERIE', debit: 15000 },
+            { compte: 'MEDECINS_A_PAYER', medecinId: 'medecin-1', credit: 13500 }
+        ]))).rejects.toThrow('ECRITURE_DESEQUILIBREE');
+        expect(tx.ecritureComptable.create).not.toHaveBeenCalled();
+    });
+
+    test('refuse un montant négatif, même équilibré', async () => {
+        const tx = creerTransaction();
+
+        await expect(ComptabiliteService.passerEcriture(tx, ecriture([
+            { compte: 'TRESORERIE', debit: 1000 },
+            { compte: 'MEDECINS_A_PAYER', medecinId: 'medecin-1', credit: 1500 },
+            { compte: 'COMMISSIONS', medecinId: 'medecin-1', credit: -500 }
+        ]))).rejects.toThrow('ECRITURE_DESEQUILIBREE');
+    });
+
+    test('refuse une écriture de moins de deux lignes non nulles', async () => {
+        const tx = creerTransaction();
+
+        await expect(ComptabiliteService.passerEcriture(tx, ecriture([
+            { compte: 'TRESORERIE', debit: 0 },
+            { compte: 'MEDECINS_A_PAYER', medecinId: 'medecin-1', credit: 0 }
+        ]))).rejects.toThrow('ECRITURE_DESEQUILIBREE');
+    });
+
+    test('ne passe qu\'une fois l\'écriture d\'un même événement', async () => {
+        const tx = creerTransaction();
+        const lignes = [
+            { compte: 'TRESORERIE', debit: 15000 },
+            { compte: 'MEDECINS_A_PAYER', medecinId: 'medecin-1', credit: 15000 }
+        ];
+
+        const premiere = await ComptabiliteService.passerEcriture(tx, ecriture(lignes));
+        const rejouee = await ComptabiliteService.passerEcriture(tx, ecriture(lignes));
+
+        expect(rejouee).toBe(premiere);
+        expect(tx.ecritureComptable.create).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,65 @@
+jest.mock('../../prisma/client', () => {
+    const client = {
+        medecin: { findUnique: jest.fn() },
+        versementMedecin: {
+            create: jest.fn(async ({ data }) => ({ id: 'versement-1', ...data, createdAt: new Date() }))
+        },
+        $queryRaw: jest.fn(async () => [])
+    };
+    client.$transaction = jest.fn(async (traitement) => traitement(client));
+    return client;
+});
+jest.mock('../../middleware/authMiddleware', () => ({
+    authenticate: () => (req, _res, next) => {
+        req.user = { id: 'user-admin', role: 'ADMIN', nom: 'Diallo', prenom: 'Fatou' };
+        next();
+    },
+    authorize: () => (_req, _res, next) => next()
+}));
+jest.mock('../../services/NotificationService');
+
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../../prisma/client');
+const ComptabiliteService = require('../../services/ComptabiliteService');
+const payoutsRouter = require('../../routes/admin/doctors/payouts');
+
+const app = express();
+app.use(express.json());
+app.use('/admin/doctors', payoutsRouter);
+
+const versement = (montant) => ({ montant, operateur: 'WAVE', telephone: '0701020304', referenceOperateur: 'WV-123456' });
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.medecin.findUnique.mockResolvedValue({
+        id: 'medecin-1',
+        user: { id: 'user-medecin', nom: 'Traoré', prenom: 'Moussa', canalCommunicationPrefere: 'EMAIL' }
+    });
+    jest.spyOn(ComptabiliteService, 'solde').mockResolvedValue(20000);
+    jest.spyOn(ComptabiliteService, 'enregistrerVersement').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /admin/doctors/:medecinId/payouts', () => {
+    test('enregistre un versement couvert par le solde, vérifié sous verrou du médecin', async () => {
+        const reponse = await request(app).post('/admin/doctors/medecin-1/payouts').send(versement(15000));
+
+        expect(reponse.status).toBe(201);
+        expect(ComptabiliteService.enregistrerVersement).toHaveBeenCalledWith(prisma, expect.objectContaining({ montant: 15000 }));
+        expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(ComptabiliteService.solde.mock.invocationCallOrder[0]);
+    });
+
+    test('refuse un versement supérieur au solde dû au médecin', async () => {
+        const reponse = await request(app).post('/admin/doctors/medecin-1/payouts').send(versement(25000));
+
+        expect(reponse.status).toBe(400);
+        expect(reponse.body.message).toBe('Le montant du versement dépasse le solde dû au médecin');
+        expect(prisma.versementMedecin.create).not.toHaveBeenCalled();
+        expect(ComptabiliteService.enregistrerVersement).not.toHaveBeenCalled();
+    });
+});
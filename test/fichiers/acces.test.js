@@ -0,0 +1,125 @@
+jest.mock('../../prisma/client', () => ({
+    ordonnance: { findFirst: jest.fn() },
+    consultation: { findFirst: jest.fn() },
+    ticketSupport: { findFirst: jest.fn() },
+    messageTicket: { findFirst: jest.fn() },
+    messageRendezVous: { findFirst: jest.fn() }
+}));
+jest.mock('../../middleware/authMiddleware', () => ({
+    authenticate: () => (req, _res, next) => {
+        req.user = { id: 'user-patient', role: 'PATIENT', nom: 'Kouassi', prenom: 'Awa', patient: { id: 'patient-1' } };
+        next();
+    }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../../prisma/client');
+const filesRouter = require('../../routes/files');
+
+const app = express();
+app.use('/files', filesRouter);
+
+// Ordonnance du patient connecté
+const ordonnance = {
+    medecinId: 'medecin-1',
+    patientId: 'patient-1',
+    fichierPdf: { fileId: 'a1b2c3', nom_fichier: 'a1b2c3.pdf', file_path: 'uploads/documents/ordonnances/a1b2c3.pdf' }
+};
+
+// Ticket de support du patient connecté avec sa pièce jointe (nom d'origine conservé à part)
+const ticket = {
+    userId: 'user-patient',
+    piecesJointes: [{ fileId: 'f7a8b9', nom_fichier: 'facture.png', file_path: 'uploads/support/tickets/f7a8b9.png' }]
+};
+
+// Message d'un rendez-vous du patient connecté avec sa pièce jointe
+const message = {
+    piecesJointes: [{ fileId: 'b3c4d5', nom_fichier: 'analyses.pdf', file_path: 'uploads/messages/rendez-vous/b3c4d5.pdf' }],
+    rendezVous: { id: 'rdv-1', patient: { userId: 'user-patient' }, medecin: { userId: 'user-medecin' } }
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.ordonnance.findFirst.mockResolvedValue(ordonnance);
+    prisma.ticketSupport.findFirst.mockResolvedValue(ticket);
+    prisma.messageTicket.findFirst.mockResolvedValue(null);
+    prisma.messageRendezVous.findFirst.mockResolvedValue(message);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('GET /files/uploads/documents/:subcategory/:filename', () => {
+    test('sert le document du patient (fichier absent du disque ici)', async () => {
+        const reponse = await request(app).get('/files/uploads/documents/ordonnances/a1b2c3.pdf');
+
+        expect(reponse.status).toBe(404);
+        expect(reponse.body.data.code).toBe('FILE_NOT_FOUND');
+    });
+
+    test('refuse un nom de fichier remontant vers le document d\'un autre patient', async () => {
+        const reponse = await request(app).get('/files/uploads/documents/ordonnances/a1b2c3.pdf%2F..%2Fd4e5f6.pdf');
+
+        expect(reponse.status).toBe(400);
+        expect(reponse.body.data.code).toBe('INVALID_FILE_PATH');
+        expect(prisma.ordonnance.findFirst).not.toHaveBeenCalled();
+    });
+
+    test('refuse un fichier partageant seulement le fileId du document', async () => {
+        const reponse = await request(app).get('/files/uploads/documents/ordonnances/a1b2c3.html');
+
+        expect(reponse.status).toBe(404);
+        expect(reponse.body.data.code).toBe('DOCUMENT_NOT_FOUND');
+    });
+});
+
+describe('GET /files/uploads/support/tickets/:filename', () => {
+    test('sert la pièce jointe du ticket du demandeur (fichier absent du disque ici)', async () => {
+        const reponse = await request(app).get('/files/uploads/support/tickets/f7a8b9.png');
+
+        expect(reponse.status).toBe(404);
+        expect(reponse.body.data.code).toBe('FILE_NOT_FOUND');
+    });
+
+    test('refuse un nom de fichier remontant vers la pièce jointe d\'un autre ticket', async () => {
+        const reponse = await request(app).get('/files/uploads/support/tickets/f7a8b9.png%2F..%2Fc0d1e2.png');
+
+        expect(reponse.status).toBe(400);
+        expect(reponse.body.data.code).toBe('INVALID_FILE_PATH');
+        expect(prisma.ticketSupport.findFirst).not.toHaveBeenCalled();
+    });
+
+    test('refuse un fichier partageant seulement le fileId de la pièce jointe', async () => {
+        const reponse = await request(app).get('/files/uploads/support/tickets/f7a8b9.pdf');
+
+        expect(reponse.status).toBe(404);
+        expect(reponse.body.data.code).toBe('ATTACHMENT_NOT_FOUND');
+    });
+});
+
+describe('GET /files/uploads/messages/rendez-vous/:filename', () => {
+    test('sert la pièce jointe d\'un message du rendez-vous (fichier absent du disque ici)', async () => {
+        const reponse = await request(app).get('/files/uploads/messages/rendez-vous/b3c4d5.pdf');
+
+        expect(reponse.status).toBe(404);
+        expect(reponse.body.data.code).toBe('FILE_NOT_FOUND');
+    });
+
+    test('refuse un nom de fichier remontant vers la pièce jointe d\'un autre rendez-vous', async () => {
+        const reponse = await request(app).get('/files/uploads/messages/rendez-vous/b3c4d5.pdf%2F..%2Fe6f7a8.pdf');
+
+        expect(reponse.status).toBe(400);
+        expect(reponse.body.data.code).toBe('INVALID_FILE_PATH');
+        expect(prisma.messageRendezVous.findFirst).not.toHaveBeenCalled();
+    });
+
+    test('refuse un fichier partageant seulement le fileId de la pièce jointe', async () => {
+        const reponse = await request(app).get('/files/uploads/messages/rendez-vous/b3c4d5.svg');
+
+        expect(reponse.status).toBe(404);
+        expect(reponse.body.data.code).toBe('ATTACHMENT_NOT_FOUND');
+    });
+});
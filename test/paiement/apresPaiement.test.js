@@ -0,0 +1,143 @@
+// Base simulée : un rendez-vous en attente de prépaiement et ses paiements
+jest.mock('../../prisma/client', () => {
+    const base = { rendezVous: null, paiements: [], historique: [] };
+
+    const client = {
+        mockBase: base,
+        paiement: {
+            findUnique: jest.fn(async ({ where }) => {
+                const paiement = base.paiements.find(candidat => candidat.id === where.id);
+                return paiement ? { ...paiement, rendezVous: { ...base.rendezVous } } : null;
+            }),
+            findFirst: jest.fn(async ({ where }) =>
+                base.paiements.find(paiement => paiement.rendezVousId === where.rendezVousId && paiement.statut === where.statut) || null),
+            count: jest.fn(async ({ where }) =>
+                base.paiements.filter(paiement => paiement.statut === where.statut && paiement.id !== where.id.not).length),
+            updateMany: jest.fn(async () => ({ count: 0 }))
+        },
+        rendezVous: {
+            findUnique: jest.fn(async () => ({ statut: base.rendezVous.statut })),
+            updateMany: jest.fn(async ({ where, data }) => {
+                const rdv = base.rendezVous;
+                const paiementReussi = base.paiements.some(paiement => paiement.statut === 'REUSSI');
+                if (rdv.statut !== where.statut || (where.paiements && paiementReussi)) {
+                    return { count: 0 };
+                }
+                Object.assign(rdv, data);
+                return { count: 1 };
+            })
+        },
+        rendezVousHistorique: {
+            create: jest.fn(async ({ data }) => base.historique.push(data))
+        }
+    };
+    client.$transaction = jest.fn(async (traitement) => traitement(client));
+    return client;
+});
+jest.mock('../../services/NotificationService');
+jest.mock('../../services/RappelService');
+jest.mock('../../services/TeleconsultationService');
+jest.mock('../../services/ListeAttenteService');
+jest.mock('../../services/TempsReelService', () => ({
+    TYPES: { PAIEMENT: 'PAIEMENT', RENDEZ_VOUS_ANNULE: 'RENDEZ_VOUS_ANNULE' },
+    publier: jest.fn(),
+    publierRendezVous: jest.fn()
+}));
+
+const prisma = require('../../prisma/client');
+const PaiementService = require('../../services/PaiementService');
+const RemboursementService = require('../../services/RemboursementService');
+const PartiesRendezVousService = require('../../services/PartiesRendezVousService');
+
+const rendezVousEnAttente = () => ({
+    id: 'rdv-1',
+    medecinId: 'medecin-1',
+    statut: 'EN_ATTENTE',
+    echeancePaiement: new Date(Date.now() - 60 * 1000),
+    dateRendezVous: new Date('2026-11-02'),
+    heureDebut: '09:00',
+    patient: { user: { id: 'user-patient', nom: 'Kouassi', prenom: 'Awa' } },
+    medecin: { user: { id: 'user-medecin', nom: 'Traoré', prenom: 'Moussa' } }
+});
+
+const paiementReussi = () => ({
+    id: 'paiement-1',
+    rendezVousId: 'rdv-1',
+    operateur: 'WAVE',
+    montant: 15000,
+    devise: 'XOF',
+    statut: 'REUSSI'
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.mockBase.rendezVous = rendezVousEnAttente();
+    prisma.mockBase.paiements = [paiementReussi()];
+    prisma.mockBase.historique = [];
+    jest.spyOn(RemboursementService, 'montantRemboursable').mockResolvedValue(15000);
+    jest.spyOn(RemboursementService, 'creer').mockResolvedValue({ id: 'remboursement-1' });
+    jest.spyOn(RemboursementService, 'effectuer').mockResolvedValue(true);
+    jest.spyOn(PartiesRendezVousService, 'notifier').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('PaiementService._apresPaiement', () => {
+    test('confirme le rendez-vous en attente de prépaiement', async () => {
+        await expect(PaiementService._apresPaiement('paiement-1')).resolves.toBe(true);
+
+        expect(prisma.mockBase.rendezVous.statut).toBe('CONFIRME');
+        expect(RemboursementService.creer).not.toHaveBeenCalled();
+    });
+
+    test('rembourse un paiement dont le rendez-vous a été annulé pendant le traitement', async () => {
+        // Annulation par le worker entre la lecture du rendez-vous et sa confirmation
+        prisma.rendezVous.updateMany.mockImplementationOnce(async () => {
+            prisma.mockBase.rendezVous.statut = 'ANNULE';
+            return { count: 0 };
+        });
+
+        await expect(PaiementService._apresPaiement('paiement-1')).resolves.toBe(false);
+
+        expect(RemboursementService.creer).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            origine: 'RENDEZ_VOUS_INACTIF',
+            montant: 15000
+        }));
+        expect(RemboursementService.effectuer).toHaveBeenCalledWith('remboursement-1');
+        expect(PartiesRendezVousService.notifier).not.toHaveBeenCalledWith(expect.anything(), 'PAIEMENT',
+            expect.objectContaining({ titre: 'Paiement reçu ✅' }));
+    });
+});
+
+describe('PaiementService._annulerImpaye', () => {
+    test('annule un rendez-vous sans paiement réussi à l\'échéance', async () => {
+        prisma.mockBase.paiements = [];
+
+        await expect(PaiementService._annulerImpaye(rendezVousEnAttente())).resolves.toBe(true);
+
+        expect(prisma.mockBase.rendezVous.statut).toBe('ANNULE');
+    });
+
+    test('confirme au lieu d\'annuler un rendez-vous payé dont la confirmation avait échoué', async () => {
+        await expect(PaiementService._annulerImpaye(rendezVousEnAttente())).resolves.toBe(false);
+
+        expect(prisma.mockBase.rendezVous.statut).toBe('CONFIRME');
+        expect(RemboursementService.creer).not.toHaveBeenCalled();
+    });
+
+    test('n\'annule pas un rendez-vous dont le paiement réussit pendant l\'annulation', async () => {
+        // Paiement comptabilisé entre la recherche et l'annulation
+        prisma.mockBase.paiements = [];
+        prisma.paiement.findFirst.mockImplementationOnce(async () => {
+            prisma.mockBase.paiements = [paiementReussi()];
+            return null;
+        });
+
+        await expect(PaiementService._annulerImpaye(rendezVousEnAttente())).resolves.toBe(false);
+
+        expect(prisma.mockBase.rendezVous.statut).toBe('EN_ATTENTE');
+    });
+});
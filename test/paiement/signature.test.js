@@ -0,0 +1,122 @@
+const Consts = require('../../config/const');
+const { hmacSha256, egaliteSure, corpsBrut } = require('../../services/paiement/signature');
+const WaveProvider = require('../../services/paiement/WaveProvider');
+const MoovMoneyProvider = require('../../services/paiement/MoovMoneyProvider');
+const LocalPaymentProvider = require('../../services/paiement/LocalPaymentProvider');
+
+// Requête de webhook telle que reçue par express (corps brut conservé par app.js)
+const requete = (corps, entetes = {}) => ({
+    rawBody: Buffer.from(corps),
+    body: JSON.parse(corps),
+    get: (nom) => entetes[nom]
+});
+
+const configInitiale = JSON.parse(JSON.stringify(Consts.PAIEMENT_CONFIG));
+
+beforeEach(() => {
+    Object.assign(Consts.PAIEMENT_CONFIG, {
+        simulateurAutorise: true,
+        local: { secret: 'secret-simulateur' },
+        moovMoney: { urlApi: 'https://moov.test', jeton: 'jeton', secretWebhook: 'secret-moov' },
+        wave: { ...configInitiale.wave, cleApi: 'cle-wave', secretWebhook: 'secret-wave' }
+    });
+});
+
+afterAll(() => {
+    Object.assign(Consts.PAIEMENT_CONFIG, configInitiale);
+});
+
+describe('signature', () => {
+    test('hmacSha256 produit le HMAC-SHA256 hexadécimal', () => {
+        expect(hmacSha256('key', 'The quick brown fox jumps over the lazy dog'))
+            .toBe('f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8');
+    });
+
+    test('egaliteSure compare des chaînes sans accepter de valeur absente ou de longueur différente', () => {
+        expect(egaliteSure('abc', 'abc')).toBe(true);
+        expect(egaliteSure('abc', 'abd')).toBe(false);
+        expect(egaliteSure('abc', 'ab')).toBe(false);
+        expect(egaliteSure('abc', undefined)).toBe(false);
+        expect(egaliteSure(undefined, undefined)).toBe(false);
+    });
+
+    test('corpsBrut lit le corps brut, vide en son absence', () => {
+        expect(corpsBrut({ rawBody: Buffer.from('{"a":1}') })).toBe('{"a":1}');
+        expect(corpsBrut({})).toBe('');
+    });
+});
+
+describe('WaveProvider.verifierWebhook', () => {
+    const corps = JSON.stringify({ type: 'checkout.session.completed', data: { id: 'cos-1', payment_status: 'succeeded', transaction_id: 'T1' } });
+    const signer = (horodatage, contenu = corps) => `t=${horodatage},v1=${hmacSha256('secret-wave', horodatage + contenu)}`;
+    const maintenant = () => Math.floor(Date.now() / 1000);
+
+    test('accepte une notification signée et récente', async () => {
+        const resultat = await WaveProvider.verifierWebhook(requete(corps, { 'Wave-Signature': signer(maintenant()) }));
+        expect(resultat).toMatchObject({ statut: 'REUSSI' });
+    });
+
+    test('rejette une notification dont l\'horodatage dépasse la tolérance', async () => {
+        const { toleranceSignatureSecondes } = Consts.PAIEMENT_CONFIG.wave;
+        const ancienne = maintenant() - toleranceSignatureSecondes - 10;
+        const future = maintenant() + toleranceSignatureSecondes + 10;
+
+        expect(await WaveProvider.verifierWebhook(requete(corps, { 'Wave-Signature': signer(ancienne) }))).toBeNull();
+        expect(await WaveProvider.verifierWebhook(requete(corps, { 'Wave-Signature': signer(future) }))).toBeNull();
+    });
+
+    test('rejette une signature invalide, un corps modifié ou un en-tête absent', async () => {
+        const horodatage = maintenant();
+        const modifie = corps.replace('succeeded', 'processing');
+
+        expect(await WaveProvider.verifierWebhook(requete(corps, { 'Wave-Signature': `t=${horodatage},v1=${'0'.repeat(64)}` }))).toBeNull();
+        expect(await WaveProvider.verifierWebhook(requete(modifie, { 'Wave-Signature': signer(horodatage) }))).toBeNull();
+        expect(await WaveProvider.verifierWebhook(requete(corps))).toBeNull();
+    });
+
+    test('échoue sans secret de webhook configuré', async () => {
+        Consts.PAIEMENT_CONFIG.wave.secretWebhook = undefined;
+        await expect(WaveProvider.verifierWebhook(requete(corps, { 'Wave-Signature': signer(maintenant()) })))
+            .rejects.toThrow('Configuration Wave manquante');
+    });
+});
+
+describe('MoovMoneyProvider.verifierWebhook', () => {
+    const corps = JSON.stringify({ status: 'SUCCESS', transactionId: 'MOOV-1' });
+
+    test('accepte une notification signée avec le secret Moov', async () => {
+        const resultat = await MoovMoneyProvider.verifierWebhook(requete(corps, { 'X-Moov-Signature': hmacSha256('secret-moov', corps) }));
+        expect(resultat).toMatchObject({ statut: 'REUSSI', donnees: { transactionId: 'MOOV-1' } });
+    });
+
+    test('rejette une signature calculée avec un autre secret ou absente', async () => {
+        expect(await MoovMoneyProvider.verifierWebhook(requete(corps, { 'X-Moov-Signature': hmacSha256('autre', corps) }))).toBeNull();
+        expect(await MoovMoneyProvider.verifierWebhook(requete(corps))).toBeNull();
+    });
+});
+
+describe('LocalPaymentProvider.verifierWebhook', () => {
+    const corps = JSON.stringify({ reference: 'SIM-1', statut: 'REUSSI' });
+
+    test('accepte une notification signée avec PAYMENT_LOCAL_SECRET', async () => {
+        const resultat = await LocalPaymentProvider.verifierWebhook(requete(corps, { 'X-Signature': hmacSha256('secret-simulateur', corps) }));
+        expect(resultat).toMatchObject({ statut: 'REUSSI', motif: null });
+    });
+
+    test('rejette une notification signée avec un autre secret', async () => {
+        const signature = hmacSha256('secret-jwt-api', corps);
+        expect(await LocalPaymentProvider.verifierWebhook(requete(corps, { 'X-Signature': signature }))).toBeNull();
+    });
+
+    test('rejette toute notification lorsque le simulateur est interdit (production)', async () => {
+        Consts.PAIEMENT_CONFIG.simulateurAutorise = false;
+        const signature = hmacSha256('secret-simulateur', corps);
+        expect(await LocalPaymentProvider.verifierWebhook(requete(corps, { 'X-Signature': signature }))).toBeNull();
+    });
+
+    test('échoue sans PAYMENT_LOCAL_SECRET', async () => {
+        Consts.PAIEMENT_CONFIG.local.secret = undefined;
+        await expect(LocalPaymentProvider.verifierWebhook(requete(corps, { 'X-Signature': 'x' })))
+            .rejects.toThrow('PAYMENT_LOCAL_SECRET');
+    });
+});
@@ -0,0 +1,133 @@
+// Base simulée : un paiement en attente, son rendez-vous et le grand livre
+jest.mock('../../prisma/client', () => {
+    const base = { paiements: new Map(), ecritures: new Map() };
+
+    const correspond = (paiement, where) => Object.entries(where).every(([champ, condition]) =>
+        condition && typeof condition === 'object' && 'not' in condition ?
+            paiement[champ] !== condition.not :
+            paiement[champ] === condition);
+
+    const client = {
+        mockBase: base,
+        paiement: {
+            updateMany: jest.fn(async ({ where, data }) => {
+                const paiement = base.paiements.get(where.id);
+                if (!paiement || !correspond(paiement, where)) {
+                    return { count: 0 };
+                }
+                Object.assign(paiement, data);
+                return { count: 1 };
+            }),
+            findUnique: jest.fn(async ({ where }) => {
+                const paiement = base.paiements.get(where.id);
+                return paiement ? {
+                    ...paiement,
+                    rendezVous: {
+                        id: paiement.rendezVousId,
+                        dateRendezVous: new Date('2026-11-02'),
+                        heureDebut: '09:00',
+                        patient: { user: { id: 'user-patient', nom: 'Kouassi', prenom: 'Awa' } },
+                        medecin: { user: { id: 'user-medecin', nom: 'Traoré', prenom: 'Moussa' } }
+                    }
+                } : null;
+            })
+        },
+        rendezVous: {
+            findUnique: jest.fn(async () => ({ medecinId: 'medecin-1' }))
+        },
+        ecritureComptable: {
+            findUnique: jest.fn(async ({ where }) => base.ecritures.get(where.cle) || null),
+            create: jest.fn(async ({ data }) => {
+                base.ecritures.set(data.cle, data);
+                return data;
+            })
+        }
+    };
+    client.$transaction = jest.fn(async (traitement) => traitement(client));
+    return client;
+});
+jest.mock('../../services/NotificationService');
+jest.mock('../../services/TempsReelService', () => ({
+    TYPES: { PAIEMENT: 'PAIEMENT' },
+    publier: jest.fn(),
+    publierRendezVous: jest.fn()
+}));
+
+const prisma = require('../../prisma/client');
+const PaiementService = require('../../services/PaiementService');
+
+const paiementEnAttente = () => ({
+    id: 'paiement-1',
+    rendezVousId: 'rdv-1',
+    operateur: 'WAVE',
+    montant: 15000,
+    devise: 'XOF',
+    statut: 'EN_ATTENTE',
+    donneesFournisseur: null
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.mockBase.paiements.clear();
+    prisma.mockBase.ecritures.clear();
+    prisma.mockBase.paiements.set('paiement-1', paiementEnAttente());
+    jest.spyOn(PaiementService, '_apresPaiement').mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('PaiementService.traiterNotification', () => {
+    test('un paiement réussi est comptabilisé et confirme le rendez-vous', async () => {
+        const resultat = await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'REUSSI', donnees: { transactionId: 'T1' } });
+
+        expect(resultat).toMatchObject({ traite: true, rendezVousConfirme: true });
+        expect(prisma.mockBase.paiements.get('paiement-1').statut).toBe('REUSSI');
+        expect([...prisma.mockBase.ecritures.keys()]).toEqual(['PAIEMENT:paiement-1']);
+        expect(PaiementService._apresPaiement).toHaveBeenCalledTimes(1);
+    });
+
+    test('une notification de succès rejouée n\'est ni recomptabilisée ni retraitée', async () => {
+        await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'REUSSI' });
+        // Même notification reçue à nouveau, avec le paiement lu avant le premier traitement
+        const rejouee = await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'REUSSI' });
+
+        expect(rejouee).toMatchObject({ traite: false, rendezVousConfirme: false });
+        expect(prisma.ecritureComptable.create).toHaveBeenCalledTimes(1);
+        expect(PaiementService._apresPaiement).toHaveBeenCalledTimes(1);
+    });
+
+    test('une notification identique au statut connu est ignorée sans accès à la base', async () => {
+        const resultat = await PaiementService.traiterNotification({ ...paiementEnAttente(), statut: 'REUSSI' }, { statut: 'REUSSI' });
+
+        expect(resultat).toMatchObject({ traite: false });
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+        expect(prisma.paiement.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('un statut EN_ATTENTE ne modifie pas le paiement', async () => {
+        const resultat = await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'EN_ATTENTE' });
+
+        expect(resultat).toMatchObject({ traite: false });
+        expect(prisma.paiement.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('un échec rejoué n\'est traité qu\'une fois', async () => {
+        const premier = await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'ECHOUE', motif: 'Solde insuffisant' });
+        const rejoue = await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'ECHOUE', motif: 'Solde insuffisant' });
+
+        expect(premier).toMatchObject({ traite: true });
+        expect(rejoue).toMatchObject({ traite: false });
+        expect(prisma.mockBase.paiements.get('paiement-1')).toMatchObject({ statut: 'ECHOUE', motifEchec: 'Solde insuffisant' });
+    });
+
+    test('un échec annoncé après le succès ne revient pas sur le paiement', async () => {
+        await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'REUSSI' });
+        const resultat = await PaiementService.traiterNotification(paiementEnAttente(), { statut: 'ECHOUE', motif: 'Annulé' });
+
+        expect(resultat).toMatchObject({ traite: false });
+        expect(prisma.mockBase.paiements.get('paiement-1').statut).toBe('REUSSI');
+    });
+});
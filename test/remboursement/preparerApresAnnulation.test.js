@@ -0,0 +1,105 @@
+jest.mock('../../prisma/client', () => ({}));
+jest.mock('../../services/TempsReelService');
+jest.mock('../../services/NotificationService');
+
+const RemboursementService = require('../../services/RemboursementService');
+const ComptabiliteService = require('../../services/ComptabiliteService');
+
+// Transaction simulée : paiements réussis du rendez-vous et remboursements déjà créés
+const creerTransaction = (paiements, remboursementsExistants = []) => {
+    const remboursements = [...remboursementsExistants];
+    return {
+        remboursements,
+        paiement: {
+            findMany: jest.fn(async () => paiements)
+        },
+        remboursement: {
+            aggregate: jest.fn(async ({ where }) => ({
+                _sum: {
+                    montant: remboursements
+                        .filter(remboursement => remboursement.paiementId === where.paiementId && remboursement.statut !== 'REJETE')
+                        .reduce((total, remboursement) => total + remboursement.montant, 0) || null
+                }
+            })),
+            create: jest.fn(async ({ data }) => {
+                const remboursement = { id: `remboursement-${remboursements.length + 1}`, ...data };
+                remboursements.push(remboursement);
+                return remboursement;
+            })
+        }
+    };
+};
+
+const paiement = (id, montant) => ({ id, rendezVousId: 'rdv-1', montant, devise: 'XOF', statut: 'REUSSI' });
+const rendezVous = { id: 'rdv-1', medecinId: 'medecin-1' };
+
+beforeEach(() => {
+    jest.spyOn(ComptabiliteService, 'enregistrerRemboursement').mockResolvedValue(null);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('RemboursementService.preparerApresAnnulation', () => {
+    test('rembourse intégralement un rendez-vous annulé sans frais', async () => {
+        const tx = creerTransaction([paiement('paiement-1', 15000)]);
+
+        const remboursements = await RemboursementService.preparerApresAnnulation(tx, rendezVous, { motif: 'Annulé par le médecin' });
+
+        expect(remboursements.map(remboursement => [remboursement.origine, remboursement.montant, remboursement.statut])).toEqual([
+            ['ANNULATION', 15000, 'A_EFFECTUER']
+        ]);
+        expect(ComptabiliteService.enregistrerRemboursement).toHaveBeenCalledTimes(1);
+    });
+
+    test('retient les frais d\'annulation sur les paiements les plus anciens', async () => {
+        const tx = creerTransaction([paiement('paiement-1', 5000), paiement('paiement-2', 10000)]);
+
+        const remboursements = await RemboursementService.preparerApresAnnulation(tx, rendezVous, {
+            montantRetenu: 7500,
+            motif: 'Annulation tardive'
+        });
+
+        expect(remboursements.map(remboursement => [remboursement.paiementId, remboursement.montant])).toEqual([
+            ['paiement-2', 7500]
+        ]);
+    });
+
+    test('ne rembourse que le reste d\'un paiement déjà partiellement remboursé', async () => {
+        const tx = creerTransaction([paiement('paiement-1', 15000)], [
+            { id: 'remboursement-0', paiementId: 'paiement-1', montant: 4000, statut: 'EFFECTUE' },
+            { id: 'remboursement-rejete', paiementId: 'paiement-1', montant: 3000, statut: 'REJETE' }
+        ]);
+
+        const remboursements = await RemboursementService.preparerApresAnnulation(tx, rendezVous, {
+            montantRetenu: 1000,
+            motif: 'Annulation tardive'
+        });
+
+        expect(remboursements.map(remboursement => remboursement.montant)).toEqual([10000]);
+    });
+
+    test('soumet les frais contestés à validation sans les comptabiliser', async () => {
+        const tx = creerTransaction([paiement('paiement-1', 15000)]);
+
+        const remboursements = await RemboursementService.preparerApresAnnulation(tx, rendezVous, {
+            montantRetenu: 7500,
+            contestation: true,
+            motif: 'Annulation tardive'
+        });
+
+        expect(remboursements.map(remboursement => [remboursement.origine, remboursement.montant, remboursement.statut])).toEqual([
+            ['ANNULATION', 7500, 'A_EFFECTUER'],
+            ['CONTESTATION', 7500, 'EN_ATTENTE_VALIDATION']
+        ]);
+        expect(ComptabiliteService.enregistrerRemboursement).toHaveBeenCalledTimes(1);
+    });
+
+    test('ne crée aucun remboursement pour un rendez-vous non payé', async () => {
+        const tx = creerTransaction([]);
+
+        await expect(RemboursementService.preparerApresAnnulation(tx, rendezVous, { motif: 'Annulé' })).resolves.toEqual([]);
+        expect(tx.remboursement.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+jest.mock('../../prisma/client', () => ({
+    evenementTempsReel: {
+        findMany: jest.fn(),
+        aggregate: jest.fn()
+    }
+}));
+
+const { EventEmitter } = require('events');
+const prisma = require('../../prisma/client');
+const TempsReelService = require('../../services/TempsReelService');
+
+// Requête et réponse SSE simulées : les événements écrits sont relevés par identifiant
+const connexion = (lastEventId) => {
+    const req = new EventEmitter();
+    req.user = { id: 'user-1', nom: 'Kouassi', prenom: 'Awa' };
+    req.headers = lastEventId ? { 'last-event-id': lastEventId } : {};
+    req.query = {};
+
+    const res = {
+        ids: [],
+        writableEnded: false,
+        writeHead: jest.fn(),
+        end: jest.fn(),
+        write(contenu) {
+            const id = /^id: (\d+)/.exec(contenu);
+            if (id) {
+                this.ids.push(id[1]);
+            }
+        }
+    };
+    return { req, res };
+};
+
+const evenement = (id) => ({ id: BigInt(id), userId: 'user-1', type: 'PAIEMENT', donnees: {}, createdAt: new Date() });
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    prisma.evenementTempsReel.aggregate.mockResolvedValue({ _max: { id: BigInt(10) } });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('TempsReelService.ouvrirFlux', () => {
+    test('diffuse une seule fois les événements publiés pendant le rejeu d\'une reconnexion', async () => {
+        const premiere = connexion();
+        await TempsReelService.ouvrirFlux(premiere.req, premiere.res);
+
+        // Rejeu de la reconnexion en cours pendant que la scrutation diffuse l'événement 11
+        let terminerRejeu;
+        prisma.evenementTempsReel.findMany.mockImplementationOnce(() => new Promise(resolve => { terminerRejeu = resolve; }));
+        const reconnexion = connexion('8');
+        const ouverture = TempsReelService.ouvrirFlux(reconnexion.req, reconnexion.res);
+
+        prisma.evenementTempsReel.findMany.mockResolvedValueOnce([evenement(11)]);
+        await TempsReelService._scruter();
+
+        terminerRejeu([evenement(9), evenement(10), evenement(11)]);
+        await ouverture;
+
+        expect(premiere.res.ids).toEqual(['11']);
+        expect(reconnexion.res.ids).toEqual(['11', '9', '10']);
+
+        premiere.req.emit('close');
+        reconnexion.req.emit('close');
+    });
+
+    test('ne lit que les événements publiés depuis le délai de scrutation', async () => {
+        const { req, res } = connexion();
+        await TempsReelService.ouvrirFlux(req, res);
+
+        prisma.evenementTempsReel.findMany.mockResolvedValueOnce([]);
+        await TempsReelService._scruter();
+
+        const { where } = prisma.evenementTempsReel.findMany.mock.calls[0][0];
+        expect(where.createdAt.lte.getTime()).toBeLessThanOrEqual(Date.now() - 2000);
+
+        req.emit('close');
+    });
+});